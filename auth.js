@@ -0,0 +1,391 @@
+// MeluFrontend - copia/backend/auth.js
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import 'dotenv/config';
+import { client } from './db.js';
+import { forbidden } from './permissions.js';
+
+// 🔑 Configuración de tokens
+// ACCESS: JWT firmado de vida corta. REFRESH: token opaco (solo se guarda su hash en 'sessions').
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const JWT_SECRET = process.env.JWT_SECRET || (() => {
+    console.warn("🟡 Auth: JWT_SECRET no está definido. Se usará un secreto temporal (las sesiones se invalidan al reiniciar).");
+    return crypto.randomBytes(48).toString('hex');
+})();
+
+// Formato DATETIME compatible con SQLite: YYYY-MM-DD HH:MM:SS
+export function toSqlDate(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+export function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getRequestMeta(req) {
+    return {
+        userAgent: req?.headers?.['user-agent'] || null,
+        ipAddress: req?.ip || null
+    };
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { sub: String(user.id), role: user.role, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+// El refresh token lleva el id de sesión como prefijo para poder ubicar la fila sin escanear la tabla.
+function generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+}
+
+function buildTokenResponse(user, sessionId, refreshToken) {
+    return {
+        accessToken: signAccessToken(user, sessionId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+}
+
+/**
+ * Crea una sesión nueva para el usuario y devuelve el par de tokens (access + refresh).
+ */
+export async function createSession(user, req) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = generateRefreshToken(sessionId);
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const { userAgent, ipAddress } = getRequestMeta(req);
+
+    await client.execute({
+        sql: `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+              VALUES (?, ?, ?, ?, ?, ?)`,
+        args: [sessionId, user.id, hashToken(refreshToken), userAgent, ipAddress, toSqlDate(expiresAt)]
+    });
+
+    return buildTokenResponse(user, sessionId, refreshToken);
+}
+
+/**
+ * Rota el refresh token: invalida el anterior y emite un nuevo par.
+ * Devuelve null si el token no es válido, expiró o la sesión fue revocada.
+ * Si llega un refresh token ya rotado (posible robo), se revoca la sesión completa.
+ */
+export async function refreshSession(refreshToken, req) {
+    if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) return null;
+
+    const sessionId = refreshToken.split('.')[0];
+    const result = await client.execute({
+        sql: `SELECT s.id, s.user_id, s.refresh_token_hash, u.id AS uid, u.role, u.is_banned, u.is_approved, u.ban_reason, u.banned_until
+              FROM sessions s
+              JOIN users u ON u.id = s.user_id
+              WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+        args: [sessionId]
+    });
+
+    if (result.rows.length === 0) return null;
+    const session = result.rows[0];
+
+    if (await getAccountBlock({ ...session, id: session.uid })) return null;
+
+    const expected = Buffer.from(session.refresh_token_hash, 'hex');
+    const received = Buffer.from(hashToken(refreshToken), 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        console.warn(`⚠️ Auth: Refresh token reutilizado en la sesión ${sessionId}. Revocando sesión.`);
+        await revokeSession(sessionId);
+        return null;
+    }
+
+    const newRefreshToken = generateRefreshToken(sessionId);
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const { userAgent, ipAddress } = getRequestMeta(req);
+
+    await client.execute({
+        sql: 'UPDATE sessions SET refresh_token_hash = ?, expires_at = ?, user_agent = ?, ip_address = ? WHERE id = ?',
+        args: [hashToken(newRefreshToken), toSqlDate(expiresAt), userAgent, ipAddress, sessionId]
+    });
+
+    return buildTokenResponse({ id: session.user_id, role: session.role }, sessionId, newRefreshToken);
+}
+
+/**
+ * Revoca una sesión concreta (logout).
+ */
+export async function revokeSession(sessionId) {
+    await client.execute({
+        sql: 'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+        args: [sessionId]
+    });
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario.
+ */
+export async function revokeUserSessions(userId) {
+    await client.execute({
+        sql: 'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+        args: [userId]
+    });
+}
+
+/**
+ * Verifica un access token y devuelve su payload ({ sub, role, sid }) o null.
+ */
+export function verifyAccessToken(token) {
+    try {
+        return jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- Estado de la cuenta (baneo / aprobación) ---
+
+/**
+ * Comprueba si la cuenta puede operar. Recibe una fila de users con is_banned, ban_reason y banned_until.
+ * Si el baneo ya venció, lo levanta en ese momento (UPDATE condicional) y deja pasar.
+ * is_approved no bloquea: quien solicitó ser proveedor (rol 'Pending') debe poder ver su saldo y cancelar la solicitud;
+ * las acciones de proveedor ya exigen su rol (requireRole).
+ * Devuelve null si puede operar, o { reason, message, extra } para responder con 403.
+ */
+export async function getAccountBlock(user) {
+    if (user.is_banned === 1) {
+        if (user.banned_until) {
+            const lifted = await client.execute({
+                sql: `UPDATE users SET is_banned = 0, ban_reason = NULL, banned_until = NULL
+                      WHERE id = ? AND is_banned = 1 AND banned_until IS NOT NULL AND banned_until <= CURRENT_TIMESTAMP`,
+                args: [user.id]
+            });
+            if (lifted.rowsAffected > 0) {
+                console.log(`✅ Auth: Baneo vencido levantado para el usuario ${user.id}.`);
+                user.is_banned = 0;
+            }
+        }
+
+        if (user.is_banned === 1) {
+            return {
+                reason: 'ACCOUNT_BANNED',
+                message: 'Tu cuenta ha sido suspendida.',
+                extra: { banReason: user.ban_reason || null, bannedUntil: user.banned_until || null }
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Levanta todos los baneos cuyo vencimiento ya pasó. Devuelve los ids de los usuarios reactivados.
+ */
+export async function liftExpiredBans() {
+    const result = await client.execute(
+        `UPDATE users SET is_banned = 0, ban_reason = NULL, banned_until = NULL
+         WHERE is_banned = 1 AND banned_until IS NOT NULL AND banned_until <= CURRENT_TIMESTAMP
+         RETURNING id`
+    );
+    return result.rows.map(row => Number(row.id));
+}
+
+async function loadSessionUser(payload) {
+    const result = await client.execute({
+        sql: `SELECT u.id, u.username, u.email, u.role, u.is_banned, u.is_approved, u.ban_reason, u.banned_until,
+                     u.email_verified, u.premium_expires_at, s.revoked_at
+              FROM sessions s
+              JOIN users u ON u.id = s.user_id
+              WHERE s.id = ? AND s.user_id = ?`,
+        args: [payload.sid, payload.sub]
+    });
+
+    if (result.rows.length === 0 || result.rows[0].revoked_at) return null;
+    return result.rows[0];
+}
+
+/**
+ * Autenticación de Socket.IO: devuelve el id del usuario si el token es válido,
+ * la sesión sigue activa y la cuenta puede operar; si no, null.
+ */
+export async function authenticateSocketToken(token) {
+    const payload = verifyAccessToken(token);
+    if (!payload) return null;
+
+    const user = await loadSessionUser(payload);
+    if (!user || await getAccountBlock(user)) return null;
+
+    return Number(user.id);
+}
+
+/**
+ * 🔑 Middleware: resuelve al usuario que llama a partir del header `Authorization: Bearer <token>`.
+ * Deja en req.user los datos actuales del usuario (desde la BD, no desde el token) y en req.sessionId la sesión.
+ */
+export async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ message: 'Debes iniciar sesión para continuar.', code: 'AUTH_REQUIRED' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+        if (e.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: 'Tu sesión ha expirado.', code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(401).json({ message: 'Sesión no válida. Inicia sesión nuevamente.', code: 'INVALID_TOKEN' });
+    }
+
+    try {
+        const user = await loadSessionUser(payload);
+        if (!user) {
+            return res.status(401).json({ message: 'Sesión no válida. Inicia sesión nuevamente.', code: 'INVALID_TOKEN' });
+        }
+
+        // 🚫 Baneo: se revisa en cada petición, no solo al iniciar sesión
+        const block = await getAccountBlock(user);
+        if (block) {
+            return forbidden(res, block.reason, block.message, block.extra);
+        }
+
+        req.user = {
+            id: Number(user.id),
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            isBanned: user.is_banned === 1,
+            isApproved: user.is_approved === 1,
+            emailVerified: user.email_verified === 1,
+            premiumExpiresAt: user.premium_expires_at
+        };
+        req.sessionId = payload.sid;
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al validar la sesión.' });
+    }
+}
+
+// --- Códigos de un solo uso (restablecimiento de contraseña y verificación de correo) ---
+
+// Sin caracteres ambiguos (0/O, 1/I) para poder dictar el código por teléfono o WhatsApp
+const ONE_TIME_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function generateOneTimeCode() {
+    const bytes = crypto.randomBytes(8);
+    const chars = Array.from(bytes, b => ONE_TIME_CODE_ALPHABET[b % ONE_TIME_CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * Genera un código de restablecimiento de un solo uso (formato XXXX-XXXX) e invalida los anteriores.
+ * purpose: 'admin_reset' (soporte) | 'self_service' (el propio usuario)
+ */
+export async function createPasswordReset(userId, { purpose, createdBy = null, ttlMinutes = 60 }) {
+    const code = generateOneTimeCode();
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    await client.execute({
+        sql: 'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        args: [userId]
+    });
+    await client.execute({
+        sql: `INSERT INTO password_resets (user_id, code_hash, purpose, created_by_user_id, expires_at)
+              VALUES (?, ?, ?, ?, ?)`,
+        args: [userId, hashToken(normalizeCode(code)), purpose, createdBy, toSqlDate(expiresAt)]
+    });
+
+    return { code, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Canjea un código de restablecimiento: cambia la contraseña y cierra todas las sesiones.
+ * Devuelve el id del usuario, o null si el código no es válido, expiró o ya se usó.
+ */
+export async function consumePasswordReset(email, code, newPassword) {
+    const result = await client.execute({
+        sql: `SELECT pr.id, pr.user_id
+              FROM password_resets pr
+              JOIN users u ON u.id = pr.user_id
+              WHERE u.email = ? AND pr.code_hash = ? AND pr.used_at IS NULL AND pr.expires_at > CURRENT_TIMESTAMP`,
+        args: [email, hashToken(normalizeCode(code))]
+    });
+
+    if (result.rows.length === 0) return null;
+    const reset = result.rows[0];
+
+    // Marcado condicional: si dos peticiones llegan a la vez, solo una consume el código
+    const claim = await client.execute({
+        sql: 'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        args: [reset.id]
+    });
+    if (claim.rowsAffected === 0) return null;
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    await client.execute({
+        sql: 'UPDATE users SET password_hash = ? WHERE id = ?',
+        args: [passwordHash, reset.user_id]
+    });
+    await revokeUserSessions(reset.user_id);
+
+    return reset.user_id;
+}
+
+/**
+ * Genera un código de verificación de correo (formato XXXX-XXXX) e invalida los anteriores.
+ */
+export async function createEmailVerification(userId, { ttlMinutes = 24 * 60 } = {}) {
+    const code = generateOneTimeCode();
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    await client.execute({
+        sql: 'UPDATE email_verifications SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        args: [userId]
+    });
+    await client.execute({
+        sql: 'INSERT INTO email_verifications (user_id, code_hash, expires_at) VALUES (?, ?, ?)',
+        args: [userId, hashToken(normalizeCode(code)), toSqlDate(expiresAt)]
+    });
+
+    return { code, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Canjea un código de verificación y marca el correo como verificado.
+ * Devuelve el id del usuario, o null si el código no es válido, expiró o ya se usó.
+ */
+export async function consumeEmailVerification(email, code) {
+    const result = await client.execute({
+        sql: `SELECT ev.id, ev.user_id
+              FROM email_verifications ev
+              JOIN users u ON u.id = ev.user_id
+              WHERE u.email = ? AND ev.code_hash = ? AND ev.used_at IS NULL AND ev.expires_at > CURRENT_TIMESTAMP`,
+        args: [email, hashToken(normalizeCode(code))]
+    });
+
+    if (result.rows.length === 0) return null;
+    const verification = result.rows[0];
+
+    const claim = await client.execute({
+        sql: 'UPDATE email_verifications SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        args: [verification.id]
+    });
+    if (claim.rowsAffected === 0) return null;
+
+    await client.execute({
+        sql: 'UPDATE users SET email_verified = 1 WHERE id = ?',
+        args: [verification.user_id]
+    });
+
+    return verification.user_id;
+}
@@ -0,0 +1,103 @@
+// MeluFrontend - copia/backend/balances.js
+
+import { client } from './db.js';
+
+// 🔒 Operaciones de saldo atómicas
+// Cada flujo de dinero arma su lista de sentencias y la ejecuta con runAtomic() en un único batch de escritura:
+// o se aplica todo, o nada. Los débitos son condicionales ('balance >= ?'); como un UPDATE que no afecta filas
+// no es un error, después va una guarda que aborta el batch completo (trigger 'atomic_guards_abort' en db.js).
+// 💵 Todos los montos son centavos enteros (users.balance_cents), ver money.js.
+export const ATOMIC_GUARD_REASONS = {
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+    STOCK_UNAVAILABLE: 'STOCK_UNAVAILABLE',
+    ALREADY_PROCESSED: 'ALREADY_PROCESSED',
+    DUPLICATE_OPERATION: 'DUPLICATE_OPERATION',
+    PRECONDITION_FAILED: 'PRECONDITION_FAILED',
+    INVALID_AMOUNT: 'INVALID_AMOUNT'             // No es una guarda SQL: lo lanza ledger.js antes del batch (asiento sin montos)
+};
+
+/**
+ * Error lanzado por runAtomic() cuando una guarda abortó el batch. `reason` es una clave de ATOMIC_GUARD_REASONS.
+ */
+export class AtomicOperationError extends Error {
+    constructor(reason) {
+        super(`Atomic operation aborted: ${reason}`);
+        this.name = 'AtomicOperationError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Guarda: aborta el batch si la sentencia anterior no modificó ninguna fila.
+ */
+export function guardStatement(reason) {
+    return {
+        sql: 'INSERT INTO atomic_guards (reason) SELECT ? WHERE changes() = 0',
+        args: [reason]
+    };
+}
+
+/**
+ * Débito condicional: solo se aplica si el saldo alcanza. Devuelve [UPDATE, guarda].
+ */
+export function debitBalanceStatements(userId, amountCents) {
+    return [
+        {
+            sql: 'UPDATE users SET balance_cents = balance_cents - ? WHERE id = ? AND balance_cents >= ?',
+            args: [amountCents, userId, amountCents]
+        },
+        guardStatement(ATOMIC_GUARD_REASONS.INSUFFICIENT_BALANCE)
+    ];
+}
+
+/**
+ * Crédito relativo (sin leer el saldo antes, para no pisar cambios concurrentes).
+ */
+export function creditBalanceStatement(userId, amountCents) {
+    return {
+        sql: 'UPDATE users SET balance_cents = balance_cents + ? WHERE id = ?',
+        args: [amountCents, userId]
+    };
+}
+
+/**
+ * Ejecuta las sentencias (se aceptan arrays anidados) en un único batch de escritura.
+ * Si una guarda se dispara no se aplica ninguna y se lanza AtomicOperationError.
+ */
+export async function runAtomic(statements) {
+    try {
+        return await client.batch(statements.flat(), 'write');
+    } catch (error) {
+        const reason = Object.values(ATOMIC_GUARD_REASONS).find(value => String(error?.message).includes(value));
+        if (reason) throw new AtomicOperationError(reason);
+        throw error;
+    }
+}
+
+/**
+ * Saldo actual del usuario en centavos (para devolverlo al frontend tras la operación).
+ */
+export async function getBalanceCents(userId) {
+    const result = await client.execute({ sql: 'SELECT balance_cents FROM users WHERE id = ?', args: [userId] });
+    return result.rows.length > 0 ? result.rows[0].balance_cents : null;
+}
+
+const ATOMIC_ERROR_RESPONSES = {
+    INSUFFICIENT_BALANCE: { status: 400, message: 'Saldo insuficiente.' },
+    STOCK_UNAVAILABLE: { status: 409, message: 'El stock ya no está disponible. Intenta nuevamente.' },
+    ALREADY_PROCESSED: { status: 409, message: 'La operación ya fue procesada.' },
+    DUPLICATE_OPERATION: { status: 409, message: 'Ese número de operación ya fue registrado.' },
+    PRECONDITION_FAILED: { status: 409, message: 'La operación entró en conflicto con otra. Intenta nuevamente.' },
+    INVALID_AMOUNT: { status: 400, message: 'El monto de la operación debe ser mayor a 0.' }
+};
+
+/**
+ * Si `error` es un AtomicOperationError responde con el código correspondiente y devuelve true.
+ * `messages` permite personalizar el texto por motivo.
+ */
+export function rejectAtomicError(res, error, messages = {}) {
+    if (!(error instanceof AtomicOperationError)) return false;
+    const response = ATOMIC_ERROR_RESPONSES[error.reason];
+    res.status(response.status).json({ message: messages[error.reason] || response.message, code: error.reason });
+    return true;
+}
@@ -0,0 +1,505 @@
+// MeluFrontend - copia/backend/campaigns.js
+
+import { client } from './db.js';
+import { toSqlDate } from './auth.js';
+import { ATOMIC_GUARD_REASONS, guardStatement, runAtomic } from './balances.js';
+import { ROLES } from './permissions.js';
+import { DEFAULT_CURRENCY, toCents, fromCents, formatMoney } from './money.js';
+import { insertTransactionStatement } from './transactions.js';
+import { LEDGER_ACCOUNTS, LEDGER_KINDS, transferStatements, wallet, platform } from './ledger.js';
+import { VANITY_CODE_RULES, normalizeReferralCode, resolveReferralCode } from './referralCodes.js';
+import { isUserFlagged } from './fraud.js';
+
+// 📢 Códigos de campaña (tabla 'campaign_codes', administrados desde el panel de Admin)
+// Se aceptan en /register y /user/apply-supplier en lugar de un código de referido: no hay referente (nadie cobra
+// comisión). Cada código tiene nombre, límite de usos (NULL = sin límite), fecha de vencimiento opcional, un bono de
+// saldo inicial y un rol por defecto al registrarse. El bono y el rol solo aplican en el registro; en la solicitud de
+// distribuidor el código solo cuenta como uso. Cada uso queda en 'campaign_code_uses' para medir la campaña.
+// 💰 El bono se promete al registrarse ('pending') y se acredita cuando el usuario verifica su correo. Si para entonces
+// la cuenta está marcada por fraude (fraud.js), queda 'held' hasta que el Admin lo libere o lo anule.
+// El antiguo código fijo del sistema (BLD231) es la primera campaña: sin límite, sin bono y sin rol.
+export const CAMPAIGN_CONTEXTS = {
+    REGISTER: 'register',
+    APPLY_SUPPLIER: 'apply_supplier'
+};
+
+export const CAMPAIGN_BONUS_STATUS = {
+    PENDING: 'pending',
+    GRANTED: 'granted',
+    HELD: 'held',
+    VOIDED: 'voided'
+};
+
+// Roles que una campaña puede dar al registrarse (los Premium vencen y se compran aparte)
+export const CAMPAIGN_SIGNUP_ROLES = [ROLES.USER, ROLES.DISTRIBUTOR, ROLES.SUPPLIER];
+
+const SYSTEM_CAMPAIGN = { code: 'BLD231', name: 'Código del sistema' };
+
+const CAMPAIGN_CODE_PATTERN = /^[A-Z0-9]+$/;
+const MAX_CAMPAIGN_NAME_LENGTH = 100;
+const MAX_CAMPAIGN_BONUS_CENTS = 100000;
+
+// Movimientos de la cartera que cuentan como gasto en la plataforma (menos lo reembolsado)
+const SPEND_KINDS = [
+    LEDGER_KINDS.PURCHASE, LEDGER_KINDS.RENEWAL, LEDGER_KINDS.PREMIUM_UPGRADE,
+    LEDGER_KINDS.SUPPLIER_FEE, LEDGER_KINDS.PUBLICATION_FEE
+];
+const REFUND_KINDS = [LEDGER_KINDS.REFUND, LEDGER_KINDS.SUPPORT_REFUND];
+
+/**
+ * Crea la campaña del código del sistema si la tabla está vacía (primer arranque). Los usuarios 'Pending' sin referente
+ * solo pudieron llegar con ese código: se registran como usos para que el Admin siga viéndolo en /admin/pending-users.
+ */
+export async function seedCampaignCodes() {
+    const existing = await client.execute('SELECT 1 FROM campaign_codes LIMIT 1');
+    if (existing.rows.length > 0) return;
+
+    await client.batch([
+        {
+            sql: 'INSERT INTO campaign_codes (code, name) VALUES (?, ?)',
+            args: [SYSTEM_CAMPAIGN.code, SYSTEM_CAMPAIGN.name]
+        },
+        {
+            sql: `INSERT INTO campaign_code_uses (campaign_id, user_id, context)
+                  SELECT (SELECT id FROM campaign_codes WHERE code = ?), id, ? FROM users
+                  WHERE role = ? AND is_approved = 0 AND referred_by_user_id IS NULL`,
+            args: [SYSTEM_CAMPAIGN.code, CAMPAIGN_CONTEXTS.APPLY_SUPPLIER, ROLES.PENDING]
+        },
+        {
+            sql: `UPDATE campaign_codes SET used_count = (SELECT COUNT(*) FROM campaign_code_uses WHERE campaign_id = campaign_codes.id)
+                  WHERE code = ?`,
+            args: [SYSTEM_CAMPAIGN.code]
+        }
+    ], 'write');
+    console.log(`✅ Campaigns: código del sistema '${SYSTEM_CAMPAIGN.code}' creado como campaña.`);
+}
+
+// --- Campañas ---
+
+function rowToCampaign(row) {
+    return {
+        id: row.id,
+        code: row.code,
+        name: row.name,
+        usageLimit: row.usage_limit,
+        usedCount: row.used_count,
+        expiresAt: row.expires_at,
+        bonusCents: row.bonus_cents,
+        currency: row.currency,
+        defaultRole: row.default_role,
+        isActive: row.is_active === 1,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Campaña para el frontend: agrega el bono en decimales y los usos restantes.
+ */
+export function presentCampaign(campaign) {
+    return {
+        ...campaign,
+        bonus: fromCents(campaign.bonusCents, campaign.currency),
+        remainingUses: campaign.usageLimit === null ? null : Math.max(campaign.usageLimit - campaign.usedCount, 0)
+    };
+}
+
+export async function getCampaign(campaignId) {
+    const result = await client.execute({ sql: 'SELECT * FROM campaign_codes WHERE id = ?', args: [campaignId] });
+    return result.rows.length > 0 ? rowToCampaign(result.rows[0]) : null;
+}
+
+/**
+ * Campaña de un código (activa o no), o null si el código no es de campaña.
+ */
+export async function findCampaignByCode(rawCode) {
+    const code = normalizeReferralCode(rawCode);
+    if (!code) return null;
+    const result = await client.execute({ sql: 'SELECT * FROM campaign_codes WHERE code = ?', args: [code] });
+    return result.rows.length > 0 ? rowToCampaign(result.rows[0]) : null;
+}
+
+/**
+ * Motivo por el que la campaña no se puede usar ahora (desactivada, vencida o agotada), o null si está disponible.
+ */
+export function campaignUnavailableReason(campaign, at = new Date()) {
+    if (!campaign.isActive) return `El código "${campaign.code}" ya no está activo.`;
+    if (campaign.expiresAt && campaign.expiresAt <= toSqlDate(at)) return `El código "${campaign.code}" venció.`;
+    if (campaign.usageLimit !== null && campaign.usedCount >= campaign.usageLimit) {
+        return `El código "${campaign.code}" alcanzó su límite de usos.`;
+    }
+    return null;
+}
+
+/**
+ * Valida una campaña enviada por el Admin (bono en decimales, vencimiento ISO).
+ * Body: { code, name, usageLimit?, expiresAt?, bonus?, defaultRole?, isActive? }
+ * Devuelve { campaign } en el formato de las columnas o { error }.
+ */
+export function parseCampaign(body = {}) {
+    const { name, usageLimit = null, expiresAt = null, bonus = 0, defaultRole = null, isActive = true } = body;
+    const code = normalizeReferralCode(body.code);
+
+    if (code.length < VANITY_CODE_RULES.minLength || code.length > VANITY_CODE_RULES.maxLength || !CAMPAIGN_CODE_PATTERN.test(code)) {
+        return { error: `El código debe tener entre ${VANITY_CODE_RULES.minLength} y ${VANITY_CODE_RULES.maxLength} caracteres (${VANITY_CODE_RULES.charset}).` };
+    }
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_CAMPAIGN_NAME_LENGTH) {
+        return { error: `El nombre es obligatorio (máximo ${MAX_CAMPAIGN_NAME_LENGTH} caracteres).` };
+    }
+    if (usageLimit !== null && usageLimit !== '' && (!Number.isInteger(usageLimit) || usageLimit < 1)) {
+        return { error: 'El límite de usos debe ser un entero mayor a 0 (vacío = sin límite).' };
+    }
+
+    let expiresAtSql = null;
+    if (expiresAt !== null && expiresAt !== '') {
+        const date = new Date(expiresAt);
+        if (isNaN(date.getTime())) return { error: 'Fecha de vencimiento inválida.' };
+        expiresAtSql = toSqlDate(date);
+    }
+
+    const bonusCents = bonus === null || bonus === '' ? 0 : toCents(bonus);
+    if (!Number.isInteger(bonusCents) || bonusCents < 0 || bonusCents > MAX_CAMPAIGN_BONUS_CENTS) {
+        return { error: `El bono debe ser un monto entre 0 y ${formatMoney(MAX_CAMPAIGN_BONUS_CENTS)}.` };
+    }
+    if (defaultRole !== null && defaultRole !== '' && !CAMPAIGN_SIGNUP_ROLES.includes(defaultRole)) {
+        return { error: `Rol por defecto inválido. Usa: ${CAMPAIGN_SIGNUP_ROLES.join(', ')}.` };
+    }
+
+    return {
+        campaign: {
+            code,
+            name: name.trim(),
+            usageLimit: usageLimit === '' ? null : usageLimit,
+            expiresAt: expiresAtSql,
+            bonusCents,
+            defaultRole: defaultRole || null,
+            isActive: isActive !== false
+        }
+    };
+}
+
+/**
+ * ¿El código ya lo usa otra campaña, o lleva a un referente (vigente o en período de gracia)?
+ * (`exceptCampaignId`: la propia campaña no cuenta)
+ */
+export async function isCampaignCodeTaken(code, { exceptCampaignId = null } = {}) {
+    const result = await client.execute({
+        sql: 'SELECT 1 FROM campaign_codes WHERE code = ? AND id != ?',
+        args: [code, exceptCampaignId ?? -1]
+    });
+    if (result.rows.length > 0) return true;
+    return (await resolveReferralCode(code)) !== null;
+}
+
+function campaignColumns(campaign) {
+    return [
+        campaign.code, campaign.name, campaign.usageLimit, campaign.expiresAt,
+        campaign.bonusCents, campaign.defaultRole, campaign.isActive ? 1 : 0
+    ];
+}
+
+export async function createCampaign(campaign, { createdBy = null } = {}) {
+    const result = await client.execute({
+        sql: `INSERT INTO campaign_codes (code, name, usage_limit, expires_at, bonus_cents, default_role, is_active, currency, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [...campaignColumns(campaign), DEFAULT_CURRENCY, createdBy]
+    });
+    return getCampaign(Number(result.lastInsertRowid));
+}
+
+/**
+ * Reemplaza una campaña (los usos ya registrados se conservan). Devuelve la campaña actualizada o null si no existe.
+ */
+export async function updateCampaign(campaignId, campaign) {
+    const result = await client.execute({
+        sql: `UPDATE campaign_codes SET code = ?, name = ?, usage_limit = ?, expires_at = ?, bonus_cents = ?, default_role = ?,
+                                        is_active = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+        args: [...campaignColumns(campaign), campaignId]
+    });
+    return result.rowsAffected > 0 ? getCampaign(campaignId) : null;
+}
+
+/**
+ * Borra una campaña que nunca se usó (las usadas se desactivan para no perder sus métricas).
+ * Devuelve 'deleted', 'in_use' o null si no existe.
+ */
+export async function deleteCampaign(campaignId) {
+    const campaign = await getCampaign(campaignId);
+    if (!campaign) return null;
+    const result = await client.execute({
+        sql: 'DELETE FROM campaign_codes WHERE id = ? AND NOT EXISTS (SELECT 1 FROM campaign_code_uses WHERE campaign_id = ?)',
+        args: [campaignId, campaignId]
+    });
+    return result.rowsAffected > 0 ? 'deleted' : 'in_use';
+}
+
+// --- Uso ---
+
+/**
+ * Sentencias para consumir un uso de la campaña (agregar al batch del registro o de la solicitud). La guarda vuelve a
+ * comprobar que siga activa, vigente y con usos disponibles: si otro la agotó antes, aborta con PRECONDITION_FAILED.
+ * En el registro, el uso guarda el bono prometido como 'pending' (se acredita al verificar el correo).
+ * `user` es { userId } o, si el usuario se crea antes en el mismo batch, { email }.
+ */
+export function campaignRedemptionStatements(campaign, context, user) {
+    const userIdSql = user.userId !== undefined ? '?' : '(SELECT id FROM users WHERE email = ?)';
+    const bonusCents = context === CAMPAIGN_CONTEXTS.REGISTER ? campaign.bonusCents : 0;
+    return [
+        {
+            sql: `UPDATE campaign_codes SET used_count = used_count + 1
+                  WHERE id = ? AND is_active = 1
+                    AND (usage_limit IS NULL OR used_count < usage_limit)
+                    AND (expires_at IS NULL OR expires_at > ?)`,
+            args: [campaign.id, toSqlDate(new Date())]
+        },
+        guardStatement(ATOMIC_GUARD_REASONS.PRECONDITION_FAILED),
+        {
+            sql: `INSERT INTO campaign_code_uses (campaign_id, user_id, context, bonus_cents, bonus_status) VALUES (?, ${userIdSql}, ?, ?, ?)`,
+            args: [campaign.id, user.userId ?? user.email, context, bonusCents, bonusCents > 0 ? CAMPAIGN_BONUS_STATUS.PENDING : null]
+        }
+    ];
+}
+
+function rowToBonus(row) {
+    return {
+        useId: row.id,
+        userId: row.user_id,
+        username: row.username ?? null,
+        campaignId: row.campaign_id,
+        campaignCode: row.code,
+        campaignName: row.name,
+        amountCents: row.bonus_cents,
+        currency: row.currency,
+        status: row.bonus_status,
+        reviewedBy: row.reviewed_by,
+        reviewedAt: row.reviewed_at,
+        createdAt: row.created_at
+    };
+}
+
+const BONUS_SELECT_SQL = `
+    SELECT c.id, c.user_id, c.campaign_id, c.bonus_cents, c.bonus_status, c.reviewed_by, c.reviewed_at, c.created_at,
+           k.code, k.name, k.currency, u.username
+    FROM campaign_code_uses c
+    JOIN campaign_codes k ON k.id = c.campaign_id
+    LEFT JOIN users u ON u.id = c.user_id`;
+
+// Acredita un bono (sale de la cuenta de promociones) si sigue en `fromStatus`; si otro lo procesó antes, ALREADY_PROCESSED
+async function grantBonus(bonus, fromStatus, { reviewedBy = null } = {}) {
+    const bonusTx = {
+        id: Date.now(),
+        date: new Date().toLocaleDateString('es-PE'),
+        description: `Bono de bienvenida: ${bonus.campaignName}`,
+        amountCents: bonus.amountCents,
+        currency: bonus.currency,
+        type: 'credit',
+        status: 'Completada',
+        isCampaignBonus: true,
+        campaignId: bonus.campaignId,
+        campaignCode: bonus.campaignCode
+    };
+
+    await runAtomic([
+        {
+            sql: `UPDATE campaign_code_uses SET bonus_status = ?, reviewed_by = ?, reviewed_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+                  WHERE id = ? AND bonus_status = ?`,
+            args: [CAMPAIGN_BONUS_STATUS.GRANTED, reviewedBy, reviewedBy, bonus.useId, fromStatus]
+        },
+        guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+        transferStatements(LEDGER_KINDS.CAMPAIGN_BONUS, platform(LEDGER_ACCOUNTS.PROMOTIONS), wallet(bonus.userId), bonus.amountCents, {
+            reference: `campaign:${bonus.campaignId}`, description: bonusTx.description, createdBy: reviewedBy
+        }),
+        insertTransactionStatement(bonus.userId, bonusTx)
+    ]);
+    return { ...bonus, status: CAMPAIGN_BONUS_STATUS.GRANTED, transaction: bonusTx };
+}
+
+/**
+ * Resuelve el bono prometido al registrarse cuando el usuario verifica su correo: se acredita, o queda retenido si la
+ * cuenta está marcada por fraude. Devuelve el bono ({ useId, amountCents, status, transaction?, ... }) o null si no tenía.
+ */
+export async function settleCampaignBonus(userId) {
+    const result = await client.execute({
+        sql: `${BONUS_SELECT_SQL} WHERE c.user_id = ? AND c.context = ? AND c.bonus_status = ? ORDER BY c.id DESC LIMIT 1`,
+        args: [userId, CAMPAIGN_CONTEXTS.REGISTER, CAMPAIGN_BONUS_STATUS.PENDING]
+    });
+    if (result.rows.length === 0) return null;
+    const bonus = rowToBonus(result.rows[0]);
+
+    if (await isUserFlagged(userId)) {
+        await client.execute({
+            sql: 'UPDATE campaign_code_uses SET bonus_status = ? WHERE id = ? AND bonus_status = ?',
+            args: [CAMPAIGN_BONUS_STATUS.HELD, bonus.useId, CAMPAIGN_BONUS_STATUS.PENDING]
+        });
+        return { ...bonus, status: CAMPAIGN_BONUS_STATUS.HELD };
+    }
+    return grantBonus(bonus, CAMPAIGN_BONUS_STATUS.PENDING);
+}
+
+/**
+ * Bonos retenidos por fraude, para que el Admin los revise (el más antiguo primero).
+ */
+export async function listHeldCampaignBonuses({ limit = 200 } = {}) {
+    const result = await client.execute({
+        sql: `${BONUS_SELECT_SQL} WHERE c.bonus_status = ? ORDER BY c.id LIMIT ?`,
+        args: [CAMPAIGN_BONUS_STATUS.HELD, limit]
+    });
+    return result.rows.map(rowToBonus);
+}
+
+/**
+ * Revisión del Admin de un bono retenido: 'release' lo acredita, 'void' lo anula.
+ * Devuelve el bono revisado o null si no existe o no está retenido; lanza AtomicOperationError si otro lo revisó antes.
+ */
+export async function reviewHeldCampaignBonus(useId, action, { reviewedBy = null } = {}) {
+    const result = await client.execute({
+        sql: `${BONUS_SELECT_SQL} WHERE c.id = ? AND c.bonus_status = ?`,
+        args: [useId, CAMPAIGN_BONUS_STATUS.HELD]
+    });
+    if (result.rows.length === 0) return null;
+    const bonus = rowToBonus(result.rows[0]);
+
+    if (action === 'release') return grantBonus(bonus, CAMPAIGN_BONUS_STATUS.HELD, { reviewedBy });
+
+    await runAtomic([
+        {
+            sql: `UPDATE campaign_code_uses SET bonus_status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+                  WHERE id = ? AND bonus_status = ?`,
+            args: [CAMPAIGN_BONUS_STATUS.VOIDED, reviewedBy, useId, CAMPAIGN_BONUS_STATUS.HELD]
+        },
+        guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED)
+    ]);
+    return { ...bonus, status: CAMPAIGN_BONUS_STATUS.VOIDED };
+}
+
+// --- Métricas ---
+
+function emptyMetrics() {
+    return { signups: 0, supplierApplications: 0, users: 0, bonusCents: 0, pendingBonusCents: 0, rechargedCents: 0, spentCents: 0, lastUsedAt: null };
+}
+
+function presentMetrics(metrics) {
+    return {
+        ...metrics,
+        bonus: fromCents(metrics.bonusCents),
+        pendingBonus: fromCents(metrics.pendingBonusCents),
+        recharged: fromCents(metrics.rechargedCents),
+        spent: fromCents(metrics.spentCents)
+    };
+}
+
+// Métricas por campaña: registros y solicitudes, bono entregado (y el aún por verificar o retenido), y lo que recargaron y gastaron sus usuarios (libro mayor)
+async function getCampaignMetrics(campaignIds) {
+    const metrics = new Map(campaignIds.map(id => [Number(id), emptyMetrics()]));
+    if (campaignIds.length === 0) return metrics;
+    const placeholders = campaignIds.map(() => '?').join(',');
+
+    const uses = await client.execute({
+        sql: `SELECT campaign_id,
+                     SUM(CASE WHEN context = ? THEN 1 ELSE 0 END) AS signups,
+                     SUM(CASE WHEN context = ? THEN 1 ELSE 0 END) AS supplier_applications,
+                     COUNT(DISTINCT user_id) AS users,
+                     SUM(CASE WHEN bonus_status = ? THEN bonus_cents ELSE 0 END) AS bonus_cents,
+                     SUM(CASE WHEN bonus_status IN (?, ?) THEN bonus_cents ELSE 0 END) AS pending_bonus_cents,
+                     MAX(created_at) AS last_used_at
+              FROM campaign_code_uses WHERE campaign_id IN (${placeholders})
+              GROUP BY campaign_id`,
+        args: [
+            CAMPAIGN_CONTEXTS.REGISTER, CAMPAIGN_CONTEXTS.APPLY_SUPPLIER,
+            CAMPAIGN_BONUS_STATUS.GRANTED, CAMPAIGN_BONUS_STATUS.PENDING, CAMPAIGN_BONUS_STATUS.HELD,
+            ...campaignIds
+        ]
+    });
+    for (const row of uses.rows) {
+        Object.assign(metrics.get(Number(row.campaign_id)), {
+            signups: Number(row.signups),
+            supplierApplications: Number(row.supplier_applications),
+            users: Number(row.users),
+            bonusCents: Number(row.bonus_cents) || 0,
+            pendingBonusCents: Number(row.pending_bonus_cents) || 0,
+            lastUsedAt: row.last_used_at
+        });
+    }
+
+    const spendPlaceholders = SPEND_KINDS.map(() => '?').join(',');
+    const refundPlaceholders = REFUND_KINDS.map(() => '?').join(',');
+    const revenue = await client.execute({
+        sql: `SELECT u.campaign_id,
+                     SUM(CASE WHEN j.kind = ? AND e.direction = 'credit' THEN e.amount_cents
+                              WHEN j.kind = ? AND e.direction = 'debit' THEN -e.amount_cents ELSE 0 END) AS recharged_cents,
+                     SUM(CASE WHEN j.kind IN (${spendPlaceholders}) AND e.direction = 'debit' THEN e.amount_cents
+                              WHEN j.kind IN (${refundPlaceholders}) AND e.direction = 'credit' THEN -e.amount_cents ELSE 0 END) AS spent_cents
+              FROM (SELECT DISTINCT campaign_id, user_id FROM campaign_code_uses WHERE campaign_id IN (${placeholders})) u
+              JOIN ledger_entries e ON e.account = ? AND e.user_id = u.user_id
+              JOIN ledger_journals j ON j.id = e.journal_id
+              GROUP BY u.campaign_id`,
+        args: [
+            LEDGER_KINDS.RECHARGE, LEDGER_KINDS.RECHARGE_REVERSAL, ...SPEND_KINDS, ...REFUND_KINDS,
+            ...campaignIds, LEDGER_ACCOUNTS.WALLET
+        ]
+    });
+    for (const row of revenue.rows) {
+        Object.assign(metrics.get(Number(row.campaign_id)), {
+            rechargedCents: Number(row.recharged_cents) || 0,
+            spentCents: Number(row.spent_cents) || 0
+        });
+    }
+    return metrics;
+}
+
+/**
+ * Campañas con sus métricas (la más reciente primero).
+ */
+export async function listCampaigns() {
+    const result = await client.execute('SELECT * FROM campaign_codes ORDER BY id DESC');
+    const campaigns = result.rows.map(rowToCampaign);
+    const metrics = await getCampaignMetrics(campaigns.map(campaign => campaign.id));
+    return campaigns.map(campaign => ({ ...presentCampaign(campaign), metrics: presentMetrics(metrics.get(Number(campaign.id))) }));
+}
+
+/**
+ * Detalle de una campaña: métricas, registros por día y últimos usos. Devuelve null si no existe.
+ */
+export async function getCampaignReport(campaignId, { limit = 100 } = {}) {
+    const campaign = await getCampaign(campaignId);
+    if (!campaign) return null;
+
+    const metrics = await getCampaignMetrics([campaign.id]);
+    const daily = await client.execute({
+        sql: `SELECT DATE(created_at) AS day,
+                     SUM(CASE WHEN context = ? THEN 1 ELSE 0 END) AS signups,
+                     SUM(CASE WHEN context = ? THEN 1 ELSE 0 END) AS supplier_applications
+              FROM campaign_code_uses WHERE campaign_id = ?
+              GROUP BY DATE(created_at) ORDER BY day DESC`,
+        args: [CAMPAIGN_CONTEXTS.REGISTER, CAMPAIGN_CONTEXTS.APPLY_SUPPLIER, campaign.id]
+    });
+    const uses = await client.execute({
+        sql: `SELECT c.id, c.user_id, u.username, u.role, c.context, c.bonus_cents, c.bonus_status, c.created_at
+              FROM campaign_code_uses c LEFT JOIN users u ON u.id = c.user_id
+              WHERE c.campaign_id = ? ORDER BY c.id DESC LIMIT ?`,
+        args: [campaign.id, limit]
+    });
+
+    return {
+        campaign: presentCampaign(campaign),
+        metrics: presentMetrics(metrics.get(Number(campaign.id))),
+        daily: daily.rows.map(row => ({
+            day: row.day,
+            signups: Number(row.signups),
+            supplierApplications: Number(row.supplier_applications)
+        })),
+        uses: uses.rows.map(row => ({
+            id: row.id,
+            userId: row.user_id,
+            username: row.username,
+            role: row.role,
+            context: row.context,
+            bonus: fromCents(row.bonus_cents),
+            bonusCents: row.bonus_cents,
+            bonusStatus: row.bonus_status,
+            createdAt: row.created_at
+        }))
+    };
+}
@@ -0,0 +1,515 @@
+// MeluFrontend - copia/backend/commissions.js
+
+import { client } from './db.js';
+import { toSqlDate } from './auth.js';
+import { ATOMIC_GUARD_REASONS, guardStatement, runAtomic } from './balances.js';
+import { ROLES } from './permissions.js';
+import { DEFAULT_CURRENCY, toCents, fromCents, percentOf, prorate, formatMoney } from './money.js';
+import { insertTransactionStatement, saveTransactionStatement, findUserTransaction } from './transactions.js';
+import { LEDGER_ACCOUNTS, LEDGER_KINDS, transferStatements, wallet, platform } from './ledger.js';
+import { isUserFlagged } from './fraud.js';
+
+// 💰 Comisiones por referido (tabla 'commission_rules', editable desde el panel de Admin)
+// Cada regla dice cuánto gana un referente con cierto rol cuando su referido genera un evento:
+// - event: 'first_recharge' (primera recarga aprobada), 'recharge' (cualquier recarga) o 'purchase' (compras del catálogo)
+// - level: 1 = quien invitó al usuario, 2 = quien invitó a ese referente
+// - percentage sobre el monto del evento, con topes opcionales por pago y por referido (suma de lo ya pagado con la regla)
+// - valid_from / valid_until: ventana de vigencia (NULL = sin límite)
+// Por nivel se paga una sola regla: la más reciente que aplique. En la primera recarga, una regla 'first_recharge'
+// tiene prioridad sobre una 'recharge' del mismo rol y nivel. Lo pagado sale de la cuenta de comisiones de la plataforma.
+// 🔁 Cada comisión guarda el movimiento que la originó ('sourceTransactionId'). Si ese movimiento se reembolsa o se revierte,
+// la comisión se descuenta al referente en la misma proporción ('clawedBackCents' acumula lo ya descontado).
+// 🕵️ Si la cuenta que genera el evento está marcada por fraude (fraud.js), la comisión se registra 'Retenida' sin
+// acreditar nada: el Admin la libera (se paga) o la anula.
+export const COMMISSION_EVENTS = {
+    FIRST_RECHARGE: 'first_recharge',
+    RECHARGE: 'recharge',
+    PURCHASE: 'purchase'
+};
+
+export const MAX_REFERRAL_LEVEL = 2;
+
+export const COMMISSION_STATUS = {
+    PAID: 'Completada',
+    HELD: 'Retenida',
+    VOIDED: 'Anulada'
+};
+
+const EVENT_LABELS = {
+    [COMMISSION_EVENTS.FIRST_RECHARGE]: 'la primera recarga',
+    [COMMISSION_EVENTS.RECHARGE]: 'la recarga',
+    [COMMISSION_EVENTS.PURCHASE]: 'la compra'
+};
+
+// Reglas con las que arranca una base nueva (las tasas que antes estaban fijas en /admin/transaction/approve)
+const DEFAULT_COMMISSION_RULES = [
+    { name: 'Primera recarga - Distribuidor Premium', referrerRole: ROLES.DISTRIBUTOR_PREMIUM, percentage: 15 },
+    { name: 'Primera recarga - Distribuidor', referrerRole: ROLES.DISTRIBUTOR, percentage: 10 },
+    { name: 'Primera recarga - Proveedor', referrerRole: ROLES.SUPPLIER, percentage: 10 }
+];
+
+/**
+ * Siembra las reglas por defecto si la tabla está vacía (primer arranque).
+ */
+export async function seedCommissionRules() {
+    const existing = await client.execute('SELECT 1 FROM commission_rules LIMIT 1');
+    if (existing.rows.length > 0) return;
+
+    await client.batch(DEFAULT_COMMISSION_RULES.map(rule => ({
+        sql: 'INSERT INTO commission_rules (name, event, referrer_role, level, percentage) VALUES (?, ?, ?, 1, ?)',
+        args: [rule.name, COMMISSION_EVENTS.FIRST_RECHARGE, rule.referrerRole, rule.percentage]
+    })), 'write');
+    console.log(`✅ Commissions: ${DEFAULT_COMMISSION_RULES.length} regla(s) por defecto creada(s).`);
+}
+
+// --- Reglas ---
+
+function rowToRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        event: row.event,
+        referrerRole: row.referrer_role,
+        level: row.level,
+        percentage: row.percentage,
+        maxPerPayoutCents: row.max_per_payout_cents,
+        maxPerReferralCents: row.max_per_referral_cents,
+        currency: row.currency,
+        validFrom: row.valid_from,
+        validUntil: row.valid_until,
+        isActive: row.is_active === 1,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Regla para el frontend: agrega los topes en decimales.
+ */
+export function presentCommissionRule(rule) {
+    return {
+        ...rule,
+        maxPerPayout: rule.maxPerPayoutCents === null ? null : fromCents(rule.maxPerPayoutCents, rule.currency),
+        maxPerReferral: rule.maxPerReferralCents === null ? null : fromCents(rule.maxPerReferralCents, rule.currency)
+    };
+}
+
+export async function listCommissionRules() {
+    const result = await client.execute('SELECT * FROM commission_rules ORDER BY event, level, referrer_role, id DESC');
+    return result.rows.map(rowToRule);
+}
+
+export async function getCommissionRule(ruleId) {
+    const result = await client.execute({ sql: 'SELECT * FROM commission_rules WHERE id = ?', args: [ruleId] });
+    return result.rows.length > 0 ? rowToRule(result.rows[0]) : null;
+}
+
+function parseOptionalCap(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const cents = toCents(value);
+    return cents >= 0 ? cents : NaN;
+}
+
+function parseOptionalDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : toSqlDate(date);
+}
+
+/**
+ * Valida una regla enviada por el Admin (topes en decimales, fechas ISO).
+ * Body: { name?, event, referrerRole, level?, percentage, maxPerPayout?, maxPerReferral?, validFrom?, validUntil?, isActive? }
+ * Devuelve { rule } en el formato de las columnas o { error }.
+ */
+export function parseCommissionRule(body = {}) {
+    const { name = null, event, referrerRole, level = 1, percentage, maxPerPayout, maxPerReferral, validFrom, validUntil, isActive = true } = body;
+
+    if (!Object.values(COMMISSION_EVENTS).includes(event)) {
+        return { error: `Evento inválido. Usa: ${Object.values(COMMISSION_EVENTS).join(', ')}.` };
+    }
+    if (!Object.values(ROLES).includes(referrerRole) || referrerRole === ROLES.PENDING) {
+        return { error: 'Rol del referente inválido.' };
+    }
+    if (!Number.isInteger(level) || level < 1 || level > MAX_REFERRAL_LEVEL) {
+        return { error: `El nivel debe ser entre 1 y ${MAX_REFERRAL_LEVEL}.` };
+    }
+    if (typeof percentage !== 'number' || !(percentage > 0) || percentage > 100) {
+        return { error: 'El porcentaje debe ser mayor a 0 y como máximo 100.' };
+    }
+    if (name !== null && (typeof name !== 'string' || name.length > 100)) {
+        return { error: 'Nombre inválido (máximo 100 caracteres).' };
+    }
+
+    const maxPerPayoutCents = parseOptionalCap(maxPerPayout);
+    const maxPerReferralCents = parseOptionalCap(maxPerReferral);
+    if (Number.isNaN(maxPerPayoutCents) || Number.isNaN(maxPerReferralCents)) {
+        return { error: 'Los topes deben ser montos mayores o iguales a 0.' };
+    }
+
+    const validFromSql = parseOptionalDate(validFrom);
+    const validUntilSql = parseOptionalDate(validUntil);
+    if (validFromSql === undefined || validUntilSql === undefined) {
+        return { error: 'Fechas de vigencia inválidas.' };
+    }
+    if (validFromSql && validUntilSql && validUntilSql <= validFromSql) {
+        return { error: 'La fecha de fin debe ser posterior a la de inicio.' };
+    }
+
+    return {
+        rule: {
+            name: name ? name.trim() : null,
+            event,
+            referrerRole,
+            level,
+            percentage,
+            maxPerPayoutCents,
+            maxPerReferralCents,
+            validFrom: validFromSql,
+            validUntil: validUntilSql,
+            isActive: isActive !== false
+        }
+    };
+}
+
+function ruleColumns(rule) {
+    return [
+        rule.name, rule.event, rule.referrerRole, rule.level, rule.percentage,
+        rule.maxPerPayoutCents, rule.maxPerReferralCents, rule.validFrom, rule.validUntil, rule.isActive ? 1 : 0
+    ];
+}
+
+export async function createCommissionRule(rule, { createdBy = null } = {}) {
+    const result = await client.execute({
+        sql: `INSERT INTO commission_rules (name, event, referrer_role, level, percentage, max_per_payout_cents, max_per_referral_cents,
+                                            valid_from, valid_until, is_active, currency, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [...ruleColumns(rule), DEFAULT_CURRENCY, createdBy]
+    });
+    return getCommissionRule(Number(result.lastInsertRowid));
+}
+
+/**
+ * Reemplaza una regla. Devuelve la regla actualizada o null si no existe.
+ */
+export async function updateCommissionRule(ruleId, rule) {
+    const result = await client.execute({
+        sql: `UPDATE commission_rules SET name = ?, event = ?, referrer_role = ?, level = ?, percentage = ?, max_per_payout_cents = ?,
+                                          max_per_referral_cents = ?, valid_from = ?, valid_until = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+        args: [...ruleColumns(rule), ruleId]
+    });
+    return result.rowsAffected > 0 ? getCommissionRule(ruleId) : null;
+}
+
+/**
+ * Borra una regla (las comisiones ya pagadas conservan su id en el historial). Devuelve false si no existía.
+ */
+export async function deleteCommissionRule(ruleId) {
+    const result = await client.execute({ sql: 'DELETE FROM commission_rules WHERE id = ?', args: [ruleId] });
+    return result.rowsAffected > 0;
+}
+
+// --- Cálculo ---
+
+// Referentes del usuario hasta MAX_REFERRAL_LEVEL (sin ciclos: nadie cobra dos veces ni por sí mismo)
+async function getReferralChain(userId) {
+    const chain = [];
+    const seen = new Set([Number(userId)]);
+    let current = await client.execute({ sql: 'SELECT referred_by_user_id FROM users WHERE id = ?', args: [userId] });
+    let referrerId = current.rows[0]?.referred_by_user_id ?? null;
+
+    for (let level = 1; level <= MAX_REFERRAL_LEVEL && referrerId !== null; level++) {
+        if (seen.has(Number(referrerId))) break;
+        current = await client.execute({ sql: 'SELECT id, username, role, referred_by_user_id FROM users WHERE id = ?', args: [referrerId] });
+        const referrer = current.rows[0];
+        if (!referrer) break;
+
+        seen.add(Number(referrer.id));
+        chain.push({ level, id: Number(referrer.id), username: referrer.username, role: referrer.role });
+        referrerId = referrer.referred_by_user_id ?? null;
+    }
+    return chain;
+}
+
+async function findApplicableRule(event, role, level, at) {
+    const events = event === COMMISSION_EVENTS.FIRST_RECHARGE ? [event, COMMISSION_EVENTS.RECHARGE] : [event];
+    const now = toSqlDate(at);
+    const result = await client.execute({
+        sql: `SELECT * FROM commission_rules
+              WHERE is_active = 1 AND referrer_role = ? AND level = ? AND event IN (${events.map(() => '?').join(',')})
+                AND (valid_from IS NULL OR valid_from <= ?) AND (valid_until IS NULL OR valid_until > ?)
+              ORDER BY id DESC`,
+        args: [role, level, ...events, now, now]
+    });
+    const rules = result.rows.map(rowToRule);
+    return rules.find(rule => rule.event === event) || rules[0] || null;
+}
+
+// Lo que la regla ya le pagó a este referente por este referido (descontando lo revertido)
+async function getPaidCommissionCents(ruleId, referrerId, sourceUserId) {
+    const result = await client.execute({
+        sql: `SELECT COALESCE(SUM(amount_cents - COALESCE(json_extract(data, '$.clawedBackCents'), 0)), 0) AS total FROM transactions
+              WHERE user_id = ? AND type = 'credit' AND status != ?
+                AND json_extract(data, '$.commissionRuleId') = ? AND json_extract(data, '$.sourceUserId') = ?`,
+        args: [referrerId, COMMISSION_STATUS.VOIDED, ruleId, sourceUserId]
+    });
+    return Number(result.rows[0].total) || 0;
+}
+
+/**
+ * Calcula las comisiones que generaría un evento del usuario (no escribe nada: sirve para aprobar y para la vista previa).
+ * Devuelve { event, userId, amountCents, currency, heldForReview, payouts: [...], totalCents }; cada pago indica regla, nivel,
+ * referente y si se topó. `heldForReview`: la cuenta está marcada por fraude y las comisiones quedarían retenidas.
+ */
+export async function quoteCommissions({ userId, event, amountCents, at = new Date() }) {
+    const payouts = [];
+    for (const referrer of await getReferralChain(userId)) {
+        const rule = await findApplicableRule(event, referrer.role, referrer.level, at);
+        if (!rule) continue;
+
+        const uncappedCents = percentOf(amountCents, rule.percentage / 100);
+        let payoutCents = uncappedCents;
+        if (rule.maxPerPayoutCents !== null) payoutCents = Math.min(payoutCents, rule.maxPerPayoutCents);
+        if (rule.maxPerReferralCents !== null) {
+            const paidCents = await getPaidCommissionCents(rule.id, referrer.id, userId);
+            payoutCents = Math.min(payoutCents, Math.max(0, rule.maxPerReferralCents - paidCents));
+        }
+
+        payouts.push({
+            level: referrer.level,
+            referrerId: referrer.id,
+            referrerUsername: referrer.username,
+            referrerRole: referrer.role,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            ruleEvent: rule.event,
+            percentage: rule.percentage,
+            amountCents: payoutCents,
+            capped: payoutCents < uncappedCents
+        });
+    }
+
+    return {
+        event,
+        userId,
+        amountCents,
+        currency: DEFAULT_CURRENCY,
+        heldForReview: payouts.length > 0 && await isUserFlagged(userId),
+        payouts,
+        totalCents: payouts.reduce((sum, payout) => sum + payout.amountCents, 0)
+    };
+}
+
+/**
+ * Cotización para el frontend: montos decimales + centavos.
+ */
+export function presentCommissionQuote(quote) {
+    return {
+        ...quote,
+        amount: fromCents(quote.amountCents, quote.currency),
+        total: fromCents(quote.totalCents, quote.currency),
+        payouts: quote.payouts.map(payout => ({ ...payout, amount: fromCents(payout.amountCents, quote.currency) }))
+    };
+}
+
+/**
+ * Sentencias para pagar (o retener, si `quote.heldForReview`) las comisiones de una cotización (agregar al batch del evento que las origina).
+ * `description` describe el evento (p. ej. 'Recarga $20.00') y `sourceTransactionId` es el movimiento que lo originó.
+ * Devuelve { statements, paid: [{ ...payout, notice }] }.
+ */
+export function commissionPayoutStatements(quote, { sourceUsername, sourceTransactionId, description, reference, createdBy = null }) {
+    const statements = [];
+    const paid = [];
+
+    quote.payouts.filter(payout => payout.amountCents > 0).forEach((payout, index) => {
+        const levelLabel = payout.level > 1 ? ` nivel ${payout.level}` : '';
+        const commissionTx = {
+            id: Date.now() + 1 + index,
+            date: new Date().toLocaleDateString('es-PE', {
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit'
+            }),
+            description: `Comisión${levelLabel} (${payout.percentage}%): ${description} | Comisión ${formatMoney(payout.amountCents)}`,
+            amountCents: payout.amountCents,
+            currency: quote.currency,
+            type: 'credit',
+            status: quote.heldForReview ? COMMISSION_STATUS.HELD : COMMISSION_STATUS.PAID,
+            isCommission: true,
+            isReferralCommission: true,
+            ...(quote.heldForReview ? { heldForReview: true } : {}),
+            commissionRuleId: payout.ruleId,
+            commissionEvent: quote.event,
+            referralLevel: payout.level,
+            sourceUser: sourceUsername,
+            sourceUserId: quote.userId,
+            sourceTransactionId,
+            originalAmountCents: quote.amountCents
+        };
+
+        statements.push(insertTransactionStatement(payout.referrerId, commissionTx));
+        if (!quote.heldForReview) {
+            statements.push(...transferStatements(LEDGER_KINDS.COMMISSION, platform(LEDGER_ACCOUNTS.COMMISSIONS), wallet(payout.referrerId), payout.amountCents, {
+                reference, description: commissionTx.description, createdBy
+            }));
+        }
+
+        const from = payout.level > 1 ? `un referido de tu red (${sourceUsername})` : `tu referido ${sourceUsername}`;
+        paid.push({
+            ...payout,
+            held: quote.heldForReview,
+            transactionId: commissionTx.id,
+            notice: quote.heldForReview
+                ? `Tu comisión de ${formatMoney(payout.amountCents)} por ${EVENT_LABELS[quote.event]} de ${from} está en revisión.`
+                : `¡Ganaste ${formatMoney(payout.amountCents)}! Comisión del ${payout.percentage}% por ${EVENT_LABELS[quote.event]} de ${from}.`
+        });
+    });
+
+    return { statements, paid };
+}
+
+// --- Reversión ---
+
+/**
+ * Sentencias para descontar las comisiones que pagó un movimiento cuando se devuelve (parcial o totalmente) o se revierte
+ * (agregar al batch del reembolso). A cada referente se le descuenta la parte proporcional `refundedCents / sourceAmountCents`
+ * de su comisión, sin pasar de lo que le queda por revertir. El saldo del referente puede quedar negativo si ya la gastó;
+ * en las comisiones retenidas solo se reduce lo que se pagaría al liberarlas (no entran en `clawbacks`).
+ * `reason` describe el reembolso (p. ej. 'Reembolso de Netflix'). Devuelve { statements, clawbacks: [{ referrerId, amountCents, notice, ... }] }.
+ */
+export async function commissionClawbackStatements({ sourceUserId, sourceTransactionId, sourceAmountCents, refundedCents, reason, createdBy = null }) {
+    const statements = [];
+    const clawbacks = [];
+    if (!(sourceAmountCents > 0) || !(refundedCents > 0)) return { statements, clawbacks };
+
+    const result = await client.execute({
+        sql: `SELECT user_id, data FROM transactions
+              WHERE type = 'credit' AND status IN (?, ?) AND json_extract(data, '$.isReferralCommission') = 1
+                AND CAST(json_extract(data, '$.sourceUserId') AS INTEGER) = ?
+                AND CAST(json_extract(data, '$.sourceTransactionId') AS TEXT) = ?
+              ORDER BY id`,
+        args: [COMMISSION_STATUS.PAID, COMMISSION_STATUS.HELD, sourceUserId, String(sourceTransactionId)]
+    });
+
+    const refundedPart = Math.min(refundedCents, sourceAmountCents);
+    result.rows.forEach((row, index) => {
+        const referrerId = Number(row.user_id);
+        const commission = JSON.parse(row.data);
+        const clawedBackCents = commission.clawedBackCents || 0;
+        const amountCents = Math.min(prorate(commission.amountCents, refundedPart, sourceAmountCents), commission.amountCents - clawedBackCents);
+        if (amountCents <= 0) return;
+
+        // 🔒 Solo si nadie descontó esta comisión mientras tanto (evita revertir dos veces la misma parte)
+        const clawedBackStatements = [
+            {
+                sql: `UPDATE transactions SET data = json_set(data, '$.clawedBackCents', ?)
+                      WHERE user_id = ? AND tx_id = ? AND status = ? AND COALESCE(json_extract(data, '$.clawedBackCents'), 0) = ?`,
+                args: [clawedBackCents + amountCents, referrerId, String(commission.id), commission.status, clawedBackCents]
+            },
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED)
+        ];
+
+        // Retenida: no se acreditó nada, solo baja lo que se pagaría al liberarla
+        if (commission.status === COMMISSION_STATUS.HELD) {
+            statements.push(...clawedBackStatements);
+            return;
+        }
+
+        const percentRefunded = Math.round((refundedPart / sourceAmountCents) * 100);
+        const clawbackTx = {
+            id: Date.now() + 100 + index,
+            date: new Date().toLocaleDateString('es-PE', {
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit'
+            }),
+            description: `Reversión de comisión (${percentRefunded}% devuelto): ${reason} | -${formatMoney(amountCents)}`,
+            amountCents,
+            currency: commission.currency || DEFAULT_CURRENCY,
+            type: 'debit',
+            status: 'Completada',
+            isCommissionClawback: true,
+            commissionTransactionId: commission.id,
+            referralLevel: commission.referralLevel,
+            sourceUser: commission.sourceUser,
+            sourceUserId: commission.sourceUserId,
+            sourceTransactionId: commission.sourceTransactionId
+        };
+
+        statements.push(
+            ...clawedBackStatements,
+            insertTransactionStatement(referrerId, clawbackTx),
+            ...transferStatements(LEDGER_KINDS.COMMISSION_CLAWBACK, wallet(referrerId, { requireFunds: false }), platform(LEDGER_ACCOUNTS.COMMISSIONS), amountCents, {
+                reference: `tx:${sourceTransactionId}`, description: clawbackTx.description, createdBy, currency: clawbackTx.currency
+            })
+        );
+
+        clawbacks.push({
+            referrerId,
+            level: commission.referralLevel,
+            commissionTransactionId: commission.id,
+            transactionId: clawbackTx.id,
+            amountCents,
+            notice: `Se descontaron ${formatMoney(amountCents)} de tu comisión por ${commission.sourceUser}: ${reason}.`
+        });
+    });
+
+    return { statements, clawbacks };
+}
+
+// --- Comisiones retenidas ---
+
+/**
+ * Comisiones retenidas por fraude, de la más antigua a la más reciente (para la revisión del Admin).
+ */
+export async function listHeldCommissions({ limit = 200 } = {}) {
+    const result = await client.execute({
+        sql: `SELECT t.user_id, u.username, t.data FROM transactions t
+              JOIN users u ON u.id = t.user_id
+              WHERE t.type = 'credit' AND t.status = ? AND json_extract(t.data, '$.isReferralCommission') = 1
+              ORDER BY t.id LIMIT ?`,
+        args: [COMMISSION_STATUS.HELD, limit]
+    });
+    return result.rows.map(row => {
+        const commission = JSON.parse(row.data);
+        const payableCents = commission.amountCents - (commission.clawedBackCents || 0);
+        return {
+            referrerId: Number(row.user_id),
+            referrerUsername: row.username,
+            transaction: commission,
+            payable: fromCents(payableCents, commission.currency),
+            payableCents
+        };
+    });
+}
+
+/**
+ * Libera (`release`: se acredita lo que no fue revertido) o anula (`void`) una comisión retenida.
+ * Devuelve { referrerId, transaction, amountCents } o null si no existe o ya no está retenida;
+ * lanza AtomicOperationError (ALREADY_PROCESSED) si otro Admin la revisó antes.
+ */
+export async function reviewHeldCommission(referrerId, transactionId, action, { reviewedBy = null } = {}) {
+    const commission = await findUserTransaction(referrerId, transactionId, { type: 'credit', status: COMMISSION_STATUS.HELD });
+    if (!commission || !commission.isReferralCommission) return null;
+
+    const release = action === 'release';
+    const amountCents = release ? commission.amountCents - (commission.clawedBackCents || 0) : 0;
+    const reviewed = {
+        ...commission,
+        status: release ? COMMISSION_STATUS.PAID : COMMISSION_STATUS.VOIDED,
+        reviewedBy,
+        reviewedAt: new Date().toISOString()
+    };
+
+    const statements = [
+        saveTransactionStatement(referrerId, reviewed, { fromStatus: COMMISSION_STATUS.HELD }),
+        guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED)
+    ];
+    if (amountCents > 0) {
+        statements.push(transferStatements(LEDGER_KINDS.COMMISSION, platform(LEDGER_ACCOUNTS.COMMISSIONS), wallet(referrerId), amountCents, {
+            reference: `tx:${commission.sourceTransactionId}`, description: commission.description, createdBy: reviewedBy, currency: commission.currency
+        }));
+    }
+    await runAtomic(statements);
+
+    return { referrerId: Number(referrerId), transaction: reviewed, amountCents };
+}
@@ -20,6 +20,42 @@ function generateRandomCode(length = 6) {
     return result;
 }
 
+/**
+ * 💵 MIGRACIÓN: Reemplaza columnas de dinero REAL por columnas INTEGER en centavos (`{ columnaVieja: columnaNueva }`)
+ * y agrega 'currency' (USD) si falta. Solo actúa si la primera columna vieja todavía existe.
+ */
+async function migrateMoneyColumns(table, columns) {
+    const [firstLegacyColumn] = Object.keys(columns);
+    try {
+        await client.execute(`SELECT ${firstLegacyColumn} FROM ${table} LIMIT 1`);
+    } catch (e) {
+        return; // Ya migrada (o creada con el esquema nuevo)
+    }
+
+    console.log(`🟡 Migrating: Converting money columns of '${table}' to integer cents...`);
+    for (const centsColumn of Object.values(columns)) {
+        try {
+            await client.execute(`SELECT ${centsColumn} FROM ${table} LIMIT 1`);
+        } catch (e) {
+            await client.execute(`ALTER TABLE ${table} ADD COLUMN ${centsColumn} INTEGER NOT NULL DEFAULT 0`);
+        }
+    }
+    try {
+        await client.execute(`SELECT currency FROM ${table} LIMIT 1`);
+    } catch (e) {
+        await client.execute(`ALTER TABLE ${table} ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD'`);
+    }
+
+    // Copia y borrado en un batch: si algo falla la tabla queda como estaba y se reintenta en el próximo arranque
+    const assignments = Object.entries(columns)
+        .map(([legacyColumn, centsColumn]) => `${centsColumn} = CAST(ROUND(COALESCE(${legacyColumn}, 0) * 100) AS INTEGER)`);
+    await client.batch([
+        `UPDATE ${table} SET ${assignments.join(', ')}`,
+        ...Object.keys(columns).map(legacyColumn => `ALTER TABLE ${table} DROP COLUMN ${legacyColumn}`)
+    ], 'write');
+    console.log(`✅ Migration successful: '${table}' money columns stored as cents.`);
+}
+
 /**
  * Inicializa la base de datos: crea tablas si no existen y aplica migraciones
  * (Se mantiene IF NOT EXISTS para robustez y evitar errores al re-ejecutar)
@@ -34,28 +70,66 @@ export async function initializeDb() {
                 email TEXT UNIQUE NOT NULL,
                 phone TEXT,
                 password_hash TEXT NOT NULL,
-                plain_password TEXT,
                 referral_code TEXT,
                 role TEXT DEFAULT 'Usuario' NOT NULL,
-                transactions_history TEXT DEFAULT '[]',
-                balance REAL DEFAULT 0.00,
+                balance_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
                 discount_percentage INTEGER DEFAULT 0,
                 is_banned INTEGER DEFAULT 0,
+                ban_reason TEXT DEFAULT NULL,
+                banned_until DATETIME DEFAULT NULL,
                 is_approved INTEGER DEFAULT 1,
                 referred_by_user_id INTEGER DEFAULT NULL,
                 premium_expires_at DATETIME DEFAULT NULL,
+                email_verified INTEGER DEFAULT 0,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             );
         `);
         console.log("✅ Database: 'users' table ready.");
 
-        // 🟢 MIGRACIÓN: Verificar y agregar 'plain_password' si falta (para compatibilidad)
+        // 🟢 MIGRACIÓN: Agregar 'email_verified' si falta (las cuentas existentes se dan por verificadas)
+        try {
+            await client.execute("SELECT email_verified FROM users LIMIT 1");
+        } catch (e) {
+            console.log("🟡 Migrating: Adding 'email_verified' column to users table...");
+            await client.execute("ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 0");
+            await client.execute("UPDATE users SET email_verified = 1");
+            console.log("✅ Migration successful: 'email_verified' column added.");
+        }
+
+        // 🟢 MIGRACIÓN: Agregar motivo y vencimiento del baneo (banned_until NULL = indefinido)
+        try {
+            await client.execute("SELECT ban_reason, banned_until FROM users LIMIT 1");
+        } catch (e) {
+            console.log("🟡 Migrating: Adding 'ban_reason' and 'banned_until' columns to users table...");
+            await client.execute("ALTER TABLE users ADD COLUMN ban_reason TEXT DEFAULT NULL");
+            await client.execute("ALTER TABLE users ADD COLUMN banned_until DATETIME DEFAULT NULL");
+            console.log("✅ Migration successful: ban columns added.");
+        }
+
+        // 🕵️ MIGRACIÓN: Teléfono normalizado (solo dígitos) para cruzar cuentas por índice (ver fraud.js, se rellena al arrancar)
         try {
-             await client.execute("SELECT plain_password FROM users LIMIT 1");
+            await client.execute("SELECT phone_normalized FROM users LIMIT 1");
         } catch (e) {
-            console.log("🟡 Migrating: Adding 'plain_password' column to users table...");
-            await client.execute("ALTER TABLE users ADD COLUMN plain_password TEXT");
-            console.log("✅ Migration successful: 'plain_password' column added.");
+            console.log("🟡 Migrating: Adding 'phone_normalized' column to users table...");
+            await client.execute("ALTER TABLE users ADD COLUMN phone_normalized TEXT DEFAULT NULL");
+            console.log("✅ Migration successful: 'phone_normalized' column added.");
+        }
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_users_phone_normalized ON users (phone_normalized)");
+
+        // 🔒 MIGRACIÓN: Eliminar contraseñas en texto plano (columna 'plain_password' heredada)
+        // Primero se vacía la columna (por si DROP COLUMN fallara) y luego se elimina.
+        let hasPlainPasswordColumn = true;
+        try {
+            await client.execute("SELECT plain_password FROM users LIMIT 1");
+        } catch (e) {
+            hasPlainPasswordColumn = false;
+        }
+        if (hasPlainPasswordColumn) {
+            console.log("🟡 Migrating: Wiping and dropping 'plain_password' column from users table...");
+            await client.execute("UPDATE users SET plain_password = NULL");
+            await client.execute("ALTER TABLE users DROP COLUMN plain_password");
+            console.log("✅ Migration successful: 'plain_password' column removed.");
         }
         
         // 2. Tabla PRODUCTS (Esquema completo usado en server.js)
@@ -71,10 +145,11 @@ export async function initializeDb() {
                 delivery TEXT,
                 duration TEXT,
                 type TEXT,
-                price_standard REAL DEFAULT 0.00,
-                price_premium REAL DEFAULT 0.00,
-                price_renewal_standard REAL DEFAULT 0.00,
-                price_renewal_premium REAL DEFAULT 0.00,
+                price_standard_cents INTEGER NOT NULL DEFAULT 0,
+                price_premium_cents INTEGER NOT NULL DEFAULT 0,
+                price_renewal_standard_cents INTEGER NOT NULL DEFAULT 0,
+                price_renewal_premium_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
                 image_url TEXT,
                 images TEXT,
                 stock INTEGER DEFAULT 0,
@@ -139,7 +214,8 @@ export async function initializeDb() {
                 provider_user_id INTEGER NOT NULL,
                 product_id INTEGER NOT NULL,
                 quantity INTEGER NOT NULL,
-                total_price REAL NOT NULL,
+                total_price_cents INTEGER NOT NULL,
+                currency TEXT NOT NULL DEFAULT 'USD',
                 status TEXT DEFAULT 'Pending' NOT NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             );
@@ -151,13 +227,23 @@ export async function initializeDb() {
             CREATE TABLE IF NOT EXISTS withdrawals (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 user_id INTEGER NOT NULL,
-                amount_original REAL NOT NULL,
-                amount_final REAL NOT NULL,
+                amount_original_cents INTEGER NOT NULL,
+                amount_final_cents INTEGER NOT NULL,
+                currency TEXT NOT NULL DEFAULT 'USD',
                 status TEXT DEFAULT 'Pending' NOT NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             );
         `);
         console.log("✅ Database: 'withdrawals' table ready.");
+
+        // ⏱️ MIGRACIÓN: Marca de escalamiento al Admin de los retiros pendientes demasiado tiempo (ver jobs.js)
+        try {
+            await client.execute("SELECT escalated_at FROM withdrawals LIMIT 1");
+        } catch (e) {
+            console.log("🟡 Migrating: Adding 'escalated_at' column to withdrawals table...");
+            await client.execute("ALTER TABLE withdrawals ADD COLUMN escalated_at DATETIME DEFAULT NULL");
+            console.log("✅ Migration successful: 'escalated_at' column added.");
+        }
         
         // 7. Tabla TRANSACTION_LOGS (Mantener por si acaso)
         await client.execute(`
@@ -165,7 +251,8 @@ export async function initializeDb() {
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 user_id INTEGER NOT NULL,
                 type TEXT NOT NULL,
-                amount REAL NOT NULL,
+                amount_cents INTEGER NOT NULL,
+                currency TEXT NOT NULL DEFAULT 'USD',
                 details TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             );
@@ -181,6 +268,408 @@ export async function initializeDb() {
         `);
         console.log("✅ Database: 'settings' table ready.");
 
+        // 9. 🔑 Tabla SESSIONS (Refresh tokens emitidos en /login y /register)
+        // Solo se guarda el hash del refresh token; el access token (JWT) lleva el id de sesión (sid).
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                refresh_token_hash TEXT NOT NULL,
+                user_agent TEXT,
+                ip_address TEXT,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id)");
+        console.log("✅ Database: 'sessions' table ready.");
+
+        // 10. 🔑 Tabla PASSWORD_RESETS (Códigos de un solo uso para restablecer contraseña)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS password_resets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                purpose TEXT NOT NULL,
+                created_by_user_id INTEGER DEFAULT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_password_resets_user_id ON password_resets (user_id)");
+        console.log("✅ Database: 'password_resets' table ready.");
+
+        // 11. 🔑 Tabla EMAIL_VERIFICATIONS (Códigos de verificación enviados tras /register)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS email_verifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_email_verifications_user_id ON email_verifications (user_id)");
+        console.log("✅ Database: 'email_verifications' table ready.");
+
+        // 12. 🔑 Tabla TWO_FACTOR (Segundo factor por usuario: 'totp' o 'email')
+        // confirmed_at NULL = inscripción pendiente de verificar. last_totp_step evita reutilizar un código TOTP.
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS two_factor (
+                user_id INTEGER PRIMARY KEY,
+                method TEXT NOT NULL,
+                totp_secret TEXT,
+                last_totp_step INTEGER DEFAULT NULL,
+                confirmed_at DATETIME DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        console.log("✅ Database: 'two_factor' table ready.");
+
+        // 13. 🔑 Tabla TWO_FACTOR_BACKUP_CODES (Códigos de respaldo de un solo uso para TOTP)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                used_at DATETIME DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user_id ON two_factor_backup_codes (user_id)");
+        console.log("✅ Database: 'two_factor_backup_codes' table ready.");
+
+        // 14. 🔑 Tabla TWO_FACTOR_CHALLENGES (Retos pendientes entre la contraseña y el segundo factor)
+        // code_hash solo se usa con el método 'email' (código enviado por correo).
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS two_factor_challenges (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                purpose TEXT NOT NULL,
+                method TEXT NOT NULL,
+                code_hash TEXT,
+                attempts INTEGER DEFAULT 0,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_two_factor_challenges_user_id ON two_factor_challenges (user_id)");
+        console.log("✅ Database: 'two_factor_challenges' table ready.");
+
+        // 15. 📒 Tabla TRANSACTIONS (Movimientos de saldo; reemplaza a users.transactions_history)
+        // 'data' guarda el movimiento completo (formato que espera el frontend); tx_id es su id como texto.
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                tx_id TEXT NOT NULL,
+                type TEXT,
+                status TEXT,
+                amount_cents INTEGER,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                description TEXT,
+                data TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions (user_id, id)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_transactions_tx_id ON transactions (tx_id)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_transactions_type_status ON transactions (type, status)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions (status)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions (created_at)");
+        console.log("✅ Database: 'transactions' table ready.");
+
+        // 16. 🔒 Tabla ATOMIC_GUARDS (Siempre vacía: insertar en ella aborta el batch en curso)
+        // Se usa tras un UPDATE condicional (p. ej. 'balance >= ?') que no afectó filas. Ver balances.js.
+        // El trigger se recrea en cada arranque para que la lista de motivos esté siempre al día.
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS atomic_guards (
+                reason TEXT NOT NULL
+            );
+        `);
+        await client.execute("DROP TRIGGER IF EXISTS atomic_guards_abort");
+        await client.execute(`
+            CREATE TRIGGER atomic_guards_abort BEFORE INSERT ON atomic_guards
+            BEGIN
+                SELECT CASE NEW.reason
+                    WHEN 'INSUFFICIENT_BALANCE' THEN RAISE(ABORT, 'INSUFFICIENT_BALANCE')
+                    WHEN 'STOCK_UNAVAILABLE' THEN RAISE(ABORT, 'STOCK_UNAVAILABLE')
+                    WHEN 'ALREADY_PROCESSED' THEN RAISE(ABORT, 'ALREADY_PROCESSED')
+                    WHEN 'DUPLICATE_OPERATION' THEN RAISE(ABORT, 'DUPLICATE_OPERATION')
+                    ELSE RAISE(ABORT, 'PRECONDITION_FAILED')
+                END;
+            END;
+        `);
+        console.log("✅ Database: 'atomic_guards' table ready.");
+
+        // 17. 📒 Tabla LEDGER_JOURNALS (Libro mayor: un asiento por movimiento de dinero)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS ledger_journals (
+                id TEXT PRIMARY KEY,
+                kind TEXT NOT NULL,
+                reference TEXT,
+                description TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_ledger_journals_kind ON ledger_journals (kind, created_at)");
+        console.log("✅ Database: 'ledger_journals' table ready.");
+
+        // 18. 📒 Tabla LEDGER_ENTRIES (Partidas del asiento: la suma de débitos y créditos de cada asiento es igual)
+        // account = 'wallet' para la cartera del usuario (user_id); las cuentas de la plataforma empiezan con 'platform:'.
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS ledger_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                journal_id TEXT NOT NULL,
+                account TEXT NOT NULL,
+                user_id INTEGER,
+                direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+                amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+                currency TEXT NOT NULL DEFAULT 'USD',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_ledger_entries_journal_id ON ledger_entries (journal_id)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_ledger_entries_account_user ON ledger_entries (account, user_id)");
+        console.log("✅ Database: 'ledger_entries' table ready.");
+
+        // 19. 🔁 Tabla IDEMPOTENCY_KEYS (Respuesta guardada por cada 'Idempotency-Key' de un usuario, ver idempotency.js)
+        // response_status NULL = la primera petición aún se está procesando.
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS idempotency_keys (
+                user_id INTEGER NOT NULL,
+                idempotency_key TEXT NOT NULL,
+                scope TEXT NOT NULL,
+                request_hash TEXT NOT NULL,
+                response_status INTEGER DEFAULT NULL,
+                response_body TEXT DEFAULT NULL,
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, idempotency_key)
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys (expires_at)");
+        console.log("✅ Database: 'idempotency_keys' table ready.");
+
+        // 20. 💳 Tabla PAYMENT_PROOFS (Comprobantes de recarga subidos; el archivo vive en el almacenamiento, ver storage.js)
+        // tx_id queda NULL hasta que el comprobante se adjunta a una solicitud de recarga (solo se puede usar una vez).
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS payment_proofs (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                storage_key TEXT NOT NULL,
+                content_type TEXT NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                tx_id TEXT DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_payment_proofs_user_id ON payment_proofs (user_id)");
+        console.log("✅ Database: 'payment_proofs' table ready.");
+
+        // 21. 💳 Tabla RECHARGE_OPERATIONS (Número de operación de cada recarga: único por método de pago)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS recharge_operations (
+                method TEXT NOT NULL,
+                operation_number TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                tx_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (method, operation_number)
+            );
+        `);
+        console.log("✅ Database: 'recharge_operations' table ready.");
+
+        // 22. 🔌 Tabla PAYMENT_WEBHOOK_EVENTS (Avisos de los proveedores de pago: cada evento se procesa una sola vez)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS payment_webhook_events (
+                provider TEXT NOT NULL,
+                event_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                status TEXT NOT NULL,
+                payload TEXT,
+                user_id INTEGER DEFAULT NULL,
+                tx_id TEXT DEFAULT NULL,
+                received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                processed_at DATETIME DEFAULT NULL,
+                PRIMARY KEY (provider, event_id)
+            );
+        `);
+        console.log("✅ Database: 'payment_webhook_events' table ready.");
+
+        // 23. ⏱️ Tabla AUTOMATIC_ACTIONS (Registro de cada acción de las tareas programadas, ver jobs.js)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS automatic_actions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job TEXT NOT NULL,
+                action TEXT NOT NULL,
+                user_id INTEGER DEFAULT NULL,
+                target_type TEXT,
+                target_id TEXT,
+                details TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_automatic_actions_job ON automatic_actions (job, id)");
+        console.log("✅ Database: 'automatic_actions' table ready.");
+
+        // 24. 💰 Tabla COMMISSION_RULES (Comisiones por referido editables por el Admin, ver commissions.js)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS commission_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT,
+                event TEXT NOT NULL,
+                referrer_role TEXT NOT NULL,
+                level INTEGER NOT NULL DEFAULT 1,
+                percentage REAL NOT NULL,
+                max_per_payout_cents INTEGER DEFAULT NULL,
+                max_per_referral_cents INTEGER DEFAULT NULL,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                valid_from DATETIME DEFAULT NULL,
+                valid_until DATETIME DEFAULT NULL,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_by INTEGER DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_commission_rules_match ON commission_rules (event, referrer_role, level)");
+        console.log("✅ Database: 'commission_rules' table ready.");
+
+        // 25. 🏷️ Tabla REFERRAL_CODE_HISTORY (Auditoría de cambios del código de referido, ver referralCodes.js)
+        // Mientras redirect_until no venza, old_code sigue llevando al mismo referente.
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS referral_code_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                old_code TEXT,
+                new_code TEXT,
+                reason TEXT NOT NULL,
+                changed_by INTEGER DEFAULT NULL,
+                redirect_until DATETIME DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_referral_code_history_user_id ON referral_code_history (user_id, id)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_referral_code_history_old_code ON referral_code_history (old_code)");
+        console.log("✅ Database: 'referral_code_history' table ready.");
+
+        // 26. 🕵️ Tabla ACCOUNT_SIGNALS (IP, navegador y teléfono de cada registro / inicio de sesión, ver fraud.js)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS account_signals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                ip_address TEXT,
+                user_agent TEXT,
+                phone TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_account_signals_user_id ON account_signals (user_id, id)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_account_signals_ip ON account_signals (ip_address, user_agent)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_account_signals_phone ON account_signals (phone)");
+        console.log("✅ Database: 'account_signals' table ready.");
+
+        // 27. 🕵️ Tabla FRAUD_FLAGS (Pares de cuentas que comparten señales; user_a_id < user_b_id)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS fraud_flags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_a_id INTEGER NOT NULL,
+                user_b_id INTEGER NOT NULL,
+                signal TEXT NOT NULL,
+                value TEXT,
+                is_referral_link INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'open',
+                reviewed_by INTEGER DEFAULT NULL,
+                reviewed_at DATETIME DEFAULT NULL,
+                review_note TEXT DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_a_id, user_b_id, signal)
+            );
+        `);
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_fraud_flags_user_b ON fraud_flags (user_b_id)");
+        console.log("✅ Database: 'fraud_flags' table ready.");
+
+        // 28. 📢 Tabla CAMPAIGN_CODES (Códigos de campaña que reemplazan al código de referido, ver campaigns.js)
+        // usage_limit NULL = sin límite; expires_at NULL = no vence; default_role NULL = 'Usuario'.
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS campaign_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                usage_limit INTEGER DEFAULT NULL,
+                used_count INTEGER NOT NULL DEFAULT 0,
+                expires_at DATETIME DEFAULT NULL,
+                bonus_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                default_role TEXT DEFAULT NULL,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_by INTEGER DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        console.log("✅ Database: 'campaign_codes' table ready.");
+
+        // 29. 📢 Tabla CAMPAIGN_CODE_USES (Cada registro o solicitud de distribuidor hecha con un código de campaña)
+        await client.execute(`
+            CREATE TABLE IF NOT EXISTS campaign_code_uses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                campaign_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                context TEXT NOT NULL,
+                bonus_cents INTEGER NOT NULL DEFAULT 0,
+                bonus_status TEXT DEFAULT NULL,
+                reviewed_by INTEGER DEFAULT NULL,
+                reviewed_at DATETIME DEFAULT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // 💰 MIGRACIÓN: Estado del bono de bienvenida (se acredita al verificar el correo, ver campaigns.js).
+        // Los bonos de antes ya se acreditaron al registrarse.
+        try {
+            await client.execute("SELECT bonus_status FROM campaign_code_uses LIMIT 1");
+        } catch (e) {
+            console.log("🟡 Migrating: Adding bonus review columns to campaign_code_uses table...");
+            await client.execute("ALTER TABLE campaign_code_uses ADD COLUMN bonus_status TEXT DEFAULT NULL");
+            await client.execute("ALTER TABLE campaign_code_uses ADD COLUMN reviewed_by INTEGER DEFAULT NULL");
+            await client.execute("ALTER TABLE campaign_code_uses ADD COLUMN reviewed_at DATETIME DEFAULT NULL");
+            await client.execute("UPDATE campaign_code_uses SET bonus_status = 'granted' WHERE bonus_cents > 0");
+            console.log("✅ Migration successful: bonus review columns added.");
+        }
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_campaign_code_uses_campaign ON campaign_code_uses (campaign_id, created_at)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_campaign_code_uses_user ON campaign_code_uses (user_id, id)");
+        await client.execute("CREATE INDEX IF NOT EXISTS idx_campaign_code_uses_bonus ON campaign_code_uses (bonus_status)");
+        console.log("✅ Database: 'campaign_code_uses' table ready.");
+
+        // 💵 MIGRACIÓN: Montos REAL → centavos enteros + moneda (ver money.js)
+        // 'transactions' se migra aparte (también hay montos dentro del JSON): ver transactions.js.
+        await migrateMoneyColumns('users', { balance: 'balance_cents' });
+        await migrateMoneyColumns('products', {
+            price_standard: 'price_standard_cents',
+            price_premium: 'price_premium_cents',
+            price_renewal_standard: 'price_renewal_standard_cents',
+            price_renewal_premium: 'price_renewal_premium_cents'
+        });
+        await migrateMoneyColumns('orders', { total_price: 'total_price_cents' });
+        await migrateMoneyColumns('withdrawals', { amount_original: 'amount_original_cents', amount_final: 'amount_final_cents' });
+        await migrateMoneyColumns('transaction_logs', { amount: 'amount_cents' });
+        await migrateMoneyColumns('ledger_entries', { amount: 'amount_cents' });
+
+        // 💵 MIGRACIÓN: Precio de venta guardado en el JSON del stock vendido (price_sold_per_unit → price_sold_per_unit_cents)
+        await client.execute(`
+            UPDATE product_stock
+            SET data = json_set(json_remove(data, '$.price_sold_per_unit'), '$.price_sold_per_unit_cents',
+                                CAST(ROUND(json_extract(data, '$.price_sold_per_unit') * 100) AS INTEGER))
+            WHERE json_valid(data) AND json_type(data, '$.price_sold_per_unit') IN ('integer', 'real')
+        `);
 
     } catch (error) {
         console.error("❌ Error initializing database:", error);
@@ -206,15 +695,15 @@ export async function seedAdminUser() {
         if (check.rows.length === 0) {
             // 1. SEMBRAR
             await client.execute({
-                sql: `INSERT INTO users (username, email, phone, password_hash, plain_password, role, referral_code) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                args: ['AdminMelu', adminEmail, '5551234567', hashedPassword, adminPassword, 'Admin', adminReferralCode]
+                sql: `INSERT INTO users (username, email, phone, password_hash, role, referral_code, email_verified) VALUES (?, ?, ?, ?, ?, ?, 1)`,
+                args: ['AdminMelu', adminEmail, '5551234567', hashedPassword, 'Admin', adminReferralCode]
             });
             console.log(`✅ Admin user created with email: ${adminEmail}.`);
         } else {
             // 2. ACTUALIZAR
              await client.execute({
-                sql: `UPDATE users SET password_hash = ?, plain_password = ?, referral_code = ? WHERE email = ?`,
-                args: [hashedPassword, adminPassword, adminReferralCode, adminEmail]
+                sql: `UPDATE users SET password_hash = ?, referral_code = ?, email_verified = 1 WHERE email = ?`,
+                args: [hashedPassword, adminReferralCode, adminEmail]
             });
             console.log("✅ Admin user credentials updated/ensured.");
         }
@@ -0,0 +1,259 @@
+// MeluFrontend - copia/backend/fraud.js
+
+import { client } from './db.js';
+import { toSqlDate } from './auth.js';
+
+// 🕵️ Señales de fraude por referidos (cuentas duplicadas para cobrar comisiones)
+// En cada registro, inicio de sesión y cambio de perfil se guarda la IP, el navegador (user agent) y el teléfono de la cuenta
+// ('account_signals'). Dos cuentas que comparten el teléfono, o la misma IP con el mismo navegador en los últimos
+// IP_MATCH_WINDOW_DAYS días, quedan marcadas como par en 'fraud_flags' (la IP sola no basta: muchas redes la comparten).
+// La señal IP + navegador solo se usa con 'trust proxy' configurado (TRUST_PROXY): detrás de un proxy sin él, req.ip es
+// la IP del proxy para todos y bastaría usar la misma versión del navegador para quedar marcado.
+// Las comisiones que generan las cuentas marcadas quedan retenidas hasta que el Admin las revise (ver commissions.js).
+// El Admin revisa cada par: 'cleared' (falsa alarma, deja de retener) o 'confirmed' (sigue reteniendo).
+export const SIGNAL_EVENTS = {
+    REGISTER: 'register',
+    LOGIN: 'login',
+    PROFILE_UPDATE: 'profile_update'
+};
+
+export const FRAUD_SIGNALS = {
+    PHONE: 'phone',
+    IP_USER_AGENT: 'ip_user_agent'
+};
+
+export const FRAUD_FLAG_STATUS = {
+    OPEN: 'open',
+    CONFIRMED: 'confirmed',
+    CLEARED: 'cleared'
+};
+
+const IP_MATCH_WINDOW_DAYS = 30;
+const MAX_USER_AGENT_LENGTH = 300;
+const MIN_PHONE_DIGITS = 6;
+
+/**
+ * Teléfono comparable: solo dígitos (null si es demasiado corto para identificar a alguien).
+ */
+export function normalizePhone(phone) {
+    const digits = String(phone ?? '').replace(/\D/g, '');
+    return digits.length >= MIN_PHONE_DIGITS ? digits : null;
+}
+
+/**
+ * 🕵️ MIGRACIÓN: Rellena users.phone_normalized de las cuentas que aún no lo tienen (cuentas previas y el Admin sembrado).
+ * Los teléfonos demasiado cortos quedan en NULL.
+ */
+export async function backfillNormalizedPhones() {
+    const result = await client.execute(
+        "SELECT id, phone FROM users WHERE phone_normalized IS NULL AND phone IS NOT NULL AND phone != ''"
+    );
+    const updates = result.rows
+        .map(row => ({ id: row.id, phone: normalizePhone(row.phone) }))
+        .filter(row => row.phone !== null);
+    if (updates.length === 0) return;
+
+    await client.batch(updates.map(row => ({
+        sql: 'UPDATE users SET phone_normalized = ? WHERE id = ?',
+        args: [row.phone, row.id]
+    })), 'write');
+    console.log(`✅ Migration successful: normalized phone stored for ${updates.length} user(s).`);
+}
+
+// Otras cuentas que comparten el teléfono (señales registradas o teléfono actual de la cuenta, ambos por índice)
+async function findPhoneMatches(userId, phone) {
+    const result = await client.execute({
+        sql: `SELECT DISTINCT user_id FROM account_signals WHERE phone = ? AND user_id != ?
+              UNION
+              SELECT id FROM users WHERE phone_normalized = ? AND id != ?`,
+        args: [phone, userId, phone, userId]
+    });
+    return result.rows.map(row => Number(row.user_id));
+}
+
+// Otras cuentas vistas con la misma IP y el mismo navegador en la ventana reciente
+async function findIpUserAgentMatches(userId, ipAddress, userAgent) {
+    const cutoff = toSqlDate(new Date(Date.now() - IP_MATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000));
+    const result = await client.execute({
+        sql: `SELECT DISTINCT user_id FROM account_signals
+              WHERE ip_address = ? AND user_agent = ? AND user_id != ? AND created_at >= ?`,
+        args: [ipAddress, userAgent, userId, cutoff]
+    });
+    return result.rows.map(row => Number(row.user_id));
+}
+
+// ¿Una de las dos cuentas invitó a la otra? (autorreferido directo)
+async function isReferralLink(userA, userB) {
+    const result = await client.execute({
+        sql: `SELECT 1 FROM users
+              WHERE (id = ? AND referred_by_user_id = ?) OR (id = ? AND referred_by_user_id = ?)
+              LIMIT 1`,
+        args: [userA, userB, userB, userA]
+    });
+    return result.rows.length > 0;
+}
+
+/**
+ * Guarda las señales de la petición (IP, user agent y teléfono actual de la cuenta) y marca las cuentas relacionadas.
+ * Devuelve { newFlags: [{ id, userAId, userBId, signal, isReferralLink }] }.
+ */
+export async function recordAccountSignals(userId, event, req) {
+    const userResult = await client.execute({ sql: 'SELECT phone FROM users WHERE id = ?', args: [userId] });
+    if (userResult.rows.length === 0) return { newFlags: [] };
+
+    const ipAddress = req?.ip || null;
+    const userAgent = req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, MAX_USER_AGENT_LENGTH) : null;
+    const phone = normalizePhone(userResult.rows[0].phone);
+
+    await client.execute({
+        sql: 'INSERT INTO account_signals (user_id, event, ip_address, user_agent, phone) VALUES (?, ?, ?, ?, ?)',
+        args: [userId, event, ipAddress, userAgent, phone]
+    });
+
+    const matches = [];
+    if (phone) {
+        for (const otherId of await findPhoneMatches(userId, phone)) {
+            matches.push({ otherId, signal: FRAUD_SIGNALS.PHONE, value: phone });
+        }
+    }
+    if (ipAddress && userAgent && req.app?.get('trust proxy')) {
+        for (const otherId of await findIpUserAgentMatches(userId, ipAddress, userAgent)) {
+            matches.push({ otherId, signal: FRAUD_SIGNALS.IP_USER_AGENT, value: `${ipAddress} | ${userAgent}` });
+        }
+    }
+
+    const newFlags = [];
+    for (const { otherId, signal, value } of matches) {
+        const [userAId, userBId] = userId < otherId ? [userId, otherId] : [otherId, userId];
+        const referralLink = await isReferralLink(userAId, userBId);
+        const result = await client.execute({
+            sql: `INSERT INTO fraud_flags (user_a_id, user_b_id, signal, value, is_referral_link) VALUES (?, ?, ?, ?, ?)
+                  ON CONFLICT (user_a_id, user_b_id, signal) DO NOTHING
+                  RETURNING id`,
+            args: [userAId, userBId, signal, value, referralLink ? 1 : 0]
+        });
+        if (result.rows.length > 0) {
+            newFlags.push({ id: Number(result.rows[0].id), userAId, userBId, signal, isReferralLink: referralLink });
+        }
+    }
+    return { newFlags };
+}
+
+/**
+ * ¿La cuenta está en algún par marcado y no descartado? (sus comisiones se retienen)
+ */
+export async function isUserFlagged(userId) {
+    const result = await client.execute({
+        sql: 'SELECT 1 FROM fraud_flags WHERE (user_a_id = ? OR user_b_id = ?) AND status != ? LIMIT 1',
+        args: [userId, userId, FRAUD_FLAG_STATUS.CLEARED]
+    });
+    return result.rows.length > 0;
+}
+
+function rowToFlag(row) {
+    return {
+        id: row.id,
+        userAId: row.user_a_id,
+        userBId: row.user_b_id,
+        signal: row.signal,
+        value: row.value,
+        isReferralLink: row.is_referral_link === 1,
+        status: row.status,
+        reviewedBy: row.reviewed_by,
+        reviewedAt: row.reviewed_at,
+        reviewNote: row.review_note,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Grupos de cuentas relacionadas por pares marcados (por defecto solo los pares sin descartar).
+ * Cada grupo: { userIds, users: [...], flags: [...], hasReferralLink, openFlags }.
+ */
+export async function listFraudClusters({ includeCleared = false } = {}) {
+    const flagsResult = await client.execute({
+        sql: 'SELECT * FROM fraud_flags WHERE (? = 1 OR status != ?) ORDER BY id',
+        args: [includeCleared ? 1 : 0, FRAUD_FLAG_STATUS.CLEARED]
+    });
+    const flags = flagsResult.rows.map(rowToFlag);
+    if (flags.length === 0) return [];
+
+    // Unión de pares → grupos (union-find)
+    const parent = new Map();
+    const find = id => {
+        if (!parent.has(id)) parent.set(id, id);
+        let root = id;
+        while (parent.get(root) !== root) root = parent.get(root);
+        parent.set(id, root);
+        return root;
+    };
+    for (const flag of flags) parent.set(find(flag.userAId), find(flag.userBId));
+
+    const userIds = [...parent.keys()];
+    const usersResult = await client.execute({
+        sql: `SELECT id, username, email, phone, role, referred_by_user_id, created_at FROM users
+              WHERE id IN (${userIds.map(() => '?').join(',')})`,
+        args: userIds
+    });
+    const users = new Map(usersResult.rows.map(row => [Number(row.id), {
+        id: Number(row.id),
+        username: row.username,
+        email: row.email,
+        phone: row.phone,
+        role: row.role,
+        referredByUserId: row.referred_by_user_id,
+        registeredAt: row.created_at
+    }]));
+
+    const clusters = new Map();
+    for (const flag of flags) {
+        const root = find(flag.userAId);
+        if (!clusters.has(root)) clusters.set(root, { userIds: new Set(), flags: [] });
+        const cluster = clusters.get(root);
+        cluster.userIds.add(flag.userAId);
+        cluster.userIds.add(flag.userBId);
+        cluster.flags.push(flag);
+    }
+
+    return [...clusters.values()].map(cluster => {
+        const ids = [...cluster.userIds].sort((a, b) => a - b);
+        return {
+            userIds: ids,
+            users: ids.map(id => users.get(id) || { id, username: null }),
+            flags: cluster.flags,
+            hasReferralLink: cluster.flags.some(flag => flag.isReferralLink),
+            openFlags: cluster.flags.filter(flag => flag.status === FRAUD_FLAG_STATUS.OPEN).length
+        };
+    }).sort((a, b) => b.openFlags - a.openFlags);
+}
+
+/**
+ * Revisión del Admin de un par marcado ('confirmed' | 'cleared'). Devuelve el par actualizado o null si no existe.
+ */
+export async function reviewFraudFlag(flagId, status, { reviewedBy = null, note = null } = {}) {
+    const result = await client.execute({
+        sql: `UPDATE fraud_flags SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+              WHERE id = ? RETURNING *`,
+        args: [status, reviewedBy, note, flagId]
+    });
+    return result.rows.length > 0 ? rowToFlag(result.rows[0]) : null;
+}
+
+/**
+ * Últimas señales de una cuenta (la más reciente primero).
+ */
+export async function getAccountSignals(userId, { limit = 50 } = {}) {
+    const result = await client.execute({
+        sql: `SELECT id, event, ip_address, user_agent, phone, created_at FROM account_signals
+              WHERE user_id = ? ORDER BY id DESC LIMIT ?`,
+        args: [userId, limit]
+    });
+    return result.rows.map(row => ({
+        id: row.id,
+        event: row.event,
+        ipAddress: row.ip_address,
+        userAgent: row.user_agent,
+        phone: row.phone,
+        createdAt: row.created_at
+    }));
+}
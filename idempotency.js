@@ -0,0 +1,148 @@
+// MeluFrontend - copia/backend/idempotency.js
+
+import crypto from 'crypto';
+import 'dotenv/config';
+import { client } from './db.js';
+import { toSqlDate } from './auth.js';
+
+// 🔁 Claves de idempotencia ('Idempotency-Key')
+// Un doble clic o un reintento con datos móviles inestables puede mandar dos veces una compra o un retiro.
+// Si la petición trae la cabecera, la primera respuesta se guarda en 'idempotency_keys' y las repeticiones con la
+// misma clave la reciben tal cual (con 'Idempotent-Replayed: true') sin volver a ejecutar el endpoint.
+// Sin la cabecera el endpoint funciona como siempre.
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/; // ASCII visible, sin espacios (UUID, ULID...)
+
+// Huella de la petición: la misma clave con otro endpoint o con otro cuerpo es un error del cliente
+function hashRequest(req) {
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? null)}`)
+        .digest('hex');
+}
+
+async function reserveKey(userId, key, scope, requestHash) {
+    const expiresAt = toSqlDate(new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000));
+    const [, insertResult] = await client.batch([
+        {
+            sql: 'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND expires_at <= CURRENT_TIMESTAMP',
+            args: [userId, key]
+        },
+        {
+            sql: `INSERT INTO idempotency_keys (user_id, idempotency_key, scope, request_hash, expires_at)
+                  VALUES (?, ?, ?, ?, ?)
+                  ON CONFLICT (user_id, idempotency_key) DO NOTHING`,
+            args: [userId, key, scope, requestHash, expiresAt]
+        }
+    ], 'write');
+    return insertResult.rowsAffected > 0;
+}
+
+async function saveResponse(userId, key, status, body) {
+    // Los errores del servidor no se guardan: se libera la clave para que el cliente pueda reintentar
+    if (status >= 500) {
+        await releaseKey(userId, key);
+        return;
+    }
+    await client.execute({
+        sql: 'UPDATE idempotency_keys SET response_status = ?, response_body = ? WHERE user_id = ? AND idempotency_key = ?',
+        args: [status, JSON.stringify(body ?? null), userId, key]
+    });
+}
+
+async function releaseKey(userId, key) {
+    await client.execute({
+        sql: 'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND response_status IS NULL',
+        args: [userId, key]
+    });
+}
+
+/**
+ * Middleware de idempotencia (va después de requireAuth: las claves son por usuario).
+ * `scope` identifica el endpoint en la tabla (p. ej. 'purchase').
+ * - Clave nueva: se ejecuta el endpoint y se guarda su respuesta (salvo 5xx).
+ * - Clave repetida con la misma petición: se devuelve la respuesta guardada.
+ * - Clave repetida con otra petición: 422 IDEMPOTENCY_KEY_REUSED.
+ * - Clave repetida mientras la primera sigue en curso: 409 IDEMPOTENCY_IN_PROGRESS.
+ */
+export function idempotent(scope) {
+    return async (req, res, next) => {
+        const key = req.get(IDEMPOTENCY_HEADER);
+        if (key === undefined) return next();
+
+        if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                message: `La cabecera ${IDEMPOTENCY_HEADER} debe tener entre 1 y 255 caracteres visibles.`,
+                code: 'INVALID_IDEMPOTENCY_KEY'
+            });
+        }
+
+        const userId = req.user.id;
+        const requestHash = hashRequest(req);
+
+        let reserved;
+        try {
+            reserved = await reserveKey(userId, key, scope, requestHash);
+        } catch (error) {
+            // Sin la tabla no se puede garantizar nada: mejor no ejecutar el cobro
+            console.error(`Idempotency error (${scope}):`, error);
+            return res.status(500).json({ message: 'Error interno del servidor.' });
+        }
+
+        if (!reserved) {
+            let row;
+            try {
+                const existing = await client.execute({
+                    sql: 'SELECT scope, request_hash, response_status, response_body FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+                    args: [userId, key]
+                });
+                row = existing.rows[0];
+            } catch (error) {
+                console.error(`Idempotency lookup error (${scope}):`, error);
+                return res.status(500).json({ message: 'Error interno del servidor.' });
+            }
+
+            if (!row || row.scope !== scope || row.request_hash !== requestHash) {
+                return res.status(422).json({
+                    message: `La clave ${IDEMPOTENCY_HEADER} ya se usó con otra solicitud.`,
+                    code: 'IDEMPOTENCY_KEY_REUSED'
+                });
+            }
+            if (row.response_status === null) {
+                res.set('Retry-After', '1');
+                return res.status(409).json({
+                    message: 'Esta solicitud ya se está procesando. Espera un momento.',
+                    code: 'IDEMPOTENCY_IN_PROGRESS'
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(row.response_status).json(JSON.parse(row.response_body));
+        }
+
+        // La respuesta se envía después de guardarla: un reintento que llegue luego siempre la encuentra
+        let responded = false;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            responded = true;
+            saveResponse(userId, key, res.statusCode, body)
+                .catch(error => console.error(`Idempotency save error (${scope}):`, error))
+                .finally(() => originalJson(body));
+            return res;
+        };
+        res.on('close', () => {
+            if (!responded) releaseKey(userId, key).catch(error => console.error(`Idempotency release error (${scope}):`, error));
+        });
+
+        next();
+    };
+}
+
+/**
+ * Elimina las claves vencidas. Devuelve cuántas se borraron.
+ */
+export async function purgeExpiredIdempotencyKeys() {
+    const result = await client.execute("DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP");
+    return result.rowsAffected;
+}
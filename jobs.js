@@ -0,0 +1,245 @@
+// MeluFrontend - copia/backend/jobs.js
+
+import { client } from './db.js';
+import { toSqlDate } from './auth.js';
+import { runAtomic, AtomicOperationError } from './balances.js';
+import { findStaleRecharges, expireRechargeStatements } from './recharges.js';
+import { formatMoney } from './money.js';
+
+// ⏱️ Tareas programadas del servidor
+// Cada tarea se registra con registerJob({ name, intervalMs, run }) y startScheduledJobs() la ejecuta cada intervalMs.
+// Una ejecución nunca se solapa con la anterior de la misma tarea. El Admin ve el estado de cada una y puede
+// lanzarla a mano (/admin/jobs). Toda acción automática que cambia datos queda en 'automatic_actions' y en la consola.
+export const JOB_NAMES = {
+    LIFT_EXPIRED_BANS: 'lift_expired_bans',
+    PURGE_IDEMPOTENCY_KEYS: 'purge_idempotency_keys',
+    EXPIRE_RECHARGES: 'expire_recharges',
+    ESCALATE_WITHDRAWALS: 'escalate_withdrawals'
+};
+
+// Plazos configurables desde el panel de Admin ('settings', en horas)
+export const DEFAULT_JOB_SETTINGS = {
+    rechargeExpiryHours: 72,
+    withdrawalEscalationHours: 48
+};
+const JOB_SETTING_KEYS = {
+    rechargeExpiryHours: 'recharge_expiry_hours',
+    withdrawalEscalationHours: 'withdrawal_escalation_hours'
+};
+export const MAX_JOB_SETTING_HOURS = 30 * 24;
+
+const jobs = new Map();
+
+export function registerJob({ name, intervalMs, run }) {
+    jobs.set(name, { name, intervalMs, run, timer: null, running: false, lastRunAt: null, lastResult: null, lastError: null });
+}
+
+export function hasJob(name) {
+    return jobs.has(name);
+}
+
+/**
+ * Ejecuta una tarea ahora. Devuelve { skipped: true } si ya estaba corriendo, o { skipped: false, result }.
+ * Los errores se registran en el estado de la tarea y se relanzan.
+ */
+export async function runJob(name) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Jobs: tarea desconocida '${name}'.`);
+    if (job.running) return { skipped: true };
+
+    job.running = true;
+    try {
+        const result = await job.run();
+        job.lastResult = result ?? null;
+        job.lastError = null;
+        return { skipped: false, result: job.lastResult };
+    } catch (error) {
+        job.lastError = error.message;
+        console.error(`❌ Jobs: La tarea '${name}' falló:`, error);
+        throw error;
+    } finally {
+        job.running = false;
+        job.lastRunAt = new Date().toISOString();
+    }
+}
+
+/**
+ * Programa todas las tareas registradas (los timers no mantienen vivo el proceso).
+ */
+export function startScheduledJobs() {
+    for (const job of jobs.values()) {
+        if (job.timer) continue;
+        job.timer = setInterval(() => runJob(job.name).catch(() => {}), job.intervalMs);
+        job.timer.unref();
+    }
+    console.log(`✅ Jobs: ${jobs.size} tarea(s) programada(s): ${[...jobs.keys()].join(', ')}.`);
+}
+
+/**
+ * Estado de las tareas para el panel de Admin.
+ */
+export function listJobs() {
+    return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastResult, lastError }) => ({
+        name, intervalMs, running, lastRunAt, lastResult, lastError
+    }));
+}
+
+// --- Registro de acciones automáticas ---
+
+/**
+ * Sentencia que registra una acción automática (para incluirla en el mismo batch que la acción).
+ */
+export function automaticActionStatement(job, action, { userId = null, targetType = null, targetId = null, details = null } = {}) {
+    return {
+        sql: `INSERT INTO automatic_actions (job, action, user_id, target_type, target_id, details)
+              VALUES (?, ?, ?, ?, ?, ?)`,
+        args: [job, action, userId, targetType, targetId === null ? null : String(targetId), details ? JSON.stringify(details) : null]
+    };
+}
+
+export async function logAutomaticAction(job, action, meta = {}) {
+    await client.execute(automaticActionStatement(job, action, meta));
+    console.log(`🤖 Jobs [${job}]: ${action}${meta.targetType ? ` ${meta.targetType} ${meta.targetId}` : ''}${meta.userId ? ` (usuario ${meta.userId})` : ''}.`);
+}
+
+/**
+ * Últimas acciones automáticas (la más reciente primero), opcionalmente de una sola tarea.
+ */
+export async function getAutomaticActions({ job = null, limit = 100 } = {}) {
+    const result = await client.execute({
+        sql: `SELECT id, job, action, user_id, target_type, target_id, details, created_at FROM automatic_actions
+              WHERE (? IS NULL OR job = ?)
+              ORDER BY id DESC LIMIT ?`,
+        args: [job, job, limit]
+    });
+    return result.rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+}
+
+// --- Plazos ---
+
+export async function getJobSettings() {
+    const keys = Object.values(JOB_SETTING_KEYS);
+    const result = await client.execute({
+        sql: `SELECT key, value FROM settings WHERE key IN (${keys.map(() => '?').join(',')})`,
+        args: keys
+    });
+    const values = new Map(result.rows.map(row => [row.key, row.value]));
+
+    const settings = {};
+    for (const [name, key] of Object.entries(JOB_SETTING_KEYS)) {
+        const hours = parseFloat(values.get(key));
+        settings[name] = hours > 0 ? hours : DEFAULT_JOB_SETTINGS[name];
+    }
+    return settings;
+}
+
+/**
+ * Guarda los plazos enviados por el Admin. Devuelve los plazos vigentes, o null si alguno no es válido.
+ */
+export async function saveJobSettings(body = {}) {
+    const statements = [];
+    for (const [name, key] of Object.entries(JOB_SETTING_KEYS)) {
+        if (body[name] === undefined) continue;
+        const hours = Number(body[name]);
+        if (!Number.isFinite(hours) || hours < 1 || hours > MAX_JOB_SETTING_HOURS) return null;
+        statements.push({
+            sql: 'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+            args: [key, String(hours)]
+        });
+    }
+    if (statements.length > 0) await client.batch(statements, 'write');
+    return getJobSettings();
+}
+
+// --- Tareas ---
+
+/**
+ * ⏱️ Vence las recargas 'Pendiente' más antiguas que 'recharge_expiry_hours' y avisa a cada usuario (onExpired).
+ */
+export async function expireStaleRecharges({ onExpired = async () => {} } = {}) {
+    const { rechargeExpiryHours } = await getJobSettings();
+    const staleRecharges = await findStaleRecharges(rechargeExpiryHours);
+
+    let expired = 0;
+    for (const { userId, transaction } of staleRecharges) {
+        try {
+            await runAtomic([
+                expireRechargeStatements(userId, transaction),
+                automaticActionStatement(JOB_NAMES.EXPIRE_RECHARGES, 'recharge_expired', {
+                    userId,
+                    targetType: 'transaction',
+                    targetId: transaction.id,
+                    details: { amountCents: transaction.amountCents, method: transaction.details?.method ?? null, expiryHours: rechargeExpiryHours }
+                })
+            ]);
+        } catch (error) {
+            // Aprobada, rechazada o cancelada mientras tanto: ya no se vence
+            if (error instanceof AtomicOperationError) continue;
+            throw error;
+        }
+        expired++;
+        console.log(`🤖 Jobs [${JOB_NAMES.EXPIRE_RECHARGES}]: recharge_expired transaction ${transaction.id} (usuario ${userId}).`);
+
+        try {
+            await onExpired({ userId, transaction, expiryHours: rechargeExpiryHours });
+        } catch (error) {
+            console.error(`Recharge expiry notification error (tx ${transaction.id}):`, error);
+        }
+    }
+
+    return { checked: staleRecharges.length, expired };
+}
+
+/**
+ * ⏱️ Escala al Admin (onEscalated, una sola vez por retiro) los retiros 'Pending' más antiguos que 'withdrawal_escalation_hours'.
+ */
+export async function escalateStaleWithdrawals({ onEscalated = async () => {} } = {}) {
+    const { withdrawalEscalationHours } = await getJobSettings();
+    const cutoff = toSqlDate(new Date(Date.now() - withdrawalEscalationHours * 60 * 60 * 1000));
+    const staleCondition = "status = 'Pending' AND escalated_at IS NULL AND created_at <= ?";
+
+    // 🔒 Registro y marca en el mismo batch: ningún retiro queda escalado sin su acción registrada
+    const [, updateResult] = await client.batch([
+        {
+            sql: `INSERT INTO automatic_actions (job, action, user_id, target_type, target_id, details)
+                  SELECT ?, 'withdrawal_escalated', user_id, 'withdrawal', CAST(id AS TEXT),
+                         json_object('amountOriginalCents', amount_original_cents, 'currency', currency, 'escalationHours', ?)
+                  FROM withdrawals WHERE ${staleCondition}`,
+            args: [JOB_NAMES.ESCALATE_WITHDRAWALS, withdrawalEscalationHours, cutoff]
+        },
+        {
+            sql: `UPDATE withdrawals SET escalated_at = CURRENT_TIMESTAMP WHERE ${staleCondition}
+                  RETURNING id, user_id, amount_original_cents, currency, created_at`,
+            args: [cutoff]
+        }
+    ], 'write');
+
+    const escalated = updateResult.rows;
+    if (escalated.length === 0) return { escalated: 0 };
+
+    const userIds = [...new Set(escalated.map(row => row.user_id))];
+    const usersResult = await client.execute({
+        sql: `SELECT id, username FROM users WHERE id IN (${userIds.map(() => '?').join(',')})`,
+        args: userIds
+    });
+    const usernames = new Map(usersResult.rows.map(row => [row.id, row.username]));
+
+    const withdrawals = escalated.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        username: usernames.get(row.user_id) ?? `#${row.user_id}`,
+        amount: formatMoney(row.amount_original_cents, row.currency),
+        createdAt: row.created_at
+    }));
+    for (const withdrawal of withdrawals) {
+        console.log(`🤖 Jobs [${JOB_NAMES.ESCALATE_WITHDRAWALS}]: withdrawal_escalated withdrawal ${withdrawal.id} (usuario ${withdrawal.userId}).`);
+    }
+
+    try {
+        await onEscalated({ withdrawals, escalationHours: withdrawalEscalationHours });
+    } catch (error) {
+        console.error('Withdrawal escalation notification error:', error);
+    }
+
+    return { escalated: withdrawals.length };
+}
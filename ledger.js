@@ -0,0 +1,249 @@
+// MeluFrontend - copia/backend/ledger.js
+
+import crypto from 'crypto';
+import { client } from './db.js';
+import { ATOMIC_GUARD_REASONS, AtomicOperationError, debitBalanceStatements, creditBalanceStatement } from './balances.js';
+import { DEFAULT_CURRENCY, fromCents } from './money.js';
+
+// 📒 Libro mayor de partida doble
+// Cada movimiento de dinero es un asiento (ledger_journals) con partidas (ledger_entries) cuyos débitos y créditos suman
+// lo mismo. La cartera del usuario es la cuenta 'wallet': un crédito aumenta su saldo y un débito lo reduce.
+// Las partidas de cartera también actualizan users.balance_cents en el mismo batch, así el saldo guardado y el libro no se separan.
+// 💵 Los montos de las partidas son centavos enteros: un asiento cuadra solo si débitos y créditos son exactamente iguales.
+export const LEDGER_ACCOUNTS = {
+    WALLET: 'wallet',
+    RECHARGES: 'platform:recharges',                    // Dinero recibido por Yape/Binance
+    REVENUE: 'platform:revenue',                        // Rango, membresías, publicaciones y comisión de retiro
+    COMMISSIONS: 'platform:commissions',                // Comisiones pagadas a referentes
+    PENDING_WITHDRAWALS: 'platform:pending_withdrawals', // Retiros solicitados y aún no pagados
+    PAYOUTS: 'platform:payouts',                        // Dinero enviado a los proveedores
+    SUPPORT_REFUNDS: 'platform:support_refunds',        // Reembolsos de soporte que asume la plataforma
+    ADJUSTMENTS: 'platform:adjustments',                // Ajustes manuales del Admin
+    PROMOTIONS: 'platform:promotions',                  // Bonos de bienvenida de las campañas
+    OPENING_BALANCES: 'platform:opening_balances'       // Saldos previos al libro mayor
+};
+
+export const LEDGER_KINDS = {
+    RECHARGE: 'recharge',
+    RECHARGE_REVERSAL: 'recharge_reversal',
+    COMMISSION: 'commission',
+    COMMISSION_CLAWBACK: 'commission_clawback',
+    PURCHASE: 'purchase',
+    RENEWAL: 'renewal',
+    REFUND: 'refund',
+    SUPPORT_REFUND: 'support_refund',
+    WITHDRAWAL_REQUEST: 'withdrawal_request',
+    WITHDRAWAL_CANCEL: 'withdrawal_cancel',
+    WITHDRAWAL_APPROVE: 'withdrawal_approve',
+    WITHDRAWAL_REJECT: 'withdrawal_reject',
+    PREMIUM_UPGRADE: 'premium_upgrade',
+    SUPPLIER_FEE: 'supplier_fee',
+    PUBLICATION_FEE: 'publication_fee',
+    ADMIN_ADJUSTMENT: 'admin_adjustment',
+    CAMPAIGN_BONUS: 'campaign_bonus',
+    OPENING_BALANCE: 'opening_balance'
+};
+
+/**
+ * Partida sobre la cartera de un usuario. Un débito exige saldo suficiente salvo `requireFunds: false`.
+ */
+export function walletEntry(userId, direction, amountCents, { requireFunds = true } = {}) {
+    return { account: LEDGER_ACCOUNTS.WALLET, userId, direction, amountCents, requireFunds };
+}
+
+/**
+ * Partida sobre una cuenta de la plataforma (LEDGER_ACCOUNTS).
+ */
+export function accountEntry(account, direction, amountCents) {
+    return { account, userId: null, direction, amountCents };
+}
+
+/**
+ * Sentencias de un asiento completo (para incluir en runAtomic). Las partidas con monto 0 se omiten.
+ * Montos que no son centavos enteros o un asiento sin montos (p. ej. un cobro de 0) lanzan AtomicOperationError
+ * INVALID_AMOUNT (400 con rejectAtomicError); débitos y créditos distintos son un error del código y lanzan un Error.
+ * Con `updateBalances: false` solo se registra el asiento.
+ */
+export function journalStatements(kind, entries, { reference = null, description = null, createdBy = null, updateBalances = true, currency = DEFAULT_CURRENCY } = {}) {
+    if (entries.some(entry => !Number.isInteger(entry.amountCents))) {
+        throw new AtomicOperationError(ATOMIC_GUARD_REASONS.INVALID_AMOUNT);
+    }
+    const activeEntries = entries.filter(entry => entry.amountCents > 0);
+    if (activeEntries.length === 0) {
+        throw new AtomicOperationError(ATOMIC_GUARD_REASONS.INVALID_AMOUNT);
+    }
+    const debits = activeEntries.filter(entry => entry.direction === 'debit').reduce((sum, entry) => sum + entry.amountCents, 0);
+    const credits = activeEntries.filter(entry => entry.direction === 'credit').reduce((sum, entry) => sum + entry.amountCents, 0);
+    if (activeEntries.length < 2 || debits !== credits) {
+        throw new Error(`Ledger: asiento '${kind}' descuadrado (débitos ${debits}, créditos ${credits}).`);
+    }
+
+    const journalId = crypto.randomUUID();
+    const statements = [{
+        sql: 'INSERT INTO ledger_journals (id, kind, reference, description, created_by) VALUES (?, ?, ?, ?, ?)',
+        args: [journalId, kind, reference === null ? null : String(reference), description, createdBy]
+    }];
+
+    for (const entry of activeEntries) {
+        statements.push({
+            sql: 'INSERT INTO ledger_entries (journal_id, account, user_id, direction, amount_cents, currency) VALUES (?, ?, ?, ?, ?, ?)',
+            args: [journalId, entry.account, entry.userId, entry.direction, entry.amountCents, currency]
+        });
+
+        if (!updateBalances || entry.account !== LEDGER_ACCOUNTS.WALLET) continue;
+        if (entry.direction === 'credit') {
+            statements.push(creditBalanceStatement(entry.userId, entry.amountCents));
+        } else if (entry.requireFunds) {
+            statements.push(...debitBalanceStatements(entry.userId, entry.amountCents));
+        } else {
+            statements.push(creditBalanceStatement(entry.userId, -entry.amountCents));
+        }
+    }
+
+    return statements;
+}
+
+/**
+ * Asiento de dos partidas: debita `from` y acredita `to` por el mismo monto (en centavos).
+ */
+export function transferStatements(kind, from, to, amountCents, options = {}) {
+    return journalStatements(kind, [
+        { ...from, direction: 'debit', amountCents },
+        { ...to, direction: 'credit', amountCents }
+    ], options);
+}
+
+/**
+ * Cartera de usuario como origen/destino de transferStatements().
+ */
+export function wallet(userId, { requireFunds = true } = {}) {
+    return { account: LEDGER_ACCOUNTS.WALLET, userId, requireFunds };
+}
+
+/**
+ * Cuenta de la plataforma como origen/destino de transferStatements().
+ */
+export function platform(account) {
+    return { account, userId: null };
+}
+
+// Saldo según el libro: créditos - débitos de la cartera
+const WALLET_BALANCE_SQL = "SUM(CASE WHEN direction = 'credit' THEN amount_cents ELSE -amount_cents END)";
+
+/**
+ * Movimientos del libro (más recientes primero). Filtros opcionales: userId, account, kind.
+ */
+export async function listLedgerEntries({ userId = null, account = null, kind = null, limit = 100 } = {}) {
+    const result = await client.execute({
+        sql: `SELECT e.id, e.journal_id, e.account, e.user_id, e.direction, e.amount_cents, e.currency, e.created_at,
+                     j.kind, j.reference, j.description, j.created_by
+              FROM ledger_entries e
+              JOIN ledger_journals j ON j.id = e.journal_id
+              WHERE (? IS NULL OR e.user_id = ?) AND (? IS NULL OR e.account = ?) AND (? IS NULL OR j.kind = ?)
+              ORDER BY e.id DESC
+              LIMIT ?`,
+        args: [userId, userId, account, account, kind, kind, limit]
+    });
+    return result.rows.map(row => ({
+        id: row.id,
+        journalId: row.journal_id,
+        account: row.account,
+        userId: row.user_id,
+        direction: row.direction,
+        amount: fromCents(row.amount_cents, row.currency),
+        amountCents: row.amount_cents,
+        currency: row.currency,
+        kind: row.kind,
+        reference: row.reference,
+        description: row.description,
+        createdBy: row.created_by,
+        createdAt: row.created_at
+    }));
+}
+
+/**
+ * 📒 Reporte de conciliación:
+ * - usuarios cuyo users.balance no coincide con la suma de su cartera en el libro
+ * - asientos descuadrados (no debería haber ninguno)
+ * - saldo de cada cuenta de la plataforma
+ */
+export async function reconcileLedger() {
+    const usersResult = await client.execute(`
+        SELECT u.id, u.username, u.balance_cents, u.currency,
+               COALESCE((SELECT ${WALLET_BALANCE_SQL} FROM ledger_entries e WHERE e.account = 'wallet' AND e.user_id = u.id), 0) AS ledger_balance_cents
+        FROM users u
+        ORDER BY u.id
+    `);
+
+    const mismatches = usersResult.rows
+        .filter(row => row.balance_cents !== row.ledger_balance_cents)
+        .map(row => ({
+            userId: row.id,
+            username: row.username,
+            currency: row.currency,
+            storedBalance: fromCents(row.balance_cents, row.currency),
+            ledgerBalance: fromCents(row.ledger_balance_cents, row.currency),
+            difference: fromCents(row.balance_cents - row.ledger_balance_cents, row.currency),
+            storedBalanceCents: row.balance_cents,
+            ledgerBalanceCents: row.ledger_balance_cents,
+            differenceCents: row.balance_cents - row.ledger_balance_cents
+        }));
+
+    const journalsResult = await client.execute(`
+        SELECT journal_id,
+               SUM(CASE WHEN direction = 'debit' THEN amount_cents ELSE 0 END) AS debits,
+               SUM(CASE WHEN direction = 'credit' THEN amount_cents ELSE 0 END) AS credits
+        FROM ledger_entries
+        GROUP BY journal_id
+        HAVING debits <> credits
+    `);
+
+    const accountsResult = await client.execute(`
+        SELECT account, currency,
+               SUM(CASE WHEN direction = 'debit' THEN amount_cents ELSE 0 END) AS debits,
+               SUM(CASE WHEN direction = 'credit' THEN amount_cents ELSE 0 END) AS credits
+        FROM ledger_entries
+        GROUP BY account, currency
+        ORDER BY account, currency
+    `);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        usersChecked: usersResult.rows.length,
+        mismatches,
+        unbalancedJournals: journalsResult.rows.map(row => ({ journalId: row.journal_id, debitsCents: row.debits, creditsCents: row.credits })),
+        accounts: accountsResult.rows.map(row => ({
+            account: row.account,
+            currency: row.currency,
+            debits: fromCents(row.debits, row.currency),
+            credits: fromCents(row.credits, row.currency),
+            debitsCents: row.debits,
+            creditsCents: row.credits
+        }))
+    };
+}
+
+/**
+ * 🟡 MIGRACIÓN: Registra como saldo de apertura el saldo de los usuarios que aún no tienen movimientos en el libro.
+ * Es segura de re-ejecutar (solo toca usuarios sin partidas de cartera).
+ */
+export async function openLedgerBalances() {
+    const result = await client.execute(`
+        SELECT id, balance_cents, currency FROM users
+        WHERE balance_cents <> 0
+          AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.account = 'wallet' AND e.user_id = users.id)
+    `);
+    if (result.rows.length === 0) return;
+
+    console.log(`🟡 Migrating: Opening ledger balances for ${result.rows.length} user(s)...`);
+    for (const user of result.rows) {
+        const amountCents = Math.abs(user.balance_cents);
+        const isPositive = user.balance_cents > 0;
+        // Solo se registra el asiento: el saldo guardado ya es el de apertura
+        await client.batch(journalStatements(LEDGER_KINDS.OPENING_BALANCE, [
+            accountEntry(LEDGER_ACCOUNTS.OPENING_BALANCES, isPositive ? 'debit' : 'credit', amountCents),
+            walletEntry(user.id, isPositive ? 'credit' : 'debit', amountCents)
+        ], { reference: `user:${user.id}`, description: 'Saldo de apertura', updateBalances: false, currency: user.currency }), 'write');
+    }
+    console.log("✅ Migration successful: opening balances recorded in the ledger.");
+}
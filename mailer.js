@@ -0,0 +1,129 @@
+// MeluFrontend - copia/backend/mailer.js
+
+import nodemailer from 'nodemailer';
+import 'dotenv/config';
+
+const MAIL_FROM = process.env.MAIL_FROM || (process.env.EMAIL_USER ? `MeluStreaming <${process.env.EMAIL_USER}>` : 'MeluStreaming <no-reply@melustreaming.local>');
+
+/**
+ * Crea el transporte según el entorno:
+ * - MAIL_TRANSPORT=json  -> jsonTransport de nodemailer (no envía nada; útil en pruebas)
+ * - SMTP_HOST            -> SMTP genérico (p. ej. un catcher local como MailHog en localhost:1025)
+ * - EMAIL_USER/EMAIL_PASS -> Gmail
+ */
+export function createTransportFromEnv() {
+    if (process.env.MAIL_TRANSPORT === 'json') {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    if (process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        return nodemailer.createTransport({
+            service: 'gmail',
+            auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        });
+    }
+
+    console.warn("🟡 Mailer: No hay transporte de correo configurado. Los correos solo se registrarán en consola.");
+    return nodemailer.createTransport({ jsonTransport: true });
+}
+
+let transport = createTransportFromEnv();
+
+/**
+ * Reemplaza el transporte activo (cualquier objeto con sendMail compatible con nodemailer).
+ */
+export function setMailTransport(newTransport) {
+    transport = newTransport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+    const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+    if (info.message && typeof info.message === 'string') {
+        // jsonTransport: el mensaje se devuelve serializado en lugar de enviarse
+        console.log(`📧 Mail (json) a ${to}: ${subject}`);
+    } else {
+        console.log(`📧 Mail enviado a ${to}: ${subject}`);
+    }
+    return info;
+}
+
+// --- Plantillas ---
+
+// Datos escritos por usuarios (nombres, descripciones) dentro del HTML del correo
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+export function sendPasswordResetEmail(to, { code, link, expiresInMinutes }) {
+    return sendMail({
+        to,
+        subject: 'Restablece tu contraseña de MeluStreaming',
+        text: `Recibimos una solicitud para restablecer tu contraseña.\n\n` +
+            `Tu código es: ${code}\n` +
+            `O abre este enlace: ${link}\n\n` +
+            `El código vence en ${expiresInMinutes} minutos y solo puede usarse una vez. ` +
+            `Si no lo solicitaste, ignora este correo.`,
+        html: `<p>Recibimos una solicitud para restablecer tu contraseña.</p>` +
+            `<p>Tu código es: <strong>${code}</strong></p>` +
+            `<p><a href="${link}">Restablecer contraseña</a></p>` +
+            `<p>El código vence en ${expiresInMinutes} minutos y solo puede usarse una vez. Si no lo solicitaste, ignora este correo.</p>`
+    });
+}
+
+export function sendEmailVerificationEmail(to, { code, link, expiresInMinutes }) {
+    return sendMail({
+        to,
+        subject: 'Verifica tu correo de MeluStreaming',
+        text: `¡Bienvenido a MeluStreaming!\n\n` +
+            `Tu código de verificación es: ${code}\n` +
+            `O abre este enlace: ${link}\n\n` +
+            `El código vence en ${expiresInMinutes} minutos.`,
+        html: `<p>¡Bienvenido a MeluStreaming!</p>` +
+            `<p>Tu código de verificación es: <strong>${code}</strong></p>` +
+            `<p><a href="${link}">Verificar correo</a></p>` +
+            `<p>El código vence en ${expiresInMinutes} minutos.</p>`
+    });
+}
+
+export function sendLoginCodeEmail(to, { code, expiresInMinutes }) {
+    return sendMail({
+        to,
+        subject: 'Tu código de acceso a MeluStreaming',
+        text: `Tu código de acceso es: ${code}\n\n` +
+            `El código vence en ${expiresInMinutes} minutos. ` +
+            `Si no intentaste iniciar sesión, cambia tu contraseña de inmediato.`,
+        html: `<p>Tu código de acceso es: <strong>${code}</strong></p>` +
+            `<p>El código vence en ${expiresInMinutes} minutos. Si no intentaste iniciar sesión, cambia tu contraseña de inmediato.</p>`
+    });
+}
+
+export function sendRechargeExpiredEmail(to, { description, expiryHours }) {
+    return sendMail({
+        to,
+        subject: 'Tu solicitud de recarga venció',
+        text: `Tu solicitud "${description}" no fue revisada en ${expiryHours} horas y venció.\n\n` +
+            `Si ya realizaste el pago, vuelve a enviar la solicitud con el mismo número de operación y el comprobante.`,
+        html: `<p>Tu solicitud <strong>${escapeHtml(description)}</strong> no fue revisada en ${expiryHours} horas y venció.</p>` +
+            `<p>Si ya realizaste el pago, vuelve a enviar la solicitud con el mismo número de operación y el comprobante.</p>`
+    });
+}
+
+export function sendWithdrawalsEscalatedEmail(to, { withdrawals, escalationHours }) {
+    const lines = withdrawals.map(w => `#${w.id} - ${w.username}: ${w.amount} (desde ${w.createdAt})`);
+    return sendMail({
+        to,
+        subject: `${withdrawals.length} retiro(s) pendiente(s) hace más de ${escalationHours} horas`,
+        text: `Estos retiros siguen pendientes hace más de ${escalationHours} horas:\n\n${lines.join('\n')}`,
+        html: `<p>Estos retiros siguen pendientes hace más de ${escalationHours} horas:</p>` +
+            `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+    });
+}
@@ -0,0 +1,122 @@
+// MeluFrontend - copia/backend/money.js
+
+// 💵 Dinero en unidades menores (centavos) + código de moneda
+// En la base de datos y en los cálculos todo monto es un entero de centavos (columnas '*_cents', campos '*Cents').
+// Los decimales solo aparecen en los bordes: al leer lo que manda el frontend (toCents) y al responderle (fromCents).
+// Así las comisiones, descuentos y reembolsos proporcionales se redondean una sola vez y no acumulan errores de float.
+export const DEFAULT_CURRENCY = 'USD';
+
+// Decimales de cada moneda soportada (ISO 4217)
+const CURRENCY_DECIMALS = {
+    USD: 2,
+    PEN: 2
+};
+
+const CURRENCY_SYMBOLS = {
+    USD: '$',
+    PEN: 'S/ '
+};
+
+function minorUnitFactor(currency) {
+    const decimals = CURRENCY_DECIMALS[currency];
+    if (decimals === undefined) throw new Error(`Money: moneda no soportada '${currency}'.`);
+    return 10 ** decimals;
+}
+
+// Redondeo "half away from zero" tolerante a la representación binaria (1.005 * 100 = 100.49999...)
+function roundHalfUp(value) {
+    const normalized = Number(value.toPrecision(12));
+    return Math.sign(normalized) * Math.round(Math.abs(normalized));
+}
+
+/**
+ * ¿Es un código de moneda soportado?
+ */
+export function isSupportedCurrency(currency) {
+    return Object.prototype.hasOwnProperty.call(CURRENCY_DECIMALS, currency);
+}
+
+/**
+ * Monto decimal (número o texto, p. ej. 12.5 o "12.50") a centavos. Devuelve NaN si no es un número válido.
+ */
+export function toCents(value, currency = DEFAULT_CURRENCY) {
+    if (value === null || value === undefined || value === '') return NaN;
+    const numeric = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(numeric)) return NaN;
+    return roundHalfUp(numeric * minorUnitFactor(currency));
+}
+
+/**
+ * Centavos a monto decimal (para las respuestas JSON al frontend).
+ */
+export function fromCents(cents, currency = DEFAULT_CURRENCY) {
+    return (Number(cents) || 0) / minorUnitFactor(currency);
+}
+
+/**
+ * Aplica una tasa (0.10 = 10%) a un monto en centavos, redondeando al centavo.
+ */
+export function percentOf(cents, rate) {
+    return roundHalfUp(cents * rate);
+}
+
+/**
+ * Parte proporcional `part / whole` de un monto en centavos (p. ej. días restantes / días totales).
+ */
+export function prorate(cents, part, whole) {
+    if (!whole) return 0;
+    return roundHalfUp((cents * part) / whole);
+}
+
+/**
+ * Convierte entre monedas con una tasa 'unidades de `from` por 1 unidad de `to`' (p. ej. 3.65 PEN por USD).
+ */
+export function convertCents(cents, rate, from, to) {
+    if (!rate || rate <= 0) throw new Error('Money: tasa de cambio inválida.');
+    const amount = fromCents(cents, from) / rate;
+    return toCents(amount, to);
+}
+
+/**
+ * Monto como texto con los decimales de la moneda, sin símbolo: formatAmount(1250) → "12.50".
+ */
+export function formatAmount(cents, currency = DEFAULT_CURRENCY) {
+    return fromCents(cents, currency).toFixed(CURRENCY_DECIMALS[currency] ?? 2);
+}
+
+/**
+ * Texto para mensajes y descripciones: formatMoney(1250) → "$12.50".
+ */
+export function formatMoney(cents, currency = DEFAULT_CURRENCY) {
+    const sign = cents < 0 ? '-' : '';
+    return `${sign}${CURRENCY_SYMBOLS[currency] ?? `${currency} `}${formatAmount(Math.abs(cents), currency)}`;
+}
+
+/**
+ * Copia de `object` con el monto decimal de cada campo `<campo>Cents` listado en `fields` (`amount` ← `amountCents`).
+ * Los campos en centavos se conservan para los clientes que ya los usen.
+ */
+export function withAmounts(object, fields, currency = DEFAULT_CURRENCY) {
+    if (!object || typeof object !== 'object') return object;
+    const result = { ...object };
+    for (const field of fields) {
+        const cents = object[`${field}Cents`];
+        if (cents !== undefined && cents !== null) result[field] = fromCents(cents, currency);
+    }
+    return result;
+}
+
+/**
+ * Inverso de withAmounts() para datos heredados: reemplaza cada campo decimal de `fields` por `<campo>Cents`.
+ */
+export function withCents(object, fields, currency = DEFAULT_CURRENCY) {
+    if (!object || typeof object !== 'object') return object;
+    const result = { ...object };
+    for (const field of fields) {
+        if (!(field in result)) continue;
+        const cents = toCents(result[field], currency);
+        delete result[field];
+        if (!isNaN(cents)) result[`${field}Cents`] = cents;
+    }
+    return result;
+}
@@ -0,0 +1,135 @@
+// MeluFrontend - copia/backend/paymentProviders.js
+
+import crypto from 'crypto';
+import 'dotenv/config';
+import { client } from './db.js';
+import { toCents } from './money.js';
+
+// 🔌 Proveedores de pago con webhook (aprobación automática de recargas)
+// Cada proveedor se registra con registerPaymentProvider() y recibe sus avisos en POST /webhooks/payments/:nombre.
+// Interfaz de un proveedor:
+// - name
+// - verifySignature(rawBody: Buffer, headers) -> boolean   (firma HMAC del cuerpo tal como llegó)
+// - parseEvent(rawBody: Buffer) -> { id, type, method, operationNumber, amountCents, currency } | null
+// El servidor busca la recarga 'Pendiente' con ese método y número de operación y la aprueba si el monto coincide.
+export const PAYMENT_EVENT_TYPES = {
+    PAYMENT_SUCCEEDED: 'payment.succeeded'
+};
+
+// Resultado guardado de cada aviso (tabla 'payment_webhook_events')
+export const WEBHOOK_EVENT_STATUS = {
+    PROCESSING: 'processing',
+    APPROVED: 'approved',
+    ALREADY_PROCESSED: 'already_processed',
+    UNMATCHED: 'unmatched',
+    NEEDS_REVIEW: 'needs_review',
+    IGNORED: 'ignored',
+    FAILED: 'failed'
+};
+
+const providers = new Map();
+
+export function registerPaymentProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+export function getPaymentProvider(name) {
+    return providers.get(name) || null;
+}
+
+/**
+ * Firma HMAC-SHA256 en hexadecimal.
+ */
+export function hmacSha256(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Comparación en tiempo constante (no revela cuántos caracteres coinciden)
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * 🧪 Proveedor de prueba para desarrollo sin conexión (se activa con FAKE_PAYMENT_WEBHOOK_SECRET, nunca en producción).
+ * Cabecera 'X-Fake-Signature: t=<segundos unix>,v1=<HMAC-SHA256(secreto, "<t>.<cuerpo>")>'. Cuerpo:
+ * { "id": "evt_1", "type": "payment.succeeded", "data": { "method": "Yape", "operationNumber": "123", "amount": "37.00", "currency": "PEN" } }
+ * sign() arma la cabecera para un cuerpo dado (útil para simular el aviso con curl o en pruebas).
+ */
+export class FakePaymentProvider {
+    constructor({ secret, toleranceSeconds = 5 * 60 }) {
+        this.name = 'fake';
+        this.secret = secret;
+        this.toleranceSeconds = toleranceSeconds;
+    }
+
+    sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+        return `t=${timestamp},v1=${hmacSha256(this.secret, `${timestamp}.${rawBody}`)}`;
+    }
+
+    verifySignature(rawBody, headers) {
+        const header = headers['x-fake-signature'];
+        if (typeof header !== 'string') return false;
+
+        const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=', 2)));
+        const timestamp = parseInt(parts.t);
+        if (!timestamp || !parts.v1) return false;
+        // Un aviso viejo reenviado por un tercero no se acepta aunque la firma sea válida
+        if (Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) return false;
+
+        return safeEqual(parts.v1, hmacSha256(this.secret, `${timestamp}.${rawBody.toString('utf8')}`));
+    }
+
+    parseEvent(rawBody) {
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (e) {
+            return null;
+        }
+        const data = payload?.data || {};
+        if (!payload?.id || !payload?.type) return null;
+
+        return {
+            id: String(payload.id),
+            type: payload.type,
+            method: data.method,
+            operationNumber: data.operationNumber,
+            amountCents: toCents(data.amount, data.currency),
+            currency: data.currency
+        };
+    }
+}
+
+if (process.env.FAKE_PAYMENT_WEBHOOK_SECRET && process.env.NODE_ENV !== 'production') {
+    registerPaymentProvider(new FakePaymentProvider({ secret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET }));
+    console.log("🧪 Payments: Proveedor de prueba 'fake' activo en /webhooks/payments/fake.");
+}
+
+// --- Registro de avisos (los proveedores reintentan: cada evento se procesa una sola vez) ---
+
+/**
+ * Registra el aviso como 'processing'. Devuelve false si ya se había recibido (salvo que haya fallado antes).
+ */
+export async function claimWebhookEvent(providerName, event, rawBody) {
+    const result = await client.execute({
+        sql: `INSERT INTO payment_webhook_events (provider, event_id, event_type, status, payload)
+              VALUES (?, ?, ?, ?, ?)
+              ON CONFLICT (provider, event_id) DO UPDATE SET status = excluded.status, payload = excluded.payload
+              WHERE payment_webhook_events.status = ?`,
+        args: [providerName, event.id, event.type, WEBHOOK_EVENT_STATUS.PROCESSING, rawBody.toString('utf8'), WEBHOOK_EVENT_STATUS.FAILED]
+    });
+    return result.rowsAffected > 0;
+}
+
+/**
+ * Guarda el resultado del aviso (WEBHOOK_EVENT_STATUS) y la recarga a la que corresponde, si se encontró.
+ */
+export async function finishWebhookEvent(providerName, eventId, status, { userId = null, txId = null } = {}) {
+    await client.execute({
+        sql: `UPDATE payment_webhook_events SET status = ?, user_id = ?, tx_id = ?, processed_at = CURRENT_TIMESTAMP
+              WHERE provider = ? AND event_id = ?`,
+        args: [status, userId, txId === null ? null : String(txId), providerName, eventId]
+    });
+}
@@ -0,0 +1,111 @@
+// MeluFrontend - copia/backend/permissions.js
+
+import { client } from './db.js';
+
+// 🔑 Roles existentes en la columna users.role
+export const ROLES = {
+    ADMIN: 'Admin',
+    SUPPLIER: 'proveedor',
+    SUPPLIER_PREMIUM: 'Proveedor Premium',
+    DISTRIBUTOR: 'distribuidor',
+    DISTRIBUTOR_PREMIUM: 'Distribuidor Premium',
+    USER: 'Usuario',
+    PENDING: 'Pending'
+};
+
+export const SUPPLIER_ROLES = [ROLES.SUPPLIER, ROLES.SUPPLIER_PREMIUM];
+export const DISTRIBUTOR_ROLES = [ROLES.DISTRIBUTOR, ROLES.DISTRIBUTOR_PREMIUM];
+
+// Roles que compran a precio 'price_premium' (el resto paga 'price_standard')
+export const PREMIUM_PRICING_ROLES = [ROLES.ADMIN, ...SUPPLIER_ROLES, ...DISTRIBUTOR_ROLES];
+
+export function canUsePremiumPricing(role) {
+    return PREMIUM_PRICING_ROLES.includes(role);
+}
+
+/**
+ * Respuesta 403 única para todas las denegaciones.
+ * reason: 'ROLE_REQUIRED' | 'NOT_OWNER' | 'PREMIUM_REQUIRED' | 'PROTECTED_ACCOUNT' | ...
+ */
+export function forbidden(res, reason, message = 'No tienes permiso para realizar esta acción.', extra = {}) {
+    return res.status(403).json({ message, code: 'FORBIDDEN', reason, ...extra });
+}
+
+/**
+ * Middleware: solo deja pasar a los roles indicados. El Admin siempre tiene acceso.
+ * Uso: app.post('/products', requireAuth, requireRole(...SUPPLIER_ROLES), ...)
+ */
+export function requireRole(...roles) {
+    return (req, res, next) => {
+        if (req.user.role === ROLES.ADMIN || roles.includes(req.user.role)) {
+            return next();
+        }
+        forbidden(res, 'ROLE_REQUIRED', 'Tu rol no tiene acceso a esta sección.', { requiredRoles: roles });
+    };
+}
+
+/**
+ * Middleware: el parámetro de ruta indicado debe coincidir con el usuario autenticado (el Admin puede ver cualquiera).
+ * Uso: app.get('/profile/:userId', requireAuth, requireSelf('userId'), ...)
+ */
+export function requireSelf(paramName) {
+    return (req, res, next) => {
+        if (Number(req.params[paramName]) === req.user.id || req.user.role === ROLES.ADMIN) {
+            return next();
+        }
+        forbidden(res, 'NOT_OWNER', 'No tienes permiso para acceder a este recurso.');
+    };
+}
+
+/**
+ * Middleware: exige el correo verificado (las cuentas anteriores a la verificación ya están marcadas como verificadas).
+ */
+export function requireVerifiedEmail(req, res, next) {
+    if (req.user.emailVerified) {
+        return next();
+    }
+    forbidden(res, 'EMAIL_NOT_VERIFIED', 'Debes verificar tu correo electrónico para realizar esta operación.');
+}
+
+/**
+ * Middleware genérico de propiedad: loadOwnerId(req) devuelve el id del dueño del recurso (o null si no existe).
+ */
+export function requireOwnership(loadOwnerId) {
+    return async (req, res, next) => {
+        try {
+            const ownerId = await loadOwnerId(req);
+            if (ownerId === null || ownerId === undefined) {
+                return res.status(404).json({ message: 'Recurso no encontrado.' });
+            }
+            if (Number(ownerId) === req.user.id || req.user.role === ROLES.ADMIN) {
+                return next();
+            }
+            forbidden(res, 'NOT_OWNER', 'Este recurso pertenece a otro proveedor.');
+        } catch (error) {
+            console.error('Ownership check error:', error);
+            res.status(500).json({ message: 'Error interno del servidor al verificar permisos.' });
+        }
+    };
+}
+
+// 🔹 Dueño de un producto (products.creator_user_id)
+export function requireProductOwner(getProductId) {
+    return requireOwnership(async (req) => {
+        const result = await client.execute({
+            sql: 'SELECT creator_user_id FROM products WHERE id = ?',
+            args: [getProductId(req) ?? null]
+        });
+        return result.rows[0]?.creator_user_id ?? null;
+    });
+}
+
+// 🔹 Dueño de un ítem de stock (product_stock.provider_user_id)
+export function requireStockOwner(getStockId) {
+    return requireOwnership(async (req) => {
+        const result = await client.execute({
+            sql: 'SELECT provider_user_id FROM product_stock WHERE id = ?',
+            args: [getStockId(req) ?? null]
+        });
+        return result.rows[0]?.provider_user_id ?? null;
+    });
+}
@@ -0,0 +1,251 @@
+// MeluFrontend - copia/backend/pricing.js
+
+import { client } from './db.js';
+import { ROLES, SUPPLIER_ROLES, canUsePremiumPricing } from './permissions.js';
+import { DEFAULT_CURRENCY, toCents, fromCents, percentOf } from './money.js';
+
+// 💲 Motor de precios: el servidor calcula lo que se cobra, el cliente solo confirma la cifra
+// 1. Precio base por unidad: 'price_premium' para los roles con precio premium (ver permissions.js), 'price_standard' para el resto.
+//    En renovaciones: 'price_renewal_premium' / 'price_renewal_standard' por mes.
+//    Si el producto no tiene precio premium (0, el proveedor no lo indicó), los roles premium pagan el estándar.
+// 2. Miembros Premium (Distribuidor/Proveedor Premium): descuento de la categoría del producto (categories.discount_premium_percentage).
+// 3. Descuento personal del usuario (users.discount_percentage).
+// Los descuentos se aplican al precio unitario (redondeado al centavo) y el total es unitario × cantidad,
+// así el precio por unidad guardado en el stock vendido siempre cuadra con el total cobrado.
+const PREMIUM_MEMBER_ROLES = [ROLES.SUPPLIER_PREMIUM, ROLES.DISTRIBUTOR_PREMIUM];
+
+export const MAX_QUOTE_QUANTITY = 100;
+export const MAX_RENEWAL_MONTHS = 24;
+
+// 📢 Planes de publicación (settings 'publication_plans', JSON en centavos)
+// - pricePerMonthCents: precio mensual por rol de proveedor (los roles sin precio propio pagan el de 'proveedor')
+// - multiMonthDiscounts: descuento según la cantidad de meses (se aplica el tramo más alto alcanzado)
+// - maxMonths: máximo de meses por pago
+export const DEFAULT_PUBLICATION_PLANS = {
+    currency: DEFAULT_CURRENCY,
+    pricePerMonthCents: { [ROLES.SUPPLIER]: 500, [ROLES.SUPPLIER_PREMIUM]: 300 },
+    multiMonthDiscounts: [
+        { minMonths: 3, percentage: 5 },
+        { minMonths: 6, percentage: 10 },
+        { minMonths: 12, percentage: 20 }
+    ],
+    maxMonths: 12
+};
+
+const SETTINGS_CACHE_TTL_MS = 30 * 1000;
+
+export class PriceMismatchError extends Error {
+    constructor(quote) {
+        super(`Price mismatch: expected ${quote.totalCents} cents`);
+        this.name = 'PriceMismatchError';
+        this.quote = quote;
+    }
+}
+
+// El total cotizado es 0 (sin precio o con 100% de descuento): no hay nada que cobrar ni acreditar
+export class ZeroPriceError extends Error {
+    constructor(quote) {
+        super(`Zero price quote for product ${quote.productId}`);
+        this.name = 'ZeroPriceError';
+        this.quote = quote;
+    }
+}
+
+function clampPercentage(value) {
+    const numeric = Number(value) || 0;
+    return Math.min(100, Math.max(0, numeric));
+}
+
+async function getCategoryDiscountPercentage(categoryName) {
+    if (!categoryName) return 0;
+    const result = await client.execute({
+        sql: 'SELECT discount_premium_percentage FROM categories WHERE name = ? LIMIT 1',
+        args: [categoryName]
+    });
+    return clampPercentage(result.rows[0]?.discount_premium_percentage);
+}
+
+async function buildQuote(kind, user, product, units, premiumCents, standardCents) {
+    const premium = canUsePremiumPricing(user.role) && premiumCents > 0;
+    const baseCents = premium ? premiumCents : standardCents;
+    const categoryDiscountPercentage = PREMIUM_MEMBER_ROLES.includes(user.role)
+        ? await getCategoryDiscountPercentage(product.platform)
+        : 0;
+    const userDiscountPercentage = clampPercentage(user.discount_percentage);
+
+    const afterCategory = percentOf(baseCents, 1 - categoryDiscountPercentage / 100);
+    const unitPriceCents = percentOf(afterCategory, 1 - userDiscountPercentage / 100);
+
+    return {
+        kind,
+        productId: product.id,
+        currency: product.currency || DEFAULT_CURRENCY,
+        tier: premium ? 'premium' : 'standard',
+        units,
+        basePriceCents: baseCents,
+        categoryDiscountPercentage,
+        userDiscountPercentage,
+        unitPriceCents,
+        totalCents: unitPriceCents * units
+    };
+}
+
+/**
+ * Cotización de una compra. `user` necesita role y discount_percentage; `product`, los precios en centavos y platform.
+ */
+export function quotePurchase(user, product, quantity) {
+    return buildQuote('purchase', user, product, quantity, product.price_premium_cents, product.price_standard_cents);
+}
+
+/**
+ * Cotización de una renovación por `months` meses.
+ */
+export function quoteRenewal(user, product, months) {
+    return buildQuote('renewal', user, product, months, product.price_renewal_premium_cents, product.price_renewal_standard_cents);
+}
+
+/**
+ * Lanza ZeroPriceError si la compra o renovación cotizada no cuesta nada.
+ */
+export function assertChargeable(quote) {
+    if (!(quote.totalCents > 0)) throw new ZeroPriceError(quote);
+}
+
+/**
+ * Lanza PriceMismatchError si el total que vio el cliente no es el calculado (p. ej. cambió el precio o el descuento).
+ * `quotedUnitCents` es opcional (precio por unidad que mostró el frontend).
+ */
+export function assertQuotedPrice(quote, quotedTotalCents, quotedUnitCents = null) {
+    const unitMatches = quotedUnitCents === null || isNaN(quotedUnitCents) || quotedUnitCents === quote.unitPriceCents;
+    if (quotedTotalCents !== quote.totalCents || !unitMatches) {
+        throw new PriceMismatchError(quote);
+    }
+}
+
+/**
+ * Cotización para el frontend: montos decimales + centavos.
+ */
+export function presentQuote(quote) {
+    return {
+        ...quote,
+        basePrice: fromCents(quote.basePriceCents, quote.currency),
+        unitPrice: fromCents(quote.unitPriceCents, quote.currency),
+        total: fromCents(quote.totalCents, quote.currency)
+    };
+}
+
+/**
+ * Responde 400 PRICE_UNAVAILABLE (total 0) o 409 PRICE_MISMATCH con la cotización vigente. Devuelve true si el error era de precio.
+ */
+export function rejectPricingError(res, error) {
+    if (error instanceof ZeroPriceError) {
+        res.status(400).json({
+            message: 'Este producto no tiene un precio válido. Contacta al proveedor.',
+            code: 'PRICE_UNAVAILABLE'
+        });
+        return true;
+    }
+    if (!(error instanceof PriceMismatchError)) return false;
+    res.status(409).json({
+        message: 'El precio cambió. Revisa el nuevo monto antes de confirmar.',
+        code: 'PRICE_MISMATCH',
+        quote: presentQuote(error.quote)
+    });
+    return true;
+}
+
+// --- Planes de publicación ---
+
+let publicationPlansCache = null;
+let publicationPlansCacheExpiresAt = 0;
+
+/**
+ * Planes de publicación vigentes ('settings' combinado con DEFAULT_PUBLICATION_PLANS, con caché corta).
+ */
+export async function getPublicationPlans() {
+    if (publicationPlansCache && publicationPlansCacheExpiresAt > Date.now()) return publicationPlansCache;
+
+    const result = await client.execute("SELECT value FROM settings WHERE key = 'publication_plans'");
+    let stored = {};
+    if (result.rows.length > 0) {
+        try {
+            stored = JSON.parse(result.rows[0].value);
+        } catch (e) {
+            console.warn(`🟡 Pricing: Planes de publicación inválidos en settings (${result.rows[0].value}). Se usan los valores por defecto.`);
+        }
+    }
+
+    publicationPlansCache = {
+        ...DEFAULT_PUBLICATION_PLANS,
+        ...stored,
+        pricePerMonthCents: { ...DEFAULT_PUBLICATION_PLANS.pricePerMonthCents, ...stored.pricePerMonthCents }
+    };
+    publicationPlansCacheExpiresAt = Date.now() + SETTINGS_CACHE_TTL_MS;
+    return publicationPlansCache;
+}
+
+/**
+ * Fuerza la relectura de 'settings' (tras editar los planes desde el panel de Admin).
+ */
+export function invalidatePublicationPlans() {
+    publicationPlansCache = null;
+}
+
+/**
+ * Valida planes enviados por el Admin (montos en decimales) y los devuelve en el formato guardado, o null si no son válidos.
+ * Body: { pricesPerMonth: { 'proveedor': 5, ... }, multiMonthDiscounts: [{ minMonths, percentage }], maxMonths }
+ */
+export function parsePublicationPlans({ pricesPerMonth = {}, multiMonthDiscounts = [], maxMonths } = {}, currency = DEFAULT_CURRENCY) {
+    const pricePerMonthCents = {};
+    for (const [role, price] of Object.entries(pricesPerMonth)) {
+        if (!SUPPLIER_ROLES.includes(role) || typeof price !== 'number' || !(price >= 0)) return null;
+        pricePerMonthCents[role] = toCents(price, currency);
+    }
+    if (!Array.isArray(multiMonthDiscounts)) return null;
+    const discounts = [];
+    for (const { minMonths, percentage } of multiMonthDiscounts) {
+        if (!Number.isInteger(minMonths) || minMonths < 2 || typeof percentage !== 'number' || percentage < 0 || percentage >= 100) return null;
+        discounts.push({ minMonths, percentage });
+    }
+    if (!Number.isInteger(maxMonths) || maxMonths < 1 || maxMonths > 36) return null;
+
+    return { currency, pricePerMonthCents, multiMonthDiscounts: discounts.sort((a, b) => a.minMonths - b.minMonths), maxMonths };
+}
+
+/**
+ * Planes para el frontend: agrega el precio mensual en decimales.
+ */
+export function presentPublicationPlans(plans) {
+    const pricesPerMonth = {};
+    for (const [role, cents] of Object.entries(plans.pricePerMonthCents)) {
+        pricesPerMonth[role] = fromCents(cents, plans.currency);
+    }
+    return { ...plans, pricesPerMonth };
+}
+
+/**
+ * Cotización del pago de publicación de `months` meses para el rol indicado. Lanza RangeError si los meses no son válidos.
+ */
+export async function quotePublication(role, months) {
+    const plans = await getPublicationPlans();
+    if (!Number.isInteger(months) || months < 1 || months > plans.maxMonths) {
+        throw new RangeError(`Publication months must be between 1 and ${plans.maxMonths}`);
+    }
+
+    const basePriceCents = plans.pricePerMonthCents[role] ?? plans.pricePerMonthCents[ROLES.SUPPLIER];
+    const discount = plans.multiMonthDiscounts
+        .filter(tier => months >= tier.minMonths)
+        .reduce((best, tier) => Math.max(best, tier.percentage), 0);
+    const unitPriceCents = percentOf(basePriceCents, 1 - discount / 100);
+
+    return {
+        kind: 'publication',
+        currency: plans.currency,
+        tier: role,
+        units: months,
+        basePriceCents,
+        multiMonthDiscountPercentage: discount,
+        unitPriceCents,
+        totalCents: unitPriceCents * months
+    };
+}
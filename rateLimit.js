@@ -0,0 +1,224 @@
+// MeluFrontend - copia/backend/rateLimit.js
+
+import { client } from './db.js';
+
+// 🚦 Límites de peticiones (por IP y por cuenta) y bloqueo progresivo de login
+// Los valores se leen de la tabla 'settings' (claves 'rate_limit_<nombre>' y 'login_lockout', en JSON);
+// si no existen se usan estos valores por defecto. Un máximo de 0 desactiva ese límite.
+export const DEFAULT_RATE_LIMITS = {
+    login: { windowSeconds: 15 * 60, maxPerIp: 30, maxPerAccount: 10 },
+    register: { windowSeconds: 60 * 60, maxPerIp: 10, maxPerAccount: 0 },
+    auth_code: { windowSeconds: 15 * 60, maxPerIp: 20, maxPerAccount: 5 },
+    purchase: { windowSeconds: 60, maxPerIp: 60, maxPerAccount: 20 },
+    money: { windowSeconds: 60 * 60, maxPerIp: 30, maxPerAccount: 10 },
+    upload: { windowSeconds: 60 * 60, maxPerIp: 30, maxPerAccount: 10 }
+};
+
+// Tras maxFailures intentos fallidos se bloquea la cuenta; cada bloqueo nuevo dura el doble (hasta maxLockSeconds).
+export const DEFAULT_LOGIN_LOCKOUT = { maxFailures: 5, baseLockSeconds: 60, maxLockSeconds: 60 * 60 };
+
+// El nivel de bloqueo se olvida tras un día sin fallos
+const LOCKOUT_STATE_TTL_MS = 24 * 60 * 60 * 1000;
+const SETTINGS_CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Almacenamiento en memoria (un solo proceso). Cualquier otro almacenamiento (Redis, BD...) debe
+ * implementar la misma interfaz asíncrona:
+ * - increment(key, windowMs) -> { count, resetAt }  (la ventana empieza con el primer incremento)
+ * - get(key) -> valor | null
+ * - set(key, value, ttlMs)
+ * - delete(key)
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.entries = new Map();
+        this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= now) {
+            entry = { value: 0, expiresAt: now + windowMs };
+            this.entries.set(key, entry);
+        }
+        entry.value += 1;
+        return { count: entry.value, resetAt: entry.expiresAt };
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) return null;
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+}
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Reemplaza el almacenamiento activo (ver la interfaz en MemoryRateLimitStore).
+ */
+export function setRateLimitStore(newStore) {
+    store = newStore;
+}
+
+// --- Configuración desde 'settings' ---
+
+let settingsCache = null;
+let settingsCacheExpiresAt = 0;
+
+function parseSetting(rawValue, defaults) {
+    if (!rawValue) return { ...defaults };
+    try {
+        return { ...defaults, ...JSON.parse(rawValue) };
+    } catch (e) {
+        console.warn(`🟡 RateLimit: Configuración inválida en settings (${rawValue}). Se usan los valores por defecto.`);
+        return { ...defaults };
+    }
+}
+
+/**
+ * Devuelve { limits, loginLockout } combinando 'settings' con los valores por defecto (con caché corta).
+ */
+export async function getRateLimitSettings() {
+    if (settingsCache && settingsCacheExpiresAt > Date.now()) return settingsCache;
+
+    const result = await client.execute("SELECT key, value FROM settings WHERE key LIKE 'rate_limit_%' OR key = 'login_lockout'");
+    const rows = new Map(result.rows.map(row => [row.key, row.value]));
+
+    const limits = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_RATE_LIMITS)) {
+        limits[name] = parseSetting(rows.get(`rate_limit_${name}`), defaults);
+    }
+
+    settingsCache = { limits, loginLockout: parseSetting(rows.get('login_lockout'), DEFAULT_LOGIN_LOCKOUT) };
+    settingsCacheExpiresAt = Date.now() + SETTINGS_CACHE_TTL_MS;
+    return settingsCache;
+}
+
+/**
+ * Fuerza la relectura de 'settings' (tras editar los límites desde el panel de Admin).
+ */
+export function invalidateRateLimitSettings() {
+    settingsCache = null;
+}
+
+// --- Middleware ---
+
+function setRateLimitHeaders(res, { limit, remaining, resetAt }) {
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, remaining)));
+    res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))));
+}
+
+function rejectTooManyRequests(res, retryAfterSeconds, code, message) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ message, code, retryAfter: retryAfterSeconds });
+}
+
+/**
+ * Middleware de límite de peticiones. `name` es una clave de DEFAULT_RATE_LIMITS.
+ * `account(req)` devuelve el identificador de la cuenta (email, id de usuario...) o null.
+ * Uso: app.post('/login', rateLimit('login', { account: req => req.body?.email }), ...)
+ */
+export function rateLimit(name, { account = null } = {}) {
+    return async (req, res, next) => {
+        try {
+            const { limits } = await getRateLimitSettings();
+            const config = limits[name];
+            const windowMs = config.windowSeconds * 1000;
+
+            const checks = [];
+            if (config.maxPerIp > 0) {
+                checks.push({ key: `rl:${name}:ip:${req.ip}`, limit: config.maxPerIp });
+            }
+            const accountId = account ? account(req) : null;
+            if (config.maxPerAccount > 0 && accountId) {
+                checks.push({ key: `rl:${name}:acct:${String(accountId).toLowerCase()}`, limit: config.maxPerAccount });
+            }
+            if (checks.length === 0) return next();
+
+            // Se informa el límite más restrictivo (el de menor margen restante)
+            let tightest = null;
+            for (const check of checks) {
+                const { count, resetAt } = await store.increment(check.key, windowMs);
+                const state = { limit: check.limit, remaining: check.limit - count, resetAt };
+                if (!tightest || state.remaining < tightest.remaining) tightest = state;
+            }
+
+            setRateLimitHeaders(res, tightest);
+            if (tightest.remaining < 0) {
+                const retryAfter = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+                return rejectTooManyRequests(res, retryAfter, 'RATE_LIMITED', 'Demasiadas solicitudes. Intenta nuevamente más tarde.');
+            }
+            next();
+        } catch (error) {
+            // Un fallo del limitador no debe tumbar el endpoint
+            console.error(`Rate limit error (${name}):`, error);
+            next();
+        }
+    };
+}
+
+// --- Bloqueo progresivo de login ---
+// El bloqueo es por cuenta + IP: quien conoce un correo (p. ej. el del Admin) no puede dejar fuera a su dueño fallando
+// contraseñas desde otra IP. Los intentos repartidos entre muchas IPs los frena el límite por cuenta de rateLimit('login').
+
+function lockoutKey(email, ip) {
+    return `lockout:${String(email).toLowerCase()}:${ip}`;
+}
+
+/**
+ * Si la cuenta está bloqueada para esta IP responde 429 (con Retry-After) y devuelve true.
+ */
+export async function rejectIfLoginLocked(email, ip, res) {
+    const state = await store.get(lockoutKey(email, ip));
+    if (!state?.lockedUntil || state.lockedUntil <= Date.now()) return false;
+
+    const retryAfter = Math.ceil((state.lockedUntil - Date.now()) / 1000);
+    rejectTooManyRequests(res, retryAfter, 'ACCOUNT_LOCKED', 'Demasiados intentos fallidos. La cuenta está bloqueada temporalmente.');
+    return true;
+}
+
+/**
+ * Registra un intento fallido desde `ip`. Al llegar a maxFailures se bloquea la cuenta para esa IP y el siguiente bloqueo dura el doble.
+ */
+export async function recordLoginFailure(email, ip) {
+    const { loginLockout } = await getRateLimitSettings();
+    const key = lockoutKey(email, ip);
+    const state = (await store.get(key)) || { failures: 0, lockLevel: 0, lockedUntil: 0 };
+
+    state.failures += 1;
+    if (state.failures >= loginLockout.maxFailures) {
+        const lockSeconds = Math.min(loginLockout.baseLockSeconds * 2 ** state.lockLevel, loginLockout.maxLockSeconds);
+        state.lockLevel += 1;
+        state.failures = 0;
+        state.lockedUntil = Date.now() + lockSeconds * 1000;
+        console.warn(`⚠️ RateLimit: Cuenta ${email} bloqueada ${lockSeconds}s para la IP ${ip} tras intentos fallidos (nivel ${state.lockLevel}).`);
+    }
+
+    await store.set(key, state, LOCKOUT_STATE_TTL_MS);
+}
+
+/**
+ * Limpia el contador de fallos de esa IP tras un login correcto.
+ */
+export async function clearLoginFailures(email, ip) {
+    await store.delete(lockoutKey(email, ip));
+}
@@ -0,0 +1,420 @@
+// MeluFrontend - copia/backend/recharges.js
+
+import crypto from 'crypto';
+import { client } from './db.js';
+import { DEFAULT_CURRENCY, toCents, convertCents, formatMoney } from './money.js';
+import { ATOMIC_GUARD_REASONS, guardStatement, runAtomic } from './balances.js';
+import { insertTransactionStatement, saveTransactionStatement, findUserTransaction } from './transactions.js';
+import { LEDGER_ACCOUNTS, LEDGER_KINDS, transferStatements, wallet, platform } from './ledger.js';
+import { COMMISSION_EVENTS, quoteCommissions, commissionPayoutStatements, commissionClawbackStatements } from './commissions.js';
+import { getFileStorage } from './storage.js';
+import { toSqlDate } from './auth.js';
+
+// 💳 Solicitudes de recarga (Yape / Binance)
+// Una recarga es un movimiento 'credit' en 'Pendiente' con 'isRecharge: true'; el saldo solo sube cuando el Admin
+// la aprueba (/admin/transaction/approve) o cuando llega el aviso firmado del proveedor de pago (ver paymentProviders.js). El monto acreditado siempre está en la moneda de la cuenta (USD):
+// lo pagado en otra moneda se convierte con la tasa 'exchange_rate' vigente al crear la solicitud.
+// Cada solicitud lleva su comprobante (imagen subida antes a /recharges/proofs) y un número de operación
+// que no se puede repetir en el mismo método de pago (tabla 'recharge_operations').
+// Una recarga aprobada cuyo pago se desconoce después (contracargo) se revierte: sale el saldo acreditado y se descuentan
+// las comisiones que pagó.
+export const RECHARGE_STATUS = {
+    PENDING: 'Pendiente',
+    COMPLETED: 'Completada',
+    REJECTED: 'Rechazada',
+    CANCELLED: 'Cancelada',
+    EXPIRED: 'Expirada',
+    REVERSED: 'Revertida'
+};
+
+// Condición SQL sobre 'transactions': el movimiento es una recarga (las anteriores a /recharges se marcan al migrar,
+// ver migrateLegacyRechargeFlags en transactions.js). Comisiones, ventas, reembolsos y bonos no son recargas.
+export const RECHARGE_CREDIT_SQL = "type = 'credit' AND json_extract(data, '$.isRecharge') = 1";
+
+// Moneda en que se paga cada método y clave de 'settings' con su mínimo (en esa moneda, texto decimal)
+export const RECHARGE_METHODS = {
+    Yape: { currency: 'PEN', minSettingKey: 'yape_min' },
+    Binance: { currency: 'USD', minSettingKey: 'binance_min' }
+};
+
+const DEFAULT_EXCHANGE_RATE = 3.65;
+const DEFAULT_MIN_AMOUNT = '10.00';
+const MAX_PAYMENT_REFERENCE_LENGTH = 100;
+
+// Comprobantes: solo imágenes, reconocidas por su firma (no basta con el Content-Type)
+export const MAX_PAYMENT_PROOF_BYTES = 5 * 1024 * 1024;
+const PAYMENT_PROOF_TYPES = {
+    'image/png': { extension: 'png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    'image/jpeg': { extension: 'jpg', matches: buffer => buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF },
+    'image/webp': { extension: 'webp', matches: buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' }
+};
+export const PAYMENT_PROOF_CONTENT_TYPES = Object.keys(PAYMENT_PROOF_TYPES);
+
+/**
+ * Número de operación comparable: sin espacios y en mayúsculas ('abc 123' y 'ABC123' son el mismo comprobante).
+ */
+export function normalizeOperationNumber(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase() : '';
+}
+
+/**
+ * Tasa de cambio (PEN por 1 USD) y mínimos de cada método en centavos, leídos de 'settings'.
+ */
+export async function getRechargeConfig() {
+    const result = await client.execute("SELECT key, value FROM settings WHERE key IN ('exchange_rate', 'yape_min', 'binance_min')");
+    const values = new Map(result.rows.map(row => [row.key, row.value]));
+
+    const exchangeRate = parseFloat(values.get('exchange_rate'));
+    const minimumsCents = {};
+    for (const [method, { currency, minSettingKey }] of Object.entries(RECHARGE_METHODS)) {
+        const cents = toCents(values.get(minSettingKey) ?? DEFAULT_MIN_AMOUNT, currency);
+        minimumsCents[method] = isNaN(cents) ? toCents(DEFAULT_MIN_AMOUNT, currency) : cents;
+    }
+
+    return { exchangeRate: exchangeRate > 0 ? exchangeRate : DEFAULT_EXCHANGE_RATE, minimumsCents };
+}
+
+/**
+ * Valida una solicitud de recarga y arma su movimiento en 'Pendiente'.
+ * Devuelve { transaction } o { error: { status, message, code } }.
+ */
+export async function buildRechargeRequest(userId, { method, amount, currency, paymentReference, proofId }) {
+    const rules = RECHARGE_METHODS[method];
+    if (!rules) {
+        return { error: { status: 400, message: `Método de pago inválido. Usa: ${Object.keys(RECHARGE_METHODS).join(', ')}.`, code: 'INVALID_METHOD' } };
+    }
+
+    const paidCurrency = currency || rules.currency;
+    if (paidCurrency !== rules.currency) {
+        return { error: { status: 400, message: `Las recargas por ${method} se pagan en ${rules.currency}.`, code: 'INVALID_CURRENCY' } };
+    }
+
+    const paidAmountCents = toCents(amount, paidCurrency);
+    if (!(paidAmountCents > 0)) {
+        return { error: { status: 400, message: 'Monto de recarga inválido.', code: 'INVALID_AMOUNT' } };
+    }
+
+    const reference = normalizeOperationNumber(paymentReference);
+    if (!reference || reference.length > MAX_PAYMENT_REFERENCE_LENGTH) {
+        return { error: { status: 400, message: 'El número de operación es requerido.', code: 'INVALID_PAYMENT_REFERENCE' } };
+    }
+
+    const { exchangeRate, minimumsCents } = await getRechargeConfig();
+    if (paidAmountCents < minimumsCents[method]) {
+        return {
+            error: {
+                status: 400,
+                message: `El monto mínimo para ${method} es ${formatMoney(minimumsCents[method], paidCurrency)}.`,
+                code: 'BELOW_MINIMUM'
+            }
+        };
+    }
+
+    const proofResult = await client.execute({
+        sql: 'SELECT user_id, tx_id FROM payment_proofs WHERE id = ?',
+        args: [typeof proofId === 'string' ? proofId : '']
+    });
+    const proof = proofResult.rows[0];
+    if (!proof || proof.user_id !== userId) {
+        return { error: { status: 400, message: 'Adjunta el comprobante de pago.', code: 'PROOF_REQUIRED' } };
+    }
+    if (proof.tx_id !== null) {
+        return { error: { status: 409, message: 'Ese comprobante ya fue usado en otra recarga.', code: 'PROOF_ALREADY_USED' } };
+    }
+
+    const duplicate = await client.execute({
+        sql: 'SELECT 1 FROM recharge_operations WHERE method = ? AND operation_number = ?',
+        args: [method, reference]
+    });
+    if (duplicate.rows.length > 0) {
+        return { error: { status: 409, message: 'Ese número de operación ya fue registrado.', code: ATOMIC_GUARD_REASONS.DUPLICATE_OPERATION } };
+    }
+
+    const amountCents = paidCurrency === DEFAULT_CURRENCY
+        ? paidAmountCents
+        : convertCents(paidAmountCents, exchangeRate, paidCurrency, DEFAULT_CURRENCY);
+    if (!(amountCents > 0)) {
+        return { error: { status: 400, message: 'Monto de recarga inválido.', code: 'INVALID_AMOUNT' } };
+    }
+
+    const now = new Date();
+    return {
+        transaction: {
+            id: now.getTime(),
+            date: now.toLocaleDateString('es-PE'),
+            description: `Recarga ${method} (${formatMoney(paidAmountCents, paidCurrency)})`,
+            amountCents,
+            currency: DEFAULT_CURRENCY,
+            type: 'credit',
+            status: RECHARGE_STATUS.PENDING,
+            isRecharge: true,
+            details: {
+                method,
+                paymentReference: reference,
+                proofId,
+                paidAmountCents,
+                paidCurrency,
+                exchangeRate: paidCurrency === DEFAULT_CURRENCY ? null : exchangeRate
+            }
+        }
+    };
+}
+
+/**
+ * Sentencias para registrar la recarga (usar con runAtomic): el movimiento, su número de operación (único por método)
+ * y el comprobante adjunto. Si otra solicitud ganó la carrera con el mismo número o comprobante, el batch se aborta.
+ */
+export function recordRechargeStatements(userId, tx) {
+    const { method, paymentReference, proofId } = tx.details;
+    return [
+        insertTransactionStatement(userId, tx),
+        {
+            sql: `INSERT INTO recharge_operations (method, operation_number, user_id, tx_id) VALUES (?, ?, ?, ?)
+                  ON CONFLICT (method, operation_number) DO NOTHING`,
+            args: [method, paymentReference, userId, String(tx.id)]
+        },
+        guardStatement(ATOMIC_GUARD_REASONS.DUPLICATE_OPERATION),
+        {
+            sql: 'UPDATE payment_proofs SET tx_id = ? WHERE id = ? AND user_id = ? AND tx_id IS NULL',
+            args: [String(tx.id), proofId, userId]
+        },
+        guardStatement(ATOMIC_GUARD_REASONS.PRECONDITION_FAILED)
+    ];
+}
+
+/**
+ * Libera el número de operación de una recarga cancelada por el usuario (para poder volver a enviarla).
+ * Las rechazadas por el Admin conservan el número: ese comprobante ya no se puede reutilizar.
+ */
+export function releaseRechargeOperationStatement(userId, txId) {
+    return {
+        sql: 'DELETE FROM recharge_operations WHERE user_id = ? AND tx_id = ?',
+        args: [userId, String(txId)]
+    };
+}
+
+/**
+ * Recarga 'Pendiente' registrada con ese método y número de operación (la usan los webhooks de pago).
+ * Devuelve { userId, transaction } o null.
+ */
+export async function findPendingRechargeByOperation(method, operationNumber) {
+    const reference = normalizeOperationNumber(operationNumber);
+    if (!RECHARGE_METHODS[method] || !reference) return null;
+
+    const result = await client.execute({
+        sql: 'SELECT user_id, tx_id FROM recharge_operations WHERE method = ? AND operation_number = ?',
+        args: [method, reference]
+    });
+    const operation = result.rows[0];
+    if (!operation) return null;
+
+    const transaction = await findUserTransaction(operation.user_id, operation.tx_id, { type: 'credit', status: RECHARGE_STATUS.PENDING });
+    return transaction ? { userId: Number(operation.user_id), transaction } : null;
+}
+
+/**
+ * Recargas que siguen 'Pendiente' después de `olderThanHours` horas (las más antiguas primero).
+ * Devuelve [{ userId, transaction }].
+ */
+export async function findStaleRecharges(olderThanHours, limit = 100) {
+    const cutoff = toSqlDate(new Date(Date.now() - olderThanHours * 60 * 60 * 1000));
+    const result = await client.execute({
+        sql: `SELECT user_id, data FROM transactions
+              WHERE type = 'credit' AND status = ? AND created_at <= ?
+              ORDER BY created_at ASC LIMIT ?`,
+        args: [RECHARGE_STATUS.PENDING, cutoff, limit]
+    });
+    return result.rows.map(row => ({ userId: Number(row.user_id), transaction: JSON.parse(row.data) }));
+}
+
+/**
+ * Sentencias para vencer una recarga 'Pendiente' (usar con runAtomic): libera su número de operación,
+ * igual que una cancelación, para que el usuario pueda volver a enviarla si sí pagó.
+ */
+export function expireRechargeStatements(userId, tx) {
+    return [
+        saveTransactionStatement(userId, { ...tx, status: RECHARGE_STATUS.EXPIRED, expiredAt: new Date().toISOString() }, { fromStatus: RECHARGE_STATUS.PENDING }),
+        guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+        releaseRechargeOperationStatement(userId, tx.id)
+    ];
+}
+
+// --- Aprobación ---
+
+/**
+ * ¿El usuario ya tiene alguna recarga aprobada? (define si la próxima recarga cuenta como 'first_recharge')
+ */
+export async function hasCompletedRecharge(userId) {
+    const previousRecharges = await client.execute({
+        sql: `SELECT 1 FROM transactions WHERE user_id = ? AND status = '${RECHARGE_STATUS.COMPLETED}' AND ${RECHARGE_CREDIT_SQL} LIMIT 1`,
+        args: [userId]
+    });
+    return previousRecharges.rows.length > 0;
+}
+
+/**
+ * Aprueba una recarga 'Pendiente': acredita el saldo y paga las comisiones por referido que correspondan (commissions.js).
+ * La usan el Admin (/admin/transaction/approve) y los webhooks de los proveedores de pago (`approvedVia` = nombre del proveedor).
+ * Devuelve null si la recarga no existe o ya no está pendiente; lanza AtomicOperationError si otro proceso la aprobó antes.
+ * Resultado: { userId, username, transaction, amountCents, commissions: [{ referrerId, level, percentage, amountCents, notice, ... }] }
+ */
+export async function approveRecharge(userId, transactionId, { approvedBy = null, approvedVia = 'admin' } = {}) {
+    // 1. Obtener datos del usuario
+    const userResult = await client.execute({
+        sql: 'SELECT username FROM users WHERE id = ?',
+        args: [userId]
+    });
+    if (userResult.rows.length === 0) return null;
+
+    const username = userResult.rows[0].username;
+
+    // 🔍 VERIFICACIÓN: ¿Es la primera recarga?
+    const isFirstRecharge = !(await hasCompletedRecharge(userId));
+
+    // 2. Actualizar la transacción actual (de Pendiente a Completada). Solo se aprueban créditos (recargas).
+    const pendingTx = await findUserTransaction(userId, transactionId, { type: 'credit', status: RECHARGE_STATUS.PENDING });
+    if (!pendingTx) return null;
+
+    const amountToAddCents = pendingTx.amountCents;
+    const approvedTx = { ...pendingTx, status: RECHARGE_STATUS.COMPLETED, approvedVia };
+
+    // 3. Cambios del USUARIO: solo si la transacción sigue 'Pendiente' (evita acreditar dos veces)
+    const statements = [
+        saveTransactionStatement(userId, approvedTx, { fromStatus: RECHARGE_STATUS.PENDING }),
+        guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+        transferStatements(LEDGER_KINDS.RECHARGE, platform(LEDGER_ACCOUNTS.RECHARGES), wallet(userId), amountToAddCents, {
+            reference: `tx:${pendingTx.id}`, description: pendingTx.description, createdBy: approvedBy
+        })
+    ];
+
+    // 💰 4. Comisiones por referido según las reglas vigentes (ver commissions.js)
+    const commissionQuote = await quoteCommissions({
+        userId,
+        event: isFirstRecharge ? COMMISSION_EVENTS.FIRST_RECHARGE : COMMISSION_EVENTS.RECHARGE,
+        amountCents: amountToAddCents
+    });
+    const commissionPayout = commissionPayoutStatements(commissionQuote, {
+        sourceUsername: username,
+        sourceTransactionId: pendingTx.id,
+        description: `Recarga ${formatMoney(amountToAddCents)}`,
+        reference: `tx:${pendingTx.id}`,
+        createdBy: approvedBy
+    });
+    statements.push(commissionPayout.statements);
+
+    // 🔒 Recarga y comisiones se aplican juntas o no se aplica ninguna
+    await runAtomic(statements);
+
+    return { userId, username, transaction: approvedTx, amountCents: amountToAddCents, commissions: commissionPayout.paid };
+}
+
+/**
+ * Rechaza un movimiento 'Pendiente' del usuario (el comprobante y su número de operación quedan usados).
+ * Devuelve el movimiento rechazado, o null si no existe o ya no está pendiente; lanza AtomicOperationError si otro proceso lo cambió antes.
+ */
+export async function rejectRecharge(userId, transactionId) {
+    const pendingTx = await findUserTransaction(userId, transactionId, { status: RECHARGE_STATUS.PENDING });
+    if (!pendingTx) return null;
+
+    const rejectedTx = { ...pendingTx, status: RECHARGE_STATUS.REJECTED };
+    await runAtomic([
+        saveTransactionStatement(userId, rejectedTx, { fromStatus: RECHARGE_STATUS.PENDING }),
+        guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED)
+    ]);
+    return rejectedTx;
+}
+
+/**
+ * Revierte una recarga 'Completada' (p. ej. contracargo del proveedor de pago): descuenta el monto acreditado
+ * (el saldo puede quedar negativo si ya lo gastó) y las comisiones por referido que generó.
+ * Devuelve null si la recarga no existe o no está completada; lanza AtomicOperationError si otro proceso la revirtió antes.
+ * Resultado: { userId, transaction, amountCents, clawbacks: [{ referrerId, amountCents, notice, ... }] }
+ */
+export async function reverseRecharge(userId, transactionId, { reversedBy = null, reason = null } = {}) {
+    const completedTx = await findUserTransaction(userId, transactionId, { type: 'credit', status: RECHARGE_STATUS.COMPLETED });
+    if (!completedTx || !completedTx.isRecharge) return null;
+
+    const amountCents = completedTx.amountCents;
+    const reversedTx = {
+        ...completedTx,
+        status: RECHARGE_STATUS.REVERSED,
+        reversedAt: new Date().toISOString(),
+        reversalReason: reason
+    };
+    const reversalTx = {
+        id: Date.now(),
+        date: new Date().toLocaleDateString('es-PE'),
+        description: `Reversión de recarga: ${completedTx.description}${reason ? ` (${reason})` : ''}`,
+        amountCents,
+        currency: completedTx.currency || DEFAULT_CURRENCY,
+        type: 'debit',
+        status: 'Completada',
+        isRechargeReversal: true,
+        rechargeTransactionId: completedTx.id
+    };
+
+    const clawback = await commissionClawbackStatements({
+        sourceUserId: userId,
+        sourceTransactionId: completedTx.id,
+        sourceAmountCents: amountCents,
+        refundedCents: amountCents,
+        reason: `recarga ${formatMoney(amountCents)} revertida`,
+        createdBy: reversedBy
+    });
+
+    // 🔒 Estado, débito y comisiones en un batch: solo si la recarga sigue 'Completada'
+    await runAtomic([
+        saveTransactionStatement(userId, reversedTx, { fromStatus: RECHARGE_STATUS.COMPLETED }),
+        guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+        insertTransactionStatement(userId, reversalTx),
+        transferStatements(LEDGER_KINDS.RECHARGE_REVERSAL, wallet(userId, { requireFunds: false }), platform(LEDGER_ACCOUNTS.RECHARGES), amountCents, {
+            reference: `tx:${completedTx.id}`, description: reversalTx.description, createdBy: reversedBy, currency: reversalTx.currency
+        }),
+        clawback.statements
+    ]);
+
+    return { userId, transaction: reversedTx, amountCents, clawbacks: clawback.clawbacks };
+}
+
+// --- Comprobantes de pago ---
+
+/**
+ * Guarda la imagen de un comprobante. Devuelve { proof } o { error: { status, message, code } }.
+ */
+export async function savePaymentProof(userId, buffer, contentType) {
+    const type = PAYMENT_PROOF_TYPES[contentType];
+    if (!type || !Buffer.isBuffer(buffer) || buffer.length === 0 || !type.matches(buffer)) {
+        return { error: { status: 400, message: 'El comprobante debe ser una imagen PNG, JPEG o WEBP.', code: 'INVALID_PROOF' } };
+    }
+
+    const id = crypto.randomUUID();
+    const storageKey = `payment-proofs/${id}.${type.extension}`;
+    await getFileStorage().save(storageKey, buffer);
+    try {
+        await client.execute({
+            sql: 'INSERT INTO payment_proofs (id, user_id, storage_key, content_type, size_bytes) VALUES (?, ?, ?, ?, ?)',
+            args: [id, userId, storageKey, contentType, buffer.length]
+        });
+    } catch (error) {
+        await getFileStorage().delete(storageKey).catch(() => {});
+        throw error;
+    }
+
+    return { proof: { id, contentType, sizeBytes: buffer.length } };
+}
+
+/**
+ * Comprobante con su contenido, o null si no existe (o el archivo ya no está en el almacenamiento).
+ */
+export async function getPaymentProof(proofId) {
+    const result = await client.execute({
+        sql: 'SELECT id, user_id, storage_key, content_type, tx_id FROM payment_proofs WHERE id = ?',
+        args: [String(proofId)]
+    });
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    const content = await getFileStorage().read(row.storage_key);
+    if (!content) return null;
+    return { id: row.id, userId: row.user_id, contentType: row.content_type, txId: row.tx_id, content };
+}
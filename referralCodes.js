@@ -0,0 +1,302 @@
+// MeluFrontend - copia/backend/referralCodes.js
+
+import { client } from './db.js';
+import { toSqlDate } from './auth.js';
+import { ATOMIC_GUARD_REASONS, AtomicOperationError, guardStatement, runAtomic } from './balances.js';
+
+// 🏷️ Códigos de referido
+// Cada usuario recibe un código automático (ABC123, o U12345 si no se encuentra uno libre). Distribuidores y proveedores
+// pueden reemplazarlo por uno personalizado un número limitado de veces ('referral_code_max_changes').
+// Todo cambio queda en 'referral_code_history'; el código anterior sigue llevando al mismo referente durante
+// 'referral_code_grace_days' días y, mientras tanto, nadie más puede tomarlo.
+export const REFERRAL_CODE_CHANGE_REASONS = {
+    VANITY: 'vanity',               // Lo cambió el propio usuario
+    ADMIN_REMOVED: 'admin_removed'  // El Admin lo eliminó (/admin/user/remove-referral): no redirige
+};
+
+export const VANITY_CODE_RULES = {
+    minLength: 4,
+    maxLength: 16,
+    charset: 'A-Z, 0-9'
+};
+const VANITY_CODE_PATTERN = /^[A-Z0-9]+$/;
+
+// Códigos que nadie puede usar y palabras que no pueden aparecer dentro de un código
+const RESERVED_CODES = ['NULL', 'UNDEFINED', 'NONE', 'NA'];
+const RESERVED_WORDS = ['ADMIN', 'MELU', 'SOPORTE', 'SUPPORT', 'STAFF', 'OFICIAL', 'OFFICIAL', 'SISTEMA', 'SYSTEM'];
+
+// Formatos de los códigos automáticos: se reservan para no chocar con los que se generen después
+const GENERATED_CODE_PATTERNS = [/^[A-Z]{3}\d{3}$/, /^U\d{5}$/];
+
+export const DEFAULT_REFERRAL_CODE_SETTINGS = {
+    maxChanges: 3,
+    graceDays: 30
+};
+const REFERRAL_CODE_SETTING_KEYS = {
+    maxChanges: 'referral_code_max_changes',
+    graceDays: 'referral_code_grace_days'
+};
+export const REFERRAL_CODE_SETTING_LIMITS = {
+    maxChanges: { min: 0, max: 20 },
+    graceDays: { min: 0, max: 365 }
+};
+
+export function normalizeReferralCode(value) {
+    return typeof value === 'string' ? value.trim().toUpperCase() : '';
+}
+
+// 🔹 Generador de código personal de referido (ABC123)
+export function generateReferralCode() {
+    const letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+    const numbers = "0123456789";
+    const randomLetters = Array(3).fill(0).map(() => letters[Math.floor(Math.random() * letters.length)]).join("");
+    const randomNumbers = Array(3).fill(0).map(() => numbers[Math.floor(Math.random() * numbers.length)]).join("");
+    return randomLetters + randomNumbers;
+}
+
+// Condición SQL: el código está en uso por otro usuario (vigente o en período de gracia) o es de una campaña (campaigns.js).
+// Args: [code, userId, code, now, userId, code]
+const CODE_TAKEN_SQL = `(
+    EXISTS (SELECT 1 FROM users WHERE referral_code = ? AND id != ?)
+    OR EXISTS (SELECT 1 FROM referral_code_history WHERE old_code = ? AND redirect_until > ? AND user_id != ?)
+    OR EXISTS (SELECT 1 FROM campaign_codes WHERE code = ?)
+)`;
+
+function codeTakenArgs(code, exceptUserId) {
+    const userId = exceptUserId ?? -1;
+    return [code, userId, code, toSqlDate(new Date()), userId, code];
+}
+
+/**
+ * ¿El código lo usa otro usuario, sigue redirigiendo a otro referente o es de una campaña? (`exceptUserId`: el propio usuario no cuenta)
+ */
+export async function isReferralCodeTaken(code, { exceptUserId = null } = {}) {
+    const result = await client.execute({
+        sql: `SELECT ${CODE_TAKEN_SQL} AS taken`,
+        args: codeTakenArgs(code, exceptUserId)
+    });
+    return Number(result.rows[0].taken) === 1;
+}
+
+/**
+ * Código automático libre para un usuario nuevo (con el formato U12345 como último recurso).
+ */
+export async function generateUniqueReferralCode() {
+    for (let attempts = 0; attempts < 10; attempts++) {
+        const code = generateReferralCode();
+        if (!(await isReferralCodeTaken(code))) return code;
+    }
+    return `U${Math.floor(10000 + Math.random() * 90000)}`;
+}
+
+/**
+ * Valida un código personalizado ya normalizado. Devuelve el mensaje de error o null si es válido.
+ */
+export function validateVanityCode(code) {
+    if (code.length < VANITY_CODE_RULES.minLength || code.length > VANITY_CODE_RULES.maxLength) {
+        return `El código debe tener entre ${VANITY_CODE_RULES.minLength} y ${VANITY_CODE_RULES.maxLength} caracteres.`;
+    }
+    if (!VANITY_CODE_PATTERN.test(code)) {
+        return 'El código solo puede tener letras (A-Z) y números, sin espacios ni símbolos.';
+    }
+    if (RESERVED_CODES.includes(code) || RESERVED_WORDS.some(word => code.includes(word))) {
+        return 'Ese código está reservado.';
+    }
+    if (GENERATED_CODE_PATTERNS.some(pattern => pattern.test(code))) {
+        return 'El código no puede tener el formato de los códigos automáticos (ABC123 o U12345).';
+    }
+    return null;
+}
+
+/**
+ * Referente al que lleva un código: el dueño actual o, durante el período de gracia, quien lo usaba antes.
+ * Devuelve { userId, referralCode (código vigente del referente), redirected } o null.
+ */
+export async function resolveReferralCode(rawCode) {
+    const code = normalizeReferralCode(rawCode);
+    if (!code) return null;
+
+    const current = await client.execute({ sql: 'SELECT id, referral_code FROM users WHERE referral_code = ? ORDER BY id LIMIT 1', args: [code] });
+    if (current.rows.length > 0) {
+        return { userId: Number(current.rows[0].id), referralCode: current.rows[0].referral_code, redirected: false };
+    }
+
+    const previous = await client.execute({
+        sql: `SELECT u.id, u.referral_code FROM referral_code_history h
+              JOIN users u ON u.id = h.user_id
+              WHERE h.old_code = ? AND h.redirect_until > ?
+              ORDER BY h.id DESC LIMIT 1`,
+        args: [code, toSqlDate(new Date())]
+    });
+    if (previous.rows.length === 0) return null;
+    return { userId: Number(previous.rows[0].id), referralCode: previous.rows[0].referral_code, redirected: true };
+}
+
+// --- Límites ---
+
+export async function getReferralCodeSettings() {
+    const keys = Object.values(REFERRAL_CODE_SETTING_KEYS);
+    const result = await client.execute({
+        sql: `SELECT key, value FROM settings WHERE key IN (${keys.map(() => '?').join(',')})`,
+        args: keys
+    });
+    const values = new Map(result.rows.map(row => [row.key, row.value]));
+
+    const settings = {};
+    for (const [name, key] of Object.entries(REFERRAL_CODE_SETTING_KEYS)) {
+        const value = parseInt(values.get(key));
+        settings[name] = Number.isInteger(value) && value >= 0 ? value : DEFAULT_REFERRAL_CODE_SETTINGS[name];
+    }
+    return settings;
+}
+
+/**
+ * Guarda los límites enviados por el Admin ({ maxChanges?, graceDays? }). Devuelve los vigentes, o null si alguno no es válido.
+ */
+export async function saveReferralCodeSettings(body = {}) {
+    const statements = [];
+    for (const [name, key] of Object.entries(REFERRAL_CODE_SETTING_KEYS)) {
+        if (body[name] === undefined) continue;
+        const value = Number(body[name]);
+        const { min, max } = REFERRAL_CODE_SETTING_LIMITS[name];
+        if (!Number.isInteger(value) || value < min || value > max) return null;
+        statements.push({
+            sql: 'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+            args: [key, String(value)]
+        });
+    }
+    if (statements.length > 0) await client.batch(statements, 'write');
+    return getReferralCodeSettings();
+}
+
+// --- Cambios ---
+
+function rowToHistoryEntry(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        oldCode: row.old_code,
+        newCode: row.new_code,
+        reason: row.reason,
+        changedBy: row.changed_by,
+        redirectUntil: row.redirect_until,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Historial de cambios de código (el más reciente primero). Filtros opcionales: userId, code (viejo o nuevo).
+ */
+export async function getReferralCodeHistory({ userId = null, code = null, limit = 100 } = {}) {
+    const result = await client.execute({
+        sql: `SELECT * FROM referral_code_history
+              WHERE (? IS NULL OR user_id = ?) AND (? IS NULL OR old_code = ? OR new_code = ?)
+              ORDER BY id DESC LIMIT ?`,
+        args: [userId, userId, code, code, code, limit]
+    });
+    return result.rows.map(rowToHistoryEntry);
+}
+
+async function countVanityChanges(userId) {
+    const result = await client.execute({
+        sql: 'SELECT COUNT(*) AS total FROM referral_code_history WHERE user_id = ? AND reason = ?',
+        args: [userId, REFERRAL_CODE_CHANGE_REASONS.VANITY]
+    });
+    return Number(result.rows[0].total);
+}
+
+/**
+ * Código actual del usuario, cambios usados / permitidos y su historial (para /me/referral-code).
+ */
+export async function getReferralCodeStatus(userId) {
+    const userResult = await client.execute({ sql: 'SELECT referral_code FROM users WHERE id = ?', args: [userId] });
+    if (userResult.rows.length === 0) return null;
+
+    const settings = await getReferralCodeSettings();
+    const changesUsed = await countVanityChanges(userId);
+    return {
+        referralCode: userResult.rows[0].referral_code,
+        changesUsed,
+        maxChanges: settings.maxChanges,
+        changesRemaining: Math.max(0, settings.maxChanges - changesUsed),
+        graceDays: settings.graceDays,
+        rules: VANITY_CODE_RULES,
+        history: await getReferralCodeHistory({ userId })
+    };
+}
+
+/**
+ * Cambia el código del usuario por uno personalizado. El anterior redirige al usuario durante el período de gracia.
+ * Devuelve { referralCode, previousCode, redirectUntil } o { error: { status, message, code } }.
+ */
+export async function changeReferralCode(userId, rawCode, { changedBy = null } = {}) {
+    const code = normalizeReferralCode(rawCode);
+    const invalid = validateVanityCode(code);
+    if (invalid) return { error: { status: 400, message: invalid, code: 'INVALID_CODE' } };
+
+    const userResult = await client.execute({ sql: 'SELECT referral_code FROM users WHERE id = ?', args: [userId] });
+    if (userResult.rows.length === 0) return { error: { status: 404, message: 'Usuario no encontrado.', code: 'NOT_FOUND' } };
+
+    const previousCode = userResult.rows[0].referral_code;
+    if (previousCode === code) {
+        return { error: { status: 400, message: 'Ese ya es tu código de referido.', code: 'SAME_CODE' } };
+    }
+
+    const settings = await getReferralCodeSettings();
+    if (await countVanityChanges(userId) >= settings.maxChanges) {
+        return { error: { status: 403, message: `Ya usaste los ${settings.maxChanges} cambios de código permitidos.`, code: 'CHANGE_LIMIT_REACHED' } };
+    }
+    if (await isReferralCodeTaken(code, { exceptUserId: userId })) {
+        return { error: { status: 409, message: 'Ese código ya está en uso.', code: 'CODE_TAKEN' } };
+    }
+
+    const redirectUntil = previousCode && settings.graceDays > 0
+        ? toSqlDate(new Date(Date.now() + settings.graceDays * 24 * 60 * 60 * 1000))
+        : null;
+
+    // 🔒 Se vuelve a comprobar dentro del batch: código sin cambios, libre y con cambios disponibles
+    try {
+        await runAtomic([
+            {
+                sql: `UPDATE users SET referral_code = ?
+                      WHERE id = ? AND referral_code IS ? AND NOT ${CODE_TAKEN_SQL}
+                        AND (SELECT COUNT(*) FROM referral_code_history WHERE user_id = ? AND reason = ?) < ?`,
+                args: [code, userId, previousCode, ...codeTakenArgs(code, userId), userId, REFERRAL_CODE_CHANGE_REASONS.VANITY, settings.maxChanges]
+            },
+            guardStatement(ATOMIC_GUARD_REASONS.PRECONDITION_FAILED),
+            {
+                sql: `INSERT INTO referral_code_history (user_id, old_code, new_code, reason, changed_by, redirect_until)
+                      VALUES (?, ?, ?, ?, ?, ?)`,
+                args: [userId, previousCode, code, REFERRAL_CODE_CHANGE_REASONS.VANITY, changedBy, redirectUntil]
+            }
+        ]);
+    } catch (error) {
+        if (error instanceof AtomicOperationError) {
+            return { error: { status: 409, message: 'El código ya no está disponible. Intenta nuevamente.', code: 'CODE_TAKEN' } };
+        }
+        throw error;
+    }
+
+    return { referralCode: code, previousCode, redirectUntil };
+}
+
+/**
+ * Quita el código del usuario (Admin). El código eliminado no redirige. Devuelve false si el usuario no existe.
+ */
+export async function removeReferralCode(userId, { changedBy = null } = {}) {
+    const userResult = await client.execute({ sql: 'SELECT referral_code FROM users WHERE id = ?', args: [userId] });
+    if (userResult.rows.length === 0) return false;
+
+    const previousCode = userResult.rows[0].referral_code;
+    if (!previousCode) return true;
+
+    await client.batch([
+        { sql: 'UPDATE users SET referral_code = NULL WHERE id = ?', args: [userId] },
+        {
+            sql: `INSERT INTO referral_code_history (user_id, old_code, new_code, reason, changed_by)
+                  VALUES (?, ?, NULL, ?, ?)`,
+            args: [userId, previousCode, REFERRAL_CODE_CHANGE_REASONS.ADMIN_REMOVED, changedBy]
+        }
+    ], 'write');
+    return true;
+}
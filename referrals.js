@@ -0,0 +1,266 @@
+// MeluFrontend - copia/backend/referrals.js
+
+import { client } from './db.js';
+import { DEFAULT_CURRENCY, fromCents } from './money.js';
+import { COMMISSION_EVENTS, COMMISSION_STATUS, MAX_REFERRAL_LEVEL, quoteCommissions } from './commissions.js';
+import { RECHARGE_STATUS, RECHARGE_CREDIT_SQL } from './recharges.js';
+
+// 📢 Panel de referidos del usuario (/me/referrals)
+// Se arma con users.referred_by_user_id (red de hasta MAX_REFERRAL_LEVEL niveles) y con los movimientos 'isCommission'
+// del referente que no son ventas (las ventas llevan 'buyerUserId'). Las comisiones anteriores a las reglas editables
+// no guardan 'sourceUserId': se asocian al referido por su nombre de usuario ('sourceUser').
+// - Pagado: comisiones 'Completada' menos lo revertido por reembolsos ('clawedBackCents')
+// - Pendiente: comisiones 'Retenida' (en revisión por fraude) más lo estimado por las recargas 'Pendiente' de la red
+//   (según las reglas vigentes). Las comisiones 'Anulada' no cuentan.
+
+// Tope de recargas pendientes que se cotizan para la estimación
+const MAX_PENDING_RECHARGES_QUOTED = 50;
+
+// Usuarios de la red del referente, por nivel (nivel 1 = invitados directos)
+async function getReferralNetwork(referrerId) {
+    const network = [];
+    let parentIds = [Number(referrerId)];
+    const seen = new Set(parentIds);
+
+    for (let level = 1; level <= MAX_REFERRAL_LEVEL && parentIds.length > 0; level++) {
+        const result = await client.execute({
+            sql: `SELECT id, username, referred_by_user_id, created_at FROM users
+                  WHERE referred_by_user_id IN (${parentIds.map(() => '?').join(',')})
+                  ORDER BY id`,
+            args: parentIds
+        });
+        const members = result.rows.filter(row => !seen.has(Number(row.id)));
+        for (const row of members) {
+            seen.add(Number(row.id));
+            network.push({
+                id: Number(row.id),
+                username: row.username,
+                level,
+                referredByUserId: Number(row.referred_by_user_id),
+                registeredAt: row.created_at
+            });
+        }
+        parentIds = members.map(row => Number(row.id));
+    }
+    return network;
+}
+
+// Primera recarga completada de cada usuario de la red (fecha y monto). Usa la misma condición que el pago de
+// comisiones (hasCompletedRecharge): quien aparece aquí ya no genera 'first_recharge'.
+async function getFirstRecharges(userIds) {
+    if (userIds.length === 0) return new Map();
+    const result = await client.execute({
+        sql: `SELECT user_id, amount_cents, currency, created_at FROM transactions t
+              WHERE user_id IN (${userIds.map(() => '?').join(',')})
+                AND status = ? AND ${RECHARGE_CREDIT_SQL}
+                AND id = (SELECT MIN(id) FROM transactions
+                          WHERE user_id = t.user_id AND status = ? AND ${RECHARGE_CREDIT_SQL})`,
+        args: [...userIds, RECHARGE_STATUS.COMPLETED, RECHARGE_STATUS.COMPLETED]
+    });
+    return new Map(result.rows.map(row => [Number(row.user_id), {
+        at: row.created_at,
+        amountCents: row.amount_cents,
+        currency: row.currency
+    }]));
+}
+
+// Comisiones por referido del usuario (movimientos 'isCommission' que no son ventas)
+async function getReferralCommissions(referrerId) {
+    const result = await client.execute({
+        sql: `SELECT status, amount_cents, created_at, data FROM transactions
+              WHERE user_id = ? AND type = 'credit' AND json_extract(data, '$.isCommission') = 1
+                AND json_extract(data, '$.buyerUserId') IS NULL
+              ORDER BY id`,
+        args: [referrerId]
+    });
+    return result.rows.map(row => {
+        const data = JSON.parse(row.data);
+        return {
+            status: row.status,
+            amountCents: row.amount_cents || 0,
+            clawedBackCents: data.clawedBackCents || 0,
+            sourceUserId: data.sourceUserId ?? null,
+            sourceUser: data.sourceUser ?? null,
+            month: String(row.created_at).slice(0, 7)
+        };
+    });
+}
+
+// Reversiones de comisión (se cuentan en el mes en que se descontaron)
+async function getCommissionClawbacks(referrerId) {
+    const result = await client.execute({
+        sql: `SELECT amount_cents, created_at FROM transactions
+              WHERE user_id = ? AND type = 'debit' AND json_extract(data, '$.isCommissionClawback') = 1`,
+        args: [referrerId]
+    });
+    return result.rows.map(row => ({ amountCents: row.amount_cents || 0, month: String(row.created_at).slice(0, 7) }));
+}
+
+// Estimación de lo que pagarían al referente las recargas 'Pendiente' de su red
+async function estimatePendingCommissions(referrerId, network, firstRecharges) {
+    if (network.length === 0) return [];
+    const userIds = network.map(member => member.id);
+    const result = await client.execute({
+        sql: `SELECT user_id, tx_id, amount_cents FROM transactions
+              WHERE user_id IN (${userIds.map(() => '?').join(',')})
+                AND status = ? AND ${RECHARGE_CREDIT_SQL}
+              ORDER BY id LIMIT ?`,
+        args: [...userIds, RECHARGE_STATUS.PENDING, MAX_PENDING_RECHARGES_QUOTED]
+    });
+
+    const estimates = [];
+    const quotedFirst = new Set();
+    for (const row of result.rows) {
+        const userId = Number(row.user_id);
+        // Solo la primera recarga pendiente de quien aún no recargó cuenta como 'first_recharge'
+        const isFirstRecharge = !firstRecharges.has(userId) && !quotedFirst.has(userId);
+        if (isFirstRecharge) quotedFirst.add(userId);
+
+        const quote = await quoteCommissions({
+            userId,
+            event: isFirstRecharge ? COMMISSION_EVENTS.FIRST_RECHARGE : COMMISSION_EVENTS.RECHARGE,
+            amountCents: row.amount_cents
+        });
+        const payout = quote.payouts.find(candidate => candidate.referrerId === Number(referrerId));
+        if (!payout || payout.amountCents <= 0) continue;
+        estimates.push({ sourceUserId: userId, transactionId: row.tx_id, event: quote.event, rechargeAmountCents: row.amount_cents, amountCents: payout.amountCents });
+    }
+    return estimates;
+}
+
+/**
+ * Panel de referidos del usuario: red de referidos con su estado de primera recarga, comisiones por referido
+ * y por mes, y totales pagado / pendiente. Montos en decimales + centavos (moneda de la cuenta).
+ */
+export async function getReferralDashboard(userId) {
+    const userResult = await client.execute({ sql: 'SELECT referral_code FROM users WHERE id = ?', args: [userId] });
+    if (userResult.rows.length === 0) return null;
+
+    const network = await getReferralNetwork(userId);
+    const firstRecharges = await getFirstRecharges(network.map(member => member.id));
+    const commissions = await getReferralCommissions(userId);
+    const clawbacks = await getCommissionClawbacks(userId);
+    const pendingEstimates = await estimatePendingCommissions(userId, network, firstRecharges);
+
+    // Comisiones por referido (por id; las antiguas, por nombre de usuario)
+    const membersById = new Map(network.map(member => [member.id, member]));
+    const membersByUsername = new Map(network.map(member => [member.username, member]));
+    const perReferral = new Map(network.map(member => [member.id, { count: 0, paidCents: 0, clawedBackCents: 0, pendingCents: 0 }]));
+    const perMonth = new Map();
+    let paidCents = 0;
+    let clawedBackCents = 0;
+    let heldCents = 0;
+    let unmatchedCents = 0;
+
+    for (const commission of commissions) {
+        if (commission.status === COMMISSION_STATUS.VOIDED) continue;
+        const member = membersById.get(Number(commission.sourceUserId)) || membersByUsername.get(commission.sourceUser);
+        const stats = member ? perReferral.get(member.id) : null;
+        const isPaid = commission.status === COMMISSION_STATUS.PAID;
+        const netCents = commission.amountCents - commission.clawedBackCents;
+
+        if (isPaid) {
+            paidCents += netCents;
+            clawedBackCents += commission.clawedBackCents;
+            if (!member) unmatchedCents += netCents;
+
+            const month = perMonth.get(commission.month) || { count: 0, earnedCents: 0, clawedBackCents: 0 };
+            month.count++;
+            month.earnedCents += commission.amountCents;
+            perMonth.set(commission.month, month);
+        } else {
+            heldCents += netCents;
+        }
+
+        if (stats) {
+            stats.count++;
+            if (isPaid) {
+                stats.paidCents += netCents;
+                stats.clawedBackCents += commission.clawedBackCents;
+            } else {
+                stats.pendingCents += netCents;
+            }
+        }
+    }
+
+    for (const clawback of clawbacks) {
+        const month = perMonth.get(clawback.month) || { count: 0, earnedCents: 0, clawedBackCents: 0 };
+        month.clawedBackCents += clawback.amountCents;
+        perMonth.set(clawback.month, month);
+    }
+
+    let estimatedCents = 0;
+    for (const estimate of pendingEstimates) {
+        estimatedCents += estimate.amountCents;
+        perReferral.get(estimate.sourceUserId).pendingCents += estimate.amountCents;
+    }
+
+    const referrals = network.map(member => {
+        const firstRecharge = firstRecharges.get(member.id) || null;
+        const stats = perReferral.get(member.id);
+        const referredBy = membersById.get(member.referredByUserId);
+        return {
+            id: member.id,
+            username: member.username,
+            level: member.level,
+            referredBy: referredBy ? referredBy.username : null,
+            registeredAt: member.registeredAt,
+            hasFirstRecharge: firstRecharge !== null,
+            firstRechargeAt: firstRecharge ? firstRecharge.at : null,
+            firstRechargeAmount: firstRecharge ? fromCents(firstRecharge.amountCents, firstRecharge.currency) : null,
+            commissions: {
+                count: stats.count,
+                paid: fromCents(stats.paidCents),
+                paidCents: stats.paidCents,
+                clawedBack: fromCents(stats.clawedBackCents),
+                clawedBackCents: stats.clawedBackCents,
+                pending: fromCents(stats.pendingCents),
+                pendingCents: stats.pendingCents
+            }
+        };
+    });
+
+    const monthly = [...perMonth.entries()]
+        .sort(([a], [b]) => b.localeCompare(a))
+        .map(([month, stats]) => ({
+            month,
+            count: stats.count,
+            earned: fromCents(stats.earnedCents),
+            earnedCents: stats.earnedCents,
+            clawedBack: fromCents(stats.clawedBackCents),
+            clawedBackCents: stats.clawedBackCents,
+            net: fromCents(stats.earnedCents - stats.clawedBackCents),
+            netCents: stats.earnedCents - stats.clawedBackCents
+        }));
+
+    return {
+        referralCode: userResult.rows[0].referral_code,
+        currency: DEFAULT_CURRENCY,
+        totals: {
+            referrals: referrals.length,
+            directReferrals: referrals.filter(referral => referral.level === 1).length,
+            withFirstRecharge: referrals.filter(referral => referral.hasFirstRecharge).length,
+            paid: fromCents(paidCents),
+            paidCents,
+            clawedBack: fromCents(clawedBackCents),
+            clawedBackCents,
+            // Comisiones de usuarios que ya no están en la red (cuentas eliminadas)
+            unattributed: fromCents(unmatchedCents),
+            unattributedCents: unmatchedCents,
+            pending: fromCents(heldCents + estimatedCents),
+            pendingCents: heldCents + estimatedCents,
+            pendingHeld: fromCents(heldCents),
+            pendingHeldCents: heldCents,
+            pendingEstimated: fromCents(estimatedCents),
+            pendingEstimatedCents: estimatedCents
+        },
+        referrals,
+        monthly,
+        pendingRecharges: pendingEstimates.map(estimate => ({
+            ...estimate,
+            sourceUser: membersById.get(estimate.sourceUserId).username,
+            rechargeAmount: fromCents(estimate.rechargeAmountCents),
+            amount: fromCents(estimate.amountCents)
+        }))
+    };
+}
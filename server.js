@@ -3,12 +3,89 @@ import bcrypt from 'bcryptjs';
 import cors from 'cors';
 import 'dotenv/config';
 import { client, initializeDb, seedAdminUser, assignReferralCodesToExistingUsers } from './db.js';
+import {
+    createSession, refreshSession, revokeSession, revokeUserSessions, requireAuth,
+    createPasswordReset, consumePasswordReset, getAccountBlock, liftExpiredBans, authenticateSocketToken, toSqlDate, createEmailVerification, consumeEmailVerification
+} from './auth.js';
+import {
+    ROLES, SUPPLIER_ROLES, DISTRIBUTOR_ROLES, forbidden,
+    requireRole, requireSelf, requireVerifiedEmail, requireProductOwner, requireStockOwner
+} from './permissions.js';
+import {
+    sendPasswordResetEmail, sendEmailVerificationEmail, sendRechargeExpiredEmail, sendWithdrawalsEscalatedEmail
+} from './mailer.js';
+import {
+    TWO_FACTOR_METHODS, getTwoFactorStatus, startLoginChallenge, verifyLoginChallenge,
+    beginEnrollment, confirmEnrollment, verifyCurrentFactor, disableTwoFactor
+} from './twoFactor.js';
+import {
+    DEFAULT_RATE_LIMITS, rateLimit, getRateLimitSettings, invalidateRateLimitSettings,
+    rejectIfLoginLocked, recordLoginFailure, clearLoginFailures
+} from './rateLimit.js';
+import {
+    saveTransaction, getUserTransactions, findUserTransaction, findTransaction,
+    listAllTransactions, migrateLegacyTransactionsHistory, migrateLegacyRechargeFlags, migrateSoldPriceInTransactions, presentSoldStock, insertTransactionStatement, saveTransactionStatement,
+    presentTransaction, migrateTransactionAmountsToCents, findPurchaseByStockId
+} from './transactions.js';
+import {
+    ATOMIC_GUARD_REASONS, runAtomic, guardStatement,
+    getBalanceCents, rejectAtomicError, AtomicOperationError
+} from './balances.js';
+import { DEFAULT_CURRENCY, toCents, fromCents, formatAmount, formatMoney, percentOf, prorate } from './money.js';
+import {
+    LEDGER_ACCOUNTS, LEDGER_KINDS, transferStatements, wallet, platform,
+    listLedgerEntries, reconcileLedger, openLedgerBalances
+} from './ledger.js';
+import {
+    MAX_QUOTE_QUANTITY, MAX_RENEWAL_MONTHS, quotePurchase, quoteRenewal, quotePublication, assertChargeable, assertQuotedPrice, presentQuote, rejectPricingError,
+    getPublicationPlans, invalidatePublicationPlans, parsePublicationPlans, presentPublicationPlans
+} from './pricing.js';
+import { IDEMPOTENCY_HEADER, idempotent, purgeExpiredIdempotencyKeys } from './idempotency.js';
+import {
+    RECHARGE_STATUS, MAX_PAYMENT_PROOF_BYTES, PAYMENT_PROOF_CONTENT_TYPES, buildRechargeRequest, recordRechargeStatements,
+    releaseRechargeOperationStatement, savePaymentProof, getPaymentProof, approveRecharge, rejectRecharge, reverseRecharge, findPendingRechargeByOperation, hasCompletedRecharge
+} from './recharges.js';
+import {
+    PAYMENT_EVENT_TYPES, WEBHOOK_EVENT_STATUS, getPaymentProvider, claimWebhookEvent, finishWebhookEvent
+} from './paymentProviders.js';
+import {
+    JOB_NAMES, registerJob, hasJob, runJob, startScheduledJobs, listJobs, logAutomaticAction, getAutomaticActions,
+    getJobSettings, saveJobSettings, expireStaleRecharges, escalateStaleWithdrawals, MAX_JOB_SETTING_HOURS
+} from './jobs.js';
+import { WITHDRAWAL_ACTIONS, manageWithdrawal } from './withdrawals.js';
+import { getReferralDashboard } from './referrals.js';
+import {
+    CAMPAIGN_CONTEXTS, CAMPAIGN_BONUS_STATUS, seedCampaignCodes, findCampaignByCode, campaignUnavailableReason, campaignRedemptionStatements,
+    settleCampaignBonus, listHeldCampaignBonuses, reviewHeldCampaignBonus, parseCampaign, isCampaignCodeTaken, createCampaign, updateCampaign, deleteCampaign, presentCampaign, listCampaigns, getCampaignReport
+} from './campaigns.js';
+import {
+    REFERRAL_CODE_SETTING_LIMITS, normalizeReferralCode, resolveReferralCode, generateUniqueReferralCode, getReferralCodeStatus,
+    changeReferralCode, removeReferralCode, getReferralCodeHistory, getReferralCodeSettings, saveReferralCodeSettings
+} from './referralCodes.js';
+import {
+    COMMISSION_EVENTS, seedCommissionRules, listCommissionRules, parseCommissionRule, createCommissionRule,
+    updateCommissionRule, deleteCommissionRule, presentCommissionRule, quoteCommissions, presentCommissionQuote, commissionPayoutStatements,
+    commissionClawbackStatements, listHeldCommissions, reviewHeldCommission
+} from './commissions.js';
+import {
+    SIGNAL_EVENTS, FRAUD_FLAG_STATUS, normalizePhone, backfillNormalizedPhones, recordAccountSignals, listFraudClusters,
+    reviewFraudFlag, getAccountSignals
+} from './fraud.js';
 import http from 'http';
 import { Server } from 'socket.io';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// 🔑 Detrás de un proxy (Render, Nginx...) hace falta para que req.ip sea la IP real del cliente (límites por IP)
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+if (!app.get('trust proxy')) {
+    console.warn("🟡 TRUST_PROXY no está configurado: la señal de fraude IP + navegador queda desactivada (ver fraud.js).");
+}
+
 // 🔑 Crear servidor HTTP para Express y Socket.io
 const httpServer = http.createServer(app);
 
@@ -17,13 +94,36 @@ const httpServer = http.createServer(app);
 const corsOriginsString = process.env.CORS_ALLOWED_ORIGINS || 'http://localhost:5173';
 const allowedOrigins = corsOriginsString.split(',').map(s => s.trim());
 
+// 🔑 URL pública del frontend (para enlaces de restablecimiento de contraseña)
+const FRONTEND_URL = (process.env.FRONTEND_URL || allowedOrigins[0]).replace(/\/+$/, '');
+
 // Middleware de Express
 app.use(cors({
     origin: allowedOrigins,
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type'],
+    allowedHeaders: ['Content-Type', 'Authorization', IDEMPOTENCY_HEADER],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'Idempotent-Replayed'],
 }));
-app.use(express.json());
+app.use(express.json({
+    // 🔌 Los proveedores de pago firman el cuerpo exacto que envían: se conserva para verificar la firma del webhook
+    verify: (req, res, buffer) => {
+        if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buffer;
+    }
+}));
+
+// 🔒 Todas las rutas /admin/* requieren sesión válida con rol Admin
+app.use('/admin', requireAuth, requireRole(ROLES.ADMIN));
+
+// 🔒 Guardia común para las rutas de proveedor
+const requireSupplier = requireRole(...SUPPLIER_ROLES);
+
+// 🚦 Límites de peticiones (configurables en 'settings', ver rateLimit.js)
+const loginRateLimit = rateLimit('login', { account: req => req.body?.email });
+const registerRateLimit = rateLimit('register');
+const authCodeRateLimit = rateLimit('auth_code', { account: req => req.body?.email || req.body?.challengeId || req.user?.id });
+const purchaseRateLimit = rateLimit('purchase', { account: req => req.user.id });
+const moneyRateLimit = rateLimit('money', { account: req => req.user.id });
+const uploadRateLimit = rateLimit('upload', { account: req => req.user.id });
 
 // 🔑 Inicializar Socket.io
 const io = new Server(httpServer, {
@@ -36,11 +136,36 @@ const io = new Server(httpServer, {
 // 🔑 Mapa para rastrear usuarios logueados/pendientes: userId -> socketId
 const userSocketMap = new Map();
 
+// 🔑 Autenticación del socket: el cliente envía su access token en `auth: { token }` al conectarse.
+// Las conexiones sin token se aceptan (catálogo público), pero no pueden registrarse como usuario.
+io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (token) {
+        try {
+            const userId = await authenticateSocketToken(token);
+            if (userId) socket.data.userId = userId;
+        } catch (error) {
+            console.error('Socket auth error:', error);
+        }
+    }
+    next();
+});
+
+// 🔹 Cierra la conexión Socket.IO de un usuario (p. ej. al banearlo)
+function disconnectUserSocket(userId) {
+    const socketId = userSocketMap.get(userId);
+    if (!socketId) return;
+
+    io.sockets.sockets.get(socketId)?.disconnect(true);
+    userSocketMap.delete(userId);
+}
+
 io.on('connection', (socket) => {
     console.log('A user connected:', socket.id);
 
-    // El cliente envía su ID al conectarse (para usuarios logueados)
-    socket.on('registerUser', (userId) => {
+    // Solo se registra el usuario resuelto desde el token (se ignora el ID que envíe el cliente)
+    socket.on('registerUser', () => {
+        const userId = socket.data.userId;
         if (userId) {
             userSocketMap.set(userId, socket.id);
             console.log(`User ${userId} registered with socket ${socket.id}`);
@@ -127,32 +252,118 @@ async function updateProductStock(productId) {
     });
 }
 
-// 🔹 Generador de código personal de referido (ABC123)
-function generateReferralCode() {
-    const letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
-    const numbers = "0123456789";
-    const randomLetters = Array(3).fill(0).map(() => letters[Math.floor(Math.random() * letters.length)]).join("");
-    const randomNumbers = Array(3).fill(0).map(() => numbers[Math.floor(Math.random() * numbers.length)]).join("");
-    return randomLetters + randomNumbers;
+// 🕵️ Guarda IP, navegador y teléfono de la cuenta y marca cuentas relacionadas (un fallo no interrumpe el flujo)
+async function trackAccountSignals(userId, event, req) {
+    try {
+        const { newFlags } = await recordAccountSignals(userId, event, req);
+        if (newFlags.length > 0) {
+            console.log(`🕵️ Fraude: ${newFlags.length} par(es) de cuentas marcadas con el usuario ${userId} (${event}).`);
+            io.emit('fraudFlagsUpdated');
+        }
+    } catch (error) {
+        console.error('Account signals error:', error);
+    }
+}
+
+// 🔹 Genera y envía por correo un código de verificación (un fallo de envío no interrumpe el flujo)
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60;
+async function sendVerificationCode(user) {
+    try {
+        const { code } = await createEmailVerification(user.id, { ttlMinutes: EMAIL_VERIFICATION_TTL_MINUTES });
+        const link = `${FRONTEND_URL}/verify-email?email=${encodeURIComponent(user.email)}&code=${encodeURIComponent(code)}`;
+        await sendEmailVerificationEmail(user.email, { code, link, expiresInMinutes: EMAIL_VERIFICATION_TTL_MINUTES });
+    } catch (error) {
+        console.error(`Email verification send error (user ${user.id}):`, error);
+    }
+}
+
+// 💰 Aviso del bono de bienvenida resuelto (acreditado o retenido por fraude, ver campaigns.js)
+function notifyCampaignBonus(bonus) {
+    io.emit('campaignsUpdated');
+    if (bonus.status === CAMPAIGN_BONUS_STATUS.HELD) {
+        console.log(`🕵️ Fraude: bono de campaña ${bonus.campaignCode} retenido para revisión (usuario ${bonus.userId}).`);
+        return;
+    }
+
+    io.emit('transactionsUpdated');
+    io.emit('usersUpdated');
+    const targetSocketId = userSocketMap.get(Number(bonus.userId));
+    if (targetSocketId) {
+        io.to(targetSocketId).emit('transactionApproved', {
+            transactionId: bonus.transaction.id,
+            amount: fromCents(bonus.amountCents),
+            message: `¡Recibiste tu bono de bienvenida de ${formatMoney(bonus.amountCents)}!`
+        });
+    }
+}
+
+// 🔹 Obtiene el ID del proveedor de una compra (por stockId y, si no, por nombre de producto)
+async function findPurchaseProviderId(tx) {
+    const stockId = tx.details?.fullCredentials?.[0]?.stockId;
+    if (stockId) {
+        const stockRes = await client.execute({
+            sql: "SELECT provider_user_id FROM product_stock WHERE id = ?",
+            args: [stockId]
+        });
+        if (stockRes.rows.length > 0) return stockRes.rows[0].provider_user_id;
+    }
+    if (tx.details?.productName) {
+        const prodRes = await client.execute({
+            sql: "SELECT creator_user_id FROM products WHERE name = ? LIMIT 1",
+            args: [tx.details.productName]
+        });
+        if (prodRes.rows.length > 0) return prodRes.rows[0].creator_user_id;
+    }
+    return null;
+}
+
+
+
+// 💵 Precios del producto para el frontend (columnas en centavos → decimales)
+function presentProductPrices(p) {
+    return {
+        priceStandard: fromCents(p.price_standard_cents, p.currency),
+        pricePremium: fromCents(p.price_premium_cents, p.currency),
+        priceRenewalStandard: fromCents(p.price_renewal_standard_cents, p.currency),
+        priceRenewalPremium: fromCents(p.price_renewal_premium_cents, p.currency),
+        currency: p.currency
+    };
 }
 
+// 💵 Precios enviados por el frontend → centavos, en el orden de las columnas price_*_cents (vacío = 0)
+function productPriceCents({ priceStandard, pricePremium, priceRenewalStandard, priceRenewalPremium }) {
+    return [priceStandard, pricePremium, priceRenewalStandard, priceRenewalPremium]
+        .map(price => toCents(price) || 0);
+}
 
+// 💵 Fila de 'withdrawals' para el frontend: conserva los nombres de columna, con los montos en decimales
+function presentWithdrawal(row) {
+    return {
+        ...row,
+        amount_original: fromCents(row.amount_original_cents, row.currency),
+        amount_final: fromCents(row.amount_final_cents, row.currency)
+    };
+}
 
 // --- Product Management Routes (NUEVOS) ---
 
 // 🔑 ENDPOINT: Crear Producto y Registrar Stock
 // Crear Producto y Registrar Stock (Asegurando provider_user_id)
-app.post('/products', async (req, res) => {
+app.post('/products', requireAuth, requireSupplier, async (req, res) => {
     const {
         name, platform, description, productDetails, instructions, // 🟢 Nuevos campos
         isRenewable, delivery, duration, type,
         priceStandard, pricePremium, priceRenewalStandard, priceRenewalPremium,
-        imageUrl, images, stock, provider, iconName, creatorUserId, credentials
+        imageUrl, images, stock, provider, iconName, credentials
     } = req.body;
+    const creatorUserId = req.user.id; // 🔒 El creador siempre es el usuario autenticado
 
-    if (!name || !platform || !priceStandard || !creatorUserId || !imageUrl) {
+    if (!name || !platform || !priceStandard || !imageUrl) {
         return res.status(400).json({ message: 'Faltan campos obligatorios.' });
     }
+    if (productPriceCents(req.body).some(cents => cents < 0) || !(toCents(priceStandard) > 0)) {
+        return res.status(400).json({ message: 'Los precios deben ser montos válidos.' });
+    }
 
     try {
         // 1. Insertar Producto
@@ -160,7 +371,7 @@ app.post('/products', async (req, res) => {
             sql: `INSERT INTO products (
                 name, platform, description, product_details, instructions, 
                 is_renewable, delivery, duration, type,
-                price_standard, price_premium, price_renewal_standard, price_renewal_premium,
+                price_standard_cents, price_premium_cents, price_renewal_standard_cents, price_renewal_premium_cents,
                 image_url, images, stock, provider, icon_name, creator_user_id, is_published, publication_end_date
             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             args: [
@@ -173,10 +384,7 @@ app.post('/products', async (req, res) => {
                 delivery,
                 duration,
                 type,
-                priceStandard,
-                pricePremium,
-                priceRenewalStandard,
-                priceRenewalPremium,
+                ...productPriceCents(req.body),
                 imageUrl,
                 JSON.stringify(images),
                 stock,
@@ -274,10 +482,7 @@ app.get('/products', async (req, res) => {
             delivery: p.delivery,
             duration: p.duration,
             type: p.type,
-            priceStandard: p.price_standard || 0,
-            pricePremium: p.price_premium || 0,
-            priceRenewalStandard: p.price_renewal_standard || 0,
-            priceRenewalPremium: p.price_renewal_premium || 0,
+            ...presentProductPrices(p),
             imageUrl: p.image_url,
             images: JSON.parse(p.images || '[]'),
             stock: p.stock || 0,
@@ -297,7 +502,7 @@ app.get('/products', async (req, res) => {
     }
 });
 
-app.post('/product/update', async (req, res) => {
+app.post('/product/update', requireAuth, requireSupplier, requireProductOwner(req => req.body.id), async (req, res) => {
     const {
         id, name, platform, description, productDetails, instructions, // 🟢 Nuevos campos
         isRenewable, delivery, duration, type,
@@ -306,6 +511,9 @@ app.post('/product/update', async (req, res) => {
     } = req.body;
 
     if (!id) return res.status(400).json({ message: 'ID de producto requerido.' });
+    if (productPriceCents(req.body).some(cents => cents < 0)) {
+        return res.status(400).json({ message: 'Los precios deben ser montos válidos.' });
+    }
 
     try {
         // 1. Actualizar datos del producto
@@ -313,13 +521,13 @@ app.post('/product/update', async (req, res) => {
             sql: `UPDATE products SET 
                 name = ?, platform = ?, description = ?, product_details = ?, instructions = ?,
                 is_renewable = ?, delivery = ?, duration = ?, type = ?,
-                price_standard = ?, price_premium = ?, price_renewal_standard = ?, price_renewal_premium = ?,
+                price_standard_cents = ?, price_premium_cents = ?, price_renewal_standard_cents = ?, price_renewal_premium_cents = ?,
                 image_url = ?, images = ?
                 WHERE id = ?`,
             args: [
                 name, platform, description, productDetails, instructions, // 🟢 Actualizar campos
                 isRenewable ? 1 : 0, delivery, duration, type,
-                priceStandard, pricePremium, priceRenewalStandard, priceRenewalPremium,
+                ...productPriceCents(req.body),
                 imageUrl, JSON.stringify(images),
                 id
             ]
@@ -353,7 +561,7 @@ app.post('/product/update', async (req, res) => {
 });
 
 // 🔑 NUEVO ENDPOINT: Obtener todos los productos creados por un usuario específico (Incluyendo no publicados)
-app.get('/products/supplier/:userId', async (req, res) => {
+app.get('/products/supplier/:userId', requireAuth, requireSupplier, requireSelf('userId'), async (req, res) => {
     const { userId } = req.params;
     try {
         const result = await client.execute({
@@ -369,10 +577,7 @@ app.get('/products/supplier/:userId', async (req, res) => {
             productDetails: p.product_details, // 🟢 RECUPERAR DETALLE
             instructions: p.instructions,      // 🟢 RECUPERAR INSTRUCCIONES
             stock: p.stock || 0,
-            priceStandard: p.price_standard || 0,
-            pricePremium: p.price_premium || 0,
-            priceRenewalStandard: p.price_renewal_standard || 0,
-            priceRenewalPremium: p.price_renewal_premium || 0,
+            ...presentProductPrices(p),
             imageUrl: p.image_url,
             images: JSON.parse(p.images || '[]'),
             isRenewable: p.is_renewable === 1,
@@ -390,12 +595,12 @@ app.get('/products/supplier/:userId', async (req, res) => {
     }
 });
 // 🔑 GET User Profile Details (ROBUSTO)
-app.get('/profile/:userId', async (req, res) => {
+app.get('/profile/:userId', requireAuth, requireSelf('userId'), async (req, res) => {
     const { userId } = req.params;
 
     try {
         const result = await client.execute({
-            sql: 'SELECT id, username, email, phone, created_at, referral_code, role, transactions_history, balance, discount_percentage, premium_expires_at FROM users WHERE id = ?',
+            sql: 'SELECT id, username, email, phone, created_at, referral_code, role, balance_cents, currency, discount_percentage, premium_expires_at, email_verified FROM users WHERE id = ?',
             args: [userId]
         });
 
@@ -410,7 +615,7 @@ app.get('/profile/:userId', async (req, res) => {
 
         const date = new Date(user.created_at);
         const formattedDate = date.toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric' });
-        const transactionsHistory = JSON.parse(user.transactions_history || '[]');
+        const transactionsHistory = (await getUserTransactions(user.id)).map(presentTransaction);
 
         // 🟢 ENRIQUECIMIENTO SEGURO
         const enrichedTransactions = await Promise.all(transactionsHistory.map(async (tx) => {
@@ -465,12 +670,15 @@ app.get('/profile/:userId', async (req, res) => {
             registrationDate: formattedDate,
             role: user.role,
             status: 'Activa',
-            balance: user.balance,
+            balance: fromCents(user.balance_cents, user.currency),
+            balanceCents: user.balance_cents,
+            currency: user.currency,
             profileImageUrl: '/fpfcat.png',
             referralCode: user.referral_code,
             transactionsHistory: enrichedTransactions,
             discountPercentage: user.discount_percentage,
-            premiumExpiresAt: user.premium_expires_at
+            premiumExpiresAt: user.premium_expires_at,
+            emailVerified: user.email_verified === 1
         });
 
     } catch (error) {
@@ -478,10 +686,72 @@ app.get('/profile/:userId', async (req, res) => {
         res.status(500).json({ message: 'Error interno del servidor al obtener el perfil.' });
     }
 });
+
+// 📢 GET Panel de referidos del usuario: su red, quién ya recargó y cuánto ganó (por referido y por mes)
+app.get('/me/referrals', requireAuth, async (req, res) => {
+    try {
+        const dashboard = await getReferralDashboard(req.user.id);
+        if (!dashboard) return res.status(404).json({ message: 'Usuario no encontrado.' });
+        res.status(200).json(dashboard);
+    } catch (error) {
+        console.error('Referral dashboard error:', error);
+        res.status(500).json({ message: 'Error al obtener tus referidos.' });
+    }
+});
+
+// 🏷️ GET Código de referido del usuario, cambios disponibles e historial
+app.get('/me/referral-code', requireAuth, async (req, res) => {
+    try {
+        const status = await getReferralCodeStatus(req.user.id);
+        if (!status) return res.status(404).json({ message: 'Usuario no encontrado.' });
+        res.status(200).json(status);
+    } catch (error) {
+        console.error('Referral code status error:', error);
+        res.status(500).json({ message: 'Error al obtener tu código de referido.' });
+    }
+});
+
+// 🏷️ PUT Código de referido personalizado (distribuidores y proveedores). Body: { code }
+// El código anterior sigue funcionando durante el período de gracia.
+app.put('/me/referral-code', requireAuth, requireVerifiedEmail, requireRole(...DISTRIBUTOR_ROLES, ...SUPPLIER_ROLES), async (req, res) => {
+    try {
+        const result = await changeReferralCode(req.user.id, req.body.code, { changedBy: req.user.id });
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+        }
+
+        io.emit('usersUpdated');
+        res.status(200).json({ message: 'Código de referido actualizado.', ...result });
+    } catch (error) {
+        console.error('Referral code change error:', error);
+        res.status(500).json({ message: 'Error al cambiar tu código de referido.' });
+    }
+});
 // --- Authentication Routes ---
 
+// 🔹 Último paso del login (con o sin segundo factor): expira premium vencido y emite la sesión
+async function completeLogin(user, req, res) {
+    const currentRole = await checkAndExpirePremium(user);
+    const tokens = await createSession({ id: user.id, role: currentRole }, req);
+    await trackAccountSignals(user.id, SIGNAL_EVENTS.LOGIN, req);
+
+    res.status(200).json({
+        message: 'Inicio de sesión exitoso.',
+        user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            role: currentRole,
+            emailVerified: user.email_verified === 1
+        },
+        ...tokens
+    });
+}
+
+const LOGIN_USER_COLUMNS = 'id, username, email, password_hash, role, is_banned, is_approved, ban_reason, banned_until, email_verified, premium_expires_at';
+
 // Login User
-app.post('/login', async (req, res) => {
+app.post('/login', loginRateLimit, async (req, res) => {
     const { email, password } = req.body;
 
     if (!email || !password) {
@@ -489,38 +759,51 @@ app.post('/login', async (req, res) => {
     }
 
     try {
+        // 🚦 Bloqueo progresivo tras intentos fallidos repetidos
+        if (await rejectIfLoginLocked(email, req.ip, res)) return;
+
         const result = await client.execute({
-            sql: 'SELECT id, username, email, password_hash, role, is_banned, is_approved, premium_expires_at FROM users WHERE email = ?',
+            sql: `SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE email = ?`,
             args: [email]
         });
 
         if (result.rows.length === 0) {
+            await recordLoginFailure(email, req.ip);
             return res.status(404).json({ message: 'Usuario no encontrado.' });
         }
 
         let user = result.rows[0];
-        
-        // ... (verificaciones de is_approved y is_banned)
 
         const isMatch = await bcrypt.compare(password, user.password_hash);
 
         if (!isMatch) {
+            await recordLoginFailure(email, req.ip);
             return res.status(401).json({ message: 'Credenciales inválidas.' });
         }
 
-        // 🟢 LÓGICA DE VERIFICACIÓN POR EMAIL (Solo para Admin)
-        // 🟢 LÓGICA NORMAL DE LOGIN (No admin)
-        const currentRole = await checkAndExpirePremium(user);
+        await clearLoginFailures(email, req.ip);
 
-        res.status(200).json({
-            message: 'Inicio de sesión exitoso.',
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                role: currentRole 
-            }
-        });
+        // 🚫 Verificación de is_banned (tras validar la contraseña para no revelar el estado)
+        const block = await getAccountBlock(user);
+        if (block) {
+            return forbidden(res, block.reason, block.message, block.extra);
+        }
+
+        // 🟢 SEGUNDO FACTOR (Obligatorio para Admin; opcional para quien lo haya activado)
+        // No se emite sesión hasta completar /auth/2fa/login con el código.
+        const challenge = await startLoginChallenge(user);
+        if (challenge) {
+            return res.status(200).json({
+                message: challenge.method === 'email'
+                    ? 'Te enviamos un código de acceso a tu correo.'
+                    : 'Ingresa el código de tu aplicación de autenticación.',
+                twoFactorRequired: true,
+                ...challenge
+            });
+        }
+
+        // 🟢 LÓGICA NORMAL DE LOGIN (Sin segundo factor)
+        await completeLogin(user, req, res);
 
     } catch (error) {
         console.error('Login error:', error);
@@ -528,29 +811,284 @@ app.post('/login', async (req, res) => {
     }
 });
 
+// 🔐 Segundo paso del login: canjea el reto con el código (TOTP, respaldo o correo)
+app.post('/auth/2fa/login', authCodeRateLimit, async (req, res) => {
+    const { challengeId, code } = req.body;
+
+    if (!challengeId || !code) {
+        return res.status(400).json({ message: 'El reto y el código son obligatorios.' });
+    }
+
+    try {
+        const userId = await verifyLoginChallenge(challengeId, code);
+        if (!userId) {
+            return res.status(401).json({ message: 'Código incorrecto o expirado.', code: 'INVALID_2FA_CODE' });
+        }
+
+        const result = await client.execute({
+            sql: `SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = ?`,
+            args: [userId]
+        });
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+
+        const user = result.rows[0];
+        const block = await getAccountBlock(user);
+        if (block) {
+            return forbidden(res, block.reason, block.message, block.extra);
+        }
+
+        await completeLogin(user, req, res);
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({ message: 'Error interno del servidor durante el inicio de sesión.' });
+    }
+});
+
+// 🔐 Estado del segundo factor del usuario autenticado
+app.get('/auth/2fa', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await getTwoFactorStatus(req.user));
+    } catch (error) {
+        console.error('2FA status error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener el segundo factor.' });
+    }
+});
+
+// 🔐 Inscribir un segundo factor: 'totp' devuelve el secreto/URL para el QR; 'email' envía un código
+app.post('/auth/2fa/enroll', requireAuth, async (req, res) => {
+    const { method } = req.body;
+
+    if (!TWO_FACTOR_METHODS.includes(method)) {
+        return res.status(400).json({ message: `Método no válido. Usa: ${TWO_FACTOR_METHODS.join(', ')}.` });
+    }
+
+    try {
+        const status = await getTwoFactorStatus(req.user);
+        if (status.enabled) {
+            return res.status(409).json({ message: 'Ya tienes un segundo factor activo. Desactívalo antes de cambiarlo.' });
+        }
+
+        const enrollment = await beginEnrollment(req.user, method);
+        res.status(200).json({
+            message: method === 'totp'
+                ? 'Escanea el código en tu aplicación de autenticación y confirma con un código.'
+                : 'Te enviamos un código a tu correo para confirmar.',
+            ...enrollment
+        });
+    } catch (error) {
+        console.error('2FA enroll error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al inscribir el segundo factor.' });
+    }
+});
+
+// 🔐 Confirmar la inscripción con el primer código. Los códigos de respaldo solo se muestran aquí.
+app.post('/auth/2fa/verify', requireAuth, async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ message: 'El código es obligatorio.' });
+    }
+
+    try {
+        const enrollment = await confirmEnrollment(req.user.id, code);
+        if (!enrollment) {
+            return res.status(400).json({ message: 'Código incorrecto o no hay una inscripción pendiente.' });
+        }
+
+        res.status(200).json({
+            message: 'Segundo factor activado correctamente.',
+            ...enrollment
+        });
+    } catch (error) {
+        console.error('2FA verify error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al confirmar el segundo factor.' });
+    }
+});
+
+// 🔐 Desactivar el segundo factor (exige la contraseña y, con TOTP, un código vigente o de respaldo)
+// Un Admin sin factor propio vuelve al código por correo: nunca queda solo con contraseña.
+app.post('/auth/2fa/disable', requireAuth, authCodeRateLimit, async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!password) {
+        return res.status(400).json({ message: 'La contraseña es obligatoria.' });
+    }
+
+    try {
+        const result = await client.execute({
+            sql: 'SELECT password_hash FROM users WHERE id = ?',
+            args: [req.user.id]
+        });
+        const isMatch = result.rows.length > 0 && await bcrypt.compare(password, result.rows[0].password_hash);
+        if (!isMatch) {
+            return res.status(401).json({ message: 'Credenciales inválidas.' });
+        }
+
+        if (!(await verifyCurrentFactor(req.user.id, code))) {
+            return res.status(401).json({ message: 'Código incorrecto o expirado.', code: 'INVALID_2FA_CODE' });
+        }
+
+        await disableTwoFactor(req.user.id);
+        res.status(200).json({ message: 'Segundo factor desactivado.' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al desactivar el segundo factor.' });
+    }
+});
+
+// 🔑 Renovar sesión: intercambia un refresh token válido por un nuevo par de tokens (rotación)
+app.post('/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token requerido.' });
+    }
+
+    try {
+        const tokens = await refreshSession(refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({ message: 'Sesión no válida. Inicia sesión nuevamente.', code: 'INVALID_TOKEN' });
+        }
+        res.status(200).json(tokens);
+    } catch (error) {
+        console.error('Refresh session error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al renovar la sesión.' });
+    }
+});
+
+// 🔑 Cerrar sesión: revoca la sesión del token actual
+app.post('/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId);
+        res.status(200).json({ message: 'Sesión cerrada correctamente.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al cerrar la sesión.' });
+    }
+});
+
+// 🔑 Olvidé mi contraseña: envía un código de un solo uso al correo
+// Siempre responde lo mismo para no revelar qué correos están registrados.
+const PASSWORD_RESET_TTL_MINUTES = 30;
+app.post('/auth/forgot-password', authCodeRateLimit, async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ message: 'El correo electrónico es obligatorio.' });
+    }
+
+    try {
+        const result = await client.execute({
+            sql: 'SELECT id, email FROM users WHERE email = ?',
+            args: [email]
+        });
+
+        if (result.rows.length > 0) {
+            const user = result.rows[0];
+            const { code } = await createPasswordReset(user.id, { purpose: 'self_service', ttlMinutes: PASSWORD_RESET_TTL_MINUTES });
+            const link = `${FRONTEND_URL}/reset-password?email=${encodeURIComponent(user.email)}&code=${encodeURIComponent(code)}`;
+            await sendPasswordResetEmail(user.email, { code, link, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES });
+        }
+
+        res.status(200).json({ message: 'Si el correo está registrado, recibirás un código para restablecer tu contraseña.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al solicitar el restablecimiento.' });
+    }
+});
+
+// 🔑 Verificar correo con el código enviado tras el registro
+app.post('/auth/verify-email', authCodeRateLimit, async (req, res) => {
+    const { email, code } = req.body;
+
+    if (!email || !code) {
+        return res.status(400).json({ message: 'Correo y código son obligatorios.' });
+    }
+
+    try {
+        const userId = await consumeEmailVerification(email, code);
+        if (!userId) {
+            return res.status(400).json({ message: 'El código no es válido o ya expiró.' });
+        }
+
+        const targetSocketId = userSocketMap.get(Number(userId));
+        if (targetSocketId) {
+            io.to(targetSocketId).emit('emailVerified');
+        }
+
+        // 💰 Bono de bienvenida pendiente: se acredita ahora o queda retenido si la cuenta está marcada por fraude
+        let campaignBonus = null;
+        try {
+            campaignBonus = await settleCampaignBonus(Number(userId));
+            if (campaignBonus) notifyCampaignBonus(campaignBonus);
+        } catch (error) {
+            // El correo ya quedó verificado: el bono sigue 'pending' y no se pierde
+            console.error(`Campaign bonus error (user ${userId}):`, error);
+        }
+
+        res.status(200).json({
+            message: 'Correo verificado correctamente.',
+            ...(campaignBonus ? {
+                campaignBonus: {
+                    amount: fromCents(campaignBonus.amountCents),
+                    amountCents: campaignBonus.amountCents,
+                    status: campaignBonus.status
+                }
+            } : {})
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al verificar el correo.' });
+    }
+});
+
+// 🔑 Reenviar código de verificación al usuario autenticado
+app.post('/auth/resend-verification', requireAuth, authCodeRateLimit, async (req, res) => {
+    if (req.user.emailVerified) {
+        return res.status(400).json({ message: 'Tu correo ya está verificado.' });
+    }
+
+    await sendVerificationCode(req.user);
+    res.status(200).json({ message: 'Te enviamos un nuevo código de verificación.' });
+});
+
+// 🔑 Restablecer contraseña con un código de un solo uso
+app.post('/auth/reset-password', authCodeRateLimit, async (req, res) => {
+    const { email, code, newPassword } = req.body;
+
+    if (!email || !code || !newPassword || newPassword.trim() === '') {
+        return res.status(400).json({ message: 'Correo, código y nueva contraseña son obligatorios.' });
+    }
+
+    try {
+        const userId = await consumePasswordReset(email, code, newPassword);
+        if (!userId) {
+            return res.status(400).json({ message: 'El código no es válido o ya expiró.' });
+        }
+        res.status(200).json({ message: 'Contraseña actualizada. Ya puedes iniciar sesión.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al restablecer la contraseña.' });
+    }
+});
+
 
 // 🔑 NUEVO ENDPOINT: Enviar transacción a Soporte
-app.post('/user/send-to-support', async (req, res) => {
-  const { userId, transactionId, message } = req.body;
+app.post('/user/send-to-support', requireAuth, async (req, res) => {
+  const { transactionId, message } = req.body;
+  const userId = req.user.id;
 
-  if (!userId || !transactionId || !message) {
+  if (!transactionId || !message) {
     return res.status(400).json({ message: 'Datos incompletos.' });
   }
 
   try {
-    const userResult = await client.execute({
-      sql: 'SELECT transactions_history FROM users WHERE id = ?',
-      args: [userId],
-    });
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Usuario no encontrado.' });
-    }
-
-    let history = JSON.parse(userResult.rows[0].transactions_history || '[]');
+    const history = await getUserTransactions(userId);
     const incoming = String(transactionId).trim();
 
-    let transactionFound = false;
+    let transactionFound = null;
 
     // Helper para generar código si falta
     const ensureOrderCode = (tx) => {
@@ -569,7 +1107,6 @@ app.post('/user/send-to-support', async (req, res) => {
         const match = (txIdStr && txIdStr === incoming) || (txCodeStr && txCodeStr === incoming);
 
         if (match) {
-            transactionFound = true;
 
             // 🔥 AUTO-REPARACIÓN AL ENVIAR:
             // Siempre intentamos buscar el proveedor actual en la BD, sin importar qué diga el ticket
@@ -609,7 +1146,7 @@ app.post('/user/send-to-support', async (req, res) => {
                 supportDate: new Date().toLocaleDateString('es-PE'),
             };
             
-            history[i] = tx;
+            transactionFound = tx;
             break;
         }
     }
@@ -618,10 +1155,7 @@ app.post('/user/send-to-support', async (req, res) => {
       return res.status(404).json({ message: 'Transacción no encontrada.' });
     }
 
-    await client.execute({
-      sql: 'UPDATE users SET transactions_history = ? WHERE id = ?',
-      args: [JSON.stringify(history), userId],
-    });
+    await saveTransaction(userId, transactionFound);
 
     io.emit('transactionsUpdated'); 
 
@@ -636,7 +1170,7 @@ app.post('/user/send-to-support', async (req, res) => {
 
 
 // Register User
-app.post('/register', async (req, res) => {
+app.post('/register', registerRateLimit, async (req, res) => {
     const { username, email, phone, password, referralCodeUsed } = req.body;
 
     if (!username || !email || !password || !referralCodeUsed) {
@@ -658,72 +1192,85 @@ app.post('/register', async (req, res) => {
             return res.status(409).json({ message: 'El usuario o correo electrónico ya está registrado.' });
         }
         
-        const normalizedCode = referralCodeUsed.toUpperCase();
-        
-        const referrerResult = await client.execute({
-            sql: "SELECT id FROM users WHERE referral_code = ?",
-            args: [normalizedCode]
-        });
-
-        if (referrerResult.rows.length === 0) {
-            return res.status(400).json({ message: `El código de referido "${normalizedCode}" no es válido.` });
-        }
-        
-        referrerId = referrerResult.rows[0].id; 
-        
-        let isUnique = false;
-        let attempts = 0;
-
-        while (!isUnique && attempts < 10) {
-            const code = generateReferralCode();
-            const check = await client.execute({
-                sql: "SELECT id FROM users WHERE referral_code = ?",
-                args: [code]
-            });
+        const normalizedCode = normalizeReferralCode(referralCodeUsed);
+
+        // 📢 Código de campaña: sin referente, con el rol por defecto de la campaña (ver campaigns.js)
+        const campaign = await findCampaignByCode(normalizedCode);
+        if (campaign) {
+            const unavailable = campaignUnavailableReason(campaign);
+            if (unavailable) return res.status(400).json({ message: unavailable });
+            if (campaign.defaultRole) defaultRole = campaign.defaultRole;
+        } else {
+            // 🏷️ Código vigente o anterior aún en período de gracia (ver referralCodes.js)
+            const referrer = await resolveReferralCode(normalizedCode);
 
-            if (check.rows.length === 0) {
-                personalReferral = code;
-                isUnique = true;
+            if (!referrer) {
+                return res.status(400).json({ message: `El código de referido "${normalizedCode}" no es válido.` });
             }
-            attempts++;
-        }
 
-        if (!personalReferral) {
-             personalReferral = `U${Math.floor(10000 + Math.random() * 90000)}`;
+            referrerId = referrer.userId;
         }
+        personalReferral = await generateUniqueReferralCode();
 
         const salt = await bcrypt.genSalt(10);
         const password_hash = await bcrypt.hash(password, salt);
 
-        const defaultBalance = 0.00;
+        const defaultBalanceCents = 0;
         const defaultDiscount = 0;
         const defaultIsBanned = 0;
 
-        // 🟢 CAMBIO: Agregamos plain_password en el INSERT y pasamos 'password' en los argumentos
-        await client.execute({
-            sql: `INSERT INTO users (username, email, phone, password_hash, plain_password, referral_code, role, transactions_history, balance, discount_percentage, is_banned, referred_by_user_id, is_approved)
-                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            args: [username, email, phone, password_hash, password, personalReferral, defaultRole, '[]', defaultBalance, defaultDiscount, defaultIsBanned, referrerId, defaultIsApproved]
-        });
+        // El uso de la campaña se consume junto con el alta (si otro agotó el código antes, no se crea la cuenta)
+        await runAtomic([
+            {
+                sql: `INSERT INTO users (username, email, phone, phone_normalized, password_hash, referral_code, role, balance_cents, currency, discount_percentage, is_banned, referred_by_user_id, is_approved)
+                      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                args: [username, email, phone, normalizePhone(phone), password_hash, personalReferral, defaultRole, defaultBalanceCents, DEFAULT_CURRENCY, defaultDiscount, defaultIsBanned, referrerId, defaultIsApproved]
+            },
+            campaign ? campaignRedemptionStatements(campaign, CAMPAIGN_CONTEXTS.REGISTER, { email }) : []
+        ]);
 
         const newUserResult = await client.execute({
             sql: 'SELECT id, username, email, role FROM users WHERE email = ?',
             args: [email]
         });
         const newUser = newUserResult.rows[0];
+
+        if (campaign) io.emit('campaignsUpdated');
+
+        const tokens = await createSession(newUser, req);
+        await trackAccountSignals(newUser.id, SIGNAL_EVENTS.REGISTER, req);
+
+        // 📧 Paso de verificación: se envía el código al correo registrado
+        await sendVerificationCode(newUser);
         
+        // 💰 El bono de la campaña queda pendiente: se acredita al verificar el correo (ver /auth/verify-email)
+        const campaignBonusCents = campaign ? campaign.bonusCents : 0;
         res.status(201).json({
-            message: 'Registro exitoso. Iniciando sesión automáticamente.',
+            message: campaignBonusCents > 0
+                ? `Registro exitoso. Verifica tu correo para recibir tu bono de ${formatMoney(campaignBonusCents)}.`
+                : 'Registro exitoso. Iniciando sesión automáticamente.',
             user: {
                 id: newUser.id,
                 username: newUser.username,
                 email: newUser.email,
                 role: newUser.role,
-                isApproved: true
-            }
+                isApproved: true,
+                emailVerified: false
+            },
+            ...(campaign ? {
+                campaign: {
+                    code: campaign.code,
+                    name: campaign.name,
+                    bonus: fromCents(campaignBonusCents),
+                    bonusCents: campaignBonusCents,
+                    bonusStatus: campaignBonusCents > 0 ? CAMPAIGN_BONUS_STATUS.PENDING : null
+                }
+            } : {}),
+            ...tokens
         });
 
     } catch (error) {
+        if (rejectAtomicError(res, error, { PRECONDITION_FAILED: 'El código de campaña ya no está disponible.' })) return;
         console.error('Registration error:', error);
         res.status(500).json({ message: 'Error interno del servidor durante el registro.' });
     }
@@ -733,15 +1280,20 @@ app.post('/register', async (req, res) => {
 app.get('/admin/pending-users', async (req, res) => {
     try {
         // Hacemos LEFT JOIN para traer el código del usuario que lo refirió (si existe)
-        // Si referred_by_user_id es NULL, asumimos que usó 'BLD231'
+        // Sin referente, la solicitud se hizo con un código de campaña: se toma el de su último uso (ver campaigns.js)
         const result = await client.execute({
             sql: `
-                SELECT u.id, u.username, u.email, u.created_at, u.role, r.referral_code as referrer_code
+                SELECT u.id, u.username, u.email, u.created_at, u.role, r.referral_code as referrer_code,
+                       c.code as campaign_code, c.name as campaign_name
                 FROM users u
                 LEFT JOIN users r ON u.referred_by_user_id = r.id
+                LEFT JOIN campaign_codes c ON u.referred_by_user_id IS NULL AND c.id = (
+                    SELECT campaign_id FROM campaign_code_uses
+                    WHERE user_id = u.id AND context = ? ORDER BY id DESC LIMIT 1
+                )
                 WHERE u.is_approved = 0 AND u.role = ?
             `,
-            args: ['Pending']
+            args: [CAMPAIGN_CONTEXTS.APPLY_SUPPLIER, 'Pending']
         });
 
         const pendingUsers = result.rows.map(user => ({
@@ -749,8 +1301,9 @@ app.get('/admin/pending-users', async (req, res) => {
             username: user.username,
             email: user.email,
             registrationDate: new Date(user.created_at).toLocaleDateString('es-ES'),
-            // Si tiene referrer_code (usuario real), úsalo. Si es null, fue BLD231.
-            referralCodeUsed: user.referrer_code || 'BLD231',
+            // Si tiene referrer_code (usuario real), úsalo. Si no, el código de campaña.
+            referralCodeUsed: user.referrer_code || user.campaign_code || null,
+            campaignName: user.referrer_code ? null : user.campaign_name || null,
         }));
 
         res.status(200).json(pendingUsers);
@@ -814,11 +1367,9 @@ app.post('/admin/user/remove-referral', async (req, res) => {
     }
 
     try {
-        // Actualizamos el usuario poniendo su código en NULL
-        await client.execute({
-            sql: "UPDATE users SET referral_code = NULL WHERE id = ?",
-            args: [numericUserId]
-        });
+        // Quitamos su código (queda registrado en el historial de códigos, sin redirección)
+        const removed = await removeReferralCode(numericUserId, { changedBy: req.user.id });
+        if (!removed) return res.status(404).json({ message: 'Usuario no encontrado.' });
 
         // Emitir evento para actualizar la tabla en tiempo real
         io.emit('usersUpdated');
@@ -879,7 +1430,7 @@ app.post('/admin/settings/category-discount/update', async (req, res) => {
 });
 
 // 🟢 CREAR CATEGORÍA
-app.post('/categories', async (req, res) => {
+app.post('/categories', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
     const { name, logoUrl } = req.body;
     if (!name) return res.status(400).json({ message: 'Nombre requerido.' });
 
@@ -896,7 +1447,7 @@ app.post('/categories', async (req, res) => {
 });
 
 // 🟢 EDITAR CATEGORÍA
-app.put('/categories/:id', async (req, res) => {
+app.put('/categories/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
     const { id } = req.params;
     const { name, logoUrl } = req.body;
 
@@ -932,7 +1483,7 @@ app.put('/categories/:id', async (req, res) => {
 });
 
 // 🟢 ELIMINAR CATEGORÍA
-app.delete('/categories/:id', async (req, res) => {
+app.delete('/categories/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
     const { id } = req.params;
     try {
         await client.execute({ sql: 'DELETE FROM categories WHERE id = ?', args: [id] });
@@ -944,19 +1495,20 @@ app.delete('/categories/:id', async (req, res) => {
 });
 
 // 🟢 1. ENDPOINT: Obtener detalles de items de una venta agrupada (para poder devolver uno por uno)
-app.post('/supplier/sales/details', async (req, res) => {
-    const { providerId, buyerId, productId, soldAt } = req.body;
+app.post('/supplier/sales/details', requireAuth, requireSupplier, async (req, res) => {
+    const { buyerId, productId, soldAt } = req.body;
+    const providerId = req.user.id;
     try {
         const result = await client.execute({
             sql: `SELECT id, data FROM product_stock WHERE provider_user_id = ? AND sold_to_user_id = ? AND product_id = ? AND sold_at = ? AND is_sold = 1`,
             args: [providerId, buyerId, productId, soldAt]
         });
-        res.status(200).json(result.rows.map(r => ({ id: r.id, data: JSON.parse(r.data) })));
+        res.status(200).json(result.rows.map(r => ({ id: r.id, data: presentSoldStock(JSON.parse(r.data)) })));
     } catch (error) { res.status(500).json({ message: 'Error.' }); }
 });
 
 // 🟢 2. ENDPOINT: PROCESAR DEVOLUCIÓN (REFUND)
-app.post('/supplier/refund', async (req, res) => {
+app.post('/supplier/refund', requireAuth, requireSupplier, requireStockOwner(req => req.body.stockId), async (req, res) => {
     const { stockId, amountToRefund } = req.body;
     try {
         // 1. Obtener info de la venta, el proveedor y el comprador
@@ -968,55 +1520,76 @@ app.post('/supplier/refund', async (req, res) => {
         const prodRes = await client.execute({ sql: 'SELECT name FROM products WHERE id = ?', args: [productId] });
         const productName = prodRes.rows[0].name;
 
-        // 3. Devolver dinero al USUARIO (COMPRADOR) y registrar en su historial
-        const userRes = await client.execute({ sql: 'SELECT balance, transactions_history, username FROM users WHERE id = ?', args: [buyerId] });
+        const userRes = await client.execute({ sql: 'SELECT username FROM users WHERE id = ?', args: [buyerId] });
         const user = userRes.rows[0];
-        const refundAmount = parseFloat(amountToRefund);
-        const newBuyerBalance = user.balance + refundAmount;
-        const buyerHistory = JSON.parse(user.transactions_history || '[]');
-
-        buyerHistory.unshift({
-            id: Date.now(),
-            date: new Date().toLocaleDateString('es-PE'),
-            description: `Reembolso: ${productName}`,
-            amount: refundAmount,
-            type: 'credit',
-            status: 'Devuelto' 
-        });
-
-        await client.execute({ sql: 'UPDATE users SET balance = ?, transactions_history = ? WHERE id = ?', args: [newBuyerBalance, JSON.stringify(buyerHistory), buyerId] });
+        const refundCents = toCents(amountToRefund);
+        if (isNaN(refundCents) || refundCents <= 0) {
+            return res.status(400).json({ message: 'Monto de reembolso inválido.' });
+        }
 
-        // 4. DEDUCIR DINERO al PROVEEDOR y registrar en su historial 🟢 NUEVA LÓGICA
-        const providerRes = await client.execute({ sql: 'SELECT balance, transactions_history, username FROM users WHERE id = ?', args: [providerId] });
-        const provider = providerRes.rows[0];
-        const newProviderBalance = provider.balance - refundAmount; // DEDUCCIÓN
-        const providerHistory = JSON.parse(provider.transactions_history || '[]');
+        // 🔁 Comisiones por referido de la compra: se descuentan en proporción a lo devuelto
+        const purchaseTx = await findPurchaseByStockId(buyerId, stockId);
+        const clawback = purchaseTx
+            ? await commissionClawbackStatements({
+                sourceUserId: buyerId,
+                sourceTransactionId: purchaseTx.id,
+                sourceAmountCents: purchaseTx.amountCents,
+                refundedCents: refundCents,
+                reason: `Reembolso de ${productName}`,
+                createdBy: req.user.id
+            })
+            : { statements: [], clawbacks: [] };
+
+        // 🔒 Todo en un solo batch: si falta saldo o el stock ya fue liberado, no se aplica nada
+        await runAtomic([
+            // 3. DEDUCIR DINERO al PROVEEDOR y devolverlo al COMPRADOR (asiento del libro mayor)
+            transferStatements(LEDGER_KINDS.REFUND, wallet(providerId), wallet(buyerId), refundCents, {
+                reference: `stock:${stockId}`, description: `Reembolso: ${productName}`, createdBy: req.user.id
+            }),
+            insertTransactionStatement(providerId, {
+                id: Date.now() + 1,
+                date: new Date().toLocaleDateString('es-PE'),
+                description: `DEVOLUCIÓN (Reembolso por ${productName} a ${user.username})`,
+                amountCents: refundCents,
+                currency: DEFAULT_CURRENCY,
+                type: 'debit', // 🟢 DÉBITO
+                status: 'Completada',
+                isRefund: true, 
+                targetUser: user.username 
+            }),
 
-        providerHistory.unshift({
-            id: Date.now() + 1,
-            date: new Date().toLocaleDateString('es-PE'),
-            description: `DEVOLUCIÓN (Reembolso por ${productName} a ${user.username})`,
-            amount: refundAmount,
-            type: 'debit', // 🟢 DÉBITO
-            status: 'Completada',
-            isRefund: true, 
-            targetUser: user.username 
-        });
+            // 4. Registrar la devolución en el historial del USUARIO (COMPRADOR)
+            insertTransactionStatement(buyerId, {
+                id: Date.now(),
+                date: new Date().toLocaleDateString('es-PE'),
+                description: `Reembolso: ${productName}`,
+                amountCents: refundCents,
+                currency: DEFAULT_CURRENCY,
+                type: 'credit',
+                status: 'Devuelto',
+                isRefund: true
+            }),
 
-        await client.execute({ sql: 'UPDATE users SET balance = ?, transactions_history = ? WHERE id = ?', args: [newProviderBalance, JSON.stringify(providerHistory), providerId] });
+            // 5. Restaurar Stock (Liberar)
+            {
+                sql: `UPDATE product_stock SET is_sold = 0, sold_to_user_id = NULL, sold_at = NULL, client_name = NULL, client_phone = NULL WHERE id = ? AND is_sold = 1`,
+                args: [stockId]
+            },
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+            { sql: `UPDATE products SET stock = stock + 1 WHERE id = ?`, args: [productId] },
 
-
-        // 5. Restaurar Stock (Liberar)
-        await client.execute({
-            sql: `UPDATE product_stock SET is_sold = 0, sold_to_user_id = NULL, sold_at = NULL, client_name = NULL, client_phone = NULL WHERE id = ?`,
-            args: [stockId]
-        });
-        await client.execute({ sql: `UPDATE products SET stock = stock + 1 WHERE id = ?`, args: [productId] });
+            clawback.statements
+        ]);
 
         io.emit('transactionsUpdated'); // Notificar a todos
         io.emit('usersUpdated'); // Actualiza balances
+        notifyCommissionsClawedBack(clawback.clawbacks);
         res.status(200).json({ message: 'Reembolso exitoso.' });
     } catch (error) {
+        if (rejectAtomicError(res, error, {
+            INSUFFICIENT_BALANCE: 'Saldo insuficiente en tu cuenta para reembolsar.',
+            ALREADY_PROCESSED: 'Esta venta ya fue reembolsada.'
+        })) return;
         console.error('Error en reembolso:', error);
         res.status(500).json({ message: 'Error en reembolso.' });
     }
@@ -1056,17 +1629,14 @@ app.get('/admin/referrals/:referralCode', async (req, res) => {
     const { referralCode } = req.params;
 
     try {
-        // 1. Encontrar el ID del usuario que posee este código
-        const referrerResult = await client.execute({
-            sql: 'SELECT id FROM users WHERE referral_code = ?',
-            args: [referralCode]
-        });
+        // 1. Encontrar el ID del usuario que posee este código (o lo tuvo, durante el período de gracia)
+        const referrer = await resolveReferralCode(referralCode);
 
-        if (referrerResult.rows.length === 0) {
+        if (!referrer) {
             return res.status(404).json({ message: 'Código de referido no encontrado.' });
         }
 
-        const referrerId = referrerResult.rows[0].id;
+        const referrerId = referrer.userId;
 
         // 2. Encontrar todos los usuarios referidos por ese ID
         const referredUsersResult = await client.execute({
@@ -1089,13 +1659,47 @@ app.get('/admin/referrals/:referralCode', async (req, res) => {
     }
 });
 
+// 🏷️ ENDPOINTS: Códigos de referido personalizados (historial de cambios y límites)
+// Query: ?userId= & ?code= (código anterior o nuevo) & ?limit= (máx. 500)
+app.get('/admin/referral-codes/history', async (req, res) => {
+    const userId = req.query.userId ? parseInt(req.query.userId) : null;
+    const code = req.query.code ? normalizeReferralCode(req.query.code) : null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    if (Number.isNaN(userId)) return res.status(400).json({ message: 'ID de usuario inválido.' });
+
+    try {
+        res.json({ history: await getReferralCodeHistory({ userId, code, limit }), settings: await getReferralCodeSettings() });
+    } catch (error) {
+        console.error('Error fetching referral code history:', error);
+        res.status(500).json({ message: 'Error interno al obtener el historial de códigos.' });
+    }
+});
+
+// Body: { maxChanges, graceDays } (se puede enviar solo uno)
+app.post('/admin/settings/referral-codes', async (req, res) => {
+    try {
+        const settings = await saveReferralCodeSettings(req.body);
+        if (!settings) {
+            const { maxChanges, graceDays } = REFERRAL_CODE_SETTING_LIMITS;
+            return res.status(400).json({
+                message: `Límites inválidos. Cambios permitidos: ${maxChanges.min} a ${maxChanges.max}; días de gracia: ${graceDays.min} a ${graceDays.max}.`
+            });
+        }
+
+        io.emit('settingsUpdated');
+        res.json({ message: 'Límites de los códigos de referido actualizados correctamente.', settings });
+    } catch (error) {
+        console.error('Error updating referral code settings:', error);
+        res.status(500).json({ message: 'Error interno al guardar los límites.' });
+    }
+});
+
 
 // 🔑 ENDPOINT: Obtener todos los usuarios (Admin only)
 app.get('/admin/users', async (req, res) => {
     try {
-        // 🟢 CAMBIO: Agregamos plain_password a la selección
         const result = await client.execute({
-            sql: 'SELECT id, username, email, phone, referral_code, role, balance, discount_percentage, is_banned, plain_password FROM users WHERE is_approved = 1 ORDER BY created_at DESC',
+            sql: 'SELECT id, username, email, phone, referral_code, role, balance_cents, currency, discount_percentage, is_banned, ban_reason, banned_until FROM users WHERE is_approved = 1 ORDER BY created_at DESC',
             args: []
         });
 
@@ -1106,10 +1710,13 @@ app.get('/admin/users', async (req, res) => {
             phone: user.phone || 'N/A',
             referralCode: user.referral_code || 'N/A',
             role: user.role,
-            balance: user.balance,
+            balance: fromCents(user.balance_cents, user.currency),
+            balanceCents: user.balance_cents,
+            currency: user.currency,
             discountPercentage: user.discount_percentage || 0,
             isBanned: user.is_banned === 1,
-            password: user.plain_password || null // 🟢 CAMBIO: Enviamos la contraseña visible
+            banReason: user.ban_reason || null,
+            bannedUntil: user.banned_until || null
         }));
 
         res.status(200).json(users);
@@ -1122,21 +1729,44 @@ app.get('/admin/users', async (req, res) => {
 
 
 // 🔑 NUEVO ENDPOINT: Banear/Desbanear usuario (Admin only)
+// reason: motivo visible para el usuario. bannedUntil (opcional): fecha ISO en la que el baneo se levanta solo.
 app.post('/admin/user/toggle-ban', async (req, res) => {
-    const { userId, banStatus } = req.body; // banStatus: 1 (Ban) or 0 (Unban)
+    const { userId, banStatus, reason, bannedUntil } = req.body; // banStatus: 1 (Ban) or 0 (Unban)
     const numericUserId = parseInt(userId);
 
     if (!numericUserId || banStatus === undefined || (banStatus !== 0 && banStatus !== 1)) {
         return res.status(400).json({ message: 'ID de usuario y estado de baneo válidos son requeridos (0 o 1).' });
     }
 
+    let bannedUntilDate = null;
+    if (banStatus === 1 && bannedUntil) {
+        bannedUntilDate = new Date(bannedUntil);
+        if (isNaN(bannedUntilDate.getTime()) || bannedUntilDate <= new Date()) {
+            return res.status(400).json({ message: 'La fecha de fin del baneo debe ser una fecha futura válida.' });
+        }
+    }
+
     try {
-        // 1. Actualizar el estado de baneo en la DB
+        const userResult = await client.execute({ sql: 'SELECT role FROM users WHERE id = ?', args: [numericUserId] });
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+        if (banStatus === 1 && userResult.rows[0].role === ROLES.ADMIN) {
+            return forbidden(res, 'PROTECTED_ACCOUNT', 'No puedes banear la cuenta de Administrador.');
+        }
+
+        // 1. Actualizar el estado de baneo en la DB (al desbanear se limpian motivo y vencimiento)
+        const banReason = banStatus === 1 ? (typeof reason === 'string' && reason.trim() ? reason.trim() : null) : null;
         await client.execute({
-            sql: 'UPDATE users SET is_banned = ? WHERE id = ?',
-            args: [banStatus, numericUserId]
+            sql: 'UPDATE users SET is_banned = ?, ban_reason = ?, banned_until = ? WHERE id = ?',
+            args: [banStatus, banReason, bannedUntilDate ? toSqlDate(bannedUntilDate) : null, numericUserId]
         });
 
+        // 🚫 Al banear se cierran todas sus sesiones: el refresh token deja de servir y el access token se rechaza
+        if (banStatus === 1) {
+            await revokeUserSessions(numericUserId);
+        }
+
         const action = banStatus === 1 ? 'baneada' : 'desbaneada';
         const message = `Cuenta ${action} exitosamente.`;
 
@@ -1145,17 +1775,29 @@ app.post('/admin/user/toggle-ban', async (req, res) => {
         if (targetSocketId) {
             io.to(targetSocketId).emit('userBanStatusUpdate', {
                 isBanned: banStatus === 1,
+                banReason,
+                bannedUntil: bannedUntilDate ? bannedUntilDate.toISOString() : null,
                 message: banStatus === 1
                     ? '🚨 ¡Tu cuenta ha sido suspendida por actividad sospechosa o violación de términos!'
                     : '✅ ¡Tu cuenta ha sido reactivada! Puedes volver a iniciar sesión.',
             });
             console.log(`Emitted ban status update (${action}) to user ${numericUserId}`);
+
+            // Tras avisar, se corta la conexión en tiempo real del usuario baneado
+            if (banStatus === 1) {
+                disconnectUserSocket(numericUserId);
+            }
         }
 
         // 3. Notificación global para actualizar la tabla de Admin
         io.emit('usersUpdated');
 
-        res.status(200).json({ message, isBanned: banStatus === 1 });
+        res.status(200).json({
+            message,
+            isBanned: banStatus === 1,
+            banReason,
+            bannedUntil: bannedUntilDate ? bannedUntilDate.toISOString() : null
+        });
 
     } catch (error) {
         console.error('Admin toggle ban error:', error);
@@ -1166,7 +1808,6 @@ app.post('/admin/user/toggle-ban', async (req, res) => {
 
 // 🔑 NUEVO ENDPOINT: Actualizar detalles del usuario (Admin only)
 app.post('/admin/user/update', async (req, res) => {
-    // 🟢 CAMBIO: Recibimos newPassword
     const { userId, balanceChange, newRole, discountPercentage, newPassword } = req.body;
 
     if (!userId) {
@@ -1175,7 +1816,7 @@ app.post('/admin/user/update', async (req, res) => {
 
     try {
         const userResult = await client.execute({
-            sql: 'SELECT balance FROM users WHERE id = ?',
+            sql: 'SELECT balance_cents, currency FROM users WHERE id = ?',
             args: [userId]
         });
 
@@ -1183,18 +1824,21 @@ app.post('/admin/user/update', async (req, res) => {
             return res.status(404).json({ message: 'Usuario no encontrado.' });
         }
 
-        const currentBalance = userResult.rows[0].balance;
-        let updatedBalance = currentBalance;
+        const { currency } = userResult.rows[0];
+        let updatedBalanceCents = userResult.rows[0].balance_cents;
 
         const updates = [];
         const args = [];
 
+        // 📒 El ajuste de saldo se registra como asiento contra 'platform:adjustments' (puede dejar el saldo en negativo)
+        let adjustmentStatements = [];
         if (balanceChange !== undefined && balanceChange !== null) {
-            const change = parseFloat(balanceChange);
-            if (!isNaN(change)) {
-                updatedBalance = parseFloat((currentBalance + change).toFixed(2));
-                updates.push('balance = ?');
-                args.push(updatedBalance);
+            const changeCents = toCents(balanceChange, currency);
+            if (!isNaN(changeCents) && changeCents !== 0) {
+                const journalOptions = { reference: `user:${userId}`, description: 'Ajuste manual de saldo', createdBy: req.user.id, currency };
+                adjustmentStatements = changeCents > 0
+                    ? transferStatements(LEDGER_KINDS.ADMIN_ADJUSTMENT, platform(LEDGER_ACCOUNTS.ADJUSTMENTS), wallet(userId), changeCents, journalOptions)
+                    : transferStatements(LEDGER_KINDS.ADMIN_ADJUSTMENT, wallet(userId, { requireFunds: false }), platform(LEDGER_ACCOUNTS.ADJUSTMENTS), -changeCents, journalOptions);
             }
         }
 
@@ -1211,32 +1855,39 @@ app.post('/admin/user/update', async (req, res) => {
             args.push(discountPercentage);
         }
 
-        // 🟢 CAMBIO: Lógica para actualizar contraseña (Hash + Texto Plano)
+        // 🔒 Contraseña: solo se guarda el hash (para soporte usar /admin/user/reset-password)
         if (newPassword && newPassword.trim() !== "") {
             const salt = await bcrypt.genSalt(10);
             const hash = await bcrypt.hash(newPassword, salt);
             
             updates.push('password_hash = ?');
             args.push(hash);
-            
-            updates.push('plain_password = ?'); // Guardamos la visible
-            args.push(newPassword);
         }
 
-        if (updates.length === 0) {
+        if (updates.length === 0 && adjustmentStatements.length === 0) {
             return res.status(400).json({ message: 'No se proporcionaron campos para actualizar.' });
         }
 
-        const sql = `UPDATE users SET ${updates.join(', ')} WHERE id = ?`;
-        args.push(userId);
+        const statements = [adjustmentStatements];
+        if (updates.length > 0) {
+            args.push(userId);
+            statements.push({ sql: `UPDATE users SET ${updates.join(', ')} WHERE id = ?`, args });
+        }
+
+        await runAtomic(statements);
+        if (adjustmentStatements.length > 0) updatedBalanceCents = await getBalanceCents(userId);
 
-        await client.execute({ sql, args });
+        // Si cambió la contraseña, se cierran las sesiones abiertas del usuario
+        if (newPassword && newPassword.trim() !== "") {
+            await revokeUserSessions(userId);
+        }
 
         io.emit('usersUpdated');
 
         res.status(200).json({
             message: 'Usuario actualizado exitosamente.',
-            updatedBalance,
+            updatedBalance: fromCents(updatedBalanceCents, currency),
+            updatedBalanceCents,
             updatedRole: newRole
         });
 
@@ -1246,21 +1897,54 @@ app.post('/admin/user/update', async (req, res) => {
     }
 });
 
-// 🔑 ENDPOINT: Obtener todas las transacciones de todos los usuarios
-app.get('/admin/transactions', async (req, res) => {
+// 🔑 NUEVO ENDPOINT: Soporte - Generar código temporal de restablecimiento (Admin only)
+// El admin nunca ve la contraseña: comparte el código/enlace con el usuario y este elige una nueva.
+app.post('/admin/user/reset-password', async (req, res) => {
+    const { userId } = req.body;
+    const numericUserId = parseInt(userId);
+
+    if (!numericUserId) {
+        return res.status(400).json({ message: 'ID de usuario es requerido.' });
+    }
+
     try {
-        const result = await client.execute('SELECT id, username, transactions_history FROM users');
+        const userResult = await client.execute({
+            sql: 'SELECT id, email FROM users WHERE id = ?',
+            args: [numericUserId]
+        });
 
-        const allTransactions = result.rows.flatMap(user => {
-            const userTransactions = JSON.parse(user.transactions_history || '[]');
-            return userTransactions.map(tx => ({
-                ...tx,
-                userId: user.id,
-                username: user.username,
-            }));
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+
+        const user = userResult.rows[0];
+        const { code, expiresAt } = await createPasswordReset(numericUserId, { purpose: 'admin_reset', createdBy: req.user.id });
+        const resetLink = `${FRONTEND_URL}/reset-password?email=${encodeURIComponent(user.email)}&code=${encodeURIComponent(code)}`;
+
+        console.log(`🔑 Admin ${req.user.id} generó un código de restablecimiento para el usuario ${numericUserId}.`);
+
+        res.status(200).json({
+            message: 'Código de restablecimiento generado. Compártelo solo con el titular de la cuenta.',
+            resetCode: code,
+            resetLink,
+            expiresAt
         });
 
-        res.status(200).json(allTransactions);
+    } catch (error) {
+        console.error('Admin reset password error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al generar el código.' });
+    }
+});
+
+// 🔑 ENDPOINT: Obtener todas las transacciones de todos los usuarios
+app.get('/admin/transactions', async (req, res) => {
+    try {
+        const allTransactions = await listAllTransactions();
+
+        // 💳 Las recargas pendientes muestran su comprobante
+        res.status(200).json(allTransactions.map(tx => tx.details?.proofId
+            ? { ...tx, details: { ...tx.details, proofUrl: paymentProofUrl(tx.details.proofId) } }
+            : tx));
 
     } catch (error) {
         console.error('Admin fetch transactions error:', error);
@@ -1268,136 +1952,154 @@ app.get('/admin/transactions', async (req, res) => {
     }
 });
 
+// 📒 ENDPOINT: Conciliación del libro mayor (saldo guardado vs. movimientos registrados)
+app.get('/admin/ledger/reconcile', async (req, res) => {
+    try {
+        const report = await reconcileLedger();
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('Admin ledger reconcile error:', error);
+        res.status(500).json({ message: 'Error al conciliar el libro mayor.' });
+    }
+});
+
+// 📒 ENDPOINT: Movimientos del libro mayor (filtros opcionales: userId, account, kind, limit)
+app.get('/admin/ledger/entries', async (req, res) => {
+    const { userId, account, kind } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    try {
+        const entries = await listLedgerEntries({
+            userId: userId ? parseInt(userId) : null,
+            account: account || null,
+            kind: kind || null,
+            limit
+        });
+        res.status(200).json(entries);
+    } catch (error) {
+        console.error('Admin ledger entries error:', error);
+        res.status(500).json({ message: 'Error al obtener los movimientos del libro mayor.' });
+    }
+});
+
 // 🔑 ENDPOINT: Aprobar una transacción (Comisión 5% o 10% en 1ra recarga)
 app.post('/admin/transaction/approve', async (req, res) => {
     const { userId, transactionId } = req.body;
     const numericUserId = parseInt(userId);
 
     try {
-        // 1. Obtener datos del usuario
-        const userResult = await client.execute({
-            sql: 'SELECT transactions_history, balance, username, referred_by_user_id FROM users WHERE id = ?',
-            args: [userId]
-        });
-        if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
+        const approval = await approveRecharge(numericUserId, transactionId, { approvedBy: req.user.id });
+        if (!approval) return res.status(404).json({ message: 'Transacción no encontrada o ya procesada.' });
 
-        const user = userResult.rows[0];
-        let history = JSON.parse(user.transactions_history || '[]');
-        const balance = user.balance;
-        const referrerId = user.referred_by_user_id;
-        const username = user.username;
-
-        // 🔍 VERIFICACIÓN: ¿Es la primera recarga?
-        const hasPreviousRecharges = history.some(tx => tx.status === 'Completada' && tx.type === 'credit');
-        const isFirstRecharge = !hasPreviousRecharges;
-
-        let transactionFound = false;
-        let amountToAdd = 0;
-
-        // 2. Actualizar la transacción actual (de Pendiente a Completada)
-        const updatedHistory = history.map(tx => {
-            if (tx.id === transactionId && tx.status === 'Pendiente') {
-                transactionFound = true;
-                amountToAdd = tx.amount;
-                return { ...tx, status: 'Completada' };
-            }
-            return tx;
+        notifyRechargeApproved(approval);
+        io.emit('transactionsUpdated');
+        io.emit('usersUpdated');
+
+        res.status(200).json({ message: 'Transacción aprobada.' });
+    } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'Transacción no encontrada o ya procesada.' })) return;
+        console.error('Approve transaction error:', error);
+        res.status(500).json({ message: 'Error al aprobar.' });
+    }
+});
+
+// 💳 Avisos personales tras aprobar una recarga (Admin o webhook): al referente por su comisión y al usuario.
+// Quien llama emite 'transactionsUpdated' / 'usersUpdated' (una sola vez en las acciones masivas).
+function notifyRechargeApproved({ userId, transaction, amountCents, commissions }) {
+    notifyCommissionsPaid(commissions);
+
+    const targetSocketId = userSocketMap.get(userId);
+    if (targetSocketId) {
+        io.to(targetSocketId).emit('transactionApproved', {
+            transactionId: transaction.id,
+            amount: fromCents(amountCents),
+            message: `¡Tu recarga de ${formatMoney(amountCents)} ha sido aprobada!`,
         });
+    }
+}
 
-        if (!transactionFound) return res.status(404).json({ message: 'Transacción no encontrada o ya procesada.' });
+// 💰 Aviso a cada referente que cobró una comisión (recarga o compra de su referido)
+function notifyCommissionsPaid(commissions) {
+    for (const commission of commissions) {
+        const referrerSocketId = userSocketMap.get(commission.referrerId);
+        if (referrerSocketId) {
+            io.to(referrerSocketId).emit('transactionApproved', { message: commission.notice });
+        }
+        console.log(`Comisión (nivel ${commission.level}) ${commission.held ? 'retenida para revisión' : 'asignada'} al referente ${commission.referrerId}`);
+    }
+}
 
-        const newBalance = balance + amountToAdd;
+// 🔁 Aviso a cada referente al que se le descontó una comisión (reembolso o reversión del movimiento que la originó)
+function notifyCommissionsClawedBack(clawbacks) {
+    for (const clawback of clawbacks) {
+        const referrerSocketId = userSocketMap.get(clawback.referrerId);
+        if (referrerSocketId) {
+            io.to(referrerSocketId).emit('commissionReversed', { transactionId: clawback.transactionId, message: clawback.notice });
+        }
+        console.log(`Comisión ${clawback.commissionTransactionId} revertida al referente ${clawback.referrerId}: ${formatMoney(clawback.amountCents)}`);
+    }
+}
 
-        // 3. Guardar cambios del USUARIO
-        await client.execute({
-            sql: 'UPDATE users SET transactions_history = ?, balance = ? WHERE id = ?',
-            args: [JSON.stringify(updatedHistory), newBalance, userId]
-        });
+// 🔌 ENDPOINT: Webhook de un proveedor de pago (sin sesión: se autentica con la firma HMAC del cuerpo)
+// Aprueba automáticamente la recarga 'Pendiente' con el mismo método y número de operación si el monto pagado coincide.
+// Responde 2xx a todo aviso válido (aunque no se apruebe nada) para que el proveedor no lo reintente;
+// los avisos que no cuadran quedan en 'payment_webhook_events' para revisión del Admin.
+app.post('/webhooks/payments/:provider', async (req, res) => {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) return res.status(404).json({ message: 'Proveedor de pago desconocido.', code: 'UNKNOWN_PROVIDER' });
 
-        // ---------------------------------------------------------
-        // 💰 4. Lógica de Comisión (SOLO SI ES LA PRIMERA RECARGA)
-        // ---------------------------------------------------------
-        if (referrerId && isFirstRecharge) {
+    if (!req.rawBody || !provider.verifySignature(req.rawBody, req.headers)) {
+        return res.status(401).json({ message: 'Firma inválida.', code: 'INVALID_SIGNATURE' });
+    }
 
-            // A. Obtener datos del referente para saber su ROL
-            const referrerResult = await client.execute({
-                sql: 'SELECT transactions_history, balance, role FROM users WHERE id = ?',
-                args: [referrerId]
-            });
+    const event = provider.parseEvent(req.rawBody);
+    if (!event) return res.status(400).json({ message: 'Aviso de pago inválido.', code: 'INVALID_EVENT' });
 
-            if (referrerResult.rows.length > 0) {
-                const referrer = referrerResult.rows[0];
-                const referrerBalance = referrer.balance;
-                const referrerHistory = JSON.parse(referrer.transactions_history || '[]');
-
-                // B. Determinar Porcentaje
-                let commissionRate = 0.00;
-                
-                // 🟢 CAMBIO: 15% para Distribuidor Premium
-                if (referrer.role === 'Distribuidor Premium') {
-                    commissionRate = 0.15; // 15% 
-                // 🟢 CAMBIO: 10% para Distribuidor Estándar y Proveedor
-                } else if (referrer.role === 'distribuidor' || referrer.role === 'proveedor') {
-                    commissionRate = 0.10; // 10% para Distribuidor Estándar y Proveedor
-                }
-                // Si el rol es 'Usuario' o cualquier otro, commissionRate es 0.00.
-
-                const commission = parseFloat((amountToAdd * commissionRate).toFixed(2));
-
-                if (commission > 0) {
-                    const commissionTx = {
-                        id: Date.now() + 1,
-                        date: new Date().toLocaleDateString('es-PE', {
-                            year: 'numeric', month: '2-digit', day: '2-digit',
-                            hour: '2-digit', minute: '2-digit'
-                        }),
-                        description: `Comisión (${commissionRate * 100}%): Recarga $${amountToAdd.toFixed(2)} | Comisión $${commission.toFixed(2)}`,
-                        amount: commission, // MONTO DE LA COMISIÓN CALCULADA (10% o 15%)
-                        type: 'credit',
-                        status: 'Completada',
-                        isCommission: true,
-                        sourceUser: username,
-                        originalAmount: amountToAdd
-                    };
-
-                    const newReferrerBalance = referrerBalance + commission;
-                    const newReferrerHistory = [commissionTx, ...referrerHistory];
+    let claimed = false;
+    try {
+        claimed = await claimWebhookEvent(provider.name, event, req.rawBody);
+        if (!claimed) return res.status(200).json({ received: true, duplicate: true });
 
-                    await client.execute({
-                        sql: 'UPDATE users SET transactions_history = ?, balance = ? WHERE id = ?',
-                        args: [JSON.stringify(newReferrerHistory), newReferrerBalance, referrerId]
-                    });
+        if (event.type !== PAYMENT_EVENT_TYPES.PAYMENT_SUCCEEDED) {
+            await finishWebhookEvent(provider.name, event.id, WEBHOOK_EVENT_STATUS.IGNORED);
+            return res.status(200).json({ received: true, status: WEBHOOK_EVENT_STATUS.IGNORED });
+        }
 
-                    // Notificar al distribuidor
-                    const referrerSocketId = userSocketMap.get(referrerId);
-                    if (referrerSocketId) {
-                        io.to(referrerSocketId).emit('transactionApproved', {
-                            message: `¡Ganaste $${commission.toFixed(2)}! Comisión del ${commissionRate * 100}% por la primera recarga de tu referido ${username}.`,
-                        });
-                    }
-                    console.log(`Comisión de ${commissionRate * 100}% asignada al distribuidor ${referrerId}`);
-                }
-            }
+        const recharge = await findPendingRechargeByOperation(event.method, event.operationNumber);
+        if (!recharge) {
+            await finishWebhookEvent(provider.name, event.id, WEBHOOK_EVENT_STATUS.UNMATCHED);
+            return res.status(202).json({ received: true, status: WEBHOOK_EVENT_STATUS.UNMATCHED });
         }
-        // ---------------------------------------------------------
 
-        // ... (Resto del código: notificar usuario y admin)
-        const targetSocketId = userSocketMap.get(numericUserId);
-        if (targetSocketId) {
-            io.to(targetSocketId).emit('transactionApproved', {
-                transactionId,
-                amount: amountToAdd,
-                message: `¡Tu recarga de $${amountToAdd.toFixed(2)} ha sido aprobada!`,
-            });
+        // 🟡 El pago no coincide con lo declarado en la solicitud: no se acredita, queda para el Admin
+        const { paidAmountCents, paidCurrency } = recharge.transaction.details;
+        if (event.amountCents !== paidAmountCents || event.currency !== paidCurrency) {
+            await finishWebhookEvent(provider.name, event.id, WEBHOOK_EVENT_STATUS.NEEDS_REVIEW, { userId: recharge.userId, txId: recharge.transaction.id });
+            console.warn(`🟡 Payments: El aviso ${provider.name}/${event.id} no coincide con la recarga ${recharge.transaction.id}. Queda para revisión.`);
+            return res.status(202).json({ received: true, status: WEBHOOK_EVENT_STATUS.NEEDS_REVIEW });
         }
 
-        io.emit('transactionsUpdated');
-        io.emit('usersUpdated');
+        const approval = await approveRecharge(recharge.userId, recharge.transaction.id, { approvedVia: provider.name });
+        const status = approval ? WEBHOOK_EVENT_STATUS.APPROVED : WEBHOOK_EVENT_STATUS.ALREADY_PROCESSED;
+        await finishWebhookEvent(provider.name, event.id, status, { userId: recharge.userId, txId: recharge.transaction.id });
+        if (approval) {
+            notifyRechargeApproved(approval);
+            io.emit('transactionsUpdated');
+            io.emit('usersUpdated');
+        }
 
-        res.status(200).json({ message: 'Transacción aprobada.' });
+        res.status(200).json({ received: true, status });
     } catch (error) {
-        console.error('Approve transaction error:', error);
-        res.status(500).json({ message: 'Error al aprobar.' });
+        if (error instanceof AtomicOperationError && error.reason === ATOMIC_GUARD_REASONS.ALREADY_PROCESSED) {
+            // La recarga ya está aprobada: si no se puede anotar el aviso, igual se confirma al proveedor
+            await finishWebhookEvent(provider.name, event.id, WEBHOOK_EVENT_STATUS.ALREADY_PROCESSED)
+                .catch(finishError => console.error('Payment webhook finish error:', finishError));
+            return res.status(200).json({ received: true, status: WEBHOOK_EVENT_STATUS.ALREADY_PROCESSED });
+        }
+        console.error('Payment webhook error:', error);
+        // El aviso queda en 'failed' para que el reintento del proveedor se vuelva a procesar
+        if (claimed) await finishWebhookEvent(provider.name, event.id, WEBHOOK_EVENT_STATUS.FAILED).catch(() => {});
+        res.status(500).json({ message: 'Error al procesar el aviso de pago.' });
     }
 });
 
@@ -1406,104 +2108,249 @@ app.post('/admin/transaction/reject', async (req, res) => {
     const { userId, transactionId } = req.body;
     try {
         const userResult = await client.execute({
-            sql: 'SELECT transactions_history FROM users WHERE id = ?',
+            sql: 'SELECT id FROM users WHERE id = ?',
             args: [userId]
         });
         if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
 
-        let history = JSON.parse(userResult.rows[0].transactions_history || '[]');
-        let transactionFound = false;
-
-        const updatedHistory = history.map(tx => {
-            if (tx.id === transactionId && tx.status === 'Pendiente') {
-                transactionFound = true;
-                return { ...tx, status: 'Rechazada' };
-            }
-            return tx;
-        });
-
-        if (!transactionFound) return res.status(404).json({ message: 'Transacción no encontrada o ya procesada.' });
-
-        await client.execute({
-            sql: 'UPDATE users SET transactions_history = ? WHERE id = ?',
-            args: [JSON.stringify(updatedHistory), userId]
-        });
+        const rejectedTx = await rejectRecharge(userId, transactionId);
+        if (!rejectedTx) return res.status(404).json({ message: 'Transacción no encontrada o ya procesada.' });
 
         io.emit('transactionsUpdated');
 
         res.status(200).json({ message: 'Transacción rechazada.' });
     } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'Transacción no encontrada o ya procesada.' })) return;
         console.error('Reject transaction error:', error);
         res.status(500).json({ message: 'Error al rechazar la transacción.' });
     }
 });
 
+// 🔁 ENDPOINT: Revertir una recarga ya aprobada (contracargo o pago desconocido por el proveedor)
+// Descuenta el saldo acreditado y las comisiones por referido que pagó. Body: { userId, transactionId, reason? }
+app.post('/admin/transaction/reverse', async (req, res) => {
+    const { userId, transactionId, reason } = req.body;
+    if (!userId || !transactionId) return res.status(400).json({ message: 'Usuario y transacción requeridos.' });
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+        return res.status(400).json({ message: 'Motivo inválido (máximo 200 caracteres).' });
+    }
 
-// --- Transaction Management Routes ---
+    try {
+        const reversal = await reverseRecharge(userId, transactionId, { reversedBy: req.user.id, reason: reason?.trim() || null });
+        if (!reversal) return res.status(404).json({ message: 'Recarga completada no encontrada.' });
+
+        io.emit('transactionsUpdated');
+        io.emit('usersUpdated');
+        notifyCommissionsClawedBack(reversal.clawbacks);
 
-// 🔑 NUEVO ENDPOINT: Registrar una nueva transacción
-app.post('/transaction/record', async (req, res) => {
-    const { userId, transaction } = req.body;
+        res.status(200).json({
+            message: 'Recarga revertida.',
+            amount: fromCents(reversal.amountCents),
+            amountCents: reversal.amountCents,
+            commissionsReversed: reversal.clawbacks.map(clawback => ({
+                referrerId: clawback.referrerId,
+                commissionTransactionId: clawback.commissionTransactionId,
+                amount: fromCents(clawback.amountCents),
+                amountCents: clawback.amountCents
+            }))
+        });
+    } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'Esta recarga ya fue revertida.' })) return;
+        console.error('Reverse recharge error:', error);
+        res.status(500).json({ message: 'Error al revertir la recarga.' });
+    }
+});
+
+// 🗂️ Acciones masivas del Admin (recargas y retiros)
+// Cada elemento se procesa por separado en su propio batch atómico: uno que falla no deshace ni frena a los demás.
+// Resultado por elemento: 'ok' | 'already_processed' | 'not_found' | 'insufficient_data' (id inválido o movimiento sin monto) | 'error'.
+// Las tablas del Admin se actualizan con un solo evento de socket al final.
+const MAX_BULK_ITEMS = 100;
+const BULK_ITEM_STATUS = {
+    OK: 'ok',
+    ALREADY_PROCESSED: 'already_processed',
+    NOT_FOUND: 'not_found',
+    INSUFFICIENT_DATA: 'insufficient_data',
+    ERROR: 'error'
+};
+
+// Valida { action, <idsField>: [...] }. Devuelve { action, ids } (sin repetidos) o { error }.
+function parseBulkRequest(body, idsField, actions) {
+    const { action } = body;
+    const ids = body[idsField];
+    if (!actions.includes(action)) {
+        return { error: `Acción inválida. Usa: ${actions.join(', ')}.` };
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_ITEMS) {
+        return { error: `'${idsField}' debe ser una lista de 1 a ${MAX_BULK_ITEMS} ids.` };
+    }
+    const unique = [...new Map(ids.map(id => [String(id), id])).values()];
+    return { action, ids: unique };
+}
+
+async function processBulk(ids, handleItem) {
+    const results = [];
+    for (const id of ids) {
+        try {
+            results.push({ id, ...(await handleItem(id)) });
+        } catch (error) {
+            if (error instanceof AtomicOperationError && error.reason === ATOMIC_GUARD_REASONS.ALREADY_PROCESSED) {
+                results.push({ id, status: BULK_ITEM_STATUS.ALREADY_PROCESSED });
+            } else {
+                console.error(`Bulk item ${id} error:`, error);
+                results.push({ id, status: BULK_ITEM_STATUS.ERROR });
+            }
+        }
+    }
 
-    if (!userId || !transaction) {
-        return res.status(400).json({ message: 'ID de usuario y datos de transacción son requeridos.' });
+    const summary = {};
+    for (const status of Object.values(BULK_ITEM_STATUS)) {
+        summary[status] = results.filter(result => result.status === status).length;
     }
+    return { results, summary };
+}
+
+// 🔑 ENDPOINT: Aprobar o rechazar varias recargas. Body: { action: 'approve' | 'reject', transactionIds: [...] }
+app.post('/admin/transactions/bulk', async (req, res) => {
+    const parsed = parseBulkRequest(req.body, 'transactionIds', ['approve', 'reject']);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const { action, ids } = parsed;
 
     try {
-        // 1. Obtener el historial de transacciones actual
-        const result = await client.execute({
-            sql: 'SELECT transactions_history FROM users WHERE id = ?',
-            args: [userId]
+        const { results, summary } = await processBulk(ids, async (transactionId) => {
+            if ((typeof transactionId !== 'string' && typeof transactionId !== 'number') || String(transactionId).trim() === '') {
+                return { status: BULK_ITEM_STATUS.INSUFFICIENT_DATA };
+            }
+
+            const found = await findTransaction(transactionId);
+            if (!found) return { status: BULK_ITEM_STATUS.NOT_FOUND };
+
+            const { userId, transaction } = found;
+            if (transaction.status !== RECHARGE_STATUS.PENDING) return { status: BULK_ITEM_STATUS.ALREADY_PROCESSED, userId };
+
+            if (action === 'approve') {
+                if (transaction.type !== 'credit' || !(transaction.amountCents > 0)) {
+                    return { status: BULK_ITEM_STATUS.INSUFFICIENT_DATA, userId };
+                }
+                const approval = await approveRecharge(userId, transactionId, { approvedBy: req.user.id });
+                if (!approval) return { status: BULK_ITEM_STATUS.NOT_FOUND, userId };
+                notifyRechargeApproved(approval);
+            } else {
+                const rejectedTx = await rejectRecharge(userId, transactionId);
+                if (!rejectedTx) return { status: BULK_ITEM_STATUS.ALREADY_PROCESSED, userId };
+            }
+            return { status: BULK_ITEM_STATUS.OK, userId };
         });
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        if (summary.ok > 0) {
+            io.emit('transactionsUpdated');
+            if (action === 'approve') io.emit('usersUpdated');
         }
 
-        // 2. Actualizar el historial
-        const currentHistory = JSON.parse(result.rows[0].transactions_history || '[]');
-        const updatedHistory = [transaction, ...currentHistory]; // Añadir al principio
-
-        // 3. Guardar el historial actualizado en la DB
-        await client.execute({
-            sql: 'UPDATE users SET transactions_history = ? WHERE id = ?',
-            args: [JSON.stringify(updatedHistory), userId]
+        res.status(200).json({
+            message: `${summary.ok} de ${ids.length} transacción(es) ${action === 'approve' ? 'aprobada(s)' : 'rechazada(s)'}.`,
+            action,
+            summary,
+            results
         });
+    } catch (error) {
+        console.error('Bulk transactions error:', error);
+        res.status(500).json({ message: 'Error al procesar las transacciones.' });
+    }
+});
 
-        // CRÍTICO: Emitir evento global para notificar al Admin
-        io.emit('transactionsUpdated');
 
-        res.status(200).json({ message: 'Transacción registrada exitosamente.' });
+// --- Transaction Management Routes ---
+
+// 💳 Comprobantes de pago: la imagen se sube sola (cuerpo binario con su Content-Type) y devuelve un proofId
+// que luego se envía en POST /recharges. El archivo queda en el almacenamiento configurado (ver storage.js).
+const paymentProofBodyParser = express.raw({ type: PAYMENT_PROOF_CONTENT_TYPES, limit: MAX_PAYMENT_PROOF_BYTES });
+
+function parsePaymentProofBody(req, res, next) {
+    paymentProofBodyParser(req, res, (error) => {
+        if (!error) return next();
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ message: 'El comprobante supera el tamaño máximo (5 MB).', code: 'PROOF_TOO_LARGE' });
+        }
+        res.status(400).json({ message: 'No se pudo leer el comprobante.', code: 'INVALID_PROOF' });
+    });
+}
+
+function paymentProofUrl(proofId) {
+    return `/payment-proofs/${proofId}`;
+}
 
+app.post('/recharges/proofs', requireAuth, requireVerifiedEmail, uploadRateLimit, parsePaymentProofBody, async (req, res) => {
+    try {
+        const { proof, error } = await savePaymentProof(req.user.id, req.body, req.get('Content-Type')?.split(';')[0].trim());
+        if (error) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
+        }
+        res.status(201).json({ message: 'Comprobante subido.', proofId: proof.id, proofUrl: paymentProofUrl(proof.id), ...proof });
     } catch (error) {
-        console.error('Transaction record error:', error);
-        res.status(500).json({ message: 'Error interno del servidor al registrar la transacción.' });
+        console.error('Payment proof upload error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al guardar el comprobante.' });
     }
 });
 
-// 🔑 NUEVO ENDPOINT: Cancelar una transacción existente
-app.post('/transaction/cancel', async (req, res) => {
-    const { userId, transactionId } = req.body;
+// 💳 Imagen del comprobante: solo para su dueño y el Admin
+app.get('/payment-proofs/:proofId', requireAuth, async (req, res) => {
+    try {
+        const proof = await getPaymentProof(req.params.proofId);
+        if (!proof) return res.status(404).json({ message: 'Comprobante no encontrado.' });
+        if (proof.userId !== req.user.id && req.user.role !== ROLES.ADMIN) {
+            return forbidden(res, 'NOT_OWNER', 'No tienes permiso para acceder a este recurso.');
+        }
 
-    if (!userId || !transactionId) {
-        return res.status(400).json({ message: 'ID de usuario y ID de transacción son requeridos.' });
+        res.set('Cache-Control', 'private, max-age=300');
+        res.type(proof.contentType).send(proof.content);
+    } catch (error) {
+        console.error('Payment proof fetch error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener el comprobante.' });
     }
+});
+
+// 💳 Solicitud de recarga (Yape / Binance). El servidor valida el método, el mínimo y convierte a USD;
+// la recarga siempre queda 'Pendiente' hasta que el Admin la aprueba (ver recharges.js).
+// Body: { method, amount, currency, operationNumber, proofId }
+app.post('/recharges', requireAuth, requireVerifiedEmail, moneyRateLimit, idempotent('recharge'), async (req, res) => {
+    const { method, amount, currency, operationNumber, paymentReference, proofId } = req.body;
+    const userId = req.user.id;
 
     try {
-        // 1. Obtener el historial actual
-        const result = await client.execute({
-            sql: 'SELECT transactions_history FROM users WHERE id = ?',
-            args: [userId]
+        const { transaction, error } = await buildRechargeRequest(userId, {
+            method, amount, currency, paymentReference: operationNumber ?? paymentReference, proofId
         });
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        if (error) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
         }
 
-        let currentHistory = JSON.parse(result.rows[0].transactions_history || '[]');
+        // 🔒 Movimiento, número de operación y comprobante en un batch (si el número ya existe no se registra nada)
+        await runAtomic(recordRechargeStatements(userId, transaction));
+
+        // CRÍTICO: Emitir evento global para notificar al Admin
+        io.emit('transactionsUpdated');
+
+        res.status(201).json({ message: 'Solicitud de recarga registrada. Será revisada por un administrador.', recharge: presentTransaction(transaction) });
+    } catch (error) {
+        if (rejectAtomicError(res, error, { PRECONDITION_FAILED: 'Ese comprobante ya fue usado en otra recarga.' })) return;
+        console.error('Recharge request error:', error);
+        res.status(500).json({ message: 'Error interno del servidor al registrar la recarga.' });
+    }
+});
+
+// 🔑 NUEVO ENDPOINT: Cancelar una transacción existente
+app.post('/transaction/cancel', requireAuth, async (req, res) => {
+    const { transactionId } = req.body;
+    const userId = req.user.id;
+
+    if (!transactionId) {
+        return res.status(400).json({ message: 'ID de transacción es requerido.' });
+    }
 
-        // 2. Buscar la transacción y verificar su estado
-        const transactionToCancel = currentHistory.find(tx => tx.id === transactionId);
+    try {
+        // 1. Buscar la transacción y verificar su estado
+        const transactionToCancel = await findUserTransaction(userId, transactionId);
 
         if (!transactionToCancel) {
             return res.status(404).json({ message: 'Transacción no encontrada en el historial.' });
@@ -1514,19 +2361,13 @@ app.post('/transaction/cancel', async (req, res) => {
             return res.status(400).json({ message: `La transacción ya está en estado: ${transactionToCancel.status}. No puede ser cancelada.` });
         }
 
-        // 3. Actualizar el estado a 'Cancelada'
-        const updatedHistory = currentHistory.map(tx => {
-            if (tx.id === transactionId) {
-                return { ...tx, status: 'Cancelada' }; // Cambiar estado
-            }
-            return tx;
-        });
-
-        // 4. Guardar el historial actualizado
-        await client.execute({
-            sql: 'UPDATE users SET transactions_history = ? WHERE id = ?',
-            args: [JSON.stringify(updatedHistory), userId]
-        });
+        // 2. Actualizar el estado a 'Cancelada' (solo si el Admin no la procesó mientras tanto)
+        // Una recarga cancelada libera su número de operación para poder enviarla de nuevo
+        await runAtomic([
+            saveTransactionStatement(userId, { ...transactionToCancel, status: 'Cancelada' }, { fromStatus: 'Pendiente' }),
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+            ...(transactionToCancel.isRecharge ? [releaseRechargeOperationStatement(userId, transactionToCancel.id)] : [])
+        ]);
 
         // NUEVO: Emitir evento global para actualizar tablas de Admin (ya que una pendiente fue cancelada)
         io.emit('transactionsUpdated');
@@ -1535,6 +2376,7 @@ app.post('/transaction/cancel', async (req, res) => {
         res.status(200).json({ message: 'Transacción cancelada exitosamente.' });
 
     } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'La transacción ya fue procesada. No puede ser cancelada.' })) return;
         console.error('Transaction cancel error:', error);
         res.status(500).json({ message: 'Error interno del servidor al cancelar la transacción.' });
     }
@@ -1542,33 +2384,33 @@ app.post('/transaction/cancel', async (req, res) => {
 
 
 // 🔑 ENDPOINT ACTUALIZADO: Aplicar para ser distribuidor (Dinámico)
-app.post('/user/apply-supplier', async (req, res) => {
-    const { userId, referralCode } = req.body;
-    const numericUserId = parseInt(userId);
-    const SUPPLIER_COST = 7.50; // Costo del rango
+app.post('/user/apply-supplier', requireAuth, requireVerifiedEmail, moneyRateLimit, async (req, res) => {
+    const { referralCode } = req.body;
+    const numericUserId = req.user.id;
+    const SUPPLIER_COST_CENTS = 750; // Costo del rango ($7.50)
 
     if (!numericUserId || !referralCode) {
         return res.status(400).json({ message: 'Datos incompletos.' });
     }
 
     // Normalizar código
-    const normalizedCode = referralCode.toUpperCase();
+    const normalizedCode = normalizeReferralCode(referralCode);
     let referrerId = null;
 
     try {
         // 1. Validar el código de referido
-        if (normalizedCode === 'BLD231') {
-            referrerId = null; // Código del sistema
+        const campaign = await findCampaignByCode(normalizedCode);
+        if (campaign) {
+            // 📢 Código de campaña: sin referente, solo cuenta como uso (ver campaigns.js)
+            const unavailable = campaignUnavailableReason(campaign);
+            if (unavailable) return res.status(400).json({ message: unavailable });
         } else {
-            const referrerResult = await client.execute({
-                sql: "SELECT id FROM users WHERE referral_code = ?",
-                args: [normalizedCode]
-            });
+            const referrer = await resolveReferralCode(normalizedCode);
 
-            if (referrerResult.rows.length === 0) {
+            if (!referrer) {
                 return res.status(400).json({ message: 'Código de referido no existe.' });
             }
-            referrerId = referrerResult.rows[0].id;
+            referrerId = referrer.userId;
 
             if (referrerId === numericUserId) {
                 return res.status(400).json({ message: 'No puedes usar tu propio código.' });
@@ -1577,28 +2419,25 @@ app.post('/user/apply-supplier', async (req, res) => {
 
         // 2. Verificar Saldo del Usuario
         const userResult = await client.execute({
-            sql: "SELECT balance, transactions_history, username FROM users WHERE id = ?",
+            sql: "SELECT balance_cents, username FROM users WHERE id = ?",
             args: [numericUserId]
         });
 
         if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
 
         const user = userResult.rows[0];
-        const currentBalance = user.balance;
 
-        if (currentBalance < SUPPLIER_COST) {
-            return res.status(400).json({ message: `Saldo insuficiente. Necesitas $${SUPPLIER_COST.toFixed(2)}` });
+        if (user.balance_cents < SUPPLIER_COST_CENTS) {
+            return res.status(400).json({ message: `Saldo insuficiente. Necesitas ${formatMoney(SUPPLIER_COST_CENTS)}` });
         }
 
         // 3. Procesar el Pago (Restar saldo y agregar transacción)
-        const newBalance = currentBalance - SUPPLIER_COST;
-        const currentHistory = JSON.parse(user.transactions_history || '[]');
-
         const purchaseTx = {
             id: Date.now(),
             date: new Date().toLocaleDateString('es-PE'),
             description: 'Compra Rango Distribuidor',
-            amount: SUPPLIER_COST,
+            amountCents: SUPPLIER_COST_CENTS,
+            currency: DEFAULT_CURRENCY,
             type: 'debit',
             status: 'Completada',
             details: {
@@ -1606,22 +2445,28 @@ app.post('/user/apply-supplier', async (req, res) => {
                 platform: 'MeluStreaming',
                 planType: 'Membresía',
                 provider: 'Sistema',
-                cost: SUPPLIER_COST,
+                costCents: SUPPLIER_COST_CENTS,
                 purchaseDate: new Date().toLocaleDateString('es-PE')
             }
         };
 
-        const updatedHistory = [purchaseTx, ...currentHistory];
-
-        // 4. Actualizar Usuario: Saldo, Historial y Estado Pendiente
-        await client.execute({
-            sql: "UPDATE users SET balance = ?, transactions_history = ?, role = 'Pending', is_approved = 0, referred_by_user_id = ? WHERE id = ?",
-            args: [newBalance, JSON.stringify(updatedHistory), referrerId, numericUserId]
-        });
+        // 4. Actualizar Usuario: Saldo, Historial y Estado Pendiente (todo o nada)
+        await runAtomic([
+            transferStatements(LEDGER_KINDS.SUPPLIER_FEE, wallet(numericUserId), platform(LEDGER_ACCOUNTS.REVENUE), SUPPLIER_COST_CENTS, {
+                reference: `tx:${purchaseTx.id}`, description: purchaseTx.description, createdBy: numericUserId
+            }),
+            {
+                sql: "UPDATE users SET role = 'Pending', is_approved = 0, referred_by_user_id = ? WHERE id = ?",
+                args: [referrerId, numericUserId]
+            },
+            insertTransactionStatement(numericUserId, purchaseTx),
+            campaign ? campaignRedemptionStatements(campaign, CAMPAIGN_CONTEXTS.APPLY_SUPPLIER, { userId: numericUserId }) : []
+        ]);
 
         // Notificar cambios
         io.emit('pendingUsersUpdated'); // Al admin
         io.emit('usersUpdated'); // A la tabla de usuarios
+        if (campaign) io.emit('campaignsUpdated');
 
         // Notificar al propio usuario (saldo actualizado)
         const targetSocketId = userSocketMap.get(numericUserId);
@@ -1634,19 +2479,18 @@ app.post('/user/apply-supplier', async (req, res) => {
         res.status(200).json({ message: 'Solicitud y pago procesados exitosamente.' });
 
     } catch (error) {
+        if (rejectAtomicError(res, error, {
+            INSUFFICIENT_BALANCE: `Saldo insuficiente. Necesitas ${formatMoney(SUPPLIER_COST_CENTS)}`,
+            PRECONDITION_FAILED: 'El código de campaña ya no está disponible.'
+        })) return;
         console.error('Error applying for supplier:', error);
         res.status(500).json({ message: 'Error interno al procesar la solicitud.' });
     }
 });
 
 // 🔑 NUEVO ENDPOINT: Cancelar solicitud de distribuidor (Restaurar a Usuario)
-app.post('/user/cancel-supplier-application', async (req, res) => {
-    const { userId } = req.body;
-    const numericUserId = parseInt(userId);
-
-    if (!numericUserId) {
-        return res.status(400).json({ message: 'ID de usuario requerido.' });
-    }
+app.post('/user/cancel-supplier-application', requireAuth, async (req, res) => {
+    const numericUserId = req.user.id;
 
     try {
         // Revertimos el rol a 'Usuario' y lo aprobamos automáticamente (is_approved = 1)
@@ -1669,36 +2513,48 @@ app.post('/user/cancel-supplier-application', async (req, res) => {
 
 
 // 🔑 ENDPOINT MODIFICADO: Deducir saldo y registrar pago de publicación (Simulación)
-app.post('/user/deduct-balance-and-record-publication', async (req, res) => {
-    // Recibe userId, newBalance (el saldo después de la deducción), y la transacción completa.
-    const { userId, newBalance, transaction, productId, months } = req.body;
-    const numericUserId = parseInt(userId);
-    const numericNewBalance = parseFloat(newBalance);
+app.post('/user/deduct-balance-and-record-publication', requireAuth, requireSupplier, requireProductOwner(req => req.body.productId), idempotent('publication'), async (req, res) => {
+    // 📢 El costo lo calcula el servidor con los planes de publicación (ver pricing.js). El saldo y la transacción
+    // ya no se reciben del cliente; 'amount' (opcional) es el monto que vio el proveedor y debe coincidir.
+    const { productId, months, amount } = req.body;
+    const numericUserId = req.user.id;
     const numericMonths = parseInt(months);
     const numericProductId = parseInt(productId);
+    const quotedTotalCents = amount === undefined ? null : toCents(amount);
 
-    if (!numericUserId || isNaN(numericNewBalance) || !transaction || isNaN(numericProductId) || isNaN(numericMonths) || numericMonths < 1) {
+    if (!numericUserId || isNaN(numericProductId) || isNaN(numericMonths) || numericMonths < 1 || (quotedTotalCents !== null && isNaN(quotedTotalCents))) {
         return res.status(400).json({ message: 'Datos de pago de publicación incompletos o inválidos.' });
     }
 
     try {
         // 1. Obtener datos del usuario y del producto
         const userResult = await client.execute({
-            sql: 'SELECT transactions_history FROM users WHERE id = ?',
+            sql: 'SELECT id, role, balance_cents FROM users WHERE id = ?',
             args: [numericUserId]
         });
 
-        // Se necesitan más campos para esta lógica, pero si solo se usa para fecha de expiración, asumimos la base
-        // Si el producto no se encuentra en la base, debería fallar.
         const productResult = await client.execute({
-            sql: 'SELECT publication_end_date FROM products WHERE id = ?',
+            sql: 'SELECT name, publication_end_date FROM products WHERE id = ?',
             args: [numericProductId]
         });
         
         if (userResult.rows.length === 0 || productResult.rows.length === 0) {
             return res.status(404).json({ message: 'Usuario o Producto no encontrado.' });
         }
-        
+        const user = userResult.rows[0];
+        const productName = productResult.rows[0].name;
+
+        let quote;
+        try {
+            quote = await quotePublication(user.role, numericMonths);
+        } catch (error) {
+            if (!(error instanceof RangeError)) throw error;
+            return res.status(400).json({ message: 'Cantidad de meses de publicación no disponible.' });
+        }
+        if (quotedTotalCents !== null) assertQuotedPrice(quote, quotedTotalCents);
+        const publicationCostCents = quote.totalCents;
+        if (user.balance_cents < publicationCostCents) return res.status(400).json({ message: 'Saldo insuficiente.' });
+
         const currentEndDateString = productResult.rows[0].publication_end_date;
 
 
@@ -1725,23 +2581,47 @@ app.post('/user/deduct-balance-and-record-publication', async (req, res) => {
         // Formato DATETIME compatible con SQLite: YYYY-MM-DD HH:MM:SS
         const formattedEndDate = newEndDate.toISOString().replace('T', ' ').substring(0, 19);
 
-        // 4. Actualizar Balance y Historial del Usuario (lógica existente)
-        const currentHistory = JSON.parse(userResult.rows[0].transactions_history || '[]');
-        const updatedHistory = [transaction, ...currentHistory];
-
-        await client.execute({
-            sql: 'UPDATE users SET balance = ?, transactions_history = ? WHERE id = ?',
-            args: [numericNewBalance, JSON.stringify(updatedHistory), numericUserId]
-        });
-
-        // 5. ACTUALIZAR ESTADO DE PUBLICACIÓN DEL PRODUCTO con la nueva fecha
-        await client.execute({
-            sql: `UPDATE products SET 
-                  is_published = 1, 
-                  publication_end_date = ? 
-                  WHERE id = ? AND creator_user_id = ?`,
-            args: [formattedEndDate, numericProductId, numericUserId]
-        });
+        // 4. Descontar el pago y registrarlo; 5. ACTUALIZAR ESTADO DE PUBLICACIÓN DEL PRODUCTO con la nueva fecha
+        // 🔒 Débito condicional, movimiento y publicación en un batch. El movimiento lo arma el servidor.
+        // La fecha se actualiza solo si sigue siendo la que se leyó: si otro pago la extendió antes, no se cobra nada.
+        const publicationTx = {
+            id: Date.now(),
+            date: new Date().toLocaleDateString('es-PE'),
+            description: `Publicación: ${productName} (${numericMonths} ${numericMonths === 1 ? 'mes' : 'meses'})`,
+            amountCents: publicationCostCents,
+            currency: quote.currency,
+            type: 'debit',
+            status: 'Completada',
+            isPublicationFee: true,
+            details: {
+                productId: numericProductId,
+                productName,
+                months: numericMonths,
+                pricePerMonthCents: quote.basePriceCents,
+                multiMonthDiscountPercentage: quote.multiMonthDiscountPercentage,
+                costCents: publicationCostCents,
+                publicationEndDate: formattedEndDate
+            }
+        };
+        const statements = [
+            insertTransactionStatement(numericUserId, publicationTx),
+            {
+                sql: `UPDATE products SET 
+                      is_published = 1, 
+                      publication_end_date = ? 
+                      WHERE id = ? AND creator_user_id = ? AND publication_end_date IS ?`,
+                args: [formattedEndDate, numericProductId, numericUserId, currentEndDateString ?? null]
+            },
+            guardStatement(ATOMIC_GUARD_REASONS.PRECONDITION_FAILED)
+        ];
+        // Un plan gratuito (precio 0) no genera asiento
+        if (publicationCostCents > 0) {
+            statements.unshift(transferStatements(LEDGER_KINDS.PUBLICATION_FEE, wallet(numericUserId), platform(LEDGER_ACCOUNTS.REVENUE), publicationCostCents, {
+                reference: `product:${numericProductId}`, description: publicationTx.description, createdBy: numericUserId
+            }));
+        }
+        await runAtomic(statements);
+        const updatedBalanceCents = await getBalanceCents(numericUserId);
 
         console.log(`Product ${numericProductId} published/renewed by user ${numericUserId} for ${numericMonths} months, until ${formattedEndDate}.`);
 
@@ -1753,17 +2633,22 @@ app.post('/user/deduct-balance-and-record-publication', async (req, res) => {
         // 7. Devolver respuesta JSON esperada por el frontend
         res.status(200).json({
             message: 'Pago de publicación procesado exitosamente.',
-            newBalance: numericNewBalance.toFixed(2),
+            newBalance: formatAmount(updatedBalanceCents),
+            amount: fromCents(publicationCostCents, quote.currency),
+            publicationEndDate: formattedEndDate
         });
 
     } catch (error) {
+        if (rejectPricingError(res, error) || rejectAtomicError(res, error, {
+            PRECONDITION_FAILED: 'La publicación se actualizó mientras se procesaba el pago. Vuelve a intentarlo.'
+        })) return;
         console.error('Publication payment API error:', error);
         res.status(500).json({ message: 'Error interno del servidor al procesar el pago de publicación.' });
     }
 });
 // 🔑 NUEVO ENDPOINT: Registrar nombre y teléfono del cliente final (POST-ENTREGA)
 
-app.post('/user/delivery-confirmation', async (req, res) => {
+app.post('/user/delivery-confirmation', requireAuth, async (req, res) => {
     const { stockItemIds, clientName, clientPhone } = req.body;
 
     if (!stockItemIds || !Array.isArray(stockItemIds) || stockItemIds.length === 0 || !clientName || !clientPhone) {
@@ -1791,7 +2676,7 @@ app.post('/user/delivery-confirmation', async (req, res) => {
     }
 });
 
-app.post('/user/update-client-delivery', async (req, res) => {
+app.post('/user/update-client-delivery', requireAuth, async (req, res) => {
     const { stockId, clientName, clientPhone } = req.body;
     const numericStockId = parseInt(stockId);
 
@@ -1816,27 +2701,99 @@ app.post('/user/update-client-delivery', async (req, res) => {
     }
 });
 
+// --- 💲 Precios (ver pricing.js) ---
+
+const PRICING_PRODUCT_COLUMNS = 'id, creator_user_id, platform, price_standard_cents, price_premium_cents, price_renewal_standard_cents, price_renewal_premium_cents, currency';
+
+// Producto de una compra previa: por el id guardado en sus credenciales y, si no lo tiene, por nombre (y plataforma)
+async function findRenewalProduct(purchaseTx) {
+    const productId = purchaseTx.details?.fullCredentials?.find(cred => cred?.productId)?.productId;
+    if (productId) {
+        const byId = await client.execute({ sql: `SELECT ${PRICING_PRODUCT_COLUMNS} FROM products WHERE id = ?`, args: [productId] });
+        if (byId.rows.length > 0) return byId.rows[0];
+    }
+    const byName = await client.execute({
+        sql: `SELECT ${PRICING_PRODUCT_COLUMNS} FROM products WHERE name = ? AND (? IS NULL OR platform = ?) LIMIT 1`,
+        args: [purchaseTx.details?.productName ?? null, purchaseTx.details?.platform ?? null, purchaseTx.details?.platform ?? null]
+    });
+    return byName.rows[0] ?? null;
+}
+
+// 💲 Cotización exacta antes de confirmar. Compra: ?productId=&quantity=  Renovación: ?purchaseId=&months=
+// Publicación (proveedores): ?kind=publication&months=
+// El monto devuelto (total) es el que /user/purchase, /user/purchase/renovate y la publicación esperan recibir.
+app.get('/pricing/quote', requireAuth, async (req, res) => {
+    const { kind, productId, quantity = 1, purchaseId, months } = req.query;
+
+    try {
+        const userResult = await client.execute({ sql: 'SELECT role, discount_percentage FROM users WHERE id = ?', args: [req.user.id] });
+        if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
+        const user = userResult.rows[0];
+
+        if (kind === 'publication') {
+            if (user.role !== ROLES.ADMIN && !SUPPLIER_ROLES.includes(user.role)) {
+                return forbidden(res, 'ROLE_REQUIRED', 'Tu rol no tiene acceso a esta sección.', { requiredRoles: SUPPLIER_ROLES });
+            }
+            try {
+                return res.json(presentQuote(await quotePublication(user.role, parseInt(months))));
+            } catch (error) {
+                if (!(error instanceof RangeError)) throw error;
+                return res.status(400).json({ message: 'Cantidad de meses de publicación no disponible.' });
+            }
+        }
+
+        if (purchaseId) {
+            const numericMonths = parseInt(months);
+            if (!(numericMonths >= 1 && numericMonths <= MAX_RENEWAL_MONTHS)) return res.status(400).json({ message: 'Cantidad de meses inválida.' });
+
+            const purchaseTx = await findUserTransaction(req.user.id, purchaseId, { type: 'debit' });
+            if (!purchaseTx) return res.status(404).json({ message: 'Transacción original no encontrada.' });
+            const product = await findRenewalProduct(purchaseTx);
+            if (!product) return res.status(404).json({ message: 'El producto ya no está disponible para renovar.' });
+
+            const renewalQuote = await quoteRenewal(user, product, numericMonths);
+            assertChargeable(renewalQuote);
+            return res.json(presentQuote(renewalQuote));
+        }
+
+        const numericQty = parseInt(quantity);
+        if (!parseInt(productId)) return res.status(400).json({ message: 'Producto inválido.' });
+        if (!(numericQty >= 1 && numericQty <= MAX_QUOTE_QUANTITY)) return res.status(400).json({ message: 'Cantidad inválida.' });
+
+        const productResult = await client.execute({ sql: `SELECT ${PRICING_PRODUCT_COLUMNS} FROM products WHERE id = ?`, args: [parseInt(productId)] });
+        if (productResult.rows.length === 0) return res.status(404).json({ message: 'Producto no encontrado.' });
+
+        const quote = await quotePurchase(user, productResult.rows[0], numericQty);
+        assertChargeable(quote);
+        res.json(presentQuote(quote));
+    } catch (error) {
+        if (rejectPricingError(res, error)) return;
+        console.error('Pricing quote error:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+});
+
 // 🔑 ENDPOINT CRÍTICO MODIFICADO: Procesar Compra (Devuelve stockId)
 // 🔑 ENDPOINT: Procesar Compra (Actualizado con enlace de transacción)
-app.post('/user/purchase', async (req, res) => {
-    const { userId, productName, amount, platform, type, provider, duration, terms, quantity = 1, delivery, finalPricePerUnit } = req.body;
-    const numericUserId = parseInt(userId);
+app.post('/user/purchase', requireAuth, requireVerifiedEmail, purchaseRateLimit, idempotent('purchase'), async (req, res) => {
+    const { productName, amount, platform, type, provider, duration, terms, quantity = 1, delivery, finalPricePerUnit } = req.body;
+    const numericUserId = req.user.id;
     const numericQty = parseInt(quantity);
-    const numericAmount = parseFloat(amount);
-    const numericFinalPricePerUnit = parseFloat(finalPricePerUnit);
+    const quotedTotalCents = toCents(amount);
+    const quotedUnitCents = toCents(finalPricePerUnit);
 
-    if (!numericUserId || !productName || isNaN(numericAmount)) return res.status(400).json({ message: 'Datos incompletos.' });
+    if (!numericUserId || !productName || isNaN(quotedTotalCents)) return res.status(400).json({ message: 'Datos incompletos.' });
+    if (!(numericQty >= 1 && numericQty <= MAX_QUOTE_QUANTITY)) return res.status(400).json({ message: 'Cantidad inválida.' });
 
     try {
         // 1. Validaciones iniciales
-        const userResult = await client.execute({ sql: 'SELECT balance, transactions_history, username, role FROM users WHERE id = ?', args: [numericUserId] });
+        const userResult = await client.execute({ sql: 'SELECT balance_cents, username, role, discount_percentage FROM users WHERE id = ?', args: [numericUserId] });
         if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
         const user = userResult.rows[0];
-        if (user.balance < numericAmount) return res.status(400).json({ message: 'Saldo insuficiente.' });
 
         // 🟢 CORRECCIÓN: Se agregó 'provider' a la lista de columnas seleccionadas
         const productResult = await client.execute({
-            sql: 'SELECT id, stock, duration, delivery, creator_user_id, product_details, instructions, is_renewable, price_renewal_standard, price_renewal_premium, provider FROM products WHERE name = ? AND platform = ? LIMIT 1',
+            sql: 'SELECT id, stock, duration, delivery, creator_user_id, product_details, instructions, is_renewable, platform, price_standard_cents, price_premium_cents, price_renewal_standard_cents, price_renewal_premium_cents, currency, provider FROM products WHERE name = ? AND platform = ? LIMIT 1',
             args: [productName, platform]
         });
         
@@ -1845,13 +2802,25 @@ app.post('/user/purchase', async (req, res) => {
         const productId = product.id;
         const providerId = product.creator_user_id;
 
+        // 💲 El precio lo calcula el servidor (ver pricing.js); el cliente solo confirma el monto que vio
+        const quote = await quotePurchase(user, product, numericQty);
+        assertChargeable(quote);
+        assertQuotedPrice(quote, quotedTotalCents, quotedUnitCents);
+        const amountCents = quote.totalCents;
+        const pricePerUnitCents = quote.unitPriceCents;
+        if (user.balance_cents < amountCents) return res.status(400).json({ message: 'Saldo insuficiente.' });
+
         const isOrderRequest = (delivery === 'A pedido') || (product.delivery === 'A pedido');
         let credentialsList = [];
 
-        // 2. Asignación de Stock
+        // 2. Asignación de Stock (solo se arman las sentencias; se ejecutan en el batch del paso 5)
+        const purchaseDate = new Date();
+        const transactionId = `#ORD-${Math.random().toString(36).substring(2, 8).toUpperCase()}`; // ID ÚNICO DEL COMPRADOR
+
         const allStock = await client.execute({ sql: "SELECT id, data FROM product_stock WHERE product_id = ? AND is_sold = 0", args: [productId] });
         let collectedCount = 0;
-        const updatesToExecute = [];
+        const stockStatements = [];
+        const soldCopyStatements = []; // { statementIndex, credentialIndex } de cada copia vendida que se inserta
         
         for (const row of allStock.rows) {
             if (collectedCount >= numericQty) break;
@@ -1861,31 +2830,41 @@ app.post('/user/purchase', async (req, res) => {
             const needed = numericQty - collectedCount;
 
             if (availableInRow > needed) {
+                // 🔒 Solo si la fila no cambió desde que se leyó (otra compra pudo tomar unidades)
                 const updatedData = { ...data, quantity: availableInRow - needed };
-                updatesToExecute.push(client.execute({ sql: "UPDATE product_stock SET data = ? WHERE id = ?", args: [JSON.stringify(updatedData), row.id] }));
+                stockStatements.push(
+                    { sql: "UPDATE product_stock SET data = ? WHERE id = ? AND is_sold = 0 AND data = ?", args: [JSON.stringify(updatedData), row.id, row.data] },
+                    guardStatement(ATOMIC_GUARD_REASONS.STOCK_UNAVAILABLE)
+                );
                 for (let k = 0; k < needed; k++) {
-                    const soldCopy = { ...data, quantity: 1, price_sold_per_unit: numericFinalPricePerUnit };
-                    const insertRes = await client.execute({ sql: "INSERT INTO product_stock (product_id, provider_user_id, data, is_sold, sold_to_user_id, sold_at) VALUES (?, ?, ?, 1, ?, CURRENT_TIMESTAMP)", args: [productId, providerId, JSON.stringify(soldCopy), numericUserId] });
-                    credentialsList.push({ stockId: insertRes.lastInsertRowid.toString(), productId, ...soldCopy });
+                    const soldCopy = { ...data, quantity: 1, price_sold_per_unit_cents: pricePerUnitCents };
+                    soldCopyStatements.push({ statementIndex: stockStatements.length, credentialIndex: credentialsList.length });
+                    // El id de la copia se conoce al insertarla: se copia al historial del comprador en la misma transacción
+                    stockStatements.push(
+                        { sql: "INSERT INTO product_stock (product_id, provider_user_id, data, is_sold, sold_to_user_id, sold_at) VALUES (?, ?, ?, 1, ?, CURRENT_TIMESTAMP)", args: [productId, providerId, JSON.stringify(soldCopy), numericUserId] },
+                        {
+                            sql: `UPDATE transactions SET data = json_set(data, ?, CAST(last_insert_rowid() AS TEXT)) WHERE user_id = ? AND tx_id = ?`,
+                            args: [`$.details.fullCredentials[${credentialsList.length}].stockId`, numericUserId, transactionId]
+                        }
+                    );
+                    credentialsList.push({ stockId: null, productId, ...soldCopy });
                 }
                 collectedCount += needed;
             } else {
-                const soldData = { ...data, price_sold_per_unit: numericFinalPricePerUnit };
-                updatesToExecute.push(client.execute({ sql: "UPDATE product_stock SET is_sold = 1, sold_to_user_id = ?, sold_at = CURRENT_TIMESTAMP, data = ? WHERE id = ?", args: [numericUserId, JSON.stringify(soldData), row.id] }));
+                const soldData = { ...data, price_sold_per_unit_cents: pricePerUnitCents };
+                stockStatements.push(
+                    { sql: "UPDATE product_stock SET is_sold = 1, sold_to_user_id = ?, sold_at = CURRENT_TIMESTAMP, data = ? WHERE id = ? AND is_sold = 0", args: [numericUserId, JSON.stringify(soldData), row.id] },
+                    guardStatement(ATOMIC_GUARD_REASONS.STOCK_UNAVAILABLE)
+                );
                 credentialsList.push({ stockId: row.id, productId, ...soldData });
                 collectedCount += availableInRow;
             }
         }
 
         if (collectedCount < numericQty) return res.status(409).json({ message: `Stock insuficiente.` });
-        await Promise.all(updatesToExecute);
-        await client.execute({ sql: 'UPDATE products SET stock = stock - ? WHERE id = ?', args: [numericQty, productId] });
+        stockStatements.push({ sql: 'UPDATE products SET stock = stock - ? WHERE id = ?', args: [numericQty, productId] });
 
         // 3. Transacción Comprador (DÉBITO)
-        const buyerNewBalance = user.balance - numericAmount;
-        const purchaseDate = new Date();
-        const transactionId = `#ORD-${Math.random().toString(36).substring(2, 8).toUpperCase()}`; // ID ÚNICO DEL COMPRADOR
-
         const durationMatch = product.duration.match(/\d+/);
         const durationDays = durationMatch ? parseInt(durationMatch[0]) : 30;
         const expDate = new Date(purchaseDate.getTime() + durationDays * 24 * 60 * 60 * 1000);
@@ -1894,7 +2873,8 @@ app.post('/user/purchase', async (req, res) => {
             id: transactionId,
             date: purchaseDate.toLocaleDateString('es-PE'),
             description: `Compra de ${productName} (${numericQty}x)`,
-            amount: numericAmount,
+            amountCents,
+            currency: DEFAULT_CURRENCY,
             type: 'debit',
             status: 'Completada',
             details: {
@@ -1904,7 +2884,7 @@ app.post('/user/purchase', async (req, res) => {
                 provider: product.provider, // 🟢 Ahora sí tendrá valor porque se incluyó en el SELECT
                 duration: product.duration, 
                 terms, 
-                cost: numericAmount,
+                costCents: amountCents,
                 fullCredentials: credentialsList, 
                 purchaseDate: new Date().toLocaleDateString('es-PE'), 
                 expirationDate: expDate.toLocaleDateString('es-PE'),
@@ -1913,60 +2893,79 @@ app.post('/user/purchase', async (req, res) => {
                 productDetails: product.product_details, 
                 instructions: product.instructions,
                 isRenewable: product.is_renewable === 1, 
-                priceRenewalStandard: product.price_renewal_standard || 0, 
-                priceRenewalPremium: product.price_renewal_premium || 0,
-                priceSoldPerUnit: numericFinalPricePerUnit, 
-                priceSoldTotal: numericAmount
+                priceRenewalStandardCents: product.price_renewal_standard_cents,
+                priceRenewalPremiumCents: product.price_renewal_premium_cents,
+                priceSoldPerUnitCents: pricePerUnitCents,
+                priceSoldTotalCents: amountCents
             }
         };
         
-        const currentBuyerHistory = JSON.parse(user.transactions_history || '[]');
-        await client.execute({ sql: 'UPDATE users SET balance = ?, transactions_history = ? WHERE id = ?', args: [buyerNewBalance, JSON.stringify([newBuyerTransaction, ...currentBuyerHistory]), numericUserId] });
-
         // 4. Transacción Proveedor
-        const providerResult = await client.execute({ sql: 'SELECT balance, transactions_history, username, phone FROM users WHERE id = ?', args: [providerId] });
-        const providerData = providerResult.rows[0];
-        const providerNewBalance = providerData.balance + numericAmount;
-        
         const newProviderTransaction = {
             id: Date.now(),
             date: purchaseDate.toLocaleDateString('es-PE'),
             description: `Venta: ${productName} (${user.username})`,
-            amount: numericAmount,
+            amountCents,
+            currency: DEFAULT_CURRENCY,
             type: 'credit',
             status: 'Completada',
             isCommission: true, 
             sourceUser: user.username,
-            originalAmount: numericAmount,
+            originalAmountCents: amountCents,
             buyerUserId: numericUserId, 
             buyerTransactionId: transactionId 
         };
         
-        const currentProviderHistory = JSON.parse(providerData.transactions_history || '[]');
-        await client.execute({ sql: 'UPDATE users SET balance = ?, transactions_history = ?, phone = ? WHERE id = ?', args: [providerNewBalance, JSON.stringify([newProviderTransaction, ...currentProviderHistory]), providerData.phone || null, providerId] });
-
+        // 5. 🔒 Débito, stock, crédito al proveedor y pedido en un solo batch: si algo falla no se aplica nada
+        const statements = [
+            insertTransactionStatement(numericUserId, newBuyerTransaction)
+        ];
+        const stockOffset = statements.flat().length;
+        statements.push(
+            stockStatements,
+            transferStatements(LEDGER_KINDS.PURCHASE, wallet(numericUserId), wallet(providerId), amountCents, {
+                reference: `tx:${transactionId}`, description: newBuyerTransaction.description, createdBy: numericUserId
+            }),
+            insertTransactionStatement(providerId, newProviderTransaction)
+        );
         if (isOrderRequest) {
-            await client.execute({ sql: `INSERT INTO orders (purchase_id, buyer_user_id, provider_user_id, product_id, quantity, total_price, status) VALUES (?, ?, ?, ?, ?, ?, 'Pending')`, args: [transactionId, numericUserId, providerId, productId, numericQty, numericAmount] });
-            io.emit('ordersUpdated');
+            statements.push({ sql: `INSERT INTO orders (purchase_id, buyer_user_id, provider_user_id, product_id, quantity, total_price_cents, currency, status) VALUES (?, ?, ?, ?, ?, ?, ?, 'Pending')`, args: [transactionId, numericUserId, providerId, productId, numericQty, amountCents, DEFAULT_CURRENCY] });
         }
 
+        // 💰 Comisiones por referido de la compra (reglas 'purchase', ver commissions.js)
+        const commissionPayout = commissionPayoutStatements(
+            await quoteCommissions({ userId: numericUserId, event: COMMISSION_EVENTS.PURCHASE, amountCents }),
+            { sourceUsername: user.username, sourceTransactionId: transactionId, description: newBuyerTransaction.description, reference: `tx:${transactionId}`, createdBy: numericUserId }
+        );
+        statements.push(commissionPayout.statements);
+
+        const results = await runAtomic(statements);
+        for (const { statementIndex, credentialIndex } of soldCopyStatements) {
+            credentialsList[credentialIndex].stockId = results[stockOffset + statementIndex].lastInsertRowid.toString();
+        }
+        const buyerNewBalanceCents = await getBalanceCents(numericUserId);
+
+        if (isOrderRequest) io.emit('ordersUpdated');
+
         io.emit('transactionsUpdated');
         io.emit('productsUpdated');
         io.emit('usersUpdated');
 
         const targetSocketId = userSocketMap.get(numericUserId);
         if (targetSocketId) {
-            io.to(targetSocketId).emit('transactionApproved', { transactionId: newBuyerTransaction.id, amount: numericAmount, message: `¡Tu compra de ${productName} ha sido completada!` });
+            io.to(targetSocketId).emit('transactionApproved', { transactionId: newBuyerTransaction.id, amount: fromCents(amountCents), message: `¡Tu compra de ${productName} ha sido completada!` });
         }
+        notifyCommissionsPaid(commissionPayout.paid);
 
         res.status(200).json({ 
             message: 'Compra realizada.', 
-            newBalance: buyerNewBalance.toFixed(2), 
-            credentials: credentialsList,
+            newBalance: formatAmount(buyerNewBalanceCents),
+            credentials: credentialsList.map(credential => presentSoldStock(credential)),
             purchaseDate: new Date().toLocaleDateString('es-PE'),
             expirationDate: expDate.toLocaleDateString('es-PE') 
         });
     } catch (error) {
+        if (rejectPricingError(res, error) || rejectAtomicError(res, error)) return;
         console.error('Purchase error:', error);
         res.status(500).json({ message: 'Error interno.' });
     }
@@ -1974,27 +2973,27 @@ app.post('/user/purchase', async (req, res) => {
 
 
 // 🔑 NUEVO ENDPOINT: Comprar/Renovar Membresía Premium
-app.post('/user/upgrade-to-premium', async (req, res) => {
-    const { userId, amount, months } = req.body;
-    const numericUserId = parseInt(userId);
-    const numericAmount = parseFloat(amount);
+app.post('/user/upgrade-to-premium', requireAuth, requireVerifiedEmail, moneyRateLimit, requireRole(...DISTRIBUTOR_ROLES, ...SUPPLIER_ROLES), idempotent('upgrade_premium'), async (req, res) => {
+    const { amount, months } = req.body;
+    const numericUserId = req.user.id;
+    const amountCents = toCents(amount);
     const numericMonths = parseInt(months);
 
-    if (!numericUserId || isNaN(numericAmount) || isNaN(numericMonths)) {
+    if (!numericUserId || !(amountCents > 0) || isNaN(numericMonths)) {
         return res.status(400).json({ message: 'Datos inválidos.' });
     }
 
     try {
         // 1. Obtener usuario para ver su rol actual y saldo
         const userResult = await client.execute({
-            sql: 'SELECT balance, role, premium_expires_at, transactions_history FROM users WHERE id = ?',
+            sql: 'SELECT balance_cents, role, premium_expires_at FROM users WHERE id = ?',
             args: [numericUserId]
         });
 
         if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
         const user = userResult.rows[0];
 
-        if (user.balance < numericAmount) {
+        if (user.balance_cents < amountCents) {
             return res.status(400).json({ message: 'Saldo insuficiente.' });
         }
 
@@ -2029,13 +3028,12 @@ app.post('/user/upgrade-to-premium', async (req, res) => {
         const formattedExpiration = newExpirationDate.toISOString().replace('T', ' ').substring(0, 19);
 
         // 4. Registrar Transacción
-        const newBalance = user.balance - numericAmount;
-        
         const transaction = {
             id: Date.now(),
             date: new Date().toLocaleDateString('es-PE'),
             description: `Compra Membresía ${targetRole} (${numericMonths} mes${numericMonths > 1 ? 'es' : ''})`,
-            amount: numericAmount,
+            amountCents,
+            currency: DEFAULT_CURRENCY,
             type: 'debit',
             status: 'Completada',
             details: {
@@ -2048,34 +3046,40 @@ app.post('/user/upgrade-to-premium', async (req, res) => {
                 months: numericMonths,
                 expirationDate: formattedExpiration,
                 purchaseDate: new Date().toLocaleDateString('es-PE'),
-                cost: numericAmount
+                costCents: amountCents
             }
         };
 
-        const currentHistory = JSON.parse(user.transactions_history || '[]');
-        const updatedHistory = [transaction, ...currentHistory];
-
-        // 5. Actualizar DB
-        await client.execute({
-            sql: `UPDATE users SET 
-                  balance = ?, 
-                  role = ?,  -- 🟢 Usamos targetRole
-                  premium_expires_at = ?, 
-                  transactions_history = ? 
-                  WHERE id = ?`,
-            args: [newBalance, targetRole, formattedExpiration, JSON.stringify(updatedHistory), numericUserId]
-        });
+        // 5. Actualizar DB (todo o nada). La fecha se calculó con la expiración leída:
+        // si otra compra la cambió mientras tanto, se aborta en lugar de perder meses pagados.
+        await runAtomic([
+            transferStatements(LEDGER_KINDS.PREMIUM_UPGRADE, wallet(numericUserId), platform(LEDGER_ACCOUNTS.REVENUE), amountCents, {
+                reference: `tx:${transaction.id}`, description: transaction.description, createdBy: numericUserId
+            }),
+            {
+                sql: `UPDATE users SET 
+                      role = ?,  -- 🟢 Usamos targetRole
+                      premium_expires_at = ? 
+                      WHERE id = ? AND premium_expires_at IS ?`,
+                args: [targetRole, formattedExpiration, numericUserId, user.premium_expires_at]
+            },
+            guardStatement(ATOMIC_GUARD_REASONS.PRECONDITION_FAILED),
+            insertTransactionStatement(numericUserId, transaction)
+        ]);
+        const newBalanceCents = await getBalanceCents(numericUserId);
 
         io.emit('usersUpdated');
 
         res.status(200).json({
             message: `¡Membresía ${targetRole} activada!`,
-            newBalance: newBalance,
+            newBalance: fromCents(newBalanceCents),
+            newBalanceCents,
             newRole: targetRole,
             expiresAt: formattedExpiration
         });
 
     } catch (error) {
+        if (rejectAtomicError(res, error)) return;
         console.error('Premium upgrade error:', error);
         res.status(500).json({ message: 'Error al procesar la compra Premium.' });
     }
@@ -2084,8 +3088,8 @@ app.post('/user/upgrade-to-premium', async (req, res) => {
 // 🔑 ENDPOINT: Estadísticas del Dashboard Admin
 app.get('/admin/stats', async (req, res) => {
     try {
-        // Obtenemos rol e historial de todos los usuarios
-        const result = await client.execute('SELECT role, transactions_history FROM users');
+        // Obtenemos el rol de todos los usuarios
+        const result = await client.execute('SELECT role FROM users');
         const users = result.rows;
 
         // 1. Estadísticas de Usuarios
@@ -2098,15 +3102,6 @@ app.get('/admin/stats', async (req, res) => {
             'Admin': 0
         };
 
-        // 2. Estadísticas de Recargas (Dinero)
-        let recharges = {
-            day: 0,
-            week: 0,
-            month: 0,
-            year: 0,
-            total: 0
-        };
-
         const now = new Date();
         const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
 
@@ -2129,25 +3124,25 @@ app.get('/admin/stats', async (req, res) => {
             } else {
                 rolesCount[r] = (rolesCount[r] || 0) + 1;
             }
+        });
 
-            // Cálculo de Recargas (Solo 'credit' y 'Completada')
-            const history = JSON.parse(user.transactions_history || '[]');
-            history.forEach(tx => {
-                if (tx.type === 'credit' && tx.status === 'Completada') {
-                    const amount = parseFloat(tx.amount);
-                    // Usamos tx.id como timestamp
-                    const txTime = typeof tx.id === 'number' ? tx.id : 0;
-
-                    if (txTime > 0) {
-                        recharges.total += amount;
-                        if (txTime >= startOfYear) recharges.year += amount;
-                        if (txTime >= startOfMonth) recharges.month += amount;
-                        if (txTime >= startOfWeekTime) recharges.week += amount;
-                        if (txTime >= startOfDay) recharges.day += amount;
-                    }
-                }
-            });
+        // 2. Estadísticas de Recargas (Dinero): solo 'credit' y 'Completada', agrupadas por fecha en la BD
+        const rechargesResult = await client.execute({
+            sql: `SELECT
+                    COALESCE(SUM(amount_cents), 0) AS total,
+                    COALESCE(SUM(CASE WHEN created_at >= ? THEN amount_cents END), 0) AS year,
+                    COALESCE(SUM(CASE WHEN created_at >= ? THEN amount_cents END), 0) AS month,
+                    COALESCE(SUM(CASE WHEN created_at >= ? THEN amount_cents END), 0) AS week,
+                    COALESCE(SUM(CASE WHEN created_at >= ? THEN amount_cents END), 0) AS day
+                  FROM transactions
+                  WHERE type = 'credit' AND status = 'Completada' AND currency = ?`,
+            args: [...[startOfYear, startOfMonth, startOfWeekTime, startOfDay].map(time => toSqlDate(new Date(time))), DEFAULT_CURRENCY]
         });
+        const { total, year, month, week, day } = rechargesResult.rows[0];
+        const recharges = {
+            day: fromCents(day), week: fromCents(week), month: fromCents(month), year: fromCents(year), total: fromCents(total),
+            currency: DEFAULT_CURRENCY
+        };
 
         res.status(200).json({
             totalUsers,
@@ -2171,7 +3166,8 @@ app.get('/admin/products-management', async (req, res) => {
             name: p.name,
             platform: p.platform,
             stock: p.stock || 0,
-            priceStandard: p.price_standard,
+            priceStandard: fromCents(p.price_standard_cents, p.currency),
+            currency: p.currency,
             imageUrl: p.image_url,
             isBestSeller: p.is_best_seller === 1,
             isOffer: p.is_offer === 1,
@@ -2264,10 +3260,7 @@ app.get('/products/trending-carousel', async (req, res) => {
             delivery: p.delivery,
             duration: p.duration,
             type: p.type,
-            priceStandard: p.price_standard || 0,
-            pricePremium: p.price_premium || 0,
-            priceRenewalStandard: p.price_renewal_standard || 0,
-            priceRenewalPremium: p.price_renewal_premium || 0,
+            ...presentProductPrices(p),
             imageUrl: p.image_url,
             images: JSON.parse(p.images || '[]'),
             stock: p.stock || 0,
@@ -2288,7 +3281,7 @@ app.get('/products/trending-carousel', async (req, res) => {
     }
 });
 
-app.get('/supplier/sales/:providerId', async (req, res) => {
+app.get('/supplier/sales/:providerId', requireAuth, requireSupplier, requireSelf('providerId'), async (req, res) => {
     const { providerId } = req.params;
 
     try {
@@ -2300,8 +3293,9 @@ app.get('/supplier/sales/:providerId', async (req, res) => {
                     p.name as product_name,
                     p.platform,
                     p.duration, -- 🟢 CRÍTICO: Añadido para calcular expiración
-                    p.price_standard,
-                    p.price_premium,
+                    p.price_standard_cents,
+                    p.price_premium_cents,
+                    p.currency,
                     u.username as buyer_name,
                     u.phone as buyer_phone,
                     u.role as buyer_role,
@@ -2319,21 +3313,20 @@ app.get('/supplier/sales/:providerId', async (req, res) => {
         });
 
         const sales = result.rows.map(row => {
-            let unitPrice = row.price_standard;
+            let unitPriceCents = row.price_standard_cents;
 
             // Intentar obtener datos del stock (credenciales y precio real)
             let stockData = {};
             try {
                 stockData = JSON.parse(row.first_data_item);
-                if (stockData.price_sold_per_unit) {
-                    const storedPrice = parseFloat(stockData.price_sold_per_unit);
-                    if (!isNaN(storedPrice) && storedPrice > 0) unitPrice = storedPrice;
+                if (Number.isInteger(stockData.price_sold_per_unit_cents) && stockData.price_sold_per_unit_cents > 0) {
+                    unitPriceCents = stockData.price_sold_per_unit_cents;
                 } else {
                     // Fallback lógica antigua
                     if (row.buyer_role === 'distribuidor' || row.buyer_role === 'proveedor' || row.buyer_role === 'Admin') {
-                        unitPrice = row.price_premium;
+                        unitPriceCents = row.price_premium_cents;
                     } else if (row.buyer_role === 'Distribuidor Premium') {
-                        unitPrice = row.price_premium * 0.9;
+                        unitPriceCents = percentOf(row.price_premium_cents, 0.9);
                     }
                 }
             } catch (e) {}
@@ -2348,8 +3341,9 @@ app.get('/supplier/sales/:providerId', async (req, res) => {
                 buyerPhone: row.buyer_phone || '',
                 buyerRole: row.buyer_role,
                 quantity: row.quantity,
-                total: unitPrice * row.quantity,
-                unitPrice: unitPrice, 
+                total: fromCents(unitPriceCents * row.quantity, row.currency),
+                unitPrice: fromCents(unitPriceCents, row.currency),
+                currency: row.currency,
                 fullDate: row.sold_at,
                 // 🟢 Enviamos credenciales para la tabla de expirados
                 credentials: {
@@ -2371,7 +3365,7 @@ app.get('/supplier/sales/:providerId', async (req, res) => {
 });
 
 // 🔑 NUEVO ENDPOINT: Obtener pedidos "A pedido" de un proveedor
-app.get('/supplier/orders/:providerId', async (req, res) => {
+app.get('/supplier/orders/:providerId', requireAuth, requireSupplier, requireSelf('providerId'), async (req, res) => {
     const { providerId } = req.params;
 
     try {
@@ -2472,6 +3466,114 @@ app.post('/admin/settings/recharge-limits', async (req, res) => {
     }
 });
 
+// 🚦 LÍMITES DE PETICIONES Y BLOQUEO DE LOGIN (Admin)
+app.get('/admin/settings/rate-limits', async (req, res) => {
+    try {
+        res.json(await getRateLimitSettings());
+    } catch (error) {
+        console.error('Error fetching rate limits:', error);
+        res.status(500).json({ message: 'Error interno al obtener los límites de peticiones.' });
+    }
+});
+
+// Body: { limits: { login: { windowSeconds, maxPerIp, maxPerAccount }, ... }, loginLockout: { maxFailures, baseLockSeconds, maxLockSeconds } }
+// Solo se actualizan las claves enviadas. Un máximo de 0 desactiva ese límite.
+app.post('/admin/settings/rate-limits', async (req, res) => {
+    const { limits = {}, loginLockout } = req.body;
+    const isNonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+
+    const updates = [];
+    for (const [name, config] of Object.entries(limits)) {
+        if (!DEFAULT_RATE_LIMITS[name]) {
+            return res.status(400).json({ message: `Límite desconocido: ${name}.` });
+        }
+        const { windowSeconds, maxPerIp, maxPerAccount } = { ...DEFAULT_RATE_LIMITS[name], ...config };
+        if (!isNonNegativeInt(windowSeconds) || windowSeconds === 0 || !isNonNegativeInt(maxPerIp) || !isNonNegativeInt(maxPerAccount)) {
+            return res.status(400).json({ message: `Valores inválidos para el límite ${name}.` });
+        }
+        updates.push([`rate_limit_${name}`, JSON.stringify({ windowSeconds, maxPerIp, maxPerAccount })]);
+    }
+
+    if (loginLockout) {
+        const { maxFailures, baseLockSeconds, maxLockSeconds } = loginLockout;
+        if (!isNonNegativeInt(maxFailures) || maxFailures === 0 || !isNonNegativeInt(baseLockSeconds) || !isNonNegativeInt(maxLockSeconds) || maxLockSeconds < baseLockSeconds) {
+            return res.status(400).json({ message: 'Valores inválidos para el bloqueo de login.' });
+        }
+        updates.push(['login_lockout', JSON.stringify({ maxFailures, baseLockSeconds, maxLockSeconds })]);
+    }
+
+    if (updates.length === 0) {
+        return res.status(400).json({ message: 'No se enviaron límites para actualizar.' });
+    }
+
+    try {
+        for (const [key, value] of updates) {
+            await client.execute({
+                sql: `INSERT INTO settings (key, value) VALUES (?, ?)
+                      ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+                args: [key, value]
+            });
+        }
+        invalidateRateLimitSettings();
+
+        res.json({ message: 'Límites de peticiones actualizados correctamente.', ...(await getRateLimitSettings()) });
+    } catch (error) {
+        console.error('Error updating rate limits:', error);
+        res.status(500).json({ message: 'Error interno al guardar los límites de peticiones.' });
+    }
+});
+
+// 📢 PLANES DE PUBLICACIÓN (Admin). Precios por mes en decimales; se guardan en centavos (ver pricing.js)
+app.get('/admin/settings/publication-plans', async (req, res) => {
+    try {
+        res.json(presentPublicationPlans(await getPublicationPlans()));
+    } catch (error) {
+        console.error('Error fetching publication plans:', error);
+        res.status(500).json({ message: 'Error interno al obtener los planes de publicación.' });
+    }
+});
+
+// Body: { pricesPerMonth: { 'proveedor': 5, 'Proveedor Premium': 3 }, multiMonthDiscounts: [{ minMonths: 3, percentage: 5 }], maxMonths: 12 }
+app.post('/admin/settings/publication-plans', async (req, res) => {
+    const plans = parsePublicationPlans(req.body);
+    if (!plans) {
+        return res.status(400).json({ message: 'Planes de publicación inválidos.' });
+    }
+
+    try {
+        await client.execute({
+            sql: `INSERT INTO settings (key, value) VALUES ('publication_plans', ?)
+                  ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+            args: [JSON.stringify(plans)]
+        });
+        invalidatePublicationPlans();
+
+        io.emit('settingsUpdated');
+        res.json({ message: 'Planes de publicación actualizados correctamente.', ...presentPublicationPlans(await getPublicationPlans()) });
+    } catch (error) {
+        console.error('Error updating publication plans:', error);
+        res.status(500).json({ message: 'Error interno al guardar los planes de publicación.' });
+    }
+});
+
+// 📢 Planes de publicación vigentes para el proveedor (precio mensual de su rol y descuentos por meses)
+app.get('/publication/plans', requireAuth, requireSupplier, async (req, res) => {
+    try {
+        const plans = await getPublicationPlans();
+        const pricePerMonthCents = plans.pricePerMonthCents[req.user.role] ?? plans.pricePerMonthCents[ROLES.SUPPLIER];
+        res.json({
+            currency: plans.currency,
+            pricePerMonth: fromCents(pricePerMonthCents, plans.currency),
+            pricePerMonthCents,
+            multiMonthDiscounts: plans.multiMonthDiscounts,
+            maxMonths: plans.maxMonths
+        });
+    } catch (error) {
+        console.error('Error fetching publication plans:', error);
+        res.status(500).json({ message: 'Error interno al obtener los planes de publicación.' });
+    }
+});
+
 // 🔑 NUEVO ENDPOINT: Configurar productos del Carrusel (Bulk Update)
 app.post('/admin/products/set-carousel', async (req, res) => {
     const { productIds } = req.body; // Array de IDs [1, 2, 3]
@@ -2512,7 +3614,7 @@ app.post('/admin/products/set-carousel', async (req, res) => {
 // 🔑 SECCIÓN DE INVENTARIO (STOCK DETALLADO)
 
 // 1. Obtener todo el inventario de un proveedor (Agrupado por producto en el frontend)
-app.get('/supplier/inventory/:providerId', async (req, res) => {
+app.get('/supplier/inventory/:providerId', requireAuth, requireSupplier, requireSelf('providerId'), async (req, res) => {
     const { providerId } = req.params;
     try {
         // Obtenemos todo el stock unido con información del producto
@@ -2541,7 +3643,7 @@ app.get('/supplier/inventory/:providerId', async (req, res) => {
             productId: row.product_id,
             productName: row.product_name,
             platform: row.platform,
-            data: JSON.parse(row.data),
+            data: presentSoldStock(JSON.parse(row.data)),
             isSold: row.is_sold === 1,
             soldAt: row.sold_at,
             isPublished: row.is_published === 1,
@@ -2556,8 +3658,9 @@ app.get('/supplier/inventory/:providerId', async (req, res) => {
 });
 
 // 2. Añadir stock a un producto existente
-app.post('/supplier/stock/add', async (req, res) => {
-    const { productId, providerId, items } = req.body;
+app.post('/supplier/stock/add', requireAuth, requireSupplier, requireProductOwner(req => req.body.productId), async (req, res) => {
+    const { productId, items } = req.body;
+    const providerId = req.user.id;
 
     if (!productId || !providerId || !Array.isArray(items) || items.length === 0) {
         return res.status(400).json({ message: 'Datos inválidos.' });
@@ -2603,7 +3706,7 @@ app.post('/supplier/stock/add', async (req, res) => {
 });
 
 // 3. Editar un ítem de stock específico (Credenciales)
-app.put('/supplier/stock/:stockId', async (req, res) => {
+app.put('/supplier/stock/:stockId', requireAuth, requireSupplier, requireStockOwner(req => req.params.stockId), async (req, res) => {
     const { stockId } = req.params;
     const { data } = req.body; // Nuevo objeto JSON de credenciales
 
@@ -2623,7 +3726,7 @@ app.put('/supplier/stock/:stockId', async (req, res) => {
     }
 });
 
-app.post('/supplier/stock/publish', async (req, res) => {
+app.post('/supplier/stock/publish', requireAuth, requireSupplier, requireStockOwner(req => req.body.stockId), async (req, res) => {
     const { stockId } = req.body;
     if (!stockId) return res.status(400).json({ message: 'ID requerido.' });
 
@@ -2652,7 +3755,7 @@ app.post('/supplier/stock/publish', async (req, res) => {
 });
 
 // 4. Eliminar un ítem de stock específico
-app.delete('/supplier/stock/:stockId', async (req, res) => {
+app.delete('/supplier/stock/:stockId', requireAuth, requireSupplier, requireStockOwner(req => req.params.stockId), async (req, res) => {
     const { stockId } = req.params;
     try {
         const stockItem = await client.execute({ sql: "SELECT product_id FROM product_stock WHERE id = ?", args: [stockId] });
@@ -2672,7 +3775,7 @@ app.delete('/supplier/stock/:stockId', async (req, res) => {
     }
 });
 
-app.post('/supplier/handle-support', async (req, res) => {
+app.post('/supplier/handle-support', requireAuth, requireSupplier, async (req, res) => {
     const { purchaseId, action } = req.body; // action: 'complete' | 'refund'
 
     if (!purchaseId || !action) {
@@ -2680,48 +3783,27 @@ app.post('/supplier/handle-support', async (req, res) => {
     }
 
     try {
-        // 1. Encontrar la transacción en el historial de TODOS los usuarios
-        const allUsersResult = await client.execute('SELECT id, transactions_history FROM users');
-        let targetUserId = null;
-        let targetTx = null;
-        let userHistory = null;
-        
-        for (const user of allUsersResult.rows) {
-            const history = JSON.parse(user.transactions_history || '[]');
-            targetTx = history.find(tx => tx.id === purchaseId && tx.status === 'Soporte');
-            if (targetTx) {
-                targetUserId = user.id;
-                userHistory = history;
-                break;
-            }
+        // 1. Encontrar la transacción en soporte (búsqueda indexada por id de movimiento)
+        const found = await findTransaction(purchaseId, { status: 'Soporte' });
+        if (!found) {
+            return res.status(404).json({ message: 'Transacción en soporte no encontrada.' });
         }
+        const { userId: targetUserId, transaction: targetTx } = found;
 
-        if (!targetUserId || !targetTx) {
-            return res.status(404).json({ message: 'Transacción en soporte no encontrada.' });
+        // 🔒 Solo el proveedor de la compra puede resolver el ticket
+        const purchaseProviderId = await findPurchaseProviderId(targetTx);
+        if (req.user.role !== ROLES.ADMIN && Number(purchaseProviderId) !== req.user.id) {
+            return forbidden(res, 'NOT_OWNER', 'Esta compra pertenece a otro proveedor.');
         }
 
         let newStatus = 'Completada';
-        let newBalance = null;
+        let refundCents = 0;
         let refundTx = null;
-
-        const updateTransaction = (tx) => {
-            if (tx.id === purchaseId) {
-                return { 
-                    ...tx, 
-                    status: newStatus,
-                    details: {
-                        ...tx.details,
-                        supportMessage: null, // Limpiar mensaje de soporte al resolver
-                        supportDate: null,
-                    }
-                };
-            }
-            return tx;
-        };
+        const stockStatements = [];
 
         // 2. Realizar la acción específica
         if (action === 'refund') {
-            const totalAmountPaid = targetTx.amount; // Monto original de la compra
+            const totalPaidCents = targetTx.amountCents; // Monto original de la compra
             const purchaseDateStr = targetTx.details.purchaseDate;
             const durationStr = targetTx.details.duration; // Ej: "30 Días"
 
@@ -2752,24 +3834,18 @@ app.post('/supplier/handle-support', async (req, res) => {
             // Días restantes (mínimo 0)
             const daysRemaining = Math.max(0, safeTotalDays - daysUsed);
             
-            // Costo diario
-            const costPerDay = totalAmountPaid / safeTotalDays;
-            
-            // Monto de reembolso (usando solo 2 decimales y redondeando)
-            let amountToRefund = daysRemaining * costPerDay;
-            amountToRefund = parseFloat(amountToRefund.toFixed(2)); // Redondeo a 2 decimales
+            // Monto de reembolso: parte proporcional a los días restantes (se redondea una sola vez, al centavo)
+            const amountToRefundCents = prorate(totalPaidCents, daysRemaining, safeTotalDays);
             
-            console.log(`Reembolso: Total pagado: $${totalAmountPaid.toFixed(2)}. Días totales: ${safeTotalDays}. Días usados: ${daysUsed}. Días restantes: ${daysRemaining}. Monto a devolver: $${amountToRefund.toFixed(2)}.`);
+            console.log(`Reembolso: Total pagado: ${formatMoney(totalPaidCents)}. Días totales: ${safeTotalDays}. Días usados: ${daysUsed}. Días restantes: ${daysRemaining}. Monto a devolver: ${formatMoney(amountToRefundCents)}.`);
 
             // Si el monto a devolver es 0, no se procede
-            if (amountToRefund <= 0) {
+            if (amountToRefundCents <= 0) {
                  return res.status(400).json({ message: `No hay monto para devolver. Días restantes: ${daysRemaining}.` });
             }
             
-            // b. Calcular nuevo saldo del cliente
-            const userResult = await client.execute({ sql: 'SELECT balance FROM users WHERE id = ?', args: [targetUserId] });
-            const currentBalance = userResult.rows[0].balance;
-            newBalance = parseFloat((currentBalance + amountToRefund).toFixed(2));
+            // b. Monto a acreditar al cliente (se suma en el batch del paso 3)
+            refundCents = amountToRefundCents;
             newStatus = 'Devuelto';
 
             // c. Generar transacción de reembolso
@@ -2777,20 +3853,21 @@ app.post('/supplier/handle-support', async (req, res) => {
                 id: Date.now(),
                 date: new Date().toLocaleDateString('es-PE'),
                 description: `Reembolso (${daysRemaining} días): ${targetTx.details.productName}`,
-                amount: amountToRefund,
+                amountCents: amountToRefundCents,
+                currency: DEFAULT_CURRENCY,
                 type: 'credit',
-                status: 'Completada'
+                status: 'Completada',
+                isRefund: true
             };
             
             // d. Devolver stock (Solo si no fue "A pedido" y tiene credenciales)
             if (targetTx.details.fullCredentials && targetTx.details.fullCredentials.length > 0 && targetTx.details.delivery !== 'A pedido') {
                 const stockIds = targetTx.details.fullCredentials.map(c => c.stockId).filter(id => id);
                 if (stockIds.length > 0) {
-                    const idsString = stockIds.join(',');
                     // Restaurar is_sold a 0
-                    await client.execute({
-                        sql: `UPDATE product_stock SET is_sold = 0, sold_to_user_id = NULL, sold_at = NULL, client_name = NULL, client_phone = NULL WHERE id IN (${idsString})`,
-                        args: []
+                    stockStatements.push({
+                        sql: `UPDATE product_stock SET is_sold = 0, sold_to_user_id = NULL, sold_at = NULL, client_name = NULL, client_phone = NULL WHERE id IN (${stockIds.map(() => '?').join(',')})`,
+                        args: stockIds
                     });
                     
                     // Aumentar stock del producto
@@ -2798,40 +3875,64 @@ app.post('/supplier/handle-support', async (req, res) => {
                     const refundProductId = prodRes.rows[0]?.id;
 
                     if (refundProductId) {
-                         await client.execute({ sql: `UPDATE products SET stock = stock + ? WHERE id = ?`, args: [targetTx.details.fullCredentials.length, refundProductId] });
+                         stockStatements.push({ sql: `UPDATE products SET stock = stock + ? WHERE id = ?`, args: [targetTx.details.fullCredentials.length, refundProductId] });
                     }
                 }
             }
             // --- 
         }
         
-        // 3. Actualizar el historial del usuario (y saldo si hay reembolso)
-        const updatedHistory = userHistory.map(updateTransaction);
+        // 3. Actualizar el historial del usuario (y saldo/stock si hay reembolso) en un solo batch.
+        // 🔒 Solo si el ticket sigue en 'Soporte': evita reembolsar dos veces la misma compra.
+        const statements = [
+            saveTransactionStatement(targetUserId, {
+                ...targetTx,
+                status: newStatus,
+                details: {
+                    ...targetTx.details,
+                    supportMessage: null, // Limpiar mensaje de soporte al resolver
+                    supportDate: null,
+                }
+            }, { fromStatus: 'Soporte' }),
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+            stockStatements
+        ];
+        let clawbacks = [];
         if (refundTx) {
-            updatedHistory.unshift(refundTx);
-        }
-
-        const updates = ['transactions_history = ?'];
-        const args = [JSON.stringify(updatedHistory)];
-
-        if (newBalance !== null) {
-             updates.push('balance = ?');
-             args.push(newBalance);
+            // 🔁 Las comisiones por referido de la compra se descuentan en proporción a lo devuelto
+            const clawback = await commissionClawbackStatements({
+                sourceUserId: targetUserId,
+                sourceTransactionId: targetTx.id,
+                sourceAmountCents: targetTx.amountCents,
+                refundedCents: refundCents,
+                reason: refundTx.description,
+                createdBy: req.user.id
+            });
+            clawbacks = clawback.clawbacks;
+
+            statements.push(
+                insertTransactionStatement(targetUserId, refundTx),
+                // El reembolso de soporte lo asume la plataforma
+                transferStatements(LEDGER_KINDS.SUPPORT_REFUND, platform(LEDGER_ACCOUNTS.SUPPORT_REFUNDS), wallet(targetUserId), refundCents, {
+                    reference: `tx:${targetTx.id}`, description: refundTx.description, createdBy: req.user.id
+                }),
+                clawback.statements
+            );
         }
-        args.push(targetUserId);
-
-        await client.execute({ 
-            sql: `UPDATE users SET ${updates.join(', ')} WHERE id = ?`, 
-            args: args
-        });
+        await runAtomic(statements);
 
         // 4. Notificar a todos
         io.emit('transactionsUpdated'); 
         io.emit('productsUpdated'); 
+        if (clawbacks.length > 0) {
+            io.emit('usersUpdated');
+            notifyCommissionsClawedBack(clawbacks);
+        }
 
         res.status(200).json({ message: `Orden ${purchaseId} marcada como ${newStatus}.`, newStatus });
 
     } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'Este ticket de soporte ya fue resuelto.' })) return;
         console.error('Handle support error:', error);
         res.status(500).json({ message: 'Error interno al manejar la solicitud de soporte.', details: error.message });
     }
@@ -2851,8 +3952,8 @@ app.post('/admin/user/delete', async (req, res) => {
         if (userResult.rows.length === 0) {
             return res.status(404).json({ message: 'Usuario no encontrado.' });
         }
-        if (userResult.rows[0].role === 'Admin') {
-            return res.status(403).json({ message: 'No puedes eliminar la cuenta de Administrador.' });
+        if (userResult.rows[0].role === ROLES.ADMIN) {
+            return forbidden(res, 'PROTECTED_ACCOUNT', 'No puedes eliminar la cuenta de Administrador.');
         }
 
         // 2. Eliminar registros asociados (CRÍTICO para evitar errores de llave foránea)
@@ -2868,6 +3969,9 @@ app.post('/admin/user/delete', async (req, res) => {
         
         // d. Eliminar retiros (withdrawals)
         await client.execute({ sql: 'DELETE FROM withdrawals WHERE user_id = ?', args: [numericUserId] });
+
+        // e. Eliminar su historial de movimientos
+        await client.execute({ sql: 'DELETE FROM transactions WHERE user_id = ?', args: [numericUserId] });
         
         // 3. Eliminar el usuario
         await client.execute({
@@ -2886,114 +3990,151 @@ app.post('/admin/user/delete', async (req, res) => {
 });
 
 // 🟢 ENDPOINT: Procesar Reembolso Proporcional EXACTO
-app.post('/supplier/refund/proportional', async (req, res) => {
-    const { buyerUserId, buyerTransactionId, amountToRefund, providerId } = req.body;
-    const numericAmount = parseFloat(amountToRefund);
-    const numericProviderId = parseInt(providerId);
+app.post('/supplier/refund/proportional', requireAuth, requireSupplier, async (req, res) => {
+    const { buyerUserId, buyerTransactionId, amountToRefund } = req.body;
+    const refundCents = toCents(amountToRefund);
+    const numericProviderId = req.user.id;
     const numericBuyerId = parseInt(buyerUserId);
 
     // Validación estricta de datos necesarios
-    if (!buyerUserId || !buyerTransactionId || isNaN(numericAmount) || numericAmount <= 0 || !numericProviderId) {
+    if (!buyerUserId || !buyerTransactionId || isNaN(refundCents) || refundCents <= 0 || !numericProviderId) {
         return res.status(400).json({ message: 'Datos de reembolso inválidos o incompletos. (Falta ID comprador o Transacción)' });
     }
 
     try {
         // 1. Obtener Comprador Directamente
-        const buyerRes = await client.execute({ sql: 'SELECT balance, transactions_history, username FROM users WHERE id = ?', args: [numericBuyerId] });
+        const buyerRes = await client.execute({ sql: 'SELECT username FROM users WHERE id = ?', args: [numericBuyerId] });
         if (buyerRes.rows.length === 0) return res.status(404).json({ message: 'Comprador original no encontrado.' });
         const buyer = buyerRes.rows[0];
-        const buyerHistory = JSON.parse(buyer.transactions_history || '[]');
 
         // 2. Encontrar la transacción exacta en el historial del comprador
-        // Usamos String() para comparar por si uno es número y otro string
-        const targetTxIndex = buyerHistory.findIndex(tx => String(tx.id) === String(buyerTransactionId) && tx.type === 'debit');
+        const targetTx = await findUserTransaction(numericBuyerId, buyerTransactionId, { type: 'debit' });
         
-        if (targetTxIndex === -1) {
+        if (!targetTx) {
             return res.status(404).json({ message: 'La transacción no existe en el historial del comprador (¿Ya fue reembolsada?).' });
         }
-        const targetTx = buyerHistory[targetTxIndex];
 
         if (targetTx.status === 'Devuelto') {
             return res.status(400).json({ message: 'Esta transacción ya fue reembolsada anteriormente.' });
         }
 
         // 3. Verificar saldo del Proveedor
-        const providerRes = await client.execute({ sql: 'SELECT balance, transactions_history FROM users WHERE id = ?', args: [numericProviderId] });
+        const providerRes = await client.execute({ sql: 'SELECT balance_cents FROM users WHERE id = ?', args: [numericProviderId] });
         const provider = providerRes.rows[0];
-        if (provider.balance < numericAmount) return res.status(400).json({ message: 'Saldo insuficiente en tu cuenta para reembolsar.' });
 
-        // 4. EJECUTAR REEMBOLSO (Proveedor -> Comprador)
-        
-        // A. Debitar Proveedor
-        const newProvBalance = provider.balance - numericAmount;
-        const provHistory = JSON.parse(provider.transactions_history || '[]');
-        provHistory.unshift({
-            id: Date.now(),
-            date: new Date().toLocaleDateString('es-PE'),
-            description: `REEMBOLSO: ${targetTx.description} (a ${buyer.username})`,
-            amount: numericAmount,
-            type: 'debit', status: 'Completada', isRefund: true, targetUser: buyer.username
+        // 🔒 La venta debe figurar en el historial del proveedor que reembolsa
+        const ownSaleRes = await client.execute({
+            sql: `SELECT 1 FROM transactions
+                  WHERE user_id = ? AND type = 'credit'
+                    AND CAST(json_extract(data, '$.buyerUserId') AS INTEGER) = ?
+                    AND CAST(json_extract(data, '$.buyerTransactionId') AS TEXT) = ?
+                  LIMIT 1`,
+            args: [numericProviderId, numericBuyerId, String(buyerTransactionId)]
         });
-        await client.execute({ sql: 'UPDATE users SET balance = ?, transactions_history = ? WHERE id = ?', args: [newProvBalance, JSON.stringify(provHistory), numericProviderId] });
+        if (ownSaleRes.rows.length === 0) {
+            return forbidden(res, 'NOT_OWNER', 'Esta venta no pertenece a tu cuenta.');
+        }
+        if (provider.balance_cents < refundCents) return res.status(400).json({ message: 'Saldo insuficiente en tu cuenta para reembolsar.' });
 
-        // B. Acreditar Comprador y Marcar como Devuelto
-        const newBuyerBalance = buyer.balance + numericAmount;
+        // 4. EJECUTAR REEMBOLSO (Proveedor -> Comprador) en un solo batch
         const refundCreditTx = {
             id: Date.now() + 1,
             date: new Date().toLocaleDateString('es-PE'),
             description: `REEMBOLSO RECIBIDO: ${targetTx.description}`,
-            amount: numericAmount,
+            amountCents: refundCents,
+            currency: DEFAULT_CURRENCY,
             type: 'credit', status: 'Completada', isRefund: true
         };
-        
-        // Marcar original como 'Devuelto'
-        buyerHistory[targetTxIndex].status = 'Devuelto';
-        buyerHistory[targetTxIndex].details = { ...buyerHistory[targetTxIndex].details, refundDate: new Date().toLocaleDateString('es-PE'), refundAmount: numericAmount };
-        buyerHistory.unshift(refundCreditTx);
 
-        await client.execute({ sql: 'UPDATE users SET balance = ?, transactions_history = ? WHERE id = ?', args: [newBuyerBalance, JSON.stringify(buyerHistory), numericBuyerId] });
+        // 🔁 Comisiones por referido de la compra: se descuentan en proporción a lo devuelto
+        const clawback = await commissionClawbackStatements({
+            sourceUserId: numericBuyerId,
+            sourceTransactionId: targetTx.id,
+            sourceAmountCents: targetTx.amountCents,
+            refundedCents: refundCents,
+            reason: `Reembolso de ${targetTx.description}`,
+            createdBy: numericProviderId
+        });
+
+        await runAtomic([
+            // A. Debitar Proveedor (solo si le alcanza el saldo) y acreditar Comprador
+            transferStatements(LEDGER_KINDS.REFUND, wallet(numericProviderId), wallet(numericBuyerId), refundCents, {
+                reference: `tx:${targetTx.id}`, description: refundCreditTx.description, createdBy: numericProviderId
+            }),
+            insertTransactionStatement(numericProviderId, {
+                id: Date.now(),
+                date: new Date().toLocaleDateString('es-PE'),
+                description: `REEMBOLSO: ${targetTx.description} (a ${buyer.username})`,
+                amountCents: refundCents,
+                currency: DEFAULT_CURRENCY,
+                type: 'debit', status: 'Completada', isRefund: true, targetUser: buyer.username
+            }),
+
+            // B. Marcar original como 'Devuelto' (si otro reembolso se adelantó, se aborta todo)
+            saveTransactionStatement(numericBuyerId, {
+                ...targetTx,
+                status: 'Devuelto',
+                details: { ...targetTx.details, refundDate: new Date().toLocaleDateString('es-PE'), refundAmountCents: refundCents }
+            }, { fromStatus: targetTx.status }),
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+
+            // C. Registrar el crédito en el historial del Comprador
+            insertTransactionStatement(numericBuyerId, refundCreditTx),
+
+            // D. Descontar las comisiones por referido
+            clawback.statements
+        ]);
 
         // 5. Notificar
         io.emit('transactionsUpdated');
         io.emit('usersUpdated');
+        notifyCommissionsClawedBack(clawback.clawbacks);
 
         res.status(200).json({ message: 'Reembolso procesado exitosamente.' });
 
     } catch (error) {
+        if (rejectAtomicError(res, error, {
+            INSUFFICIENT_BALANCE: 'Saldo insuficiente en tu cuenta para reembolsar.',
+            ALREADY_PROCESSED: 'Esta transacción ya fue reembolsada anteriormente.'
+        })) return;
         console.error('Proportional refund error:', error);
         res.status(500).json({ message: 'Error interno al procesar reembolso.' });
     }
 });
 
 // 🟢 ENDPOINT: Renovación con Acreditación al Proveedor
-app.post('/user/purchase/renovate', async (req, res) => {
-    const { userId, purchaseId, months, finalPrice, planType } = req.body;
-    const numericUserId = parseInt(userId);
+app.post('/user/purchase/renovate', requireAuth, requireVerifiedEmail, purchaseRateLimit, idempotent('renovate'), async (req, res) => {
+    const { purchaseId, months, finalPrice, planType } = req.body;
+    const numericUserId = req.user.id;
     const numericMonths = parseInt(months);
-    const numericFinalPrice = parseFloat(finalPrice);
+    const quotedTotalCents = toCents(finalPrice);
 
-    if (!numericUserId || !purchaseId || isNaN(numericMonths) || numericMonths < 1 || isNaN(numericFinalPrice)) {
+    if (!numericUserId || !purchaseId || isNaN(numericMonths) || numericMonths < 1 || numericMonths > MAX_RENEWAL_MONTHS || isNaN(quotedTotalCents)) {
         return res.status(400).json({ message: 'Datos inválidos.' });
     }
 
     try {
-        const userResult = await client.execute({ sql: 'SELECT balance, transactions_history, role, username FROM users WHERE id = ?', args: [numericUserId] });
+        const userResult = await client.execute({ sql: 'SELECT balance_cents, role, username, discount_percentage FROM users WHERE id = ?', args: [numericUserId] });
         if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
         const user = userResult.rows[0];
 
-        if (user.balance < numericFinalPrice) return res.status(400).json({ message: 'Saldo insuficiente.' });
-
-        let history = JSON.parse(user.transactions_history || '[]');
         // Búsqueda flexible del ID (puede ser string #ORD o número de renovación previa)
-        const targetTx = history.find(tx => String(tx.id) === String(purchaseId) && tx.type === 'debit'); 
+        const targetTx = await findUserTransaction(numericUserId, purchaseId, { type: 'debit' });
         
         if (!targetTx) return res.status(404).json({ message: 'Transacción original no encontrada.' });
 
         const productName = targetTx.details.productName;
-        let originalProviderId = null;
-        
-        const providerRes = await client.execute({ sql: 'SELECT creator_user_id FROM products WHERE name = ? LIMIT 1', args: [productName] });
-        if (providerRes.rows.length > 0) originalProviderId = providerRes.rows[0].creator_user_id;
+        const product = await findRenewalProduct(targetTx);
+        if (!product) return res.status(404).json({ message: 'El producto ya no está disponible para renovar.' });
+        const originalProviderId = product.creator_user_id;
+
+        // 💲 Precio de renovación calculado por el servidor (ver pricing.js)
+        const quote = await quoteRenewal(user, product, numericMonths);
+        assertChargeable(quote);
+        assertQuotedPrice(quote, quotedTotalCents);
+        const finalPriceCents = quote.totalCents;
+        if (!(finalPriceCents > 0)) return res.status(400).json({ message: 'El producto no tiene precio de renovación.' });
+        if (user.balance_cents < finalPriceCents) return res.status(400).json({ message: 'Saldo insuficiente.' });
 
         // Calcular fechas
         const now = new Date();
@@ -3015,71 +4156,80 @@ app.post('/user/purchase/renovate', async (req, res) => {
             id: renovationTxId,
             date: new Date().toLocaleDateString('es-PE'),
             description: `Renovación: ${productName} (${numericMonths} meses)`,
-            amount: numericFinalPrice,
+            amountCents: finalPriceCents,
+            currency: DEFAULT_CURRENCY,
             type: 'debit',
             status: 'Completada',
-            details: { ...targetTx.details, planType, cost: numericFinalPrice, expirationDate: newExpiryDateStr, isRenovation: true }
+            details: { ...targetTx.details, planType, costCents: finalPriceCents, expirationDate: newExpiryDateStr, isRenovation: true }
         };
 
-        const updatedHistory = history.map(tx => {
-            if (String(tx.id) === String(purchaseId)) {
-                tx.details.expirationDate = newExpiryDateStr; // Actualizar original
-                return [tx, renovationTx];
-            }
-            return tx;
-        }).flat();
-
-        const newBuyerBalance = user.balance - numericFinalPrice;
-        await client.execute({ sql: 'UPDATE users SET balance = ?, transactions_history = ? WHERE id = ?', args: [newBuyerBalance, JSON.stringify(updatedHistory), numericUserId] });
+        // 🔒 Débito, historial y crédito al proveedor en un solo batch
+        const statements = [
+            // Actualizar original
+            saveTransactionStatement(numericUserId, { ...targetTx, details: { ...targetTx.details, expirationDate: newExpiryDateStr } }),
+            insertTransactionStatement(numericUserId, renovationTx)
+        ];
 
         // Transacción Proveedor (Crédito por Renovación) - 🟢 AQUI GUARDAMOS EL ENLACE
+        let providerCredited = false;
         if (originalProviderId) {
-            const provRes = await client.execute({ sql: 'SELECT balance, transactions_history FROM users WHERE id = ?', args: [originalProviderId] });
+            const provRes = await client.execute({ sql: 'SELECT id FROM users WHERE id = ?', args: [originalProviderId] });
             if (provRes.rows.length > 0) {
-                const provider = provRes.rows[0];
-                const newProvBalance = provider.balance + numericFinalPrice;
-                const provHistory = JSON.parse(provider.transactions_history || '[]');
-
-                provHistory.unshift({
+                statements.push(insertTransactionStatement(originalProviderId, {
                     id: Date.now() + 1,
                     date: new Date().toLocaleDateString('es-PE'),
                     description: `RENOVACIÓN: ${productName} (${user.username})`,
-                    amount: numericFinalPrice,
+                    amountCents: finalPriceCents,
+                    currency: DEFAULT_CURRENCY,
                     type: 'credit',
                     status: 'Completada',
                     isCommission: true, isRenewal: true, sourceUser: user.username,
                     // 🟢 DATOS CLAVE PARA REEMBOLSO
                     buyerUserId: numericUserId,
                     buyerTransactionId: renovationTxId // Guardamos el ID de la renovación
-                });
-
-                await client.execute({ sql: 'UPDATE users SET balance = ?, transactions_history = ? WHERE id = ?', args: [newProvBalance, JSON.stringify(provHistory), originalProviderId] });
+                }), transferStatements(LEDGER_KINDS.RENEWAL, wallet(numericUserId), wallet(originalProviderId), finalPriceCents, {
+                    reference: `tx:${renovationTxId}`, description: renovationTx.description, createdBy: numericUserId
+                }));
+                providerCredited = true;
             }
         }
 
+        // Sin proveedor vigente el pago de la renovación queda en la plataforma
+        if (!providerCredited) {
+            statements.push(transferStatements(LEDGER_KINDS.RENEWAL, wallet(numericUserId), platform(LEDGER_ACCOUNTS.REVENUE), finalPriceCents, {
+                reference: `tx:${renovationTxId}`, description: renovationTx.description, createdBy: numericUserId
+            }));
+        }
+
+        await runAtomic(statements);
+        const newBuyerBalanceCents = await getBalanceCents(numericUserId);
+
         io.emit('transactionsUpdated');
         io.emit('usersUpdated');
-        res.status(200).json({ message: 'Renovación exitosa.', newBalance: newBuyerBalance.toFixed(2) });
+        res.status(200).json({ message: 'Renovación exitosa.', newBalance: formatAmount(newBuyerBalanceCents) });
 
     } catch (error) {
+        if (rejectPricingError(res, error) || rejectAtomicError(res, error)) return;
         console.error('Renovation error:', error);
         res.status(500).json({ message: 'Error interno.' });
     }
 });
 
-app.post('/user/update-profile', async (req, res) => {
-    const { userId, username, phone } = req.body;
+app.post('/user/update-profile', requireAuth, async (req, res) => {
+    const { username, phone } = req.body;
+    const userId = req.user.id;
 
-    if (!userId || !username || !phone) {
+    if (!username || !phone) {
         return res.status(400).json({ message: 'Datos incompletos.' });
     }
 
     try {
         // 1. Actualizar el username y phone en la base de datos
         await client.execute({
-            sql: 'UPDATE users SET username = ?, phone = ? WHERE id = ?',
-            args: [username, phone, userId]
+            sql: 'UPDATE users SET username = ?, phone = ?, phone_normalized = ? WHERE id = ?',
+            args: [username, phone, normalizePhone(phone), userId]
         });
+        await trackAccountSignals(userId, SIGNAL_EVENTS.PROFILE_UPDATE, req);
 
         // 2. Emitir un evento para que el frontend del usuario (App.tsx) sepa que debe recargar
         io.emit('profileUpdated', { userId: userId });
@@ -3092,13 +4242,13 @@ app.post('/user/update-profile', async (req, res) => {
     }
 });
 
-app.post('/supplier/withdraw', async (req, res) => {
-    // 🔑 MODIFICADO: Recibir el monto a retirar 'amount'
-    const { userId, amount } = req.body; 
-    const numericUserId = parseInt(userId);
-    const numericAmount = parseFloat(amount); // Monto que el usuario quiere retirar (BRUTO)
+app.post('/supplier/withdraw', requireAuth, requireVerifiedEmail, moneyRateLimit, requireSupplier, idempotent('withdraw'), async (req, res) => {
+    // 🔑 MODIFICADO: Recibir el monto a retirar 'amount' (el usuario sale del token)
+    const { amount } = req.body; 
+    const numericUserId = req.user.id;
+    const requestedCents = toCents(amount); // Monto que el usuario quiere retirar (BRUTO)
 
-    if (isNaN(numericAmount) || numericAmount <= 0) {
+    if (isNaN(requestedCents) || requestedCents <= 0) {
         return res.status(400).json({ message: "Monto de retiro inválido." });
     }
 
@@ -3114,42 +4264,45 @@ app.post('/supplier/withdraw', async (req, res) => {
         }
 
         // B. Obtener saldo actual
-        const userRes = await client.execute({ sql: "SELECT balance FROM users WHERE id = ?", args: [numericUserId] });
+        const userRes = await client.execute({ sql: "SELECT balance_cents FROM users WHERE id = ?", args: [numericUserId] });
         if (userRes.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
         
-        const currentBalance = userRes.rows[0].balance;
+        const availableCents = userRes.rows[0].balance_cents;
 
         // 🔑 OBTENER TASA DE COMISIÓN DINÁMICA
         const feeResult = await client.execute("SELECT value FROM settings WHERE key = 'withdrawal_fee'");
         // 🟢 Usar el valor de la DB o el valor por defecto (0.10)
         const commissionRate = feeResult.rows.length > 0 ? parseFloat(feeResult.rows[0].value) : 0.10; 
 
-        // 🟢 FIX: Redondear ambos a 2 decimales para una comparación segura y evitar problemas de coma flotante.
-        const requested = parseFloat(numericAmount.toFixed(2));
-        const available = parseFloat(currentBalance.toFixed(2));
-
-        if (requested > available) {
-            return res.status(400).json({ message: `Monto insuficiente. Tu saldo es ${currentBalance.toFixed(2)}.` });
+        // Montos en centavos: la comparación es exacta
+        if (requestedCents > availableCents) {
+            return res.status(400).json({ message: `Monto insuficiente. Tu saldo es ${formatAmount(availableCents)}.` });
         }
 
         // C. Calcular montos (USANDO TASA DINÁMICA)
-        const fee = numericAmount * commissionRate;
-        const finalAmount = numericAmount - fee; // Monto NETO a recibir
+        const feeCents = percentOf(requestedCents, commissionRate);
+        const finalCents = requestedCents - feeCents; // Monto NETO a recibir
+        if (finalCents <= 0) {
+            return res.status(400).json({ message: "El monto neto tras la comisión de retiro debe ser mayor a 0." });
+        }
         
         // 🔑 CRÍTICO: El monto a descontar de la cartera del proveedor es el monto bruto solicitado.
-        const newBalance = currentBalance - numericAmount;
-
-        // D. Crear registro de retiro (Estado Pending)
-        await client.execute({
-            sql: "INSERT INTO withdrawals (user_id, amount_original, amount_final, status) VALUES (?, ?, ?, 'Pending')",
-            args: [numericUserId, numericAmount, finalAmount]
-        });
-
-        // E. 🔥 DESCONTAR SALDO BRUTO SOLICITADO
-        await client.execute({
-            sql: "UPDATE users SET balance = ? WHERE id = ?",
-            args: [newBalance, numericUserId]
-        });
+        // 🔒 D + E en un solo batch: si otra solicitud se adelantó o ya no alcanza el saldo, no se aplica nada.
+        await runAtomic([
+            // D. Crear registro de retiro (Estado Pending), solo si no hay otro pendiente
+            {
+                sql: `INSERT INTO withdrawals (user_id, amount_original_cents, amount_final_cents, currency, status)
+                      SELECT ?, ?, ?, ?, 'Pending'
+                      WHERE NOT EXISTS (SELECT 1 FROM withdrawals WHERE user_id = ? AND status = 'Pending')`,
+                args: [numericUserId, requestedCents, finalCents, DEFAULT_CURRENCY, numericUserId]
+            },
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+
+            // E. 🔥 DESCONTAR SALDO BRUTO SOLICITADO (queda retenido hasta que el Admin lo procese)
+            transferStatements(LEDGER_KINDS.WITHDRAWAL_REQUEST, wallet(numericUserId), platform(LEDGER_ACCOUNTS.PENDING_WITHDRAWALS), requestedCents, {
+                reference: `user:${numericUserId}`, description: 'Solicitud de retiro', createdBy: numericUserId
+            })
+        ]);
 
         // F. Notificar cambios en tiempo real
         io.emit('withdrawalsUpdated'); 
@@ -3158,6 +4311,10 @@ app.post('/supplier/withdraw', async (req, res) => {
         res.status(200).json({ message: "Solicitud enviada. Tu saldo ha sido descontado temporalmente." });
 
     } catch (error) {
+        if (rejectAtomicError(res, error, {
+            INSUFFICIENT_BALANCE: 'Monto insuficiente para el retiro solicitado.',
+            ALREADY_PROCESSED: 'Ya tienes una solicitud en proceso. Cancélala o espera la aprobación.'
+        })) return;
         console.error("Withdraw error:", error);
         res.status(500).json({ message: "Error al procesar el retiro." });
     }
@@ -3209,14 +4366,363 @@ app.post('/admin/settings/withdrawal-fee', async (req, res) => {
     }
 });
 
+// ⏱️ ENDPOINTS: Tareas programadas (estado, plazos, ejecución manual y registro de acciones automáticas)
+app.get('/admin/jobs', async (req, res) => {
+    try {
+        res.json({ jobs: listJobs(), settings: await getJobSettings() });
+    } catch (error) {
+        console.error('Error fetching jobs:', error);
+        res.status(500).json({ message: 'Error interno al obtener las tareas programadas.' });
+    }
+});
+
+// Body: { rechargeExpiryHours, withdrawalEscalationHours } (horas; se puede enviar solo uno)
+app.post('/admin/settings/jobs', async (req, res) => {
+    try {
+        const settings = await saveJobSettings(req.body);
+        if (!settings) {
+            return res.status(400).json({ message: `Plazos inválidos. Deben ser horas entre 1 y ${MAX_JOB_SETTING_HOURS}.` });
+        }
+
+        io.emit('settingsUpdated');
+        res.json({ message: 'Plazos de las tareas programadas actualizados correctamente.', settings });
+    } catch (error) {
+        console.error('Error updating job settings:', error);
+        res.status(500).json({ message: 'Error interno al guardar los plazos.' });
+    }
+});
+
+app.post('/admin/jobs/:name/run', async (req, res) => {
+    if (!hasJob(req.params.name)) return res.status(404).json({ message: 'Tarea no encontrada.' });
+
+    try {
+        const run = await runJob(req.params.name);
+        if (run.skipped) return res.status(409).json({ message: 'La tarea ya se está ejecutando.', code: 'JOB_RUNNING' });
+        res.json({ message: 'Tarea ejecutada.', result: run.result });
+    } catch (error) {
+        res.status(500).json({ message: 'La tarea falló. Revisa el registro del servidor.' });
+    }
+});
+
+// ?job=expire_recharges&limit=100
+app.get('/admin/automatic-actions', async (req, res) => {
+    const job = typeof req.query.job === 'string' && req.query.job ? req.query.job : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    try {
+        res.json(await getAutomaticActions({ job, limit }));
+    } catch (error) {
+        console.error('Error fetching automatic actions:', error);
+        res.status(500).json({ message: 'Error interno al obtener las acciones automáticas.' });
+    }
+});
+
+// 💰 ENDPOINTS: Reglas de comisión por referido (ver commissions.js)
+app.get('/admin/commission-rules', async (req, res) => {
+    try {
+        res.json((await listCommissionRules()).map(presentCommissionRule));
+    } catch (error) {
+        console.error('Error fetching commission rules:', error);
+        res.status(500).json({ message: 'Error interno al obtener las reglas de comisión.' });
+    }
+});
+
+// Body: { name?, event, referrerRole, level?, percentage, maxPerPayout?, maxPerReferral?, validFrom?, validUntil?, isActive? }
+app.post('/admin/commission-rules', async (req, res) => {
+    const { rule, error } = parseCommissionRule(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const created = await createCommissionRule(rule, { createdBy: req.user.id });
+        res.status(201).json({ message: 'Regla de comisión creada.', rule: presentCommissionRule(created) });
+    } catch (err) {
+        console.error('Error creating commission rule:', err);
+        res.status(500).json({ message: 'Error interno al crear la regla.' });
+    }
+});
+
+app.put('/admin/commission-rules/:ruleId', async (req, res) => {
+    const { rule, error } = parseCommissionRule(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const updated = await updateCommissionRule(parseInt(req.params.ruleId), rule);
+        if (!updated) return res.status(404).json({ message: 'Regla no encontrada.' });
+        res.json({ message: 'Regla de comisión actualizada.', rule: presentCommissionRule(updated) });
+    } catch (err) {
+        console.error('Error updating commission rule:', err);
+        res.status(500).json({ message: 'Error interno al actualizar la regla.' });
+    }
+});
+
+app.delete('/admin/commission-rules/:ruleId', async (req, res) => {
+    try {
+        if (!(await deleteCommissionRule(parseInt(req.params.ruleId)))) {
+            return res.status(404).json({ message: 'Regla no encontrada.' });
+        }
+        res.json({ message: 'Regla de comisión eliminada.' });
+    } catch (error) {
+        console.error('Error deleting commission rule:', error);
+        res.status(500).json({ message: 'Error interno al eliminar la regla.' });
+    }
+});
+
+// Vista previa de lo que pagaría una recarga pendiente (?transactionId=...) o un evento hipotético
+// (?userId=...&amount=...&event=first_recharge|recharge|purchase; sin 'event' se asume una recarga).
+app.get('/admin/commission-rules/preview', async (req, res) => {
+    const { transactionId, event } = req.query;
+
+    try {
+        let userId;
+        let amountCents;
+        let transaction = null;
+        if (transactionId) {
+            const found = await findTransaction(transactionId);
+            if (!found || found.transaction.type !== 'credit') return res.status(404).json({ message: 'Recarga no encontrada.' });
+            if (found.transaction.status !== RECHARGE_STATUS.PENDING) {
+                return res.status(409).json({ message: 'La recarga ya fue procesada.', code: ATOMIC_GUARD_REASONS.ALREADY_PROCESSED });
+            }
+            ({ userId, transaction } = found);
+            amountCents = transaction.amountCents;
+        } else {
+            userId = parseInt(req.query.userId);
+            amountCents = toCents(req.query.amount);
+            if (!userId || !(amountCents > 0)) {
+                return res.status(400).json({ message: 'Indica transactionId, o userId y amount.' });
+            }
+            const userResult = await client.execute({ sql: 'SELECT id FROM users WHERE id = ?', args: [userId] });
+            if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+
+        let commissionEvent = event;
+        if (transaction || !commissionEvent) {
+            commissionEvent = (await hasCompletedRecharge(userId)) ? COMMISSION_EVENTS.RECHARGE : COMMISSION_EVENTS.FIRST_RECHARGE;
+        } else if (!Object.values(COMMISSION_EVENTS).includes(commissionEvent)) {
+            return res.status(400).json({ message: `Evento inválido. Usa: ${Object.values(COMMISSION_EVENTS).join(', ')}.` });
+        }
+
+        const quote = await quoteCommissions({ userId, event: commissionEvent, amountCents });
+        res.json({ transactionId: transaction ? transaction.id : null, ...presentCommissionQuote(quote) });
+    } catch (error) {
+        console.error('Commission preview error:', error);
+        res.status(500).json({ message: 'Error interno al calcular la vista previa.' });
+    }
+});
+
+// 📢 ENDPOINTS: Códigos de campaña (ver campaigns.js). Cada campaña incluye sus métricas: registros, solicitudes de
+// distribuidor, bono entregado (bonus) y por entregar (pendingBonus), y lo que recargaron (recharged) y gastaron (spent) sus usuarios.
+app.get('/admin/campaigns', async (req, res) => {
+    try {
+        res.json(await listCampaigns());
+    } catch (error) {
+        console.error('Error fetching campaigns:', error);
+        res.status(500).json({ message: 'Error interno al obtener las campañas.' });
+    }
+});
+
+// Detalle: métricas, registros por día y últimos usos
+app.get('/admin/campaigns/:campaignId', async (req, res) => {
+    try {
+        const report = await getCampaignReport(parseInt(req.params.campaignId));
+        if (!report) return res.status(404).json({ message: 'Campaña no encontrada.' });
+        res.json(report);
+    } catch (error) {
+        console.error('Error fetching campaign report:', error);
+        res.status(500).json({ message: 'Error interno al obtener la campaña.' });
+    }
+});
+
+// Body: { code, name, usageLimit?, expiresAt?, bonus?, defaultRole?, isActive? }
+app.post('/admin/campaigns', async (req, res) => {
+    const { campaign, error } = parseCampaign(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        if (await isCampaignCodeTaken(campaign.code)) {
+            return res.status(409).json({ message: `El código "${campaign.code}" ya está en uso.` });
+        }
+        const created = await createCampaign(campaign, { createdBy: req.user.id });
+        io.emit('campaignsUpdated');
+        res.status(201).json({ message: 'Campaña creada.', campaign: presentCampaign(created) });
+    } catch (err) {
+        console.error('Error creating campaign:', err);
+        res.status(500).json({ message: 'Error interno al crear la campaña.' });
+    }
+});
+
+app.put('/admin/campaigns/:campaignId', async (req, res) => {
+    const campaignId = parseInt(req.params.campaignId);
+    const { campaign, error } = parseCampaign(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        if (await isCampaignCodeTaken(campaign.code, { exceptCampaignId: campaignId })) {
+            return res.status(409).json({ message: `El código "${campaign.code}" ya está en uso.` });
+        }
+        const updated = await updateCampaign(campaignId, campaign);
+        if (!updated) return res.status(404).json({ message: 'Campaña no encontrada.' });
+        io.emit('campaignsUpdated');
+        res.json({ message: 'Campaña actualizada.', campaign: presentCampaign(updated) });
+    } catch (err) {
+        console.error('Error updating campaign:', err);
+        res.status(500).json({ message: 'Error interno al actualizar la campaña.' });
+    }
+});
+
+app.delete('/admin/campaigns/:campaignId', async (req, res) => {
+    try {
+        const result = await deleteCampaign(parseInt(req.params.campaignId));
+        if (!result) return res.status(404).json({ message: 'Campaña no encontrada.' });
+        if (result === 'in_use') {
+            return res.status(409).json({ message: 'La campaña ya se usó: desactívala para conservar sus métricas.' });
+        }
+        io.emit('campaignsUpdated');
+        res.json({ message: 'Campaña eliminada.' });
+    } catch (error) {
+        console.error('Error deleting campaign:', error);
+        res.status(500).json({ message: 'Error interno al eliminar la campaña.' });
+    }
+});
+
+// 🕵️ ENDPOINTS: Fraude por referidos (grupos de cuentas relacionadas, revisión de pares y comisiones retenidas, ver fraud.js)
+// ?includeCleared=1 incluye los pares ya descartados
+app.get('/admin/fraud/clusters', async (req, res) => {
+    try {
+        res.json({ clusters: await listFraudClusters({ includeCleared: req.query.includeCleared === '1' }) });
+    } catch (error) {
+        console.error('Fraud clusters error:', error);
+        res.status(500).json({ message: 'Error interno al obtener las cuentas marcadas.' });
+    }
+});
+
+// Body: { status: 'confirmed' | 'cleared', note? }. 'cleared' deja de retener las comisiones si la cuenta no tiene otros pares.
+app.post('/admin/fraud/flags/:flagId/review', async (req, res) => {
+    const flagId = parseInt(req.params.flagId);
+    const { status, note = null } = req.body;
+    if (![FRAUD_FLAG_STATUS.CONFIRMED, FRAUD_FLAG_STATUS.CLEARED].includes(status)) {
+        return res.status(400).json({ message: `Estado inválido. Usa: ${FRAUD_FLAG_STATUS.CONFIRMED}, ${FRAUD_FLAG_STATUS.CLEARED}.` });
+    }
+    if (note !== null && (typeof note !== 'string' || note.length > 500)) {
+        return res.status(400).json({ message: 'Nota inválida (máximo 500 caracteres).' });
+    }
+
+    try {
+        const flag = await reviewFraudFlag(flagId, status, { reviewedBy: req.user.id, note });
+        if (!flag) return res.status(404).json({ message: 'Marca no encontrada.' });
+
+        io.emit('fraudFlagsUpdated');
+        res.json({ message: 'Marca revisada.', flag });
+    } catch (error) {
+        console.error('Fraud flag review error:', error);
+        res.status(500).json({ message: 'Error interno al revisar la marca.' });
+    }
+});
+
+app.get('/admin/fraud/users/:userId/signals', async (req, res) => {
+    try {
+        res.json({ signals: await getAccountSignals(parseInt(req.params.userId)) });
+    } catch (error) {
+        console.error('Account signals fetch error:', error);
+        res.status(500).json({ message: 'Error interno al obtener las señales de la cuenta.' });
+    }
+});
+
+app.get('/admin/fraud/held-commissions', async (req, res) => {
+    try {
+        const held = await listHeldCommissions();
+        res.json(held.map(item => ({ ...item, transaction: presentTransaction(item.transaction) })));
+    } catch (error) {
+        console.error('Held commissions error:', error);
+        res.status(500).json({ message: 'Error interno al obtener las comisiones retenidas.' });
+    }
+});
+
+// Body: { referrerId, transactionId, action: 'release' | 'void' }
+app.post('/admin/fraud/held-commissions/review', async (req, res) => {
+    const { referrerId, transactionId, action } = req.body;
+    if (!['release', 'void'].includes(action)) {
+        return res.status(400).json({ message: 'Acción inválida. Usa: release, void.' });
+    }
+    if (!referrerId || !transactionId) return res.status(400).json({ message: 'Referente y transacción requeridos.' });
+
+    try {
+        const reviewed = await reviewHeldCommission(referrerId, transactionId, action, { reviewedBy: req.user.id });
+        if (!reviewed) return res.status(404).json({ message: 'Comisión retenida no encontrada.' });
+
+        io.emit('transactionsUpdated');
+        if (reviewed.amountCents > 0) {
+            io.emit('usersUpdated');
+            const referrerSocketId = userSocketMap.get(reviewed.referrerId);
+            if (referrerSocketId) {
+                io.to(referrerSocketId).emit('transactionApproved', {
+                    transactionId: reviewed.transaction.id,
+                    amount: fromCents(reviewed.amountCents),
+                    message: `¡Tu comisión de ${formatMoney(reviewed.amountCents)} fue aprobada!`
+                });
+            }
+        }
+
+        res.json({
+            message: action === 'release' ? 'Comisión liberada.' : 'Comisión anulada.',
+            transaction: presentTransaction(reviewed.transaction),
+            amount: fromCents(reviewed.amountCents),
+            amountCents: reviewed.amountCents
+        });
+    } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'Esta comisión ya fue revisada.' })) return;
+        console.error('Held commission review error:', error);
+        res.status(500).json({ message: 'Error interno al revisar la comisión.' });
+    }
+});
+
+// Bonos de bienvenida de campañas retenidos porque la cuenta estaba marcada al verificar el correo (ver campaigns.js)
+app.get('/admin/fraud/held-campaign-bonuses', async (req, res) => {
+    try {
+        const held = await listHeldCampaignBonuses();
+        res.json(held.map(bonus => ({ ...bonus, amount: fromCents(bonus.amountCents) })));
+    } catch (error) {
+        console.error('Held campaign bonuses error:', error);
+        res.status(500).json({ message: 'Error interno al obtener los bonos retenidos.' });
+    }
+});
+
+// Body: { useId, action: 'release' | 'void' }
+app.post('/admin/fraud/held-campaign-bonuses/review', async (req, res) => {
+    const { useId, action } = req.body;
+    if (!['release', 'void'].includes(action)) {
+        return res.status(400).json({ message: 'Acción inválida. Usa: release, void.' });
+    }
+    if (!useId) return res.status(400).json({ message: 'Bono requerido.' });
+
+    try {
+        const reviewed = await reviewHeldCampaignBonus(useId, action, { reviewedBy: req.user.id });
+        if (!reviewed) return res.status(404).json({ message: 'Bono retenido no encontrado.' });
+
+        if (reviewed.status === CAMPAIGN_BONUS_STATUS.GRANTED) notifyCampaignBonus(reviewed);
+        else io.emit('campaignsUpdated');
+
+        res.json({
+            message: action === 'release' ? 'Bono liberado.' : 'Bono anulado.',
+            transaction: reviewed.transaction ? presentTransaction(reviewed.transaction) : null,
+            amount: fromCents(reviewed.amountCents),
+            amountCents: reviewed.amountCents
+        });
+    } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'Este bono ya fue revisado.' })) return;
+        console.error('Held campaign bonus review error:', error);
+        res.status(500).json({ message: 'Error interno al revisar el bono.' });
+    }
+});
+
 // 2. CANCELAR RETIRO (Proveedor - Solo si está pendiente)
-app.post('/supplier/withdraw/cancel', async (req, res) => {
-    const { withdrawalId, userId } = req.body;
+app.post('/supplier/withdraw/cancel', requireAuth, requireSupplier, async (req, res) => {
+    const { withdrawalId } = req.body;
+    const userId = req.user.id;
 
     try {
         // Verificar que existe y cuánto era el monto original
         const wRes = await client.execute({
-            sql: "SELECT amount_original FROM withdrawals WHERE id = ? AND user_id = ? AND status = 'Pending'",
+            sql: "SELECT amount_original_cents FROM withdrawals WHERE id = ? AND user_id = ? AND status = 'Pending'",
             args: [withdrawalId, userId]
         });
 
@@ -3224,16 +4730,19 @@ app.post('/supplier/withdraw/cancel', async (req, res) => {
             return res.status(400).json({ message: "No se puede cancelar (No encontrado o ya procesado)." });
         }
 
-        const amountToReturn = wRes.rows[0].amount_original;
+        const amountToReturnCents = wRes.rows[0].amount_original_cents;
 
-        // A. Borrar solicitud
-        await client.execute({ sql: "DELETE FROM withdrawals WHERE id = ?", args: [withdrawalId] });
+        // 🔒 A + B juntos, y solo si el Admin no la procesó mientras tanto
+        await runAtomic([
+            // A. Borrar solicitud
+            { sql: "DELETE FROM withdrawals WHERE id = ? AND status = 'Pending'", args: [withdrawalId] },
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
 
-        // B. 🔥 DEVOLVER DINERO INMEDIATAMENTE
-        await client.execute({
-            sql: "UPDATE users SET balance = balance + ? WHERE id = ?",
-            args: [amountToReturn, userId]
-        });
+            // B. 🔥 DEVOLVER DINERO INMEDIATAMENTE
+            transferStatements(LEDGER_KINDS.WITHDRAWAL_CANCEL, platform(LEDGER_ACCOUNTS.PENDING_WITHDRAWALS), wallet(userId), amountToReturnCents, {
+                reference: `withdrawal:${withdrawalId}`, description: 'Retiro cancelado', createdBy: userId
+            })
+        ]);
 
         // C. Notificar cambios
         io.emit('withdrawalsUpdated'); // Quita la fila de la tabla
@@ -3242,18 +4751,19 @@ app.post('/supplier/withdraw/cancel', async (req, res) => {
         res.status(200).json({ message: "Solicitud cancelada. Saldo restaurado." });
 
     } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'No se puede cancelar (No encontrado o ya procesado).' })) return;
         console.error("Cancel withdraw error:", error);
         res.status(500).json({ message: "Error al cancelar." });
     }
 });
 // 3. OBTENER MIS RETIROS (Proveedor)
-app.get('/supplier/withdrawals/:userId', async (req, res) => {
+app.get('/supplier/withdrawals/:userId', requireAuth, requireSupplier, requireSelf('userId'), async (req, res) => {
     try {
         const result = await client.execute({
             sql: "SELECT * FROM withdrawals WHERE user_id = ? ORDER BY created_at DESC",
             args: [req.params.userId]
         });
-        res.json(result.rows);
+        res.json(result.rows.map(presentWithdrawal));
     } catch (error) {
         res.status(500).json({ message: "Error fetching withdrawals" });
     }
@@ -3270,7 +4780,7 @@ app.get('/admin/withdrawals', async (req, res) => {
                 CASE WHEN w.status = 'Pending' THEN 0 ELSE 1 END, 
                 w.created_at DESC
         `);
-        res.json(result.rows);
+        res.json(result.rows.map(presentWithdrawal));
     } catch (error) {
         res.status(500).json({ message: "Error fetching all withdrawals" });
     }
@@ -3281,108 +4791,15 @@ app.get('/admin/withdrawals', async (req, res) => {
 
 app.post('/admin/withdraw/manage', async (req, res) => {
     const { withdrawalId, action } = req.body; // action: 'approve' | 'reject'
+    if (!WITHDRAWAL_ACTIONS.includes(action)) {
+        return res.status(400).json({ message: "Acción inválida. Usa 'approve' o 'reject'." });
+    }
 
     try {
-        // 1. Obtener la solicitud
-        const wRes = await client.execute({ 
-            sql: "SELECT * FROM withdrawals WHERE id = ?", 
-            args: [withdrawalId] 
-        });
-        
-        if (wRes.rows.length === 0) return res.status(404).json({ message: "Retiro no encontrado" });
-        
-        const withdrawal = wRes.rows[0];
-
-        // 2. Validar que esté pendiente
-        if (withdrawal.status !== 'Pending') {
-            return res.status(400).json({ message: "Este retiro ya fue procesado anteriormente." });
-        }
-        
-        let newProviderBalance = null;
-
-        if (action === 'approve') {
-            // ✅ APROBAR: Registrar el débito del monto final como transacción
-            await client.execute({
-                sql: "UPDATE withdrawals SET status = 'Approved' WHERE id = ?",
-                args: [withdrawalId]
-            });
-            
-            // 🟢 REGISTRO DE DÉBITO EN HISTORIAL DEL PROVEEDOR
-            const providerRes = await client.execute({ 
-                sql: 'SELECT transactions_history FROM users WHERE id = ?', 
-                args: [withdrawal.user_id] 
-            });
-            const providerHistory = JSON.parse(providerRes.rows[0].transactions_history || '[]');
-            
-            providerHistory.unshift({
-                id: Date.now() + 1,
-                date: new Date().toLocaleDateString('es-PE'),
-                description: `RETIRO DE FONDOS APROBADO`,
-                amount: withdrawal.amount_final,
-                type: 'debit',
-                status: 'Completada',
-                isWithdrawal: true, // 🟢 Flag de Retiro
-                target: 'Cuenta Bancaria'
-            });
-
-            await client.execute({
-                sql: 'UPDATE users SET transactions_history = ? WHERE id = ?',
-                args: [JSON.stringify(providerHistory), withdrawal.user_id]
-            });
-
-            // Notificación personal al usuario
-            const targetSocketId = userSocketMap.get(withdrawal.user_id);
-            if (targetSocketId) {
-                io.to(targetSocketId).emit('transactionApproved', {
-                    message: `¡Tu retiro de $${withdrawal.amount_final.toFixed(2)} ha sido APROBADO y enviado!`,
-                });
-            }
-
-        } else if (action === 'reject') {
-            // ❌ RECHAZAR: Devolver el dinero y registrar el movimiento en el historial
-            
-            await client.execute({
-                sql: "UPDATE withdrawals SET status = 'Rejected' WHERE id = ?",
-                args: [withdrawalId]
-            });
-
-            // 2. REEMBOLSO AUTOMÁTICO (Devolver el monto bruto original)
-            await client.execute({
-                sql: "UPDATE users SET balance = balance + ? WHERE id = ?",
-                args: [withdrawal.amount_original, withdrawal.user_id]
-            });
-
-            // 🟢 REGISTRO DE CRÉDITO EN HISTORIAL DEL PROVEEDOR (Devolución del Saldo)
-            const providerRes = await client.execute({ 
-                sql: 'SELECT balance, transactions_history FROM users WHERE id = ?', 
-                args: [withdrawal.user_id] 
-            });
-            const providerHistory = JSON.parse(providerRes.rows[0].transactions_history || '[]');
-            
-            providerHistory.unshift({
-                id: Date.now() + 2,
-                date: new Date().toLocaleDateString('es-PE'),
-                description: `RETIRO RECHAZADO (Saldo Restaurado)`,
-                amount: withdrawal.amount_original,
-                type: 'credit',
-                status: 'Completada',
-                isWithdrawalRefund: true, // 🟢 Flag de Reembolso de Retiro
-            });
-            
-            // NOTE: El balance ya se actualizó arriba, solo actualizamos el historial
-            await client.execute({
-                sql: 'UPDATE users SET transactions_history = ? WHERE id = ?',
-                args: [JSON.stringify(providerHistory), withdrawal.user_id]
-            });
+        const withdrawal = await manageWithdrawal(withdrawalId, action, { managedBy: req.user.id });
+        if (!withdrawal) return res.status(404).json({ message: "Retiro no encontrado" });
 
-            // Notificación personal al usuario
-            const targetSocketId = userSocketMap.get(withdrawal.user_id);
-            if (targetSocketId) {
-                io.to(targetSocketId).emit('transactionApproved', { 
-                    message: `Tu retiro fue RECHAZADO. Se han devuelto $${withdrawal.amount_original.toFixed(2)} a tu cartera.`,
-                });
-            }
-        }
+        notifyWithdrawalManaged(withdrawal, action);
 
         // 🔥 CRÍTICO: Actualizar en tiempo real
         io.emit('withdrawalsUpdated'); 
@@ -3391,12 +4808,60 @@ app.post('/admin/withdraw/manage', async (req, res) => {
         res.status(200).json({ message: `Retiro ${action === 'approve' ? 'Aprobado' : 'Rechazado y reembolsado'} correctamente.` });
 
     } catch (error) {
+        if (rejectAtomicError(res, error, { ALREADY_PROCESSED: 'Este retiro ya fue procesado anteriormente.' })) return;
         console.error("Manage withdraw error:", error);
         res.status(500).json({ message: "Error interno al gestionar retiro." });
     }
 });
 
-app.post('/supplier/support/fix', async (req, res) => {
+// 🔑 ENDPOINT: Aprobar o rechazar varios retiros. Body: { action: 'approve' | 'reject', withdrawalIds: [...] }
+app.post('/admin/withdrawals/bulk', async (req, res) => {
+    const parsed = parseBulkRequest(req.body, 'withdrawalIds', WITHDRAWAL_ACTIONS);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const { action, ids } = parsed;
+
+    try {
+        const { results, summary } = await processBulk(ids, async (withdrawalId) => {
+            const numericId = Number(withdrawalId);
+            if (!Number.isInteger(numericId) || numericId <= 0) return { status: BULK_ITEM_STATUS.INSUFFICIENT_DATA };
+
+            const withdrawal = await manageWithdrawal(numericId, action, { managedBy: req.user.id });
+            if (!withdrawal) return { status: BULK_ITEM_STATUS.NOT_FOUND };
+
+            notifyWithdrawalManaged(withdrawal, action);
+            return { status: BULK_ITEM_STATUS.OK, userId: withdrawal.user_id };
+        });
+
+        if (summary.ok > 0) {
+            io.emit('withdrawalsUpdated');
+            io.emit('usersUpdated');
+        }
+
+        res.status(200).json({
+            message: `${summary.ok} de ${ids.length} retiro(s) ${action === 'approve' ? 'aprobado(s)' : 'rechazado(s) y reembolsado(s)'}.`,
+            action,
+            summary,
+            results
+        });
+    } catch (error) {
+        console.error('Bulk withdrawals error:', error);
+        res.status(500).json({ message: 'Error al procesar los retiros.' });
+    }
+});
+
+// 💸 Notificación personal al proveedor tras aprobar o rechazar su retiro
+function notifyWithdrawalManaged(withdrawal, action) {
+    const targetSocketId = userSocketMap.get(withdrawal.user_id);
+    if (!targetSocketId) return;
+
+    io.to(targetSocketId).emit('transactionApproved', {
+        message: action === 'approve'
+            ? `¡Tu retiro de ${formatMoney(withdrawal.amount_final_cents, withdrawal.currency)} ha sido APROBADO y enviado!`
+            : `Tu retiro fue RECHAZADO. Se han devuelto ${formatMoney(withdrawal.amount_original_cents, withdrawal.currency)} a tu cartera.`,
+    });
+}
+
+app.post('/supplier/support/fix', requireAuth, requireSupplier, async (req, res) => {
     const { purchaseId, correctionMessage, newCredentials } = req.body;
 
     if (!purchaseId || !correctionMessage) {
@@ -3404,51 +4869,34 @@ app.post('/supplier/support/fix', async (req, res) => {
     }
 
     try {
-        // 1. Buscar la transacción en todos los usuarios
-        const allUsersResult = await client.execute('SELECT id, transactions_history FROM users');
-        let targetUserId = null;
-        let targetTx = null;
-        let userHistory = null;
-
-        for (const user of allUsersResult.rows) {
-            const history = JSON.parse(user.transactions_history || '[]');
-            targetTx = history.find(tx => tx.id === purchaseId); // Buscamos por ID, el estado puede ser 'Soporte'
-            if (targetTx) {
-                targetUserId = user.id;
-                userHistory = history;
-                break;
-            }
+        // 1. Buscar la transacción por su ID (el estado puede ser 'Soporte')
+        const found = await findTransaction(purchaseId);
+        if (!found) {
+            return res.status(404).json({ message: 'Transacción no encontrada.' });
         }
+        const { userId: targetUserId, transaction: targetTx } = found;
 
-        if (!targetUserId || !targetTx) {
-            return res.status(404).json({ message: 'Transacción no encontrada.' });
+        // 🔒 Solo el proveedor de la compra puede enviar correcciones
+        const purchaseProviderId = await findPurchaseProviderId(targetTx);
+        if (req.user.role !== ROLES.ADMIN && Number(purchaseProviderId) !== req.user.id) {
+            return forbidden(res, 'NOT_OWNER', 'Esta compra pertenece a otro proveedor.');
         }
 
         // 2. Actualizar la transacción
         // Estado: 'Esperando aprobación'
         // Guardar la corrección en 'details'
-        const updatedHistory = userHistory.map(tx => {
-            if (tx.id === purchaseId) {
-                return {
-                    ...tx,
-                    status: 'Esperando aprobación', // Nuevo estado intermedio
-                    details: {
-                        ...tx.details,
-                        correctionMessage: correctionMessage,
-                        correctionDate: new Date().toLocaleDateString('es-PE'),
-                        // Si hay nuevas credenciales, las guardamos temporalmente o las reemplazamos
-                        // Para este flujo, las guardamos en un campo 'proposedCredentials' para que el usuario revise antes
-                        proposedCredentials: newCredentials || null 
-                    }
-                };
-            }
-            return tx;
-        });
-
         // 3. Guardar en DB
-        await client.execute({
-            sql: 'UPDATE users SET transactions_history = ? WHERE id = ?',
-            args: [JSON.stringify(updatedHistory), targetUserId]
+        await saveTransaction(targetUserId, {
+            ...targetTx,
+            status: 'Esperando aprobación', // Nuevo estado intermedio
+            details: {
+                ...targetTx.details,
+                correctionMessage: correctionMessage,
+                correctionDate: new Date().toLocaleDateString('es-PE'),
+                // Si hay nuevas credenciales, las guardamos temporalmente o las reemplazamos
+                // Para este flujo, las guardamos en un campo 'proposedCredentials' para que el usuario revise antes
+                proposedCredentials: newCredentials || null 
+            }
         });
 
         // 4. Notificar
@@ -3466,13 +4914,13 @@ app.post('/supplier/support/fix', async (req, res) => {
 // MeluFrontend - copia/backend/server.js (Nuevo Endpoint)
 
 // 🟢 ENDPOINT: Obtener historial financiero del proveedor (Ventas, Renovaciones, Retiros, Reembolsos)
-app.get('/supplier/financial-transactions/:providerId', async (req, res) => {
+app.get('/supplier/financial-transactions/:providerId', requireAuth, requireSupplier, requireSelf('providerId'), async (req, res) => {
     const { providerId } = req.params;
     try {
-        const result = await client.execute({ sql: 'SELECT transactions_history FROM users WHERE id = ?', args: [providerId] });
+        const result = await client.execute({ sql: 'SELECT id FROM users WHERE id = ?', args: [providerId] });
         if (result.rows.length === 0) return res.status(404).json({ message: 'Proveedor no encontrado.' });
         
-        const history = JSON.parse(result.rows[0].transactions_history || '[]');
+        const history = await getUserTransactions(providerId);
         const consolidatedList = [];
 
         history.forEach(tx => {
@@ -3480,7 +4928,9 @@ app.get('/supplier/financial-transactions/:providerId', async (req, res) => {
                 consolidatedList.push({
                     id: tx.id,
                     date: tx.date,
-                    amount: tx.amount,
+                    amount: fromCents(tx.amountCents, tx.currency),
+                    amountCents: tx.amountCents,
+                    currency: tx.currency,
                     type: tx.type, 
                     description: tx.description,
                     sourceUser: tx.sourceUser || tx.targetUser || 'Cliente',
@@ -3503,52 +4953,36 @@ app.get('/supplier/financial-transactions/:providerId', async (req, res) => {
 });
 
 // 🔑 ENDPOINT NUEVO: Usuario aprueba la corrección
-app.post('/user/support/approve', async (req, res) => {
-    const { userId, purchaseId } = req.body;
+app.post('/user/support/approve', requireAuth, async (req, res) => {
+    const { purchaseId } = req.body;
+    const userId = req.user.id;
 
     try {
-        const userResult = await client.execute({ sql: 'SELECT transactions_history FROM users WHERE id = ?', args: [userId] });
-        if (userResult.rows.length === 0) return res.status(404).json({ message: 'Usuario no encontrado.' });
-
-        let history = JSON.parse(userResult.rows[0].transactions_history || '[]');
-        let transactionFound = false;
-
-        const updatedHistory = history.map(tx => {
-            if (tx.id === purchaseId && tx.status === 'Esperando aprobación') {
-                transactionFound = true;
-                
-                // Aplicar los cambios propuestos si existen
-                let finalCredentials = tx.details.fullCredentials;
-                if (tx.details.proposedCredentials) {
-                    // Aquí podrías reemplazar completamente o actualizar. 
-                    // Asumimos que proposedCredentials es un array que reemplaza al anterior si se aprueba.
-                    // O si es un solo objeto, lo metemos en el array.
-                    // Adaptaremos según lo que envíe el proveedor.
-                    finalCredentials = tx.details.proposedCredentials; 
-                }
+        const tx = await findUserTransaction(userId, purchaseId, { status: 'Esperando aprobación' });
+        if (!tx) return res.status(400).json({ message: 'Transacción no válida para aprobación.' });
+
+        // Aplicar los cambios propuestos si existen
+        let finalCredentials = tx.details.fullCredentials;
+        if (tx.details.proposedCredentials) {
+            // Aquí podrías reemplazar completamente o actualizar. 
+            // Asumimos que proposedCredentials es un array que reemplaza al anterior si se aprueba.
+            // O si es un solo objeto, lo metemos en el array.
+            // Adaptaremos según lo que envíe el proveedor.
+            finalCredentials = tx.details.proposedCredentials; 
+        }
 
-                return {
-                    ...tx,
-                    status: 'Completada', // Vuelve a estado normal (Mis Compras)
-                    details: {
-                        ...tx.details,
-                        fullCredentials: finalCredentials,
-                        supportMessage: null, // Limpiamos flags de soporte
-                        supportDate: null,
-                        correctionMessage: null, // Limpiamos datos temporales de corrección
-                        proposedCredentials: null,
-                        correctionDate: null
-                    }
-                };
+        await saveTransaction(userId, {
+            ...tx,
+            status: 'Completada', // Vuelve a estado normal (Mis Compras)
+            details: {
+                ...tx.details,
+                fullCredentials: finalCredentials,
+                supportMessage: null, // Limpiamos flags de soporte
+                supportDate: null,
+                correctionMessage: null, // Limpiamos datos temporales de corrección
+                proposedCredentials: null,
+                correctionDate: null
             }
-            return tx;
-        });
-
-        if (!transactionFound) return res.status(400).json({ message: 'Transacción no válida para aprobación.' });
-
-        await client.execute({
-            sql: 'UPDATE users SET transactions_history = ? WHERE id = ?',
-            args: [JSON.stringify(updatedHistory), userId]
         });
 
         io.emit('transactionsUpdated');
@@ -3560,15 +4994,14 @@ app.post('/user/support/approve', async (req, res) => {
     }
 });
 
-app.get('/fix-old-tickets', async (req, res) => {
+app.get('/fix-old-tickets', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
     try {
         console.log("🛠️ Iniciando reparación y sincronización de nombres de proveedor...");
-        const usersRes = await client.execute("SELECT id, username, transactions_history FROM users");
+        const usersRes = await client.execute("SELECT id, username FROM users");
         let totalFixed = 0;
 
         for (const user of usersRes.rows) {
-            let history = JSON.parse(user.transactions_history || '[]');
-            let modified = false;
+            const history = await getUserTransactions(user.id);
 
             for (let tx of history) {
                 // Solo revisamos compras (debit) que tengan detalles
@@ -3608,18 +5041,11 @@ app.get('/fix-old-tickets', async (req, res) => {
                     if (realProviderUsername && tx.details.provider !== realProviderUsername) {
                         console.log(`🔄 Actualizando Tx ${tx.id}: '${tx.details.provider}' -> '${realProviderUsername}'`);
                         tx.details.provider = realProviderUsername; 
-                        modified = true;
+                        await saveTransaction(user.id, tx);
                         totalFixed++;
                     }
                 }
             }
-
-            if (modified) {
-                await client.execute({
-                    sql: "UPDATE users SET transactions_history = ? WHERE id = ?",
-                    args: [JSON.stringify(history), user.id]
-                });
-            }
         }
 
         io.emit('transactionsUpdated'); // Refrescar paneles
@@ -3633,20 +5059,20 @@ app.get('/fix-old-tickets', async (req, res) => {
     }
 });
 
-app.get('/fix-broken-transactions', async (req, res) => {
+app.get('/fix-broken-transactions', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     console.log("🛠️ Iniciando reparación de transacciones...");
-    const usersRes = await client.execute("SELECT id, username, transactions_history FROM users");
+    const usersRes = await client.execute("SELECT id, username FROM users");
     let totalFixedProvider = 0;
     let totalFixedOrderCode = 0;
 
     for (const user of usersRes.rows) {
-      let history = JSON.parse(user.transactions_history || '[]');
-      let modified = false;
+      const history = await getUserTransactions(user.id);
 
       for (let i = 0; i < history.length; i++) {
         const tx = history[i];
         if (!tx || tx.type !== 'debit') continue;
+        let modified = false;
 
         // 1) Asegurar orderCode en compras viejas
         if (!tx.orderCode) {
@@ -3700,14 +5126,7 @@ app.get('/fix-broken-transactions', async (req, res) => {
           }
         }
 
-        history[i] = tx;
-      }
-
-      if (modified) {
-        await client.execute({
-          sql: "UPDATE users SET transactions_history = ? WHERE id = ?",
-          args: [JSON.stringify(history), user.id],
-        });
+        if (modified) await saveTransaction(user.id, tx);
       }
     }
 
@@ -3729,8 +5148,86 @@ app.get('/fix-broken-transactions', async (req, res) => {
 
 
 // Inicializar DB, sembrar Admin y arrancar servidor
+// ⏱️ Tareas programadas (ver jobs.js)
+// Levanta los baneos vencidos aunque el usuario no vuelva a conectarse (para la tabla de Admin)
+registerJob({
+    name: JOB_NAMES.LIFT_EXPIRED_BANS,
+    intervalMs: 60 * 1000,
+    run: async () => {
+        const liftedUserIds = await liftExpiredBans();
+        for (const userId of liftedUserIds) {
+            await logAutomaticAction(JOB_NAMES.LIFT_EXPIRED_BANS, 'ban_lifted', { userId, targetType: 'user', targetId: userId });
+        }
+        if (liftedUserIds.length > 0) io.emit('usersUpdated');
+        return { lifted: liftedUserIds.length };
+    }
+});
+
+// 🔁 Borra las claves de idempotencia vencidas (ver idempotency.js)
+registerJob({
+    name: JOB_NAMES.PURGE_IDEMPOTENCY_KEYS,
+    intervalMs: 60 * 60 * 1000,
+    run: async () => {
+        await purgeExpiredIdempotencyKeys();
+    }
+});
+
+// 💳 Vence las recargas pendientes sin revisar y avisa al usuario (socket + correo)
+registerJob({
+    name: JOB_NAMES.EXPIRE_RECHARGES,
+    intervalMs: 10 * 60 * 1000,
+    run: async () => {
+        const result = await expireStaleRecharges({
+            onExpired: async ({ userId, transaction, expiryHours }) => {
+                const socketId = userSocketMap.get(userId);
+                if (socketId) {
+                    io.to(socketId).emit('transactionExpired', {
+                        transactionId: transaction.id,
+                        message: `Tu solicitud "${transaction.description}" venció sin ser revisada. Si ya pagaste, vuelve a enviarla.`
+                    });
+                }
+                const userResult = await client.execute({ sql: 'SELECT email FROM users WHERE id = ?', args: [userId] });
+                if (userResult.rows[0]?.email) {
+                    await sendRechargeExpiredEmail(userResult.rows[0].email, { description: transaction.description, expiryHours });
+                }
+            }
+        });
+        if (result.expired > 0) io.emit('transactionsUpdated');
+        return result;
+    }
+});
+
+// 💸 Escala al Admin los retiros pendientes hace demasiado tiempo (socket a los Admin conectados + correo)
+registerJob({
+    name: JOB_NAMES.ESCALATE_WITHDRAWALS,
+    intervalMs: 10 * 60 * 1000,
+    run: async () => {
+        const result = await escalateStaleWithdrawals({
+            onEscalated: async ({ withdrawals, escalationHours }) => {
+                const admins = await client.execute({ sql: 'SELECT id, email FROM users WHERE role = ?', args: [ROLES.ADMIN] });
+                for (const admin of admins.rows) {
+                    const socketId = userSocketMap.get(admin.id);
+                    if (socketId) io.to(socketId).emit('withdrawalsEscalated', { withdrawals, escalationHours });
+                    await sendWithdrawalsEscalatedEmail(admin.email, { withdrawals, escalationHours })
+                        .catch(error => console.error(`Withdrawal escalation email error (${admin.email}):`, error));
+                }
+            }
+        });
+        if (result.escalated > 0) io.emit('withdrawalsUpdated');
+        return result;
+    }
+});
+
 initializeDb()
+    .then(migrateTransactionAmountsToCents)
+    .then(migrateLegacyTransactionsHistory)
+    .then(migrateLegacyRechargeFlags)
+    .then(migrateSoldPriceInTransactions)
+    .then(openLedgerBalances)
     .then(seedAdminUser)
+    .then(backfillNormalizedPhones)
+    .then(seedCommissionRules)
+    .then(seedCampaignCodes)
     .then(assignReferralCodesToExistingUsers)
     .then(() => {
         // Usar httpServer para escuchar
@@ -3738,6 +5235,8 @@ initializeDb()
             console.log(`Backend Server running on http://localhost:${PORT}`);
             console.log(`Socket.io running on http://localhost:${PORT}`);
         });
+
+        startScheduledJobs();
     })
     .catch(err => {
         console.error("Failed to start server due to DB initialization or seeding error:", err);
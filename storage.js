@@ -0,0 +1,59 @@
+// MeluFrontend - copia/backend/storage.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import 'dotenv/config';
+
+// 🗂️ Almacenamiento de archivos subidos (comprobantes de pago)
+// Por defecto se guardan en disco (UPLOADS_DIR, o ./uploads, excluido de git en .gitignore). Cualquier otro almacenamiento (S3, R2...) debe
+// implementar la misma interfaz asíncrona y registrarse con setFileStorage():
+// - save(key, buffer)
+// - read(key) -> Buffer | null
+// - delete(key)
+// Las claves son rutas relativas generadas por el servidor (p. ej. 'payment-proofs/<uuid>.png').
+const SAFE_KEY_PATTERN = /^[a-z0-9-]+(\/[a-zA-Z0-9._-]+)+$/;
+
+export class LocalDiskStorage {
+    constructor(rootDir) {
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    resolve(key) {
+        if (!SAFE_KEY_PATTERN.test(key) || key.includes('..')) {
+            throw new Error(`Storage: clave inválida '${key}'.`);
+        }
+        return path.join(this.rootDir, key);
+    }
+
+    async save(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer, { flag: 'wx' }); // Nunca sobrescribe un archivo existente
+    }
+
+    async read(key) {
+        try {
+            return await fs.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await fs.rm(this.resolve(key), { force: true });
+    }
+}
+
+let storage = new LocalDiskStorage(process.env.UPLOADS_DIR || 'uploads');
+
+export function getFileStorage() {
+    return storage;
+}
+
+/**
+ * Reemplaza el almacenamiento activo (ver la interfaz en LocalDiskStorage).
+ */
+export function setFileStorage(newStorage) {
+    storage = newStorage;
+}
@@ -0,0 +1,229 @@
+// MeluFrontend - copia/backend/test/concurrency.test.js
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// 🧪 Movimientos de dinero concurrentes contra el servidor real y una BD de archivo temporal:
+// cada carrera debe tener un solo ganador y el libro mayor debe cuadrar con los saldos al final.
+const ROOT_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const ADMIN_EMAIL = 'admin@test.local';
+const ADMIN_PASSWORD = 'admin-test-password';
+const STARTUP_TIMEOUT_MS = 20 * 1000;
+const MAIL_TIMEOUT_MS = 2 * 1000;
+// PNG de 1x1 (el servidor valida la firma del comprobante)
+const PNG = Buffer.from('89504E470D0A1A0A0000000D49484452000000010000000108060000001F15C4890000000D4944415478DA63F8FFFF3F0005FE02FEA7D6A4440000000049454E44AE426082', 'hex');
+
+let tempDir;
+let server;
+let serverLog = '';
+const mails = [];
+let baseUrl;
+let adminToken;
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitForServer() {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (server.exitCode !== null) throw new Error(`El servidor terminó al arrancar:\n${serverLog}`);
+        try {
+            const res = await fetch(`${baseUrl}/categories`);
+            if (res.ok) return;
+        } catch {
+            // Aún no escucha
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`El servidor no respondió en ${STARTUP_TIMEOUT_MS / 1000}s:\n${serverLog}`);
+}
+
+async function call(method, route, body, token, headers = {}) {
+    const res = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: {
+            ...(body instanceof Buffer ? {} : { 'Content-Type': 'application/json' }),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body instanceof Buffer ? body : body ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let data;
+    try { data = JSON.parse(text); } catch { data = text; }
+    return { status: res.status, body: data };
+}
+
+// Último correo recibido por `to` (ver support/bootServer.js). El mensaje IPC puede llegar justo después de la respuesta HTTP.
+async function lastMailTo(to) {
+    const deadline = Date.now() + MAIL_TIMEOUT_MS;
+    for (;;) {
+        const mail = mails.filter(item => item.to === to).pop();
+        if (mail) return mail;
+        if (Date.now() > deadline) assert.fail(`No llegó ningún correo a ${to}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+// Registra un usuario y verifica su correo con el código recibido
+async function registerUser(username) {
+    const email = `${username}@test.local`;
+    const res = await call('POST', '/register', {
+        username, email, phone: String(Date.now()).slice(-9), password: 'pw-test', referralCodeUsed: 'ADM001'
+    }, null, { 'User-Agent': `test/${username}` });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+
+    const code = (await lastMailTo(email)).text.match(/[A-Z2-9]{4}-[A-Z2-9]{4}/)[0];
+    const verified = await call('POST', '/auth/verify-email', { email, code });
+    assert.equal(verified.status, 200, JSON.stringify(verified.body));
+    return { id: res.body.user.id, token: res.body.accessToken };
+}
+
+async function balanceOf(user) {
+    const res = await call('GET', `/profile/${user.id}`, null, user.token);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.balance;
+}
+
+async function adjustBalance(user, amount) {
+    const res = await call('POST', '/admin/user/update', { userId: user.id, balanceChange: amount }, adminToken);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+}
+
+function successes(results) {
+    return results.filter(res => res.status === 200).length;
+}
+
+function describeResults(results) {
+    return results.map(res => `${res.status} ${JSON.stringify(res.body)}`).join('\n');
+}
+
+before(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'melu-test-'));
+    const port = await findFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    server = spawn(process.execPath, ['test/support/bootServer.js'], {
+        cwd: ROOT_DIR,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            TURSO_DATABASE_URL: `file:${path.join(tempDir, 'melu.db')}`,
+            TURSO_AUTH_TOKEN: '',
+            JWT_SECRET: 'test-secret',
+            ADMIN_EMAIL,
+            ADMIN_PASSWORD,
+            UPLOADS_DIR: path.join(tempDir, 'uploads')
+        },
+        stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+    });
+    server.on('message', message => {
+        if (message.type === 'mail') mails.push(message.mail);
+    });
+    server.stdout.on('data', chunk => { serverLog += chunk; });
+    server.stderr.on('data', chunk => { serverLog += chunk; });
+
+    await waitForServer();
+
+    // El Admin siempre entra con 2FA: el código llega por correo
+    const login = await call('POST', '/login', { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+    assert.equal(login.status, 200, JSON.stringify(login.body));
+    assert.equal(login.body.method, 'email');
+    const code = (await lastMailTo(ADMIN_EMAIL)).text.match(/\d{6}/)[0];
+    const session = await call('POST', '/auth/2fa/login', { challengeId: login.body.challengeId, code });
+    assert.equal(session.status, 200, JSON.stringify(session.body));
+    adminToken = session.body.accessToken;
+});
+
+after(async () => {
+    if (server && server.exitCode === null) {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill();
+        await exited;
+    }
+    if (tempDir) await rm(tempDir, { recursive: true, force: true });
+});
+
+test('la última unidad en stock se vende una sola vez', async () => {
+    const supplier = await registerUser('supplier1');
+    const res = await call('POST', '/admin/user/update', { userId: supplier.id, newRole: 'proveedor' }, adminToken);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const product = await call('POST', '/products', {
+        name: 'Ultima', platform: 'Netflix', priceStandard: 10, pricePremium: 8, imageUrl: 'x', duration: '30 Días',
+        delivery: 'Autoentrega', description: 'd', isRenewable: false, type: 'Cuenta', images: [], stock: 1,
+        provider: 'supplier1', iconName: 'tv', credentials: [{ username: 'only', password: 'p' }]
+    }, supplier.token);
+    assert.equal(product.status, 201, JSON.stringify(product.body));
+    const inventory = await call('GET', `/supplier/inventory/${supplier.id}`, null, supplier.token);
+    for (const item of inventory.body.filter(row => row.product_id === product.body.productId)) {
+        await call('POST', '/supplier/stock/publish', { stockId: item.id }, supplier.token);
+    }
+
+    const buyers = [await registerUser('buyer1'), await registerUser('buyer2'), await registerUser('buyer3')];
+    for (const buyer of buyers) await adjustBalance(buyer, 100);
+
+    const purchase = { productName: 'Ultima', platform: 'Netflix', amount: 10, finalPricePerUnit: 10, quantity: 1 };
+    const results = await Promise.all([...buyers, buyers[0]].map(buyer => call('POST', '/user/purchase', purchase, buyer.token)));
+
+    assert.equal(successes(results), 1, describeResults(results));
+    assert.ok(results.every(res => res.status === 200 || (res.status >= 400 && res.status < 500)));
+    const buyerBalances = await Promise.all(buyers.map(balanceOf));
+    assert.equal(buyerBalances.reduce((sum, balance) => sum + balance, 0), 290);
+    assert.equal(await balanceOf(supplier), 10);
+});
+
+test('un retiro pedido dos veces se descuenta y se aprueba una sola vez', async () => {
+    const supplier = await registerUser('supplier2');
+    await call('POST', '/admin/user/update', { userId: supplier.id, newRole: 'proveedor' }, adminToken);
+    await adjustBalance(supplier, 10);
+
+    const requests = await Promise.all([1, 2].map(() => call('POST', '/supplier/withdraw', { amount: 10 }, supplier.token)));
+    assert.equal(successes(requests), 1, describeResults(requests));
+    assert.equal(await balanceOf(supplier), 0);
+
+    const withdrawals = await call('GET', '/admin/withdrawals', null, adminToken);
+    const pending = withdrawals.body.filter(row => row.user_id === supplier.id && row.status === 'Pending');
+    assert.equal(pending.length, 1);
+
+    const approvals = await Promise.all([1, 2].map(() => call('POST', '/admin/withdraw/manage', { withdrawalId: pending[0].id, action: 'approve' }, adminToken)));
+    assert.equal(successes(approvals), 1, describeResults(approvals));
+    assert.ok(approvals.some(res => res.status === 409));
+    assert.equal(await balanceOf(supplier), 0);
+});
+
+test('una recarga aprobada dos veces se acredita una sola vez', async () => {
+    const user = await registerUser('recharger1');
+    const proof = await call('POST', '/recharges/proofs', PNG, user.token, { 'Content-Type': 'image/png' });
+    assert.equal(proof.status, 201, JSON.stringify(proof.body));
+    const recharge = await call('POST', '/recharges', {
+        method: 'Binance', amount: 10, paymentReference: 'OP-TEST-1', proofId: proof.body.proofId
+    }, user.token);
+    assert.equal(recharge.status, 201, JSON.stringify(recharge.body));
+
+    const approve = { userId: user.id, transactionId: recharge.body.recharge.id };
+    const approvals = await Promise.all([1, 2, 3].map(() => call('POST', '/admin/transaction/approve', approve, adminToken)));
+    assert.equal(successes(approvals), 1, describeResults(approvals));
+    assert.equal(await balanceOf(user), 10);
+});
+
+test('el libro mayor cuadra con los saldos tras las carreras', async () => {
+    const res = await call('GET', '/admin/ledger/reconcile', null, adminToken);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.mismatches, []);
+    assert.deepEqual(res.body.unbalancedJournals, []);
+});
@@ -0,0 +1,14 @@
+// MeluFrontend - copia/backend/test/support/bootServer.js
+
+import { setMailTransport } from '../../mailer.js';
+
+// 🧪 Arranca el servidor real en un proceso hijo y reenvía cada correo al proceso de pruebas (IPC) en lugar de enviarlo,
+// para poder leer los códigos de verificación y de acceso (el 2FA por correo es obligatorio para el Admin).
+setMailTransport({
+    async sendMail(mail) {
+        process.send({ type: 'mail', mail: { to: mail.to, subject: mail.subject, text: mail.text } });
+        return { messageId: `test-${Date.now()}` };
+    }
+});
+
+await import('../../server.js');
@@ -0,0 +1,359 @@
+// MeluFrontend - copia/backend/transactions.js
+
+import { client } from './db.js';
+import { toSqlDate } from './auth.js';
+import { DEFAULT_CURRENCY, toCents, fromCents, withAmounts, withCents } from './money.js';
+
+// 📒 Movimientos de saldo (tabla 'transactions')
+// Cada fila guarda el objeto completo en 'data', con el mismo formato que tenía users.transactions_history,
+// para que las respuestas al frontend no cambien. Tipo, estado, monto y fecha se copian en columnas para filtrar.
+// 💵 Los montos del JSON se guardan en centavos ('amountCents', 'details.costCents', ...) junto a 'currency';
+// presentTransaction() agrega los decimales que espera el frontend.
+
+// Campos de dinero del movimiento y de sus 'details' (nombre decimal; guardado como '<campo>Cents')
+const TRANSACTION_MONEY_FIELDS = ['amount', 'originalAmount', 'clawedBack'];
+const DETAILS_MONEY_FIELDS = ['cost', 'priceRenewalStandard', 'priceRenewalPremium', 'priceSoldPerUnit', 'priceSoldTotal', 'refundAmount', 'pricePerMonth'];
+
+// Precio de venta que se copia del stock vendido a cada credencial de 'details.fullCredentials' (snake_case, como en el stock)
+const SOLD_PRICE_FIELD = 'price_sold_per_unit';
+const SOLD_PRICE_CENTS_FIELD = 'price_sold_per_unit_cents';
+
+// Los ids de movimiento suelen ser Date.now(): si lo parecen, se usan como fecha de creación
+const MIN_TIMESTAMP_ID = 1e12;
+
+function inferCreatedAt(tx) {
+    if (typeof tx.id === 'number' && tx.id > MIN_TIMESTAMP_ID) {
+        return toSqlDate(new Date(tx.id));
+    }
+
+    // Fallback: fecha en formato dd/mm/yyyy (toLocaleDateString('es-PE'))
+    const match = typeof tx.date === 'string' ? tx.date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/) : null;
+    if (match) {
+        const date = new Date(Date.UTC(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1])));
+        if (!isNaN(date.getTime())) return toSqlDate(date);
+    }
+
+    return toSqlDate(new Date());
+}
+
+function rowToTransaction(row) {
+    return JSON.parse(row.data);
+}
+
+/**
+ * Datos de una unidad de stock vendida (o credencial comprada) para el frontend: agrega 'price_sold_per_unit' en decimales.
+ */
+export function presentSoldStock(data, currency = DEFAULT_CURRENCY) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data[SOLD_PRICE_CENTS_FIELD])) return data;
+    return { ...data, [SOLD_PRICE_FIELD]: fromCents(data[SOLD_PRICE_CENTS_FIELD], currency) };
+}
+
+// Credenciales de una compra con el precio de venta en centavos (formato anterior: decimal)
+function credentialsToCents(credentials, currency) {
+    if (!Array.isArray(credentials)) return credentials;
+    return credentials.map(credential => {
+        if (!credential || typeof credential !== 'object' || !(SOLD_PRICE_FIELD in credential)) return credential;
+        const { [SOLD_PRICE_FIELD]: price, ...rest } = credential;
+        const cents = toCents(price, currency);
+        return isNaN(cents) ? rest : { ...rest, [SOLD_PRICE_CENTS_FIELD]: cents };
+    });
+}
+
+/**
+ * Movimiento listo para responder al frontend: agrega los montos decimales (amount, details.cost, ...).
+ */
+export function presentTransaction(tx) {
+    const currency = tx.currency || DEFAULT_CURRENCY;
+    const presented = withAmounts(tx, TRANSACTION_MONEY_FIELDS, currency);
+    if (tx.details && typeof tx.details === 'object') {
+        presented.details = withAmounts(tx.details, DETAILS_MONEY_FIELDS, currency);
+        if (Array.isArray(tx.details.fullCredentials)) {
+            presented.details.fullCredentials = tx.details.fullCredentials.map(credential => presentSoldStock(credential, currency));
+        }
+        // Recargas: lo pagado puede estar en otra moneda (p. ej. PEN por Yape)
+        if (Number.isInteger(tx.details.paidAmountCents)) {
+            presented.details.paidAmount = fromCents(tx.details.paidAmountCents, tx.details.paidCurrency || currency);
+        }
+    }
+    return presented;
+}
+
+/**
+ * Movimiento con montos decimales (formato anterior o enviado por el frontend) → montos en centavos.
+ */
+export function transactionToCents(tx) {
+    const currency = tx.currency || DEFAULT_CURRENCY;
+    const converted = { ...withCents(tx, TRANSACTION_MONEY_FIELDS, currency), currency };
+    if (tx.details && typeof tx.details === 'object') {
+        converted.details = withCents(tx.details, DETAILS_MONEY_FIELDS, currency);
+        if ('fullCredentials' in converted.details) {
+            converted.details.fullCredentials = credentialsToCents(converted.details.fullCredentials, currency);
+        }
+    }
+    return converted;
+}
+
+function amountCentsOf(tx) {
+    return Number.isInteger(tx.amountCents) ? tx.amountCents : null;
+}
+
+/**
+ * Sentencia de inserción (para usar sola o dentro de client.batch).
+ */
+export function insertTransactionStatement(userId, tx) {
+    return {
+        sql: `INSERT INTO transactions (user_id, tx_id, type, status, amount_cents, currency, description, data, created_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+            userId,
+            String(tx.id ?? ''),
+            tx.type || null,
+            tx.status || null,
+            amountCentsOf(tx),
+            tx.currency || DEFAULT_CURRENCY,
+            tx.description || null,
+            JSON.stringify(tx),
+            inferCreatedAt(tx)
+        ]
+    };
+}
+
+/**
+ * Sentencia de actualización de un movimiento existente (se identifica por usuario + id del movimiento).
+ * Con `fromStatus` solo se actualiza si el movimiento sigue en ese estado (combinar con guardStatement).
+ */
+export function saveTransactionStatement(userId, tx, { fromStatus = null } = {}) {
+    return {
+        sql: `UPDATE transactions SET type = ?, status = ?, amount_cents = ?, currency = ?, description = ?, data = ?
+              WHERE user_id = ? AND tx_id = ? AND (? IS NULL OR status = ?)`,
+        args: [
+            tx.type || null,
+            tx.status || null,
+            amountCentsOf(tx),
+            tx.currency || DEFAULT_CURRENCY,
+            tx.description || null,
+            JSON.stringify(tx),
+            userId,
+            String(tx.id ?? ''),
+            fromStatus,
+            fromStatus
+        ]
+    };
+}
+
+/**
+ * Agrega un movimiento al historial del usuario. Los montos van en centavos ('amountCents', ...).
+ */
+export async function recordTransaction(userId, tx) {
+    await client.execute(insertTransactionStatement(userId, tx));
+}
+
+/**
+ * Guarda los cambios de un movimiento existente.
+ */
+export async function saveTransaction(userId, tx) {
+    await client.execute(saveTransactionStatement(userId, tx));
+}
+
+/**
+ * Historial completo del usuario, del más reciente al más antiguo.
+ */
+export async function getUserTransactions(userId) {
+    const result = await client.execute({
+        sql: 'SELECT data FROM transactions WHERE user_id = ? ORDER BY id DESC',
+        args: [userId]
+    });
+    return result.rows.map(rowToTransaction);
+}
+
+/**
+ * Busca un movimiento del usuario por su id (comparado como texto). Filtros opcionales: type, status.
+ */
+export async function findUserTransaction(userId, txId, { type = null, status = null } = {}) {
+    const result = await client.execute({
+        sql: `SELECT data FROM transactions
+              WHERE user_id = ? AND tx_id = ? AND (? IS NULL OR type = ?) AND (? IS NULL OR status = ?)
+              ORDER BY id DESC LIMIT 1`,
+        args: [userId, String(txId), type, type, status, status]
+    });
+    return result.rows.length > 0 ? rowToTransaction(result.rows[0]) : null;
+}
+
+/**
+ * Busca un movimiento por su id en todos los usuarios. Devuelve { userId, transaction } o null.
+ */
+export async function findTransaction(txId, { status = null } = {}) {
+    const result = await client.execute({
+        sql: `SELECT user_id, data FROM transactions
+              WHERE tx_id = ? AND (? IS NULL OR status = ?)
+              ORDER BY id DESC LIMIT 1`,
+        args: [String(txId), status, status]
+    });
+    if (result.rows.length === 0) return null;
+    return { userId: Number(result.rows[0].user_id), transaction: rowToTransaction(result.rows[0]) };
+}
+
+/**
+ * Compra del usuario que entregó cierta cuenta del stock (la más reciente), o null.
+ */
+export async function findPurchaseByStockId(userId, stockId) {
+    const result = await client.execute({
+        sql: `SELECT data FROM transactions
+              WHERE user_id = ? AND type = 'debit' AND EXISTS (
+                  SELECT 1 FROM json_each(data, '$.details.fullCredentials')
+                  WHERE CAST(json_extract(value, '$.stockId') AS TEXT) = ?
+              )
+              ORDER BY id DESC LIMIT 1`,
+        args: [userId, String(stockId)]
+    });
+    return result.rows.length > 0 ? rowToTransaction(result.rows[0]) : null;
+}
+
+/**
+ * Todos los movimientos con el usuario dueño (formato de /admin/transactions, ya con montos decimales).
+ */
+export async function listAllTransactions() {
+    const result = await client.execute(`
+        SELECT t.user_id, t.data, u.username
+        FROM transactions t
+        JOIN users u ON u.id = t.user_id
+        ORDER BY t.id DESC
+    `);
+    return result.rows.map(row => ({
+        ...presentTransaction(rowToTransaction(row)),
+        userId: row.user_id,
+        username: row.username
+    }));
+}
+
+/**
+ * 🟡 MIGRACIÓN: Mueve users.transactions_history (JSON) a la tabla 'transactions' y elimina la columna.
+ * Cada usuario se migra en un batch y su columna queda en NULL, así que es seguro re-ejecutarla.
+ * Si algún historial no se puede leer, se conserva la columna para revisarlo a mano.
+ */
+export async function migrateLegacyTransactionsHistory() {
+    try {
+        await client.execute("SELECT transactions_history FROM users LIMIT 1");
+    } catch (e) {
+        return; // Columna ya eliminada: nada que migrar
+    }
+
+    console.log("🟡 Migrating: Moving 'transactions_history' into the 'transactions' table...");
+    const usersResult = await client.execute("SELECT id, transactions_history FROM users WHERE transactions_history IS NOT NULL");
+
+    let migratedEntries = 0;
+    let unreadableUsers = 0;
+
+    for (const user of usersResult.rows) {
+        let history;
+        try {
+            history = JSON.parse(user.transactions_history || '[]');
+        } catch (e) {
+            history = null;
+        }
+        if (!Array.isArray(history)) {
+            console.warn(`⚠️ Migration: Historial ilegible del usuario ${user.id}; se conserva en 'transactions_history'.`);
+            unreadableUsers++;
+            continue;
+        }
+
+        // El JSON va del más reciente al más antiguo: se inserta al revés para que el orden por id se mantenga
+        const entries = history.filter(tx => tx && typeof tx === 'object').reverse().map(transactionToCents);
+        await client.batch([
+            ...entries.map(tx => insertTransactionStatement(user.id, tx)),
+            { sql: 'UPDATE users SET transactions_history = NULL WHERE id = ?', args: [user.id] }
+        ], 'write');
+        migratedEntries += entries.length;
+    }
+
+    if (unreadableUsers > 0) {
+        console.warn(`⚠️ Migration: ${unreadableUsers} historial(es) sin migrar. La columna 'transactions_history' no se elimina.`);
+        return;
+    }
+
+    await client.execute("ALTER TABLE users DROP COLUMN transactions_history");
+    console.log(`✅ Migration successful: ${migratedEntries} transactions moved, 'transactions_history' column removed.`);
+}
+
+/**
+ * 🟡 MIGRACIÓN: Marca con 'isRecharge' las recargas anteriores a /recharges (el frontend las registraba sin marca).
+ * Un crédito sin ninguna marca del servidor y que no es un reembolso solo pudo ser una recarga. Es seguro re-ejecutarla.
+ */
+export async function migrateLegacyRechargeFlags() {
+    const result = await client.execute(`
+        UPDATE transactions SET data = json_set(data, '$.isRecharge', json('true'))
+        WHERE type = 'credit' AND json_valid(data)
+          AND json_extract(data, '$.isRecharge') IS NULL
+          AND json_extract(data, '$.isCommission') IS NULL
+          AND json_extract(data, '$.isRefund') IS NULL
+          AND json_extract(data, '$.isWithdrawalRefund') IS NULL
+          AND json_extract(data, '$.isCampaignBonus') IS NULL
+          AND COALESCE(json_extract(data, '$.description'), '') NOT LIKE 'Reembolso%'
+    `);
+    if (result.rowsAffected > 0) {
+        console.log(`✅ Migration successful: ${result.rowsAffected} legacy recharge(s) flagged with 'isRecharge'.`);
+    }
+}
+
+/**
+ * 💵 MIGRACIÓN: Precio de venta dentro de las credenciales de las compras (price_sold_per_unit → price_sold_per_unit_cents),
+ * igual que en el JSON de 'product_stock' (ver db.js). Solo toca los movimientos que aún tienen el decimal.
+ */
+export async function migrateSoldPriceInTransactions() {
+    const result = await client.execute(`
+        SELECT id, data FROM transactions
+        WHERE json_valid(data) AND json_type(data, '$.details.fullCredentials') = 'array'
+          AND EXISTS (SELECT 1 FROM json_each(data, '$.details.fullCredentials')
+                      WHERE json_type(value, '$.${SOLD_PRICE_FIELD}') IN ('integer', 'real'))
+    `);
+    if (result.rows.length === 0) return;
+
+    console.log(`🟡 Migrating: Converting '${SOLD_PRICE_FIELD}' to cents in ${result.rows.length} purchase(s)...`);
+    await client.batch(result.rows.map(row => {
+        const tx = JSON.parse(row.data);
+        tx.details.fullCredentials = credentialsToCents(tx.details.fullCredentials, tx.currency || DEFAULT_CURRENCY);
+        return { sql: 'UPDATE transactions SET data = ? WHERE id = ?', args: [JSON.stringify(tx), row.id] };
+    }), 'write');
+    console.log(`✅ Migration successful: '${SOLD_PRICE_FIELD}' stored in cents in purchase credentials.`);
+}
+
+/**
+ * 💵 MIGRACIÓN: Pasa la columna 'amount' (REAL) y los montos del JSON 'data' a centavos.
+ * Cada movimiento se reescribe una sola vez: la columna vieja se elimina al final, en el mismo batch.
+ */
+export async function migrateTransactionAmountsToCents() {
+    try {
+        await client.execute("SELECT amount FROM transactions LIMIT 1");
+    } catch (e) {
+        return; // Ya migrada
+    }
+
+    console.log("🟡 Migrating: Converting 'transactions' amounts to integer cents...");
+    for (const column of ['amount_cents INTEGER', "currency TEXT NOT NULL DEFAULT 'USD'"]) {
+        try {
+            await client.execute(`SELECT ${column.split(' ')[0]} FROM transactions LIMIT 1`);
+        } catch (e) {
+            await client.execute(`ALTER TABLE transactions ADD COLUMN ${column}`);
+        }
+    }
+
+    const result = await client.execute("SELECT id, data FROM transactions");
+    const statements = [];
+    for (const row of result.rows) {
+        let tx;
+        try {
+            tx = JSON.parse(row.data);
+        } catch (e) {
+            continue; // JSON ilegible: se conserva tal cual
+        }
+        const converted = tx.currency ? tx : transactionToCents(tx);
+        statements.push({
+            sql: 'UPDATE transactions SET amount_cents = ?, currency = ?, data = ? WHERE id = ?',
+            args: [amountCentsOf(converted), converted.currency, JSON.stringify(converted), row.id]
+        });
+    }
+    statements.push("ALTER TABLE transactions DROP COLUMN amount");
+
+    await client.batch(statements, 'write');
+    console.log(`✅ Migration successful: ${result.rows.length} transactions stored in cents.`);
+}
@@ -0,0 +1,331 @@
+// MeluFrontend - copia/backend/twoFactor.js
+
+import crypto from 'crypto';
+import { client } from './db.js';
+import { toSqlDate, hashToken, normalizeCode, generateOneTimeCode } from './auth.js';
+import { ROLES } from './permissions.js';
+import { sendLoginCodeEmail } from './mailer.js';
+
+// 🔐 Segundo factor de autenticación
+// Métodos: 'totp' (app de autenticación + códigos de respaldo) o 'email' (código enviado al correo).
+// Para Admin es obligatorio: si no tiene un método confirmado, se le envía un código por correo.
+export const TWO_FACTOR_METHODS = ['totp', 'email'];
+
+const TOTP_ISSUER = 'MeluStreaming';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Tolerancia de ±1 paso por desfase de reloj
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// --- TOTP (RFC 6238) ---
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.toUpperCase().replace(/[^A-Z2-7]/g, '')) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+function generateHotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(value).padStart(TOTP_DIGITS, '0');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Devuelve el paso de tiempo en el que el código es válido, o null.
+ */
+function findTotpStep(secret, code) {
+    const cleanCode = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(cleanCode)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let delta = -TOTP_WINDOW; delta <= TOTP_WINDOW; delta++) {
+        if (safeEqual(generateHotp(secret, currentStep + delta), cleanCode)) {
+            return currentStep + delta;
+        }
+    }
+    return null;
+}
+
+function generateEmailCode() {
+    return String(crypto.randomInt(0, 10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+// --- Estado del segundo factor ---
+
+async function getTwoFactorRow(userId) {
+    const result = await client.execute({
+        sql: 'SELECT user_id, method, totp_secret, last_totp_step, confirmed_at FROM two_factor WHERE user_id = ?',
+        args: [userId]
+    });
+    return result.rows[0] || null;
+}
+
+/**
+ * Estado del segundo factor para el perfil / panel de seguridad.
+ */
+export async function getTwoFactorStatus(user) {
+    const row = await getTwoFactorRow(user.id);
+    const confirmed = Boolean(row?.confirmed_at);
+
+    let backupCodesRemaining = 0;
+    if (confirmed && row.method === 'totp') {
+        const codes = await client.execute({
+            sql: 'SELECT COUNT(*) AS count FROM two_factor_backup_codes WHERE user_id = ? AND used_at IS NULL',
+            args: [user.id]
+        });
+        backupCodesRemaining = Number(codes.rows[0].count);
+    }
+
+    return {
+        enabled: confirmed,
+        method: confirmed ? row.method : null,
+        pendingMethod: row && !confirmed ? row.method : null,
+        required: user.role === ROLES.ADMIN,
+        backupCodesRemaining
+    };
+}
+
+/**
+ * Marca un paso TOTP como usado. El UPDATE condicional impide aceptar dos veces el mismo código.
+ */
+async function claimTotpStep(userId, step) {
+    const claim = await client.execute({
+        sql: 'UPDATE two_factor SET last_totp_step = ? WHERE user_id = ? AND (last_totp_step IS NULL OR last_totp_step < ?)',
+        args: [step, userId, step]
+    });
+    return claim.rowsAffected > 0;
+}
+
+async function consumeBackupCode(userId, code) {
+    const result = await client.execute({
+        sql: 'SELECT id FROM two_factor_backup_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        args: [userId, hashToken(normalizeCode(code))]
+    });
+    if (result.rows.length === 0) return false;
+
+    const claim = await client.execute({
+        sql: 'UPDATE two_factor_backup_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        args: [result.rows[0].id]
+    });
+    return claim.rowsAffected > 0;
+}
+
+async function replaceBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => generateOneTimeCode());
+
+    await client.batch([
+        { sql: 'DELETE FROM two_factor_backup_codes WHERE user_id = ?', args: [userId] },
+        ...codes.map(code => ({
+            sql: 'INSERT INTO two_factor_backup_codes (user_id, code_hash) VALUES (?, ?)',
+            args: [userId, hashToken(normalizeCode(code))]
+        }))
+    ], 'write');
+
+    return codes;
+}
+
+/**
+ * Verifica un código TOTP (o de respaldo) contra el secreto confirmado del usuario.
+ */
+async function verifyTotpOrBackupCode(row, code) {
+    const step = findTotpStep(row.totp_secret, code);
+    if (step !== null) {
+        return claimTotpStep(row.user_id, step);
+    }
+    return consumeBackupCode(row.user_id, code);
+}
+
+// --- Retos (challenges) ---
+
+async function createChallenge(user, { purpose, method }) {
+    const challengeId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+    const code = method === 'email' ? generateEmailCode() : null;
+
+    // Solo queda vigente un reto por usuario y propósito
+    await client.execute({
+        sql: 'UPDATE two_factor_challenges SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+        args: [user.id, purpose]
+    });
+    await client.execute({
+        sql: `INSERT INTO two_factor_challenges (id, user_id, purpose, method, code_hash, expires_at)
+              VALUES (?, ?, ?, ?, ?, ?)`,
+        args: [challengeId, user.id, purpose, method, code ? hashToken(code) : null, toSqlDate(expiresAt)]
+    });
+
+    if (code) {
+        await sendLoginCodeEmail(user.email, { code, expiresInMinutes: CHALLENGE_TTL_MINUTES });
+    }
+
+    return { challengeId, method, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Valida un código contra un reto pendiente. Cada intento fallido suma a 'attempts';
+ * al llegar a MAX_CHALLENGE_ATTEMPTS el reto queda anulado y hay que volver a empezar.
+ * Devuelve el id del usuario o null.
+ */
+async function consumeChallenge({ challengeId, userId = null, purpose }, code) {
+    const result = await client.execute({
+        sql: `SELECT id, user_id, method, code_hash, attempts FROM two_factor_challenges
+              WHERE ${challengeId ? 'id = ?' : 'user_id = ?'} AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+              ORDER BY created_at DESC LIMIT 1`,
+        args: [challengeId || userId, purpose]
+    });
+
+    if (result.rows.length === 0) return null;
+    const challenge = result.rows[0];
+
+    let valid = false;
+    if (challenge.method === 'email') {
+        valid = safeEqual(challenge.code_hash, hashToken(String(code || '').replace(/\s/g, '')));
+    } else {
+        const row = await getTwoFactorRow(challenge.user_id);
+        valid = Boolean(row?.totp_secret) && await verifyTotpOrBackupCode(row, code);
+    }
+
+    if (!valid) {
+        await client.execute({
+            sql: `UPDATE two_factor_challenges
+                  SET attempts = attempts + 1,
+                      used_at = CASE WHEN attempts + 1 >= ? THEN CURRENT_TIMESTAMP ELSE used_at END
+                  WHERE id = ?`,
+            args: [MAX_CHALLENGE_ATTEMPTS, challenge.id]
+        });
+        return null;
+    }
+
+    const claim = await client.execute({
+        sql: 'UPDATE two_factor_challenges SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        args: [challenge.id]
+    });
+    if (claim.rowsAffected === 0) return null;
+
+    return challenge.user_id;
+}
+
+// --- Login ---
+
+/**
+ * Si el usuario necesita segundo factor (Admin siempre; el resto si lo activó), crea el reto de login
+ * y devuelve { challengeId, method, expiresAt }. Si no lo necesita, devuelve null.
+ */
+export async function startLoginChallenge(user) {
+    const row = await getTwoFactorRow(user.id);
+    const confirmedMethod = row?.confirmed_at ? row.method : null;
+
+    if (!confirmedMethod && user.role !== ROLES.ADMIN) return null;
+
+    // Admin sin método confirmado: se usa el código por correo
+    return createChallenge(user, { purpose: 'login', method: confirmedMethod || 'email' });
+}
+
+/**
+ * Completa el login con el código del segundo factor. Devuelve el id del usuario o null.
+ */
+export function verifyLoginChallenge(challengeId, code) {
+    if (!challengeId || !code) return Promise.resolve(null);
+    return consumeChallenge({ challengeId, purpose: 'login' }, code);
+}
+
+// --- Inscripción / baja ---
+
+/**
+ * Inicia la inscripción de un método. Para 'totp' devuelve el secreto y la URL otpauth:// (para el QR);
+ * para 'email' envía un código al correo. En ambos casos se confirma con confirmEnrollment().
+ */
+export async function beginEnrollment(user, method) {
+    if (method === 'totp') {
+        const secret = base32Encode(crypto.randomBytes(20));
+        await client.execute({
+            sql: `INSERT INTO two_factor (user_id, method, totp_secret, last_totp_step, confirmed_at) VALUES (?, 'totp', ?, NULL, NULL)
+                  ON CONFLICT(user_id) DO UPDATE SET method = 'totp', totp_secret = excluded.totp_secret, last_totp_step = NULL, confirmed_at = NULL`,
+            args: [user.id, secret]
+        });
+
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+        return { method, secret, otpauthUrl };
+    }
+
+    await client.execute({
+        sql: `INSERT INTO two_factor (user_id, method, totp_secret, last_totp_step, confirmed_at) VALUES (?, 'email', NULL, NULL, NULL)
+              ON CONFLICT(user_id) DO UPDATE SET method = 'email', totp_secret = NULL, last_totp_step = NULL, confirmed_at = NULL`,
+        args: [user.id]
+    });
+    const { expiresAt } = await createChallenge(user, { purpose: 'enroll', method: 'email' });
+    return { method, expiresAt };
+}
+
+/**
+ * Confirma la inscripción pendiente con un código válido.
+ * Devuelve { method, backupCodes } (backupCodes solo para 'totp', se muestran una única vez) o null.
+ */
+export async function confirmEnrollment(userId, code) {
+    const row = await getTwoFactorRow(userId);
+    if (!row || row.confirmed_at) return null;
+
+    if (row.method === 'totp') {
+        const step = findTotpStep(row.totp_secret, code);
+        if (step === null || !(await claimTotpStep(userId, step))) return null;
+    } else if (!(await consumeChallenge({ userId, purpose: 'enroll' }, code))) {
+        return null;
+    }
+
+    await client.execute({
+        sql: 'UPDATE two_factor SET confirmed_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+        args: [userId]
+    });
+
+    const backupCodes = row.method === 'totp' ? await replaceBackupCodes(userId) : [];
+    return { method: row.method, backupCodes };
+}
+
+/**
+ * Para desactivar TOTP se exige un código actual (o de respaldo). Devuelve true si es válido.
+ */
+export async function verifyCurrentFactor(userId, code) {
+    const row = await getTwoFactorRow(userId);
+    if (!row?.confirmed_at || row.method !== 'totp') return true;
+    if (!code) return false;
+    return verifyTotpOrBackupCode(row, code);
+}
+
+/**
+ * Elimina el segundo factor del usuario (y sus códigos de respaldo y retos pendientes).
+ */
+export async function disableTwoFactor(userId) {
+    await client.batch([
+        { sql: 'DELETE FROM two_factor WHERE user_id = ?', args: [userId] },
+        { sql: 'DELETE FROM two_factor_backup_codes WHERE user_id = ?', args: [userId] },
+        { sql: 'UPDATE two_factor_challenges SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', args: [userId] }
+    ], 'write');
+}
@@ -0,0 +1,93 @@
+// MeluFrontend - copia/backend/withdrawals.js
+
+import { client } from './db.js';
+import { ATOMIC_GUARD_REASONS, AtomicOperationError, guardStatement, runAtomic } from './balances.js';
+import { insertTransactionStatement } from './transactions.js';
+import {
+    LEDGER_ACCOUNTS, LEDGER_KINDS, journalStatements, accountEntry, transferStatements, wallet, platform
+} from './ledger.js';
+
+// 💸 Retiros de proveedores (tabla 'withdrawals')
+// Al solicitarlo, el monto bruto sale de la cartera y queda retenido; el Admin lo aprueba (se paga el monto final
+// y la comisión de retiro queda como ingreso) o lo rechaza (se devuelve el monto bruto a la cartera).
+export const WITHDRAWAL_STATUS = {
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected'
+};
+
+export const WITHDRAWAL_ACTIONS = ['approve', 'reject'];
+
+/**
+ * Aprueba o rechaza un retiro 'Pending' (`action`: 'approve' | 'reject').
+ * Devuelve la fila del retiro, o null si no existe; lanza AtomicOperationError (ALREADY_PROCESSED) si ya fue procesado.
+ */
+export async function manageWithdrawal(withdrawalId, action, { managedBy = null } = {}) {
+    // 1. Obtener la solicitud
+    const wRes = await client.execute({
+        sql: "SELECT * FROM withdrawals WHERE id = ?",
+        args: [withdrawalId]
+    });
+    if (wRes.rows.length === 0) return null;
+
+    const withdrawal = wRes.rows[0];
+
+    // 2. Validar que esté pendiente
+    if (withdrawal.status !== WITHDRAWAL_STATUS.PENDING) {
+        throw new AtomicOperationError(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED);
+    }
+
+    if (action === 'approve') {
+        // ✅ APROBAR: Registrar el débito del monto final como transacción
+        // 🔒 Estado y registro en un batch; solo si sigue 'Pending' (evita doble procesamiento)
+        await runAtomic([
+            { sql: "UPDATE withdrawals SET status = 'Approved' WHERE id = ? AND status = 'Pending'", args: [withdrawalId] },
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+
+            // 📒 Sale de lo retenido: el monto final se paga y la comisión de retiro queda como ingreso
+            journalStatements(LEDGER_KINDS.WITHDRAWAL_APPROVE, [
+                accountEntry(LEDGER_ACCOUNTS.PENDING_WITHDRAWALS, 'debit', withdrawal.amount_original_cents),
+                accountEntry(LEDGER_ACCOUNTS.PAYOUTS, 'credit', withdrawal.amount_final_cents),
+                accountEntry(LEDGER_ACCOUNTS.REVENUE, 'credit', withdrawal.amount_original_cents - withdrawal.amount_final_cents)
+            ], { reference: `withdrawal:${withdrawalId}`, description: 'Retiro aprobado', createdBy: managedBy, currency: withdrawal.currency }),
+
+            // 🟢 REGISTRO DE DÉBITO EN HISTORIAL DEL PROVEEDOR
+            insertTransactionStatement(withdrawal.user_id, {
+                id: Date.now() + 1,
+                date: new Date().toLocaleDateString('es-PE'),
+                description: `RETIRO DE FONDOS APROBADO`,
+                amountCents: withdrawal.amount_final_cents,
+                currency: withdrawal.currency,
+                type: 'debit',
+                status: 'Completada',
+                isWithdrawal: true, // 🟢 Flag de Retiro
+                target: 'Cuenta Bancaria'
+            })
+        ]);
+    } else {
+        // ❌ RECHAZAR: Devolver el dinero y registrar el movimiento en el historial
+        await runAtomic([
+            { sql: "UPDATE withdrawals SET status = 'Rejected' WHERE id = ? AND status = 'Pending'", args: [withdrawalId] },
+            guardStatement(ATOMIC_GUARD_REASONS.ALREADY_PROCESSED),
+
+            // 2. REEMBOLSO AUTOMÁTICO (Devolver el monto bruto original)
+            transferStatements(LEDGER_KINDS.WITHDRAWAL_REJECT, platform(LEDGER_ACCOUNTS.PENDING_WITHDRAWALS), wallet(withdrawal.user_id), withdrawal.amount_original_cents, {
+                reference: `withdrawal:${withdrawalId}`, description: 'Retiro rechazado', createdBy: managedBy, currency: withdrawal.currency
+            }),
+
+            // 🟢 REGISTRO DE CRÉDITO EN HISTORIAL DEL PROVEEDOR (Devolución del Saldo)
+            insertTransactionStatement(withdrawal.user_id, {
+                id: Date.now() + 2,
+                date: new Date().toLocaleDateString('es-PE'),
+                description: `RETIRO RECHAZADO (Saldo Restaurado)`,
+                amountCents: withdrawal.amount_original_cents,
+                currency: withdrawal.currency,
+                type: 'credit',
+                status: 'Completada',
+                isWithdrawalRefund: true, // 🟢 Flag de Reembolso de Retiro
+            })
+        ]);
+    }
+
+    return withdrawal;
+}